@@ -14,10 +14,17 @@ const sosRoutes = require("./routes/sosRoutes");
 const incidentRoutes = require("./routes/incidentRoutes");
 const geofenceRoutes = require("./routes/geofenceRoutes");
 const itineraryRoutes = require("./routes/itineraryRoutes");
+const unitRoutes = require("./routes/unitRoutes");
 const { errorHandler } = require("./middlewares/errorMiddleware");
-const { updateRiskScores } = require("./services/riskEngineService");
+const { runDecaySweep } = require("./services/riskEngineService");
 const { cleanupExpiredGeofences } = require("./services/itineraryGeofenceService");
-// const { fetchNewsIncidents } = require('./services/newsService'); // News service disabled
+const { runSafePulseSweep } = require("./services/safePulseService");
+const { runEscalationSweep } = require("./services/sosEscalationService");
+const { runStraySweep } = require("./services/groupLocationService");
+const { runScheduleSweep, backfillZoneCenters } = require("./services/dangerZoneService");
+const { runDeviationSweep } = require("./services/routeDeviationService");
+const { startFeedScheduler } = require('./services/feedIngestionService');
+const { retryPendingAnchors } = require('./services/mediaAttachmentService');
 const { init } = require('./services/realtimeService');
 const { getSosCounts } = require("./controllers/authority/SOSAlertPage");
 // const { arcjetGeneralMiddleware } = require("./middlewares/ArcjetMiddleware");
@@ -73,6 +80,7 @@ app.use("/api/geofence", geofenceRoutes);
 app.use("/api/sos", sosRoutes);
 app.use("/api/incidents", incidentRoutes);
 app.use("/api/itinerary", itineraryRoutes);
+app.use("/api/units", unitRoutes);
 app.get('/count', getSosCounts);
 
 app.get("/api/health", (req, res) => {
@@ -100,20 +108,7 @@ const startServer = async () => {
 
       const runJobs = async () => {
         try {
-          // Future Enhancement: Get list of active tourist cities from DB
-          // const activeCities = await Tourist.distinct('currentCity');
-          // for(const city of activeCities) await fetchNewsIncidents(city);
-
-          // News Service Disabled as per latest requirement
-          /*
-          await fetchNewsIncidents({ 
-            name: 'Kashmir', 
-            lat: 34.0837, 
-            lng: 74.7973 
-          }); 
-          */
-
-          await updateRiskScores(); // Recalculate risks globaly
+          await runDecaySweep(); // Decay and expire risk grids (new events are queued as they arrive)
         } catch (err) {
           console.error("Job Error:", err);
         }
@@ -122,6 +117,21 @@ const startServer = async () => {
       // Run on startup
       runJobs();
 
+      // Incident feeds run on their own schedules (see feedIngestionService)
+      startFeedScheduler().catch(err =>
+        console.error("Feed scheduler start error:", err)
+      );
+
+      // Anchor evidence left pending by a restart or a failed transaction
+      retryPendingAnchors().catch(err =>
+        console.error("Evidence anchoring retry error:", err)
+      );
+
+      // Danger zones stored before circle zones were searchable by location
+      backfillZoneCenters().catch(err =>
+        console.error("Danger zone center backfill error:", err)
+      );
+
       // Cleanup expired geofences on startup
       cleanupExpiredGeofences().catch(err => 
         console.error("Startup geofence cleanup error:", err)
@@ -143,6 +153,60 @@ const startServer = async () => {
       }, {
         timezone: "Asia/Kolkata" // Indian timezone for midnight calculation
       });
+
+      // Safe Pulse: check solo tourists' check-ins every minute
+      cron.schedule('* * * * *', async () => {
+        try {
+          await runSafePulseSweep();
+        } catch (err) {
+          console.error('Safe Pulse sweep error:', err);
+        }
+      });
+
+      // Escalate SOS alerts nobody has responded to, every minute
+      cron.schedule('* * * * *', async () => {
+        try {
+          await runEscalationSweep();
+        } catch (err) {
+          console.error('SOS escalation sweep error:', err);
+        }
+      });
+
+      // Alert tour admins about members drifting away from their group, every minute
+      cron.schedule('* * * * *', async () => {
+        try {
+          await runStraySweep();
+        } catch (err) {
+          console.error('Group stray sweep error:', err);
+        }
+      });
+
+      // Escalate commuter route deviations that persisted without new location updates, every minute
+      cron.schedule('* * * * *', async () => {
+        try {
+          await runDeviationSweep();
+        } catch (err) {
+          console.error('Route deviation sweep error:', err);
+        }
+      });
+
+      // Notify map clients when scheduled danger zones start or stop, every minute
+      cron.schedule('* * * * *', async () => {
+        try {
+          await runScheduleSweep();
+        } catch (err) {
+          console.error('Danger zone schedule sweep error:', err);
+        }
+      });
+
+      // Retry pending or failed evidence anchors, every 10 minutes
+      cron.schedule('*/10 * * * *', async () => {
+        try {
+          await retryPendingAnchors();
+        } catch (err) {
+          console.error('Evidence anchoring retry error:', err);
+        }
+      });
     });
   } catch (err) {
     console.error("Failed to connect to Database. Server shutting down.", err);
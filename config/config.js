@@ -21,5 +21,18 @@ module.exports = {
     FROM_EMAIL,
     REDIS_PORT,
     REDIS_HOST,
-    ARCJET_KEY
+    ARCJET_KEY,
+    LOCATION_TRAIL_RETENTION_DAYS,
+    SOS_ESCALATION_POLICY,
+    SMS_PROVIDER,
+    GROUP_STRAY_DISTANCE_METERS,
+    RISK_GRID_TYPE,
+    RISK_GRID_RESOLUTION,
+    RISK_GRID_SMOOTHING,
+    INCIDENT_CLUSTER_RADIUS_METERS,
+    INCIDENT_CLUSTER_WINDOW_MINUTES,
+    MEDIA_STORAGE,
+    MEDIA_STORAGE_DIR,
+    NEWS_API_KEY,
+    FEED_DROP_DIR
 } = process.env;
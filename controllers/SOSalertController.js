@@ -1,121 +1,13 @@
 const SOSAlert = require("../models/SOSAlertModel.js");
-const { ethers } = require("ethers");
-const { updateRiskScores, updateGridForLocation } = require('../services/riskEngineService'); // Import Risk Engine
-const { hex64ToBytes32 } = require('../utils/ethFormat.js');
-const { sha256Hex } = require("../utils/hash.js"); // your existing hash utility
-const { POLYGON_RPC, PRIVATE_KEY, SMART_CONTRACT_ADDRESS_sos } = require("../config/config.js");
 const Tourist = require('../models/Tourist.js');
-const { decrypt } = require('../utils/encrypt.js');
-const realtimeService = require('../services/realtimeService');
-const SOSABI = [
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "bytes32",
-				"name": "alertId",
-				"type": "bytes32"
-			},
-			{
-				"indexed": false,
-				"internalType": "bytes32",
-				"name": "payloadHash",
-				"type": "bytes32"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "tourist",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "timestamp",
-				"type": "uint256"
-			}
-		],
-		"name": "AlertLogged",
-		"type": "event"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "bytes32",
-				"name": "alertId",
-				"type": "bytes32"
-			},
-			{
-				"internalType": "bytes32",
-				"name": "payloadHash",
-				"type": "bytes32"
-			}
-		],
-		"name": "logAlert",
-		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "bytes32",
-				"name": "alertId",
-				"type": "bytes32"
-			}
-		],
-		"name": "getAlert",
-		"outputs": [
-			{
-				"internalType": "bytes32",
-				"name": "payloadHash",
-				"type": "bytes32"
-			},
-			{
-				"internalType": "address",
-				"name": "tourist",
-				"type": "address"
-			},
-			{
-				"internalType": "uint256",
-				"name": "timestamp",
-				"type": "uint256"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "bytes32",
-				"name": "alertId",
-				"type": "bytes32"
-			},
-			{
-				"internalType": "bytes32",
-				"name": "payloadHashHash",
-				"type": "bytes32"
-			}
-		],
-		"name": "verifyAlert",
-		"outputs": [
-			{
-				"internalType": "bool",
-				"name": "",
-				"type": "bool"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	}
-]
-
-// Initialize provider & contract
-const provider = new ethers.JsonRpcProvider(POLYGON_RPC);
-const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-const contract = new ethers.Contract(SMART_CONTRACT_ADDRESS_sos, SOSABI, wallet);
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const { raiseSOS } = require('../services/sosService');
+const groupSosService = require('../services/groupSosService');
+const { transitionAlert, canTransition } = require('../services/sosLifecycleService');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { attachMedia, toAttachmentPayload } = require('../services/mediaAttachmentService');
+const { mediaUploadOptions } = require('../middlewares/mediaUploadMiddleware');
 
 /**
  * Trigger SOS alert
@@ -143,75 +35,27 @@ exports.triggerSOS = async (req, res, next) => {
 
 		const LOOKBACK_MS = 5 * 60 * 1000;
 		const windowStart = new Date(Date.now() - LOOKBACK_MS);
+		// Cancelled false alarms (including duress "cancellations") never block a new SOS
 		const underFiveMinuteAlert = await SOSAlert.findOne({
 			touristId: tourist._id,
-			timestamp: { $gt: windowStart }
+			timestamp: { $gt: windowStart },
+			status: { $ne: "cancelled" },
+			"cancellation.isDuress": { $ne: true }
 		}).sort({ timestamp: -1 });
 
 		if(underFiveMinuteAlert){
 			return res.status(429).json({ message: "Your previous sos alert is still being reviewed and acted upon by authority. wait till 5 minutes to send another"})
 		}
 
-		// 2️⃣ Decrypt tourist personal information
-		const name = decrypt(tourist.nameEncrypted);
-		const phone = tourist.phoneEncrypted ? decrypt(tourist.phoneEncrypted) : null;
-
-		// Calculate age from DOB if available
-		let age = null;
-		if (tourist.dob) {
-			const today = new Date();
-			const birthDate = new Date(tourist.dob);
-			age = today.getFullYear() - birthDate.getFullYear();
-			const monthDiff = today.getMonth() - birthDate.getMonth();
-			if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-				age--;
-			}
-		}
-
-		// 3️⃣ Decrypt emergency contact
-		let emergencyContact = null;
-		if (tourist.emergencyContactEncrypted) {
-			emergencyContact = JSON.parse(decrypt(tourist.emergencyContactEncrypted));
-		}
-
-		// 4️⃣ Save SOS in MongoDB immediately
-		const sosAlert = new SOSAlert({
-			touristId: tourist._id,
+		// 2️⃣ Run the shared SOS pipeline (save, grid update, realtime broadcast, blockchain)
+		const { sosAlert, updatedGrid } = await raiseSOS(tourist, {
 			location,
 			safetyScore,
 			locationName,
 			sosReason,
-			emergencyContact,
-			status: "new",
 		});
-		await sosAlert.save();
 
-		// 5️⃣ Update Risk Grid IMMEDIATELY for this location (synchronous)
-		let updatedGrid = null;
-		try {
-			const [lng, lat] = location.coordinates;
-			updatedGrid = await updateGridForLocation(lat, lng);
-			console.log('✅ Grid updated immediately for SOS location');
-
-			// Emit real-time grid update to all connected clients
-			if (updatedGrid) {
-				realtimeService.emitRiskGridUpdated({
-					gridId: updatedGrid.gridId,
-					riskLevel: updatedGrid.riskLevel,
-					riskScore: updatedGrid.riskScore,
-					location: updatedGrid.location,
-					gridName: updatedGrid.gridName,
-					lastUpdated: updatedGrid.lastUpdated,
-					radius: updatedGrid.radius,
-					tierLevel: updatedGrid.tierLevel
-				}).catch(err => console.error('Grid emit error:', err));
-			}
-		} catch (gridErr) {
-			console.error('⚠️ Failed to update grid immediately:', gridErr);
-			// Don't fail the SOS - continue with response
-		}
-
-		// 6️⃣ Respond to client immediately WITH grid update info
+		// 3️⃣ Respond to client WITH grid update info
 		res.json({
 			success: true,
 			message: "SOS alert received. Authorities have been notified.",
@@ -229,88 +73,162 @@ exports.triggerSOS = async (req, res, next) => {
 			} : null
 		});
 
-		// 7️⃣ AFTER response: emit real-time SOS to connected authorities (fire-and-forget)
-		(async () => {
-			try {
-				const alertData = {
-					alertId: sosAlert._id,
-					touristId: touristId,
-					touristName: name,
-					phone: phone,
-					age: age,
-					nationality: tourist.nationality || null,
-					gender: tourist.gender || null,
-					bloodGroup: tourist.bloodGroup || null,
-					medicalConditions: tourist.medicalConditions || null,
-					allergies: tourist.allergies || null,
-					emergencyContact: emergencyContact,
-					location: sosAlert.location,
-					locationName: sosAlert.locationName,
-					timestamp: sosAlert.timestamp || new Date().toISOString(),
-					safetyScore: sosAlert.safetyScore,
-					sosReason: sosAlert.sosReason,
-					status: sosAlert.status
-				};
+	} catch (err) {
+		console.error("❌ triggerSOS error:", err);
+		next(err);
+	}
+};
+
+/**
+ * Cancel an SOS alert raised by mistake
+ * @param req.params.id SOSAlert id
+ * @param req.body: {
+ *   pin,     // required once the tourist has set an SOS PIN
+ *   reason
+ * }
+ * Entering the duress PIN returns exactly the same response as a genuine
+ * cancellation, but keeps the alert open and silently escalates it.
+ */
+exports.cancelSOS = async (req, res, next) => {
+	try {
+		const { pin, reason } = req.body || {};
+		const touristId = req.user && req.user.touristId;
 
-				realtimeService.emitSOSAlert(alertData).catch(err => {
-					console.error('emitSOSAlert failed (non-blocking):', err);
-				});
-			} catch (err) {
-				console.error('Realtime emit wrapper error:', err);
-			}
-		})();
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return next(new CustomError(404, "SOS alert not found"));
+		}
 
-		// 8️⃣ AFTER response: Sequentially log alerts on blockchain
-		(async () => {
-			try {
-				const { v4: uuidv4 } = await import("uuid");
-				const signer = contract.runner;
+		const tourist = await Tourist.findOne({ touristId }).select('_id touristId nameEncrypted sosPinHash sosDuressPinHash');
+		if (!tourist) return next(new CustomError(404, "Tourist not found"));
 
-				// Create payload for this alert
-				const eventIdRaw = uuidv4() + "|" + sosAlert._id.toString();
-				const eventIdHash = sha256Hex(eventIdRaw);
-				const alertId = hex64ToBytes32(eventIdHash);
+		const alert = await SOSAlert.findOne({ _id: req.params.id, touristId: tourist._id }).select('status location cancellation');
+		if (!alert) return next(new CustomError(404, "SOS alert not found"));
+		// Already "cancelled" with the duress PIN: answer as a genuinely cancelled alert would
+		if (alert.cancellation && alert.cancellation.isDuress) {
+			return next(new CustomError(409, "Cannot cancel an alert that is 'cancelled'"));
+		}
+		if (!canTransition(alert.status, 'cancel')) {
+			return next(new CustomError(409, `Cannot cancel an alert that is '${alert.status}'`));
+		}
 
-				const payloadString = `${sosAlert._id}|${touristId}|${location.coordinates.join(",")}|${sosReason.reason}|${sosAlert.timestamp.toISOString()}`;
-				const payloadHash = ethers.id(payloadString);
+		// Verify the PIN (optional until the tourist sets one)
+		let isDuress = false;
+		let pinVerified = false;
+		if (tourist.sosPinHash) {
+			if (pin === undefined || pin === null || pin === '') {
+				return next(new CustomError(400, "PIN is required to cancel this SOS"));
+			}
+			if (await bcrypt.compare(String(pin), tourist.sosPinHash)) {
+				pinVerified = true;
+			} else if (tourist.sosDuressPinHash && await bcrypt.compare(String(pin), tourist.sosDuressPinHash)) {
+				isDuress = true;
+			} else {
+				return next(new CustomError(401, "Invalid PIN"));
+			}
+		}
 
-				console.log("📌 Logging SOS alert on-chain...");
+		const actor = { type: 'tourist', id: tourist.touristId };
+		const now = new Date();
+		const cancellation = {
+			requestedBy: 'tourist',
+			requestedAt: now,
+			reason: reason || undefined,
+			pinVerified,
+			isDuress,
+		};
+
+		const realtimeService = require('../services/realtimeService');
+
+		if (isDuress) {
+			// Keep the alert open, bump its escalation level and tell authorities only
+			const { alert: escalated, entry } = await transitionAlert(alert._id, 'escalate', {
+				actor,
+				comment: 'Duress PIN entered on cancellation. Tourist may be under coercion; the phone shows the SOS as cancelled.',
+				set: { cancellation },
+				inc: { escalationLevel: 1 },
+			});
+
+			realtimeService.emitSOSStatusUpdate({
+				alertId: escalated._id,
+				status: escalated.status,
+				action: entry.action,
+				escalationLevel: escalated.escalationLevel,
+				duress: true,
+				historyEntry: entry,
+			}).catch(err => console.error("Socket emit error:", err));
+
+			// The tour group sees what the tourist's phone shows: a cancelled SOS
+			groupSosService.onSOSEnded(escalated, "cancelled").catch(err => console.error("Group SOS update error:", err));
+
+			console.log(`🚨 Duress cancellation for SOS ${escalated._id}`);
+		} else {
+			const { alert: cancelled, entry } = await transitionAlert(alert._id, 'cancel', {
+				actor,
+				comment: reason || 'Cancelled by tourist (false alarm)',
+				set: { cancelledDate: now, cancellation },
+			});
+
+			realtimeService.emitSOSStatusUpdate({
+				alertId: cancelled._id,
+				touristId: tourist.touristId,
+				status: cancelled.status,
+				action: entry.action,
+				cancelledDate: cancelled.cancelledDate,
+				historyEntry: entry,
+			}).catch(err => console.error("Socket emit error:", err));
+		}
 
-				// Wait for the previous transaction to finish before sending this one
-				if (!global.sosQueue) global.sosQueue = Promise.resolve();
+		// Identical response for genuine and duress cancellations
+		res.status(200).json({
+			success: true,
+			message: "SOS alert cancelled.",
+			sosAlert: {
+				id: alert._id,
+				status: "cancelled",
+				cancelledAt: now,
+			}
+		});
+	} catch (err) {
+		console.error("❌ cancelSOS error:", err);
+		next(err);
+	}
+};
 
-				global.sosQueue = global.sosQueue.then(async () => {
-					try {
-						const tx = await contract.logAlert(alertId, payloadHash);
-						const receipt = await tx.wait();
+/**
+ * Attach a photo, audio clip or video to one of the tourist's SOS alerts
+ * @param req.params.id SOSAlert id
+ * @param req.body Raw file (Content-Type image/*, audio/* or video/*),
+ *   name in the X-File-Name header
+ * Also accepted after a duress cancellation: the alert is still open.
+ */
+exports.uploadSosMedia = async (req, res, next) => {
+	try {
+		const touristId = req.user && req.user.touristId;
+
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return next(new CustomError(404, "SOS alert not found"));
+		}
 
-						// ⚡ Create a fresh reference to SOSAlert from DB to ensure correct scope
-						const alertToUpdate = await SOSAlert.findById(sosAlert._id);
-						if (!alertToUpdate) {
-							console.error("❌ SOSAlert not found in DB for updating blockchain info");
-							return;
-						}
+		const tourist = await Tourist.findOne({ touristId }).select('_id');
+		if (!tourist) return next(new CustomError(404, "Tourist not found"));
 
-						alertToUpdate.blockchainTxHash = receipt.hash;
-						alertToUpdate.isLoggedOnChain = true;
-						alertToUpdate.alertIdOnChain = alertId;
-						alertToUpdate.payloadHashOnChain = payloadHash;
-						await alertToUpdate.save();
+		const alert = await SOSAlert.findOne({ _id: req.params.id, touristId: tourist._id }).select('_id');
+		if (!alert) return next(new CustomError(404, "SOS alert not found"));
 
-						console.log("✅ SOS logged on-chain:", receipt.hash);
-					} catch (err) {
-						console.error("❌ Blockchain logging error:", err);
-					}
-				});
+		const attachment = await attachMedia({ kind: 'sos', id: alert._id }, req.body, mediaUploadOptions(req));
+		const payload = toAttachmentPayload(attachment);
 
-				await global.sosQueue; // ensure sequence
-			} catch (err) {
-				console.error("❌ triggerSOS blockchain async error:", err);
-			}
-		})();
+		const realtimeService = require('../services/realtimeService');
+		realtimeService.emitMediaAttached({ targetKind: 'sos', targetId: alert._id, attachment: payload })
+			.catch(err => console.error("Socket emit error:", err));
 
+		res.status(201).json({
+			success: true,
+			message: "Media attached to the SOS alert.",
+			data: payload
+		});
 	} catch (err) {
-		console.error("❌ triggerSOS error:", err);
+		console.error("❌ uploadSosMedia error:", err);
 		next(err);
 	}
 };
@@ -4,6 +4,12 @@ const RiskGrid = require('../../models/RiskGrid');
 const Authority = require('../../models/Authority');
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET, JWT_EXPIRES_IN} = require('../../config/config')
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const { transitionAlert, getAuthorityActor, getTouristRoomId } = require('../../services/sosLifecycleService');
+const { claimUnit, unclaimUnit, toUnitPayload } = require('../../services/unitService');
+const { recommendUnits, suggestEtaForUnit, suggestEtaForAlert, getPreferredUnitTypes } = require('../../services/unitRecommendationService');
+const { listAttachments } = require('../../services/mediaAttachmentService');
+const mongoose = require('mongoose');
 
 
 // @desc    Get all open SOS alerts
@@ -11,11 +17,12 @@ const { JWT_SECRET, JWT_EXPIRES_IN} = require('../../config/config')
 // @access  Private (authority)
 exports.getNewSosAlerts = async (req, res, next) => {
   try {
-    // Fetch all SOS alerts with status 'new', sorted by latest timestamp first
-    const alertsRaw = await SOSAlert.find({ status: 'new' })
+    // Fetch all SOS alerts not yet being responded to (new or acknowledged), latest first
+    const alertsRaw = await SOSAlert.find({ status: { $in: ['new', 'acknowledged'] } })
       .sort({ timestamp: -1 })
       .populate('touristId') // Populate the full tourist document
       .lean();
+    const attachments = await listAttachments('sos', alertsRaw.map(a => a._id));
 
     // Transform each alert to include complete tourist profile details
     const alerts = await Promise.all(alertsRaw.map(async (sosAlert) => {
@@ -88,7 +95,10 @@ exports.getNewSosAlerts = async (req, res, next) => {
         timestamp: sosAlert.timestamp,
         safetyScore: sosAlert.safetyScore,
         sosReason: sosAlert.sosReason,
-        status: sosAlert.status
+        autoEscalation: sosAlert.autoEscalation?.isAutoEscalated ? sosAlert.autoEscalation : null,
+        escalationLevel: sosAlert.escalationLevel || 0,
+        status: sosAlert.status,
+        attachments: attachments.get(String(sosAlert._id)) || []
       };
     }));
 
@@ -113,6 +123,7 @@ exports.getRespondingSosAlerts = async (req, res, next) => {
       .sort({ timestamp: -1 })
       .populate('touristId') // still populate tourist
       .lean();
+    const attachments = await listAttachments('sos', alertsRaw.map(a => a._id));
 
     // Transform each alert to include complete tourist profile details
     const alerts = await Promise.all(alertsRaw.map(async (sosAlert) => {
@@ -205,10 +216,13 @@ exports.getRespondingSosAlerts = async (req, res, next) => {
         timestamp: sosAlert.timestamp,
         safetyScore: sosAlert.safetyScore,
         sosReason: sosAlert.sosReason,
+        autoEscalation: sosAlert.autoEscalation?.isAutoEscalated ? sosAlert.autoEscalation : null,
+        escalationLevel: sosAlert.escalationLevel || 0,
         status: sosAlert.status,
         responseDate: sosAlert.responseDate,
         responseTime: sosAlert.responseTime,
-        assignedTo: assigned
+        assignedTo: assigned,
+        attachments: attachments.get(String(sosAlert._id)) || []
       };
     }));
 
@@ -235,72 +249,72 @@ exports.getSosCounts = async (req, res, next) => {
     next(err);
   }
 };
+// Broadcast a lifecycle change to authorities and the tourist
+const emitLifecycleUpdate = (alert, entry, extra = {}) => {
+  const realtimeService = require('../../services/realtimeService');
+  realtimeService.emitSOSStatusUpdate({
+    alertId: alert._id,
+    touristId: getTouristRoomId(alert),
+    status: alert.status,
+    action: entry.action,
+    escalationLevel: alert.escalationLevel || 0,
+    historyEntry: entry,
+    ...extra
+  }).catch(err => console.error("Socket emit error:", err));
+};
+
 // @desc    Assign an authority unit to an SOS alert
 // @route   PUT /api/authority/alerts/:id/assign
 // @access  Private (authority)
 exports.assignUnitToAlert = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { responseTime, etaMinutes } = req.body;
-    // user.id or user._id depending on how it's stored in token. Usually user.id from decoded token.
-    const authorityObjectId = req.user.id || req.user._id;
+    const { responseTime, etaMinutes, comment } = req.body;
 
-    const alert = await SOSAlert.findById(id).populate('touristId', 'touristId');
-
-    if (!alert) {
+    const existing = await SOSAlert.findById(id).select('responseDate location sosReason');
+    if (!existing) {
       return res.status(404).json({ success: false, message: "SOS Alert not found" });
     }
 
-    // Resolve current authority record
-    const authority = await Authority.findById(authorityObjectId).select('authorityId fullName role');
-    if (!authority) {
-      return res.status(404).json({ success: false, message: 'Assigning authority not found' });
-    }
-
-    // Note: allow same authority to be assigned to multiple alerts; do not block duplicates here.
-
-    // Update alert: Add authority info object to assignedTo, change status to 'responding' if it was 'new'
-    if (!alert.assignedTo) alert.assignedTo = [];
-    alert.assignedTo.push({ authorityId: authority.authorityId, fullName: authority.fullName, role: authority.role });
-
-    // Save response time if provided
-    if (responseTime) {
-      console.log(responseTime)
-      alert.responseTime = responseTime;
-    }
-
-    // ETA is provided only as minutes by frontend; arrival time is computed server-side
+    // ETA is provided only as minutes by frontend; arrival time is computed server-side.
+    // When omitted, fall back to the ETA of the nearest suitable available unit.
+    let parsedEtaMinutes;
     if (etaMinutes === undefined || etaMinutes === null || etaMinutes === "") {
-      return res.status(400).json({ success: false, message: 'etaMinutes is required' });
-    }
-
-    const parsedEtaMinutes = Number(etaMinutes);
-    if (!Number.isFinite(parsedEtaMinutes) || parsedEtaMinutes < 0) {
-      return res.status(400).json({ success: false, message: 'etaMinutes must be a non-negative number' });
-    }
-    alert.etaMinutes = parsedEtaMinutes;
-    alert.etaArrivalAt = new Date(Date.now() + parsedEtaMinutes * 60 * 1000);
-    alert.etaUpdatedAt = new Date();
-    alert.etaUpdatedBy = authority.authorityId;
-
-    if (alert.status === 'new' || alert.status === 'acknowledged') {
-      alert.status = 'responding';
-      // Set response timestamp if not already set
-      if (!alert.responseDate) {
-        alert.responseDate = new Date();
+      parsedEtaMinutes = await suggestEtaForAlert(existing);
+      if (parsedEtaMinutes === null) {
+        return res.status(400).json({ success: false, message: 'etaMinutes is required (no available unit to estimate it from)' });
+      }
+    } else {
+      parsedEtaMinutes = Number(etaMinutes);
+      if (!Number.isFinite(parsedEtaMinutes) || parsedEtaMinutes < 0) {
+        return res.status(400).json({ success: false, message: 'etaMinutes must be a non-negative number' });
       }
     }
 
-    await alert.save();
-    
-    // Construct real-time payload
-    const touristRoomId = alert.touristId && typeof alert.touristId === 'object'
-      ? alert.touristId.touristId
-      : null;
+    // Resolve current authority record
+    const actor = await getAuthorityActor(req.user);
+
+    // Note: allow same authority to be assigned to multiple alerts; do not block duplicates here.
+    const set = {
+      etaMinutes: parsedEtaMinutes,
+      etaArrivalAt: new Date(Date.now() + parsedEtaMinutes * 60 * 1000),
+      etaUpdatedAt: new Date(),
+      etaUpdatedBy: actor.id,
+    };
+    if (responseTime) set.responseTime = responseTime;
+    // Set response timestamp if not already set
+    if (!existing.responseDate) set.responseDate = new Date();
+
+    const { alert, entry } = await transitionAlert(id, 'assign', {
+      actor,
+      comment: comment || `Assigned ${actor.name} (ETA ${parsedEtaMinutes} min)`,
+      set,
+      push: { assignedTo: { authorityId: actor.id, fullName: actor.name, role: actor.role } },
+    });
 
     const alertData = {
       alertId: alert._id,
-      touristId: touristRoomId,
+      touristId: getTouristRoomId(alert),
       status: alert.status,
       assignedTo: alert.assignedTo,
       responseDate: alert.responseDate,
@@ -310,10 +324,11 @@ exports.assignUnitToAlert = async (req, res, next) => {
       etaUpdatedAt: alert.etaUpdatedAt,
       etaUpdatedBy: alert.etaUpdatedBy,
     };
-    
+
     // Emit real-time update
     const realtimeService = require('../../services/realtimeService');
-    realtimeService.emitSOSStatusUpdate(alertData).catch(err => console.error("Socket emit error:", err));
+    realtimeService.emitSOSStatusUpdate({ ...alertData, action: entry.action, historyEntry: entry })
+      .catch(err => console.error("Socket emit error:", err));
     realtimeService.emitSOSAssignmentAcknowledgement({
       ...alertData,
       acknowledgementType: 'unit-assigned',
@@ -337,33 +352,177 @@ exports.assignUnitToAlert = async (req, res, next) => {
   }
 };
 
-// @desc    Mark SOS alert as resolved
-// @route   PUT /api/authority/alerts/:id/resolve
+// @desc    Dispatch a response unit (models/Unit) to an SOS alert
+// @route   PUT /api/authority/alerts/:id/dispatch
 // @access  Private (authority)
-exports.resolveAlert = async (req, res, next) => {
+exports.dispatchUnitToAlert = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const alert = await SOSAlert.findById(id);
+    const { unitId, etaMinutes, comment } = req.body;
 
-    if (!alert) {
+    if (!unitId || !mongoose.isValidObjectId(unitId)) {
+      return next(new CustomError(400, 'A valid unitId is required'));
+    }
+    const etaProvided = !(etaMinutes === undefined || etaMinutes === null || etaMinutes === "");
+    if (etaProvided && (!Number.isFinite(Number(etaMinutes)) || Number(etaMinutes) < 0)) {
+      return next(new CustomError(400, 'etaMinutes must be a non-negative number'));
+    }
+
+    const existing = await SOSAlert.findById(id).select('responseDate location');
+    if (!existing) {
       return res.status(404).json({ success: false, message: "SOS Alert not found" });
     }
 
-    alert.status = "resolved";
-    alert.resolvedDate = new Date();
-    
-    // Optionally calculate total resolution time here if useful
-    // const durationMs = alert.resolvedDate - alert.timestamp;
+    const actor = await getAuthorityActor(req.user);
 
-    await alert.save();
+    // Reserve the unit first so two dispatchers can't send the same unit to two alerts
+    const unit = await claimUnit(unitId, existing._id);
+    if (!unit) {
+      return next(new CustomError(409, 'Unit is not available for dispatch'));
+    }
+
+    // Without an explicit ETA, estimate it from the unit's last known position
+    const parsedEtaMinutes = etaProvided ? Number(etaMinutes) : suggestEtaForUnit(existing, unit);
+    if (parsedEtaMinutes === null) {
+      await unclaimUnit(unit._id, existing._id);
+      return next(new CustomError(400, 'etaMinutes is required (unit has no known position)'));
+    }
+
+    const now = new Date();
+    const set = {
+      etaMinutes: parsedEtaMinutes,
+      etaArrivalAt: new Date(now.getTime() + parsedEtaMinutes * 60 * 1000),
+      etaUpdatedAt: now,
+      etaUpdatedBy: actor.id,
+    };
+    if (!existing.responseDate) set.responseDate = now;
+
+    let result;
+    try {
+      result = await transitionAlert(id, 'assign', {
+        actor,
+        comment: comment || `Dispatched unit ${unit.name} (${unit.unitType}, ETA ${parsedEtaMinutes} min)`,
+        set,
+        push: {
+          dispatchedUnits: {
+            unitId: unit._id,
+            name: unit.name,
+            code: unit.code,
+            unitType: unit.unitType,
+            dispatchedBy: actor.id,
+            dispatchedAt: now,
+            etaMinutes: parsedEtaMinutes,
+          }
+        },
+      });
+    } catch (err) {
+      await unclaimUnit(unit._id, existing._id);
+      throw err;
+    }
+
+    const { alert, entry } = result;
+    const unitPayload = toUnitPayload(unit);
+    const touristRoomId = getTouristRoomId(alert);
 
-    // Emit real-time update for resolution
     const realtimeService = require('../../services/realtimeService');
-    realtimeService.emitSOSStatusUpdate({
+    emitLifecycleUpdate(alert, entry, {
+      dispatchedUnits: alert.dispatchedUnits,
+      etaMinutes: alert.etaMinutes,
+      etaArrivalAt: alert.etaArrivalAt,
+    });
+    realtimeService.emitUnitStatusUpdate(unitPayload).catch(err => console.error("Socket emit error:", err));
+    realtimeService.emitUnitEvent(unit._id.toString(), 'unitDispatched', {
       alertId: alert._id,
-      status: "resolved",
-      resolvedDate: alert.resolvedDate
+      location: alert.location,
+      locationName: alert.locationName,
+      sosReason: alert.sosReason,
+      etaMinutes: alert.etaMinutes,
+      etaArrivalAt: alert.etaArrivalAt,
+      dispatchedBy: actor.name,
     }).catch(err => console.error("Socket emit error:", err));
+    realtimeService.emitSOSAssignmentAcknowledgement({
+      alertId: alert._id,
+      touristId: touristRoomId,
+      status: alert.status,
+      acknowledgementType: 'unit-dispatched',
+      message: 'Your SOS has been acknowledged. A response unit is on its way.',
+      assignedUnit: { name: unit.name, unitType: unit.unitType, contactNumber: unit.contactNumber },
+      acknowledgedAt: alert.responseDate || now,
+      etaMinutes: alert.etaMinutes,
+      etaArrivalAt: alert.etaArrivalAt,
+      etaLabel: `Estimated arrival in ${alert.etaMinutes} minute(s)`,
+    }).catch(err => console.error("Socket emit error:", err));
+
+    res.status(200).json({
+      success: true,
+      message: "Unit dispatched successfully",
+      data: alert
+    });
+  } catch (err) {
+    console.error("❌ dispatchUnitToAlert error:", err);
+    next(err);
+  }
+};
+
+// @desc    Rank AVAILABLE response units for an SOS alert
+// @route   GET /api/authority/alerts/:id/recommended-units?limit=5&maxDistanceKm=50
+// @access  Private (authority)
+exports.getRecommendedUnits = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "SOS Alert not found" });
+    }
+    const alert = await SOSAlert.findById(req.params.id).select('status location sosReason').lean();
+    if (!alert) {
+      return res.status(404).json({ success: false, message: "SOS Alert not found" });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return next(new CustomError(400, 'limit must be a positive integer'));
+    }
+    const maxDistanceKm = req.query.maxDistanceKm !== undefined ? Number(req.query.maxDistanceKm) : undefined;
+    if (maxDistanceKm !== undefined && (!Number.isFinite(maxDistanceKm) || maxDistanceKm <= 0)) {
+      return next(new CustomError(400, 'maxDistanceKm must be a positive number'));
+    }
+
+    const units = await recommendUnits(alert, {
+      limit,
+      maxDistanceMeters: maxDistanceKm !== undefined ? maxDistanceKm * 1000 : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alertId: alert._id,
+        status: alert.status,
+        preferredUnitTypes: getPreferredUnitTypes(alert.sosReason && alert.sosReason.reason),
+        suggestedEtaMinutes: units.length > 0 ? units[0].suggestedEtaMinutes : null,
+        units
+      }
+    });
+  } catch (err) {
+    console.error("❌ getRecommendedUnits error:", err);
+    next(err);
+  }
+};
+
+// @desc    Mark SOS alert as resolved
+// @route   PUT /api/authority/alerts/:id/resolve
+// @access  Private (authority)
+exports.resolveAlert = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const actor = await getAuthorityActor(req.user);
+
+    const { alert, entry } = await transitionAlert(id, 'resolve', {
+      actor,
+      comment: req.body?.comment,
+      set: { resolvedDate: new Date() },
+    });
+
+    // Emit real-time update for resolution
+    emitLifecycleUpdate(alert, entry, { resolvedDate: alert.resolvedDate });
 
     res.status(200).json({
       success: true,
@@ -376,6 +535,145 @@ exports.resolveAlert = async (req, res, next) => {
   }
 };
 
+// @desc    Acknowledge a new SOS alert (seen, not yet dispatched)
+// @route   PUT /api/authority/alerts/:id/acknowledge
+// @access  Private (authority)
+exports.acknowledgeAlert = async (req, res, next) => {
+  try {
+    const actor = await getAuthorityActor(req.user);
+
+    const { alert, entry } = await transitionAlert(req.params.id, 'acknowledge', {
+      actor,
+      comment: req.body?.comment,
+      set: { acknowledgedDate: new Date() },
+    });
+
+    emitLifecycleUpdate(alert, entry, { acknowledgedDate: alert.acknowledgedDate });
+
+    res.status(200).json({
+      success: true,
+      message: "Alert acknowledged",
+      data: alert
+    });
+  } catch (err) {
+    console.error("❌ acknowledgeAlert error:", err);
+    next(err);
+  }
+};
+
+// @desc    Escalate an open SOS alert to the next level
+// @route   PUT /api/authority/alerts/:id/escalate
+// @access  Private (authority)
+exports.escalateAlert = async (req, res, next) => {
+  try {
+    const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim() : '';
+    if (!comment) {
+      return next(new CustomError(400, 'A comment explaining the escalation is required'));
+    }
+
+    const actor = await getAuthorityActor(req.user);
+
+    const { alert, entry } = await transitionAlert(req.params.id, 'escalate', {
+      actor,
+      comment,
+      inc: { escalationLevel: 1 },
+    });
+
+    emitLifecycleUpdate(alert, entry);
+
+    res.status(200).json({
+      success: true,
+      message: `Alert escalated to level ${alert.escalationLevel}`,
+      data: alert
+    });
+  } catch (err) {
+    console.error("❌ escalateAlert error:", err);
+    next(err);
+  }
+};
+
+// @desc    Cancel an SOS alert as a false alarm
+// @route   PUT /api/authority/alerts/:id/cancel
+// @access  Private (authority)
+exports.cancelAlert = async (req, res, next) => {
+  try {
+    const actor = await getAuthorityActor(req.user);
+
+    const comment = req.body?.comment || 'False alarm';
+    const { alert, entry } = await transitionAlert(req.params.id, 'cancel', {
+      actor,
+      comment,
+      set: {
+        cancelledDate: new Date(),
+        cancellation: { requestedBy: 'authority', requestedAt: new Date(), reason: comment },
+      },
+    });
+
+    emitLifecycleUpdate(alert, entry, { cancelledDate: alert.cancelledDate });
+
+    res.status(200).json({
+      success: true,
+      message: "Alert cancelled as a false alarm",
+      data: alert
+    });
+  } catch (err) {
+    console.error("❌ cancelAlert error:", err);
+    next(err);
+  }
+};
+
+// @desc    Close a resolved or cancelled SOS alert with a closing note
+// @route   PUT /api/authority/alerts/:id/close
+// @access  Private (authority)
+exports.closeAlert = async (req, res, next) => {
+  try {
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+    if (!note) {
+      return next(new CustomError(400, 'A closing note is required'));
+    }
+
+    const actor = await getAuthorityActor(req.user);
+
+    const { alert, entry } = await transitionAlert(req.params.id, 'close', {
+      actor,
+      comment: note,
+      set: { closedDate: new Date(), closingNote: note },
+    });
+
+    emitLifecycleUpdate(alert, entry, { closedDate: alert.closedDate });
 
+    res.status(200).json({
+      success: true,
+      message: "Alert closed",
+      data: alert
+    });
+  } catch (err) {
+    console.error("❌ closeAlert error:", err);
+    next(err);
+  }
+};
 
+// @desc    Get the lifecycle history of an SOS alert
+// @route   GET /api/authority/alerts/:id/history
+// @access  Private (authority)
+exports.getAlertHistory = async (req, res, next) => {
+  try {
+    const alert = await SOSAlert.findById(req.params.id).select('status escalationLevel history').lean();
+    if (!alert) {
+      return res.status(404).json({ success: false, message: "SOS Alert not found" });
+    }
 
+    res.status(200).json({
+      success: true,
+      data: {
+        alertId: alert._id,
+        status: alert.status,
+        escalationLevel: alert.escalationLevel || 0,
+        history: alert.history || []
+      }
+    });
+  } catch (err) {
+    console.error("❌ getAlertHistory error:", err);
+    next(err);
+  }
+};
@@ -0,0 +1,142 @@
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const { FORMATS, detectFormat, importDangerZones } = require('../../services/dangerZoneImportService');
+const { EDITABLE_FIELDS, isZoneActive, updateZone, deleteZone, getZoneHistory } = require('../../services/dangerZoneService');
+const { getAuthorityActor } = require('../../services/sosLifecycleService');
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// @desc    Bulk import danger zones from a GeoJSON FeatureCollection, KML or CSV file
+// @route   POST /api/authority/map/danger-zones/import?format=geojson|kml|csv&dryRun=true
+// @access  Private (authority)
+// Body: the raw file (Content-Type text/csv, application/vnd.google-earth.kml+xml,
+// application/geo+json, ...) or JSON - either a FeatureCollection or { format, content, dryRun }
+exports.importDangerZonesFile = async (req, res, next) => {
+  try {
+    let content = req.body;
+    let format = req.query.format;
+    let dryRun = isTrue(req.query.dryRun);
+
+    if (content && typeof content === 'object' && content.type !== 'FeatureCollection') {
+      format = format || content.format;
+      dryRun = dryRun || isTrue(content.dryRun);
+      content = content.content;
+    }
+
+    if (content === undefined || content === null || content === '') {
+      return next(new CustomError(400, 'No import file received'));
+    }
+
+    format = detectFormat(format, req.get('content-type'));
+    if (!format) {
+      return next(new CustomError(400, `format must be one of ${FORMATS.join(', ')}`));
+    }
+
+    const actor = dryRun ? null : await getAuthorityActor(req.user);
+
+    let summary;
+    try {
+      summary = await importDangerZones(content, format, { dryRun, actor });
+    } catch (err) {
+      if (err.statusCode === 400) return next(new CustomError(400, err.message));
+      throw err;
+    }
+
+    if (!dryRun && (summary.created > 0 || summary.updated > 0)) {
+      const realtimeService = require('../../services/realtimeService');
+      realtimeService.emitMapDataUpdated({
+        eventType: 'danger-zones-imported',
+        created: summary.created,
+        updated: summary.updated,
+      }).catch(err => console.error("Socket emit error:", err));
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.skipped} skipped`
+        : `Imported danger zones: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped`,
+      data: summary
+    });
+  } catch (err) {
+    console.error("❌ importDangerZonesFile error:", err);
+    next(err);
+  }
+};
+
+// Broadcast a single-zone change to map clients
+const emitZoneChange = (eventType, zone) => {
+  const realtimeService = require('../../services/realtimeService');
+  realtimeService.emitMapDataUpdated({
+    eventType,
+    zone: { id: zone.id, name: zone.name, version: zone.version, active: isZoneActive(zone) },
+  }).catch(err => console.error("Socket emit error:", err));
+};
+
+// @desc    Update a danger zone (fields, shape, isActive, activeFrom/activeUntil schedule)
+// @route   PUT /api/authority/map/danger-zones/:id
+// @access  Private (authority)
+// Body: any of EDITABLE_FIELDS, plus an optional comment for the history
+exports.updateDangerZone = async (req, res, next) => {
+  try {
+    const { comment, ...updates } = req.body || {};
+    if (Object.keys(updates).length === 0) {
+      return next(new CustomError(400, `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`));
+    }
+
+    const actor = await getAuthorityActor(req.user);
+    const { zone, changes } = await updateZone(req.params.id, updates, { actor, comment });
+
+    if (changes.length > 0) emitZoneChange('danger-zone-updated', zone);
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0 ? `Danger zone updated to version ${zone.version}` : 'No changes',
+      data: { zone, changes }
+    });
+  } catch (err) {
+    console.error("❌ updateDangerZone error:", err);
+    next(err);
+  }
+};
+
+// @desc    Delete a danger zone (its history is kept)
+// @route   DELETE /api/authority/map/danger-zones/:id
+// @access  Private (authority)
+exports.deleteDangerZone = async (req, res, next) => {
+  try {
+    const actor = await getAuthorityActor(req.user);
+    const zone = await deleteZone(req.params.id, { actor, comment: req.body && req.body.comment });
+
+    emitZoneChange('danger-zone-deleted', { ...zone, isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Danger zone deleted",
+      data: { id: zone.id }
+    });
+  } catch (err) {
+    console.error("❌ deleteDangerZone error:", err);
+    next(err);
+  }
+};
+
+// @desc    Version history of a danger zone, newest first
+// @route   GET /api/authority/map/danger-zones/:id/history
+// @access  Private (authority)
+exports.getDangerZoneHistory = async (req, res, next) => {
+  try {
+    const history = await getZoneHistory(req.params.id);
+    if (history.length === 0) {
+      return next(new CustomError(404, 'No history found for this danger zone'));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (err) {
+    console.error("❌ getDangerZoneHistory error:", err);
+    next(err);
+  }
+};
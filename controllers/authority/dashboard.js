@@ -4,6 +4,7 @@ const { decrypt } = require('../../utils/encrypt');
 const Incident = require('../../models/Incident');
 const Authority = require('../../models/Authority');
 const { DangerZone } = require("../../models/Geofence");
+const { activeZoneFilter } = require('../../services/dangerZoneService');
 // @desc    Get aggregated dashboard statistics
 // @route   GET /api/authority/dashboard-stats
 // @access  Private (authority)
@@ -45,7 +46,8 @@ exports.getDashboardStats = async (req, res, next) => {
 
     // 3. High-Risk Zones
     const highRiskZonesCount = await DangerZone.countDocuments({
-      riskLevel: { $in: ['High', 'Very High'] }
+      riskLevel: { $in: ['High', 'Very High'] },
+      ...activeZoneFilter(now)
     });
 
     // 4. Resolved Cases (This Month) & Change
@@ -65,7 +67,7 @@ exports.getDashboardStats = async (req, res, next) => {
       : resolvedDiff > 0 ? "100" : "0";
 
     // 5. Recent SOS Alerts
-    const recentAlertsRaw = await SOSAlert.find({ status: { $ne: 'resolved' } })
+    const recentAlertsRaw = await SOSAlert.find({ status: { $nin: ['resolved', 'cancelled', 'closed'] } })
       .sort({ timestamp: -1 })
       .limit(3)
       .populate('touristId', 'nameEncrypted touristId')
@@ -266,7 +268,7 @@ exports.getDashboardStats = async (req, res, next) => {
 
     // Engaged units (those assigned to currently open alerts)
     const openAlerts = await SOSAlert.find({ 
-      status: { $in: ['new', 'responding'] } 
+      status: { $in: ['new', 'acknowledged', 'responding'] } 
     }).select('assignedTo');
     
     const engagedAuthoritiesIds = new Set();
@@ -406,7 +408,8 @@ exports.getDashboardStats = async (req, res, next) => {
 
     // Pattern 3: High-risk zone pattern
     const highRiskZones = await DangerZone.find({ 
-      riskLevel: { $in: ['High', 'Very High'] } 
+      riskLevel: { $in: ['High', 'Very High'] },
+      ...activeZoneFilter()
     }).limit(2).lean();
 
     if (highRiskZones.length > 0) {
@@ -0,0 +1,154 @@
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const {
+  DEFAULT_RULES,
+  EDITABLE_FIELDS,
+  saveFeed,
+  listFeeds,
+  listFeedItems,
+  runFeed,
+} = require('../../services/feedIngestionService');
+const { ADAPTER_NAMES } = require('../../services/feedAdapterService');
+const { getAuthorityActor } = require('../../services/sosLifecycleService');
+const FeedItem = require('../../models/FeedItem');
+
+const ITEM_STATUSES = FeedItem.schema.path('status').enumValues;
+const MAX_PAGE_SIZE = 100;
+
+// @desc    All incident feeds with their last run, plus the adapters and default classification rules
+// @route   GET /api/authority/feeds
+// @access  Private (authority)
+exports.getFeeds = async (req, res, next) => {
+  try {
+    const feeds = await listFeeds();
+
+    res.status(200).json({
+      success: true,
+      count: feeds.length,
+      data: { feeds, adapters: ADAPTER_NAMES, defaultRules: DEFAULT_RULES }
+    });
+  } catch (err) {
+    console.error("❌ getFeeds error:", err);
+    next(err);
+  }
+};
+
+// @desc    Add an incident feed (disabled unless `enabled: true`)
+// @route   POST /api/authority/feeds
+// @access  Private (Admin)
+// Body: any of EDITABLE_FIELDS; name and adapter are required
+exports.createFeed = async (req, res, next) => {
+  try {
+    const actor = await getAuthorityActor(req.user);
+    const feed = await saveFeed(null, req.body || {}, { actor });
+
+    res.status(201).json({
+      success: true,
+      message: `Feed '${feed.name}' created${feed.enabled ? ' and scheduled' : ''}`,
+      data: feed
+    });
+  } catch (err) {
+    console.error("❌ createFeed error:", err);
+    next(err);
+  }
+};
+
+// @desc    Edit an incident feed's settings, schedule or classification rules
+// @route   PUT /api/authority/feeds/:id
+// @access  Private (Admin)
+exports.updateFeed = async (req, res, next) => {
+  try {
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return next(new CustomError(400, `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`));
+    }
+    const actor = await getAuthorityActor(req.user);
+    const feed = await saveFeed(req.params.id, req.body, { actor });
+
+    res.status(200).json({
+      success: true,
+      message: `Feed '${feed.name}' updated`,
+      data: feed
+    });
+  } catch (err) {
+    console.error("❌ updateFeed error:", err);
+    next(err);
+  }
+};
+
+// Enable or disable a feed
+const setEnabled = (enabled) => async (req, res, next) => {
+  try {
+    const actor = await getAuthorityActor(req.user);
+    const feed = await saveFeed(req.params.id, { enabled }, { actor });
+
+    res.status(200).json({
+      success: true,
+      message: enabled ? `Feed '${feed.name}' enabled (${feed.schedule})` : `Feed '${feed.name}' disabled`,
+      data: feed
+    });
+  } catch (err) {
+    console.error(`❌ ${enabled ? 'enableFeed' : 'disableFeed'} error:`, err);
+    next(err);
+  }
+};
+
+// @desc    Start ingesting a feed on its schedule
+// @route   PUT /api/authority/feeds/:id/enable
+// @access  Private (authority)
+exports.enableFeed = setEnabled(true);
+
+// @desc    Stop ingesting a feed
+// @route   PUT /api/authority/feeds/:id/disable
+// @access  Private (authority)
+exports.disableFeed = setEnabled(false);
+
+// @desc    Fetch a feed now (enabled or not) and return the run's counts
+// @route   POST /api/authority/feeds/:id/run
+// @access  Private (authority)
+exports.runFeedNow = async (req, res, next) => {
+  try {
+    const lastRun = await runFeed(req.params.id);
+    if (!lastRun) {
+      return next(new CustomError(409, 'This feed is already running'));
+    }
+
+    res.status(200).json({
+      success: lastRun.status === 'ok',
+      message: lastRun.status === 'ok'
+        ? `${lastRun.ingested} incident(s) ingested from ${lastRun.fetched} item(s)`
+        : `Feed run failed: ${lastRun.error}`,
+      data: lastRun
+    });
+  } catch (err) {
+    console.error("❌ runFeedNow error:", err);
+    next(err);
+  }
+};
+
+// @desc    What a feed brought in, newest first
+// @route   GET /api/authority/feeds/:id/items?status=ingested|unclassified|unlocated|failed&page=1&limit=20
+// @access  Private (authority)
+exports.getFeedItems = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !ITEM_STATUSES.includes(status)) {
+      return next(new CustomError(400, `Invalid status. Allowed: ${ITEM_STATUSES.join(', ')}`));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const { items, total } = await listFeedItems(req.params.id, { status, page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: items
+    });
+  } catch (err) {
+    console.error("❌ getFeedItems error:", err);
+    next(err);
+  }
+};
@@ -0,0 +1,90 @@
+const { updateSeverity, resolveIncident, addNote } = require('../../services/incidentService');
+const { getAuthorityActor } = require('../../services/sosLifecycleService');
+const { enqueueLocation } = require('../../services/riskEngineService');
+
+// Rescore the cells around a changed incident and tell the dashboards
+function afterChange(action, incident) {
+  enqueueLocation(incident.location.coordinates[1], incident.location.coordinates[0])
+    .catch(err => console.error("Risk update failed:", err));
+
+  const realtimeService = require('../../services/realtimeService');
+  realtimeService.emitIncidentUpdated({
+    id: incident._id,
+    action,
+    status: incident.status,
+    severity: incident.severity,
+    resolvedAt: incident.resolvedAt,
+    title: incident.title,
+    type: incident.type,
+    location: {
+      lat: incident.location.coordinates[1],
+      lng: incident.location.coordinates[0]
+    }
+  }).catch(err => console.error("Socket emit error:", err));
+}
+
+// @desc    Change an incident's severity (0-1)
+// @route   PUT /api/authority/incidents/:id/severity
+// @access  Private (authority)
+// Body: { severity, comment }
+exports.updateIncidentSeverity = async (req, res, next) => {
+  try {
+    const { severity, comment } = req.body || {};
+    const actor = await getAuthorityActor(req.user);
+    const incident = await updateSeverity(req.params.id, severity, { actor, comment });
+
+    afterChange('severity', incident);
+
+    res.status(200).json({
+      success: true,
+      message: `Incident severity set to ${incident.severity}`,
+      data: incident
+    });
+  } catch (err) {
+    console.error("❌ updateIncidentSeverity error:", err);
+    next(err);
+  }
+};
+
+// @desc    Mark an incident resolved (it no longer counts towards risk)
+// @route   PUT /api/authority/incidents/:id/resolve
+// @access  Private (authority)
+// Body: { resolution }
+exports.resolveIncident = async (req, res, next) => {
+  try {
+    const { resolution } = req.body || {};
+    const actor = await getAuthorityActor(req.user);
+    const incident = await resolveIncident(req.params.id, { actor, resolution });
+
+    afterChange('resolve', incident);
+
+    res.status(200).json({
+      success: true,
+      message: "Incident resolved",
+      data: incident
+    });
+  } catch (err) {
+    console.error("❌ resolveIncident error:", err);
+    next(err);
+  }
+};
+
+// @desc    Attach a note to an incident
+// @route   POST /api/authority/incidents/:id/notes
+// @access  Private (authority)
+// Body: { text }
+exports.addIncidentNote = async (req, res, next) => {
+  try {
+    const actor = await getAuthorityActor(req.user);
+    const note = await addNote(req.params.id, req.body && req.body.text, { actor });
+
+    res.status(201).json({
+      success: true,
+      message: "Note added",
+      data: note
+    });
+  } catch (err) {
+    console.error("❌ addIncidentNote error:", err);
+    next(err);
+  }
+};
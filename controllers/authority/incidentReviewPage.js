@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const { reviewIncident, getReviewQueue } = require('../../services/incidentModerationService');
+const { getCluster } = require('../../services/incidentClusterService');
+const { getAuthorityActor } = require('../../services/sosLifecycleService');
+const { enqueueLocation } = require('../../services/riskEngineService');
+const { parseBBox, bboxGeoWithin } = require('../../utils/geo');
+
+const REVIEW_STATUSES = ['pending', 'verified', 'rejected', 'merged'];
+const MAX_PAGE_SIZE = 100;
+
+// Rescore the cells around reviewed incidents and tell the dashboards
+function afterReview(action, { incident, target, refreshed }) {
+  [incident, target, ...refreshed].filter(Boolean).forEach(inc => {
+    enqueueLocation(inc.location.coordinates[1], inc.location.coordinates[0])
+      .catch(err => console.error("Risk update failed:", err));
+  });
+
+  const realtimeService = require('../../services/realtimeService');
+  realtimeService.emitIncidentUpdated({
+    id: incident._id,
+    action,
+    status: incident.status,
+    mergedInto: incident.mergedInto,
+    title: incident.title,
+    type: incident.type,
+    location: {
+      lat: incident.location.coordinates[1],
+      lng: incident.location.coordinates[0]
+    }
+  }).catch(err => console.error("Socket emit error:", err));
+}
+
+// @desc    Crowdsourced reports to review (pending ones most trusted first)
+// @route   GET /api/authority/incidents/review?status=pending&bbox=minLng,minLat,maxLng,maxLat&page=1&limit=20
+// @access  Private (authority)
+exports.getIncidentReviewQueue = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!REVIEW_STATUSES.includes(status)) {
+      return next(new CustomError(400, `Invalid status. Allowed: ${REVIEW_STATUSES.join(', ')}`));
+    }
+
+    let bbox = null;
+    try {
+      bbox = parseBBox(req.query.bbox);
+    } catch (e) {
+      return next(new CustomError(400, e.message));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const { incidents, total } = await getReviewQueue({
+      status,
+      page,
+      limit,
+      location: bbox ? bboxGeoWithin(bbox) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: incidents.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: incidents
+    });
+  } catch (err) {
+    console.error("❌ getIncidentReviewQueue error:", err);
+    next(err);
+  }
+};
+
+// @desc    Canonical incident of a cluster with its duplicate reports (id of the incident or any report)
+// @route   GET /api/authority/incidents/:id/cluster
+// @access  Private (authority)
+exports.getIncidentCluster = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new CustomError(400, 'Invalid incident id'));
+    }
+
+    const { incident, reports, reporterCount } = await getCluster(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incident,
+        reportCount: incident.reportCount || 1,
+        reporterCount,
+        reports
+      }
+    });
+  } catch (err) {
+    console.error("❌ getIncidentCluster error:", err);
+    next(err);
+  }
+};
+
+// Builds the handler of one review action
+const reviewHandler = (action) => async (req, res, next) => {
+  try {
+    const { comment, mergeInto } = req.body || {};
+    const actor = await getAuthorityActor(req.user);
+    const result = await reviewIncident(req.params.id, action, { actor, comment, mergeInto });
+
+    afterReview(action, result);
+
+    res.status(200).json({
+      success: true,
+      message: `Incident ${result.incident.status}`,
+      data: result.incident
+    });
+  } catch (err) {
+    console.error(`❌ ${action}Incident error:`, err);
+    next(err);
+  }
+};
+
+// @desc    Verify a crowdsourced report (it then counts fully towards risk)
+// @route   PUT /api/authority/incidents/:id/verify
+// @access  Private (authority)
+exports.verifyIncident = reviewHandler('verify');
+
+// @desc    Reject a report as false or abusive (it stops counting and lowers the reporter's trust)
+// @route   PUT /api/authority/incidents/:id/reject
+// @access  Private (authority)
+exports.rejectIncident = reviewHandler('reject');
+
+// @desc    Mark a report as a duplicate of another incident
+// @route   PUT /api/authority/incidents/:id/merge
+// @access  Private (authority)
+// Body: { mergeInto: incident id, comment }
+exports.mergeIncident = reviewHandler('merge');
@@ -5,54 +5,128 @@ const Authority = require('../../models/Authority');
 const SOSAlert = require('../../models/SOSAlertModel');
 const Tourist = require('../../models/Tourist');
 const { DangerZone } = require("../../models/Geofence");
+const realtimeService = require('../../services/realtimeService');
+const { getLatestPoints } = require('../../services/locationTrailService');
+const { parseBBox, isPointInBBox, bboxGeoWithin, geometryBBox } = require('../../utils/geo');
+const { activeZoneFilter } = require('../../services/dangerZoneService');
+const { countedIncidentFilter } = require('../../services/incidentModerationService');
 
 // @desc    Get real-time map data (Tourists, Zones, Alerts, Incidents)
-// @route   GET /api/authority/map-overview
+// @route   GET /api/authority/map-overview?bbox=minLng,minLat,maxLng,maxLat&minSafetyScore=&maxSafetyScore=
 // @access  Private (authority)
 exports.getMapOverview = async (req, res, next) => {
   try {
+    // 0. Viewport / score filters
+    let bbox = null;
+    try {
+      bbox = parseBBox(req.query.bbox);
+    } catch (e) {
+      return res.status(400).json({ success: false, message: e.message });
+    }
+
+    const minSafetyScore = req.query.minSafetyScore !== undefined ? Number(req.query.minSafetyScore) : null;
+    const maxSafetyScore = req.query.maxSafetyScore !== undefined ? Number(req.query.maxSafetyScore) : null;
+    if ((minSafetyScore !== null && !Number.isFinite(minSafetyScore)) || (maxSafetyScore !== null && !Number.isFinite(maxSafetyScore))) {
+      return res.status(400).json({ success: false, message: "minSafetyScore and maxSafetyScore must be numbers" });
+    }
+
     // 1. Fetch Aggregated stats for the panel
     const totalTourists = await Tourist.countDocuments();
     const activeAlertsCount = await SOSAlert.countDocuments({ status: { $in: ['new'] } });
-    const highRiskZonesCount = await DangerZone.countDocuments({ riskLevel: { $in: ['High', 'Very High'] } });
+    const highRiskZonesCount = await DangerZone.countDocuments({ riskLevel: { $in: ['High', 'Very High'] }, ...activeZoneFilter() });
     const responseUnitsCount = await Authority.countDocuments({ role: { $in: ['Emergency Responder', 'Police Officer'] }, isActive: true });
 
-    // 2. Fetch Tourists (without Transition-derived locations)
+    // 2. Fetch Tourists with their last known position
+    // Live state comes from the realtime layer; offline tourists fall back to their persisted trail.
     const touristsRaw = await Tourist.find({}).select('touristId nameEncrypted safetyScore expiresAt').lean();
+    const presence = realtimeService.getTouristPresence();
+
+    const now = new Date();
+    const activeIds = touristsRaw
+      .filter(t => !t.expiresAt || new Date(t.expiresAt) > now)
+      .map(t => t.touristId);
+    const offlineIds = activeIds.filter(id => !(presence.get(id) && presence.get(id).location));
+    const persistedPoints = await getLatestPoints(offlineIds);
 
-    const tourists = touristsRaw.map(t => {
+    const tourists = [];
+    for (const t of touristsRaw) {
       let name = "Unknown";
       try {
         if (t.nameEncrypted) name = decrypt(t.nameEncrypted);
       } catch (e) { }
 
-      const isActive = !t.expiresAt || new Date(t.expiresAt) > new Date();
+      const isActive = !t.expiresAt || new Date(t.expiresAt) > now;
+      const live = presence.get(t.touristId);
+
+      let location = null;
+      let locationSource = null;
+      let lastSeenAt = live ? live.lastSeenAt : null;
+
+      if (isActive) {
+        if (live && live.location) {
+          location = { lat: live.location.lat, lng: live.location.lng };
+          locationSource = 'realtime';
+        } else if (persistedPoints.has(t.touristId)) {
+          const point = persistedPoints.get(t.touristId);
+          location = { lat: point.lat, lng: point.lng };
+          locationSource = 'trail';
+          if (!lastSeenAt || point.timestamp > lastSeenAt) lastSeenAt = point.timestamp;
+        }
+      }
 
-      return {
+      const safetyScore = live && live.safetyScore !== null ? live.safetyScore : t.safetyScore;
+
+      // Viewport filter: only tourists with a position inside the bbox
+      if (bbox && (!location || !isPointInBBox(bbox, location.lat, location.lng))) continue;
+      if (minSafetyScore !== null && !(safetyScore >= minSafetyScore)) continue;
+      if (maxSafetyScore !== null && !(safetyScore <= maxSafetyScore)) continue;
+
+      tourists.push({
         id: t.touristId,
         name: name,
         status: isActive ? 'active' : 'expired',
-        safetyScore: t.safetyScore,
-        location: null,
+        safetyScore: safetyScore,
+        location: location,
+        locationSource: locationSource,
+        connected: !!(live && live.connected),
+        lastSeenAt: lastSeenAt,
         type: 'tourist'
-      };
-    });
-
+      });
+    }
 
     // 3. Fetch Danger Zones
-    const zonesRaw = await DangerZone.find({}).lean();
-    const zones = zonesRaw.map(z => ({
+    const zonesRaw = await DangerZone.find(activeZoneFilter()).lean();
+    const zones = zonesRaw.filter(z => {
+      if (!bbox) return true;
+      if (z.geometry && z.geometry.type) {
+        // Polygon zones: keep them when their extent overlaps the viewport
+        const extent = geometryBBox(z.geometry);
+        return extent.minLng <= bbox.maxLng && extent.maxLng >= bbox.minLng &&
+          extent.minLat <= bbox.maxLat && extent.maxLat >= bbox.minLat;
+      }
+      // Keep circles whose area reaches into the viewport, not just those centred in it
+      const padDeg = z.radiusKm ? z.radiusKm / 111 : 0;
+      return isPointInBBox({
+        minLat: bbox.minLat - padDeg,
+        maxLat: bbox.maxLat + padDeg,
+        minLng: bbox.minLng - padDeg,
+        maxLng: bbox.maxLng + padDeg
+      }, z.coords[0], z.coords[1]);
+    }).map(z => ({
       id: z.id,
       name: z.name,
       riskLevel: z.riskLevel,
       type: 'zone',
       shape: z.type, // 'circle' or 'polygon'
       coordinates: z.coords, // [lat, lng]
-      radius: z.radiusKm ? z.radiusKm * 1000 : 0 // Convert to meters for map
+      radius: z.radiusKm ? z.radiusKm * 1000 : 0, // Convert to meters for map
+      geometry: z.geometry && z.geometry.type ? z.geometry : null // GeoJSON shape of polygon zones
     }));
 
     // 4. Fetch Active SOS Alerts
-    const alertsRaw = await SOSAlert.find({ status: { $in: ['new', 'responding'] } }).populate('touristId', 'touristId').lean();
+    const alertQuery = { status: { $in: ['new', 'acknowledged', 'responding'] } };
+    if (bbox) alertQuery.location = bboxGeoWithin(bbox);
+    const alertsRaw = await SOSAlert.find(alertQuery).populate('touristId', 'touristId').lean();
     const activeAlerts = alertsRaw.map(a => {
       // SOSAlert uses GeoJSON [lng, lat]
       const lat = a.location.coordinates[1];
@@ -68,7 +142,9 @@ exports.getMapOverview = async (req, res, next) => {
     });
 
     // 5. Fetch Risk Grids (Heatmap points)
-    const riskGridRaw = await RiskGrid.find({ riskScore: { $gt: 0 } }).lean();
+    const gridQuery = { riskScore: { $gt: 0 } };
+    if (bbox) gridQuery.location = bboxGeoWithin(bbox);
+    const riskGridRaw = await RiskGrid.find(gridQuery).lean();
     const riskGrids = riskGridRaw.map(r => ({
       location: {
         lat: r.location.coordinates[1],
@@ -77,13 +153,16 @@ exports.getMapOverview = async (req, res, next) => {
       intensity: r.riskScore // 0 to 1
     }));
 
-    // 6. Fetch Incidents
-    const incidentsRaw = await Incident.find({}).sort({ timestamp: -1 }).limit(50).lean();
+    // 6. Fetch Incidents (pending reports included, rejected and merged ones hidden)
+    const incidentQuery = countedIncidentFilter();
+    if (bbox) incidentQuery.location = bboxGeoWithin(bbox);
+    const incidentsRaw = await Incident.find(incidentQuery).sort({ timestamp: -1 }).limit(50).lean();
     const incidents = incidentsRaw.map(i => ({
       id: i._id,
       title: i.title,
       type: 'incident',
       category: i.type,
+      status: i.status || 'verified',
       location: {
         lat: i.location.coordinates[1],
         lng: i.location.coordinates[0]
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const SOSAlert = require('../../models/SOSAlertModel');
+const Incident = require('../../models/Incident');
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const { listAttachments, openAttachment, verifyAttachment } = require('../../services/mediaAttachmentService');
+
+// Attachments of one SOS alert or incident, 404 if the target does not exist
+async function targetAttachments(kind, Model, id, notFound) {
+  if (!mongoose.isValidObjectId(id) || !(await Model.exists({ _id: id }))) {
+    throw new CustomError(404, notFound);
+  }
+  const attachments = await listAttachments(kind, [id]);
+  return attachments.get(String(id)) || [];
+}
+
+// @desc    Photos, audio clips and videos attached to an SOS alert
+// @route   GET /api/authority/alerts/:id/media
+// @access  Private (authority)
+exports.getAlertMedia = async (req, res, next) => {
+  try {
+    const attachments = await targetAttachments('sos', SOSAlert, req.params.id, "SOS alert not found");
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (err) {
+    console.error("❌ getAlertMedia error:", err);
+    next(err);
+  }
+};
+
+// @desc    Photos, audio clips and videos attached to an incident report
+// @route   GET /api/authority/incidents/:id/media
+// @access  Private (authority)
+exports.getIncidentMedia = async (req, res, next) => {
+  try {
+    const attachments = await targetAttachments('incident', Incident, req.params.id, "Incident not found");
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (err) {
+    console.error("❌ getIncidentMedia error:", err);
+    next(err);
+  }
+};
+
+// @desc    Download an attachment's file
+// @route   GET /api/authority/media/:mediaId/file
+// @access  Private (authority)
+exports.getMediaFile = async (req, res, next) => {
+  try {
+    const { attachment, stream } = await openAttachment(req.params.mediaId);
+
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `inline; filename="${attachment._id}${attachment.storage.key.slice(attachment.storage.key.lastIndexOf('.'))}"`,
+        'X-Content-SHA256': attachment.sha256,
+        'Cache-Control': 'private, no-store'
+      });
+      stream.pipe(res);
+    });
+    stream.once('error', (err) => {
+      if (res.headersSent) return res.destroy(err);
+      console.error("❌ getMediaFile error:", err);
+      next(err.code === 'ENOENT' ? new CustomError(404, "Attachment file is missing from storage") : err);
+    });
+  } catch (err) {
+    console.error("❌ getMediaFile error:", err);
+    next(err);
+  }
+};
+
+// @desc    Check an attachment against its recorded and on-chain SHA-256
+// @route   GET /api/authority/media/:mediaId/verify
+// @access  Private (authority)
+exports.verifyMedia = async (req, res, next) => {
+  try {
+    const result = await verifyAttachment(req.params.mediaId);
+
+    res.status(200).json({
+      success: true,
+      message: result.intact
+        ? (result.onChain === true ? "File is unaltered and matches its on-chain record" : "File matches its recorded hash")
+        : "File does NOT match its recorded hash",
+      data: result
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') return next(new CustomError(404, "Attachment file is missing from storage"));
+    console.error("❌ verifyMedia error:", err);
+    next(err);
+  }
+};
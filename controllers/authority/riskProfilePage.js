@@ -0,0 +1,100 @@
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const {
+  EDITABLE_FIELDS,
+  listProfiles,
+  getProfileHistory,
+  saveProfileVersion,
+  restoreProfileVersion,
+} = require('../../services/riskProfileService');
+const { getAuthorityActor } = require('../../services/sosLifecycleService');
+
+// @desc    Current risk profile of every region, plus the built-in defaults
+// @route   GET /api/authority/risk-profiles
+// @access  Private (Admin)
+exports.getRiskProfiles = async (req, res, next) => {
+  try {
+    const { profiles, builtIn } = await listProfiles();
+
+    res.status(200).json({
+      success: true,
+      count: profiles.length,
+      data: { profiles, builtIn }
+    });
+  } catch (err) {
+    console.error("❌ getRiskProfiles error:", err);
+    next(err);
+  }
+};
+
+// @desc    Version history of a region's risk profile, newest first
+// @route   GET /api/authority/risk-profiles/:region
+// @access  Private (Admin)
+exports.getRiskProfileHistory = async (req, res, next) => {
+  try {
+    const history = await getProfileHistory(req.params.region);
+    if (history.length === 0) {
+      return next(new CustomError(404, 'No risk profile found for this region'));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (err) {
+    console.error("❌ getRiskProfileHistory error:", err);
+    next(err);
+  }
+};
+
+// @desc    Create or edit a region's risk profile (stored as a new version, applied on the next recalculation)
+// @route   PUT /api/authority/risk-profiles/:region
+// @access  Private (Admin)
+// Body: any of EDITABLE_FIELDS (engine and scorer may be partial), plus an optional comment
+exports.saveRiskProfile = async (req, res, next) => {
+  try {
+    const { comment, ...updates } = req.body || {};
+    if (Object.keys(updates).length === 0) {
+      return next(new CustomError(400, `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`));
+    }
+
+    const actor = await getAuthorityActor(req.user);
+    const { profile, changed } = await saveProfileVersion(req.params.region, updates, { actor, comment });
+
+    res.status(changed && profile.version === 1 ? 201 : 200).json({
+      success: true,
+      message: changed ? `Risk profile '${profile.region}' saved as version ${profile.version}` : 'No changes',
+      data: profile
+    });
+  } catch (err) {
+    console.error("❌ saveRiskProfile error:", err);
+    next(err);
+  }
+};
+
+// @desc    Roll a region back to an earlier version (copied forward as a new version)
+// @route   POST /api/authority/risk-profiles/:region/versions/:version/restore
+// @access  Private (Admin)
+exports.restoreRiskProfile = async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version) || version < 1) {
+      return next(new CustomError(400, 'version must be a positive integer'));
+    }
+
+    const actor = await getAuthorityActor(req.user);
+    const { profile, changed } = await restoreProfileVersion(req.params.region, version, {
+      actor,
+      comment: req.body && req.body.comment
+    });
+
+    res.status(200).json({
+      success: true,
+      message: changed ? `Version ${version} restored as version ${profile.version}` : 'Already the current values',
+      data: profile
+    });
+  } catch (err) {
+    console.error("❌ restoreRiskProfile error:", err);
+    next(err);
+  }
+};
@@ -1,5 +1,10 @@
 const Tourist = require('../../models/Tourist');
 const { decrypt } = require('../../utils/encrypt');
+const { getTrail, toGeoJSONLineString } = require('../../services/locationTrailService');
+
+// Largest time window a single trail request may cover
+const MAX_TRAIL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_TRAIL_WINDOW_MS = 24 * 60 * 60 * 1000;
 
 // @desc    Get tourist management dashboard data (Counts + Registry - ACTIVE ONLY)
 // @route   GET /api/authority/tourist-management
@@ -188,4 +193,62 @@ exports.revokeTourist = async (req, res, next) => {
     console.error("❌ revokeTourist error:", err);
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get a tourist's movement trail for a time window
+// @route   GET /api/authority/tourists/:touristId/trail?from=&to=&format=geojson&limit=
+// @access  Private (authority)
+exports.getTouristTrail = async (req, res, next) => {
+  try {
+    const { touristId } = req.params;
+    const { from, to, format, limit } = req.query;
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_TRAIL_WINDOW_MS);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      return res.status(400).json({ success: false, message: "'from' and 'to' must be valid dates" });
+    }
+    if (fromDate > toDate) {
+      return res.status(400).json({ success: false, message: "'from' must be before 'to'" });
+    }
+    if (toDate - fromDate > MAX_TRAIL_WINDOW_MS) {
+      return res.status(400).json({ success: false, message: "Trail window cannot exceed 7 days" });
+    }
+
+    const tourist = await Tourist.findOne({ touristId }).select('touristId nameEncrypted').lean();
+    if (!tourist) {
+      return res.status(404).json({ success: false, message: "Tourist not found" });
+    }
+
+    const points = await getTrail(touristId, { from: fromDate, to: toDate, limit });
+
+    if (format === 'geojson') {
+      let name = "Unknown";
+      try {
+        if (tourist.nameEncrypted) name = decrypt(tourist.nameEncrypted);
+      } catch (e) { }
+
+      return res.status(200).json(toGeoJSONLineString(points, {
+        touristId,
+        name,
+        from: fromDate,
+        to: toDate,
+      }));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        touristId,
+        from: fromDate,
+        to: toDate,
+        count: points.length,
+        points
+      }
+    });
+  } catch (err) {
+    console.error("❌ getTouristTrail error:", err);
+    next(err);
+  }
+};
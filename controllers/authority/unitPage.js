@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Unit = require('../../models/Unit');
+const { CustomError } = require('../../middlewares/errorMiddleware');
+const { toUnitPayload } = require('../../services/unitService');
+
+const UNIT_TYPES = Unit.schema.path('unitType').enumValues;
+const UNIT_STATUSES = Unit.schema.path('status').enumValues;
+
+// Validate an optional { lat, lng } body value
+const parseLocation = (location) => {
+  if (!location) return null;
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw new CustomError(400, 'location must be { lat, lng } with valid coordinates');
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// @desc    List response units
+// @route   GET /api/authority/units?status=AVAILABLE&unitType=MEDICAL
+// @access  Private (authority)
+exports.getUnits = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      if (!UNIT_STATUSES.includes(req.query.status)) {
+        return next(new CustomError(400, `status must be one of ${UNIT_STATUSES.join(', ')}`));
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.unitType) {
+      if (!UNIT_TYPES.includes(req.query.unitType)) {
+        return next(new CustomError(400, `unitType must be one of ${UNIT_TYPES.join(', ')}`));
+      }
+      query.unitType = req.query.unitType;
+    }
+
+    const units = await Unit.find(query).sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: units.length,
+      data: units.map(toUnitPayload)
+    });
+  } catch (err) {
+    console.error("❌ getUnits error:", err);
+    next(err);
+  }
+};
+
+// @desc    Get a single response unit
+// @route   GET /api/authority/units/:unitId
+// @access  Private (authority)
+exports.getUnitById = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.unitId)) {
+      return next(new CustomError(404, 'Unit not found'));
+    }
+    const unit = await Unit.findById(req.params.unitId).lean();
+    if (!unit) {
+      return next(new CustomError(404, 'Unit not found'));
+    }
+
+    res.status(200).json({ success: true, data: toUnitPayload(unit) });
+  } catch (err) {
+    console.error("❌ getUnitById error:", err);
+    next(err);
+  }
+};
+
+// @desc    Create a response unit (its code + password are used to log in the unit's device)
+// @route   POST /api/authority/units
+// @access  Private (authority)
+exports.createUnit = async (req, res, next) => {
+  try {
+    const { name, code, password, unitType, contactNumber, location } = req.body;
+
+    if (!name || !password || !contactNumber) {
+      return next(new CustomError(400, 'name, password and contactNumber are required'));
+    }
+    if (String(password).length < 8) {
+      return next(new CustomError(400, 'password must be at least 8 characters'));
+    }
+    if (unitType && !UNIT_TYPES.includes(unitType)) {
+      return next(new CustomError(400, `unitType must be one of ${UNIT_TYPES.join(', ')}`));
+    }
+
+    const unitCode = code || `U${Date.now()}`;
+    if (await Unit.exists({ code: unitCode })) {
+      return next(new CustomError(409, 'A unit with this code already exists'));
+    }
+
+    const unit = await Unit.create({
+      name,
+      code: unitCode,
+      password,
+      unitType,
+      contactNumber,
+      location: parseLocation(location) || undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Unit created successfully',
+      data: toUnitPayload(unit)
+    });
+  } catch (err) {
+    console.error("❌ createUnit error:", err);
+    next(err);
+  }
+};
+
+// @desc    Update a response unit's details
+// @route   PUT /api/authority/units/:unitId
+// @access  Private (authority)
+exports.updateUnit = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.unitId)) {
+      return next(new CustomError(404, 'Unit not found'));
+    }
+    const unit = await Unit.findById(req.params.unitId);
+    if (!unit) {
+      return next(new CustomError(404, 'Unit not found'));
+    }
+
+    const { name, password, unitType, contactNumber, location } = req.body;
+
+    if (unitType !== undefined) {
+      if (!UNIT_TYPES.includes(unitType)) {
+        return next(new CustomError(400, `unitType must be one of ${UNIT_TYPES.join(', ')}`));
+      }
+      unit.unitType = unitType;
+    }
+    if (password !== undefined) {
+      if (String(password).length < 8) {
+        return next(new CustomError(400, 'password must be at least 8 characters'));
+      }
+      unit.password = password;
+    }
+    if (name !== undefined) unit.name = name;
+    if (contactNumber !== undefined) unit.contactNumber = contactNumber;
+    if (location !== undefined) {
+      unit.location = parseLocation(location);
+      unit.lastLocationUpdate = new Date();
+    }
+
+    await unit.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Unit updated successfully',
+      data: toUnitPayload(unit)
+    });
+  } catch (err) {
+    console.error("❌ updateUnit error:", err);
+    next(err);
+  }
+};
+
+// @desc    Delete a response unit
+// @route   DELETE /api/authority/units/:unitId
+// @access  Private (authority)
+exports.deleteUnit = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.unitId)) {
+      return next(new CustomError(404, 'Unit not found'));
+    }
+    const unit = await Unit.findById(req.params.unitId);
+    if (!unit) {
+      return next(new CustomError(404, 'Unit not found'));
+    }
+    if (unit.currentAlert) {
+      return next(new CustomError(409, 'Unit is assigned to an active alert'));
+    }
+
+    await unit.deleteOne();
+
+    res.status(200).json({ success: true, message: 'Unit deleted successfully' });
+  } catch (err) {
+    console.error("❌ deleteUnit error:", err);
+    next(err);
+  }
+};
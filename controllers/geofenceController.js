@@ -2,15 +2,31 @@ const Transition = require('../models/Transition');
 const { CustomError } = require('../middlewares/errorMiddleware');
 const { DangerZone, Geofence } = require('../models/Geofence');
 const RiskGrid = require('../models/RiskGrid');
-const { updateRiskScores } = require('../services/riskEngineService');
+const { updateRiskScores, getRiskEngineMetrics, aggregateRiskGrids } = require('../services/riskEngineService');
+const { normalizePolygonGeometry, geometryCenter, coordsPoint, parseBBox } = require('../utils/geo');
+const { LAYERS, FORMATS: EXPORT_FORMATS, exportLayer } = require('../services/mapExportService');
+const {
+  activeZoneFilter,
+  isZoneActive,
+  diffZones,
+  recordVersion,
+  lastHistoryVersions,
+  parseSchedule,
+  assertScheduleOrder
+} = require('../services/dangerZoneService');
+const { getAuthorityActor } = require('../services/sosLifecycleService');
 
 // @desc    Receive and store user geofence transitions
-// @route   POST /api/transitions
+// @route   POST /api/geofence/transitions
 // @access  Private (tourist)
 exports.receiveGeofenceTransitions = async (req, res, next) => {
   try {
     const { transitions } = req.body;
 
+    if (!req.user.touristId) {
+      return next(new CustomError(403, 'Only tourists can report geofence transitions.'));
+    }
+
     if (!Array.isArray(transitions)) {
       return next(new CustomError(400, 'Transitions must be an array.'));
     }
@@ -22,7 +38,7 @@ exports.receiveGeofenceTransitions = async (req, res, next) => {
     // Add server-side timestamp and user ID
     const docs = transitions.map((t) => ({
       ...t,
-      digitalId: req.user.digitalId,
+      digitalId: req.user.touristId,
       receivedAt: new Date(),
     }));
 
@@ -75,8 +91,37 @@ exports.createGeoFenceToDangerLocation = async (req, res, next) => {
       payload.id = `dz-${Date.now()}`;
     }
 
+    // Polygon zones carry their real shape as GeoJSON; coords becomes its centre
+    if (payload.geometry || payload.type === 'polygon') {
+      if (!payload.geometry) {
+        return next(new CustomError(400, 'Polygon danger zones need a GeoJSON Polygon or MultiPolygon geometry.'));
+      }
+      try {
+        payload.geometry = normalizePolygonGeometry(payload.geometry);
+      } catch (err) {
+        return next(new CustomError(400, `Invalid geometry: ${err.message}`));
+      }
+      payload.type = 'polygon';
+      payload.coords = geometryCenter(payload.geometry);
+      delete payload.radiusKm;
+    }
+    if (Array.isArray(payload.coords) && payload.coords.length === 2) {
+      payload.center = coordsPoint(payload.coords);
+    }
+
+    // Optional schedule (e.g. festival or curfew zones)
+    Object.assign(payload, parseSchedule(payload));
+    assertScheduleOrder(payload.activeFrom, payload.activeUntil);
+
+    // A re-created zone id continues after its deleted predecessor's history
+    const lastVersion = (await lastHistoryVersions([payload.id])).get(payload.id);
+    payload.version = lastVersion ? lastVersion + 1 : 1;
+
     const dangerZone = new DangerZone(payload);
     await dangerZone.save();
+
+    const actor = await getAuthorityActor(req.user);
+    await recordVersion(dangerZone.toObject(), 'create', { actor, changes: diffZones({}, dangerZone.toObject()) });
     
     // Emit real-time zone update
     const realtimeService = require('../services/realtimeService');
@@ -88,7 +133,11 @@ exports.createGeoFenceToDangerLocation = async (req, res, next) => {
       shape: dangerZone.type,
       coordinates: dangerZone.coords,
       radius: dangerZone.radiusKm ? dangerZone.radiusKm * 1000 : 0,
+      geometry: dangerZone.geometry && dangerZone.geometry.type ? dangerZone.geometry : null,
       visualStyle: dangerZone.visualStyle || null,
+      active: isZoneActive(dangerZone),
+      activeFrom: dangerZone.activeFrom || null,
+      activeUntil: dangerZone.activeUntil || null,
       createdAt: dangerZone.createdAt,
     };
 
@@ -107,7 +156,7 @@ exports.createGeoFenceToDangerLocation = async (req, res, next) => {
 
 exports.getallZones = async (req, res, next) => {
   try {
-    const zones = await DangerZone.find();
+    const zones = await DangerZone.find(activeZoneFilter());
     res.json(zones);
   } catch (err) {
     console.error("Error fetching danger zones:", err);
@@ -130,7 +179,7 @@ exports.getZonebyId = async (req, res, next) => {
 
 exports.getHighRiskZoneCount = async (req, res, next) => {
   try {
-    const highRiskCount = await DangerZone.countDocuments({ riskLevel: "High" });
+    const highRiskCount = await DangerZone.countDocuments({ riskLevel: "High", ...activeZoneFilter() });
 
     res.status(200).json({
       success: true,
@@ -142,18 +191,18 @@ exports.getHighRiskZoneCount = async (req, res, next) => {
   }
 };
 
+// @desc    Risk grid cells near a location (GeoJSON); with zoom, cells are merged
+//          into coarser cells sized for that map zoom and returned as polygons
+// @route   GET /api/geofence/dynamic?lat&lng&radius&zoom
+// @access  Private
 exports.getDynamicRiskZones = async (req, res, next) => {
   try {
-    const { lat, lng, radius = 5000 } = req.query;
-
-    // Config: Grid size (must match service) - NOW 500m
-    const GRID_SIZE_DEG = 0.0045; 
-
+    const { lat, lng, radius = 5000, zoom } = req.query;
 
     let grids;
     if (!lat || !lng) {
       // Return ALL grids regardless of score so the frontend sees everything in the database
-      grids = await RiskGrid.find({}).limit(100);
+      grids = await RiskGrid.find({}).limit(100).lean();
     } else {
       grids = await RiskGrid.find({
         location: {
@@ -161,6 +210,48 @@ exports.getDynamicRiskZones = async (req, res, next) => {
             $centerSphere: [[parseFloat(lng), parseFloat(lat)], parseInt(radius) / 6378100]
           }
         }
+      }).lean();
+    }
+
+    const defaultStyle = (gridSize) => ({
+      zoneType: "risk_grid",
+      borderStyle: "dashed",
+      borderWidth: 2,
+      fillOpacity: 0.4,
+      fillPattern: "dots",
+      iconType: "incident-marker",
+      renderPriority: 2,
+      gridSize
+    });
+
+    // Zoom given: merge cells into coarser ones and send their outlines
+    if (zoom !== undefined) {
+      const zoomLevel = parseFloat(zoom);
+      if (!Number.isFinite(zoomLevel) || zoomLevel < 0 || zoomLevel > 24) {
+        return next(new CustomError(400, 'zoom must be a number between 0 and 24'));
+      }
+      const centerLat = lat ? parseFloat(lat) : (grids[0] ? grids[0].location.coordinates[1] : 0);
+
+      return res.json({
+        type: "FeatureCollection",
+        features: aggregateRiskGrids(grids, zoomLevel, centerLat).map(cell => ({
+          type: "Feature",
+          properties: {
+            gridId: cell.gridId,
+            gridType: cell.gridType,
+            resolution: cell.resolution,
+            riskScore: cell.riskScore,
+            averageRiskScore: cell.averageRiskScore,
+            riskLevel: cell.riskLevel,
+            tierLevel: cell.tierLevel,
+            cellCount: cell.cellCount,
+            gridName: cell.gridName,
+            lastUpdated: cell.lastUpdated,
+            center: cell.center,
+            visualStyle: defaultStyle(cell.cellSize)
+          },
+          geometry: { type: "Polygon", coordinates: [cell.boundary] }
+        }))
       });
     }
 
@@ -175,17 +266,10 @@ exports.getDynamicRiskZones = async (req, res, next) => {
           riskLevel: g.riskLevel,
           gridName: g.gridName,
           lastUpdated: g.lastUpdated,
+          gridType: g.gridType || 'square',
+          spillover: !!g.spillover,
           // Include visual styling for map rendering
-          visualStyle: g.visualStyle || {
-            zoneType: "risk_grid",
-            borderStyle: "dashed",
-            borderWidth: 2,
-            fillOpacity: 0.4,
-            fillPattern: "dots",
-            iconType: "incident-marker",
-            renderPriority: 2,
-            gridSize: 500
-          }
+          visualStyle: g.visualStyle || defaultStyle(500)
         },
         geometry: g.location // Send the Center Point directly
       }))
@@ -197,10 +281,27 @@ exports.getDynamicRiskZones = async (req, res, next) => {
   }
 };
 
+// @desc    Recalculate every risk grid cell (manual full rebuild)
+// @route   POST /api/geofence/risk/update
+// @access  Private
 exports.triggerRiskUpdate = async (req, res, next) => {
   try {
-    await updateRiskScores();
-    res.json({ message: "Risk scores updated successfully." });
+    const run = await updateRiskScores();
+    res.json({ message: "Risk scores updated successfully.", data: run });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Risk engine metrics: cells processed per run and queue depth
+// @route   GET /api/geofence/risk/metrics
+// @access  Private
+exports.getRiskEngineMetrics = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getRiskEngineMetrics()
+    });
   } catch (error) {
     next(error);
   }
@@ -213,6 +314,9 @@ exports.createDestinationGeofence = async (req, res, next) => {
   try {
     const geofence = new Geofence(req.body);
     await geofence.save();
+
+    // Realtime evaluation picks the new fence up immediately
+    require('../services/geofenceEvaluationService').invalidateStaticFences();
     
     // Emit real-time geofence update
     // const realtimeService = require('../services/realtimeService');
@@ -258,7 +362,7 @@ exports.getAllZonesWithStyling = async (req, res, next) => {
     const { userId } = req.query;
 
     // Fetch all three types of zones
-    const dangerZones = await DangerZone.find();
+    const dangerZones = await DangerZone.find(activeZoneFilter());
     const riskGrids = await RiskGrid.find().limit(100);
     
     // Fetch geofences based on userId parameter
@@ -336,3 +440,48 @@ exports.getAllZonesWithStyling = async (req, res, next) => {
     next(err);
   }
 };
+
+// @desc    Export a map layer as a GeoJSON FeatureCollection or KML document
+// @route   GET /api/geofence/export/:layer?format=geojson|kml&bbox=minLng,minLat,maxLng,maxLat
+// @access  Private
+// Layers: danger-zones, risk-grids, geofences. Supports If-None-Match / If-Modified-Since (304).
+exports.exportMapLayer = async (req, res, next) => {
+  try {
+    const { layer } = req.params;
+    const format = (req.query.format || 'geojson').toLowerCase();
+
+    if (!LAYERS.includes(layer)) {
+      return next(new CustomError(404, `Unknown layer. Available layers: ${LAYERS.join(', ')}`));
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      return next(new CustomError(400, `format must be one of ${EXPORT_FORMATS.join(', ')}`));
+    }
+
+    let bbox;
+    try {
+      bbox = parseBBox(req.query.bbox);
+    } catch (err) {
+      return next(new CustomError(400, err.message));
+    }
+
+    const result = await exportLayer(layer, format, bbox);
+
+    res.set({
+      'Content-Type': result.contentType,
+      'ETag': result.etag,
+      'Cache-Control': 'private, no-cache',
+    });
+    if (result.lastModified) res.set('Last-Modified', result.lastModified.toUTCString());
+
+    // Nothing changed since the client's copy
+    if (req.fresh) return res.status(304).end();
+
+    if (req.query.download === 'true') {
+      res.attachment(`${layer}.${format === 'kml' ? 'kml' : 'geojson'}`);
+    }
+    res.status(200).send(result.body);
+  } catch (err) {
+    console.error("Error exporting map layer:", err);
+    next(err);
+  }
+};
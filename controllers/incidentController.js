@@ -1,8 +1,18 @@
+const mongoose = require('mongoose');
 const Incident = require('../models/Incident');
 const { CustomError } = require('../middlewares/errorMiddleware');
-const { updateRiskScores } = require('../services/riskEngineService');
+const { enqueueLocation } = require('../services/riskEngineService');
+const { assessReport, refreshCorroboratedReports } = require('../services/incidentModerationService');
+const { findClusterFor, addToCluster } = require('../services/incidentClusterService');
+const { searchIncidents } = require('../services/incidentService');
+const { attachMedia, toAttachmentPayload } = require('../services/mediaAttachmentService');
+const { mediaUploadOptions } = require('../middlewares/mediaUploadMiddleware');
+const { hasAuthorityRole } = require('../middlewares/authMiddleware');
+const { parseBBox } = require('../utils/geo');
 
-// @desc    Report a new incident (Crowdsourced)
+const MAX_PAGE_SIZE = 100;
+
+// @desc    Report a new incident (Crowdsourced, pending authority review)
 // @route   POST /api/incidents
 // @access  Private
 exports.reportIncident = async (req, res, next) => {
@@ -31,13 +41,33 @@ exports.reportIncident = async (req, res, next) => {
             },
             severity: parseFloat(severity) || 0.5,
             source: 'User', // Crowdsourced
-            timestamp: new Date()
+            timestamp: new Date(),
+            status: 'pending',
+            reportedBy: { id: req.user.id, touristId: req.user.touristId }
+        });
+
+        // A duplicate of a recent nearby report joins that incident's cluster
+        const canonical = await findClusterFor(newIncident);
+        if (canonical) newIncident.mergedInto = canonical._id;
+        else newIncident.lastReportedAt = newIncident.timestamp;
+
+        // Counts towards risk only for its trust weight until reviewed
+        newIncident.trust = await assessReport(newIncident);
+        newIncident.moderationHistory.push({
+            action: 'report',
+            toStatus: 'pending',
+            actor: { type: 'tourist', id: req.user.touristId, role: req.user.role }
         });
 
         const savedIncident = await newIncident.save();
+        const cluster = canonical ? await addToCluster(canonical._id, savedIncident) : null;
 
-        // Trigger Real-time Risk Update
-        updateRiskScores().catch(err => console.error("Risk update failed:", err));
+        // Queue the affected risk grid cells (processed in the next batch).
+        // Earlier reports this one corroborates gain weight too.
+        refreshCorroboratedReports(savedIncident)
+            .catch(err => console.error("Corroboration update failed:", err))
+            .finally(() => enqueueLocation(savedIncident.location.coordinates[1], savedIncident.location.coordinates[0])
+                .catch(err => console.error("Risk update failed:", err)));
 
         // Emit real-time incident
         const realtimeService = require('../services/realtimeService');
@@ -50,12 +80,18 @@ exports.reportIncident = async (req, res, next) => {
                 lat: savedIncident.location.coordinates[1],
                 lng: savedIncident.location.coordinates[0]
             },
-            timestamp: savedIncident.timestamp
+            timestamp: savedIncident.timestamp,
+            status: savedIncident.status,
+            trustWeight: savedIncident.trust.weight,
+            mergedInto: savedIncident.mergedInto,
+            reportCount: cluster ? cluster.reportCount : savedIncident.reportCount
         }).catch(err => console.error("Socket emit error:", err));
 
         res.status(201).json({
             success: true,
-            message: "Incident reported successfully.",
+            message: cluster
+                ? `Incident reported successfully. It matches an incident already reported ${cluster.reportCount - 1} time(s).`
+                : "Incident reported successfully. It will be reviewed by the authorities.",
             data: savedIncident
         });
 
@@ -67,3 +103,112 @@ exports.reportIncident = async (req, res, next) => {
         next(err);
     }
 };
+
+// Comma-separated list query parameter
+const listParam = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+// @desc    List incidents (paginated, newest first)
+// @route   GET /api/incidents?bbox=minLng,minLat,maxLng,maxLat | lat=&lng=&radius=(m)
+//          &type=theft,assault&minSeverity=&maxSeverity=&source=&from=&to=
+//          &resolved=open|resolved|all&status=(authorities)&sort=recent|severity&page=1&limit=20
+// @access  Private (tourists see open, counted incidents without moderation details)
+exports.getIncidents = async (req, res, next) => {
+    try {
+        const internal = hasAuthorityRole(req.user);
+        const { lat, lng, radius, minSeverity, maxSeverity, from, to, resolved, sort } = req.query;
+
+        let bbox = null;
+        try {
+            bbox = parseBBox(req.query.bbox);
+        } catch (e) {
+            return next(new CustomError(400, e.message));
+        }
+
+        let near = null;
+        if (lat !== undefined || lng !== undefined || radius !== undefined) {
+            near = { lat: Number(lat), lng: Number(lng), radius: Number(radius) || 1000 };
+            if (!Number.isFinite(near.lat) || !Number.isFinite(near.lng) || Math.abs(near.lat) > 90 || Math.abs(near.lng) > 180) {
+                return next(new CustomError(400, "lat and lng must be valid coordinates"));
+            }
+        }
+
+        const severity = (value, name) => {
+            if (value === undefined) return undefined;
+            const n = Number(value);
+            if (!Number.isFinite(n) || n < 0 || n > 1) throw new CustomError(400, `${name} must be between 0 and 1`);
+            return n;
+        };
+        const date = (value, name) => {
+            if (value === undefined) return undefined;
+            const d = new Date(value);
+            if (Number.isNaN(d.getTime())) throw new CustomError(400, `${name} must be a valid date`);
+            return d;
+        };
+
+        if (resolved !== undefined && !['open', 'resolved', 'all'].includes(resolved)) {
+            return next(new CustomError(400, "resolved must be one of: open, resolved, all"));
+        }
+        if (sort !== undefined && !['recent', 'severity'].includes(sort)) {
+            return next(new CustomError(400, "sort must be one of: recent, severity"));
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+        const { incidents, total } = await searchIncidents({
+            bbox,
+            near,
+            types: listParam(req.query.type),
+            minSeverity: severity(minSeverity, 'minSeverity'),
+            maxSeverity: severity(maxSeverity, 'maxSeverity'),
+            sources: listParam(req.query.source),
+            from: date(from, 'from'),
+            to: date(to, 'to'),
+            // Moderation states are for authorities; tourists see what counts
+            statuses: internal ? listParam(req.query.status) : [],
+            resolved: resolved || 'open'
+        }, { page, limit, sort, internal });
+
+        res.status(200).json({
+            success: true,
+            count: incidents.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: incidents
+        });
+    } catch (err) {
+        console.error("❌ getIncidents error:", err);
+        next(err);
+    }
+};
+
+// @desc    Attach a photo, audio clip or video to an incident you reported
+// @route   POST /api/incidents/:id/media (raw file body, Content-Type image/* | audio/* | video/*)
+// @access  Private (the reporter)
+exports.uploadIncidentMedia = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return next(new CustomError(404, "Incident not found"));
+        }
+
+        const incident = await Incident.findOne({ _id: req.params.id, 'reportedBy.touristId': req.user.touristId }).select('_id');
+        if (!incident) return next(new CustomError(404, "Incident not found"));
+
+        const attachment = await attachMedia({ kind: 'incident', id: incident._id }, req.body, mediaUploadOptions(req));
+        const payload = toAttachmentPayload(attachment);
+
+        const realtimeService = require('../services/realtimeService');
+        realtimeService.emitMediaAttached({ targetKind: 'incident', targetId: incident._id, attachment: payload })
+            .catch(err => console.error("Socket emit error:", err));
+
+        res.status(201).json({
+            success: true,
+            message: "Media attached to the incident.",
+            data: payload
+        });
+    } catch (err) {
+        console.error("❌ uploadIncidentMedia error:", err);
+        next(err);
+    }
+};
@@ -1,6 +1,17 @@
 const Tourist = require("../models/Tourist.js");
+const bcrypt = require("bcryptjs");
 const { CustomError } = require('../middlewares/errorMiddleware');
 const { decrypt } = require("../utils/encrypt.js");
+const safePulseService = require("../services/safePulseService");
+const routeDeviationService = require("../services/routeDeviationService");
+
+// Validate a [lng, lat] pair
+const isLngLat = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every(n => typeof n === 'number' && Number.isFinite(n)) &&
+  value[0] >= -180 && value[0] <= 180 &&
+  value[1] >= -90 && value[1] <= 90;
 
 
 // @desc    Get the authenticated tourist's profile
@@ -98,7 +109,153 @@ exports.getAllTourists = async (req, res, next) => {
   }
 };
 
+// @desc    Update the authenticated tourist's safety preferences (Safe Pulse, commuter route)
+// @route   PUT /api/tourist/preferences
+// @access  Private (tourist)
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const { safePulseFrequency, commuterRoute } = req.body;
+    const tourist = await Tourist.findOne({ touristId: req.user.touristId });
+    if (!tourist) {
+      return next(new CustomError(404, 'Tourist not found'));
+    }
+
+    if (safePulseFrequency !== undefined) {
+      const frequency = Number(safePulseFrequency);
+      const valid = frequency === 0 || (
+        Number.isInteger(frequency) &&
+        frequency >= safePulseService.MIN_FREQUENCY_MINUTES &&
+        frequency <= safePulseService.MAX_FREQUENCY_MINUTES
+      );
+      if (!valid) {
+        return next(new CustomError(400, `safePulseFrequency must be 0 (disabled) or a whole number of minutes between ${safePulseService.MIN_FREQUENCY_MINUTES} and ${safePulseService.MAX_FREQUENCY_MINUTES}`));
+      }
+      if (frequency > 0 && tourist.role !== 'solo') {
+        return next(new CustomError(403, 'Safe Pulse is only available to solo travelers'));
+      }
 
+      tourist.preferences.safePulseFrequency = frequency;
+      // (Re)start the check-in clock from now so enabling or changing the interval never fires instantly
+      tourist.safePulse = {
+        lastCheckInAt: new Date(),
+        stage: 'ok',
+        stageChangedAt: new Date(),
+      };
+    }
 
+    if (commuterRoute !== undefined) {
+      if (commuterRoute === null) {
+        tourist.preferences.commuterRoute = { start: [], end: [] };
+      } else if (!isLngLat(commuterRoute.start) || !isLngLat(commuterRoute.end)) {
+        return next(new CustomError(400, 'commuterRoute.start and commuterRoute.end must be [lng, lat] pairs'));
+      } else {
+        tourist.preferences.commuterRoute = { start: commuterRoute.start, end: commuterRoute.end };
+      }
+    }
+
+    await tourist.save();
+
+    // Drop the cached route so the next location update uses the new corridor
+    if (commuterRoute !== undefined) {
+      routeDeviationService.resetTourist(tourist.touristId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      data: {
+        preferences: tourist.preferences,
+        safePulse: safePulseService.getStatus(tourist)
+      }
+    });
+  } catch (err) {
+    console.error("updatePreferences error:", err);
+    next(err);
+  }
+};
+
+// @desc    Get the authenticated tourist's Safe Pulse status
+// @route   GET /api/tourist/safe-pulse
+// @access  Private (solo tourist)
+exports.getSafePulseStatus = async (req, res, next) => {
+  try {
+    const tourist = await Tourist.findOne({ touristId: req.user.touristId }).select('touristId preferences safePulse').lean();
+    if (!tourist) {
+      return next(new CustomError(404, 'Tourist not found'));
+    }
+
+    res.status(200).json({ success: true, data: safePulseService.getStatus(tourist) });
+  } catch (err) {
+    console.error("getSafePulseStatus error:", err);
+    next(err);
+  }
+};
 
+// @desc    Safe Pulse check-in ("I am safe")
+// @route   POST /api/tourist/safe-pulse/check-in
+// @access  Private (solo tourist)
+exports.safePulseCheckIn = async (req, res, next) => {
+  try {
+    const status = await safePulseService.recordCheckIn(req.user.touristId);
+    if (!status) {
+      return next(new CustomError(404, 'Tourist not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in recorded',
+      data: status
+    });
+  } catch (err) {
+    console.error("safePulseCheckIn error:", err);
+    next(err);
+  }
+};
+
+// @desc    Set or change the PIN (and optional duress PIN) used to cancel an SOS
+// @route   PUT /api/tourist/sos-pin
+// @access  Private (tourist)
+exports.setSosPin = async (req, res, next) => {
+  try {
+    const { currentPin, pin, duressPin } = req.body;
+    const PIN_PATTERN = /^\d{4,8}$/;
+
+    const tourist = await Tourist.findOne({ touristId: req.user.touristId }).select('sosPinHash sosDuressPinHash');
+    if (!tourist) {
+      return next(new CustomError(404, 'Tourist not found'));
+    }
+
+    // Changing an existing PIN requires the current one
+    if (tourist.sosPinHash) {
+      if (!currentPin || !(await bcrypt.compare(String(currentPin), tourist.sosPinHash))) {
+        return next(new CustomError(401, 'Current PIN is incorrect'));
+      }
+    }
+
+    if (!PIN_PATTERN.test(String(pin ?? ''))) {
+      return next(new CustomError(400, 'pin must be 4 to 8 digits'));
+    }
+    if (duressPin !== undefined && duressPin !== null && duressPin !== '') {
+      if (!PIN_PATTERN.test(String(duressPin))) {
+        return next(new CustomError(400, 'duressPin must be 4 to 8 digits'));
+      }
+      if (String(duressPin) === String(pin)) {
+        return next(new CustomError(400, 'duressPin must be different from pin'));
+      }
+    }
+
+    tourist.sosPinHash = await bcrypt.hash(String(pin), 12);
+    tourist.sosDuressPinHash = duressPin ? await bcrypt.hash(String(duressPin), 12) : undefined;
+    await tourist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'SOS PIN updated',
+      data: { hasPin: true, hasDuressPin: !!tourist.sosDuressPinHash }
+    });
+  } catch (err) {
+    console.error("setSosPin error:", err);
+    next(err);
+  }
+};
 
@@ -0,0 +1,102 @@
+const jwt = require("jsonwebtoken");
+const Unit = require("../models/Unit");
+const SOSAlert = require("../models/SOSAlertModel");
+const { JWT_SECRET, JWT_EXPIRES_IN } = require("../config/config");
+const { CustomError } = require("../middlewares/errorMiddleware");
+const { toUnitPayload } = require("../services/unitService");
+
+// @desc    Login for a response unit device
+// @route   POST /api/auth/login-unit
+// @access  Public
+exports.loginUnit = async (req, res, next) => {
+  try {
+    const { code, password } = req.body;
+
+    if (!code || !password) {
+      return res.status(400).json({ message: "Unit code and password are required" });
+    }
+
+    const unit = await Unit.findOne({ code }).select("+password");
+    if (!unit || !(await unit.correctPassword(password, unit.password))) {
+      return res.status(401).json({ message: "Invalid unit code or password" });
+    }
+
+    const token = jwt.sign(
+      { id: unit._id, code: unit.code, role: "unit" },
+      JWT_SECRET,
+      { expiresIn: JWT_EXPIRES_IN }
+    );
+
+    res.status(200).json({
+      message: "Login successful",
+      token,
+      unit: toUnitPayload(unit)
+    });
+  } catch (err) {
+    console.error("❌ loginUnit error:", err);
+    next(err);
+  }
+};
+
+// @desc    Get the logged-in unit with its current assignment
+// @route   GET /api/units/me
+// @access  Private (unit)
+exports.getMyUnit = async (req, res, next) => {
+  try {
+    const unit = await Unit.findById(req.user.id).lean();
+    if (!unit) {
+      return next(new CustomError(404, "Unit not found"));
+    }
+
+    let currentAlert = null;
+    if (unit.currentAlert) {
+      currentAlert = await SOSAlert.findById(unit.currentAlert)
+        .select("status location locationName timestamp sosReason etaArrivalAt")
+        .lean();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...toUnitPayload(unit), currentAlertDetails: currentAlert }
+    });
+  } catch (err) {
+    console.error("❌ getMyUnit error:", err);
+    next(err);
+  }
+};
+
+// @desc    Go on / off duty (REST fallback for the updateUnitStatus socket event)
+// @route   PUT /api/units/me/status
+// @access  Private (unit)
+exports.updateMyStatus = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    if (!["AVAILABLE", "OFFLINE"].includes(status)) {
+      return next(new CustomError(400, "status must be AVAILABLE or OFFLINE"));
+    }
+
+    const unit = await Unit.findById(req.user.id);
+    if (!unit) {
+      return next(new CustomError(404, "Unit not found"));
+    }
+    if (unit.currentAlert) {
+      return next(new CustomError(409, "Unit is assigned to an active alert"));
+    }
+
+    unit.status = status;
+    await unit.save();
+
+    const payload = toUnitPayload(unit);
+    const realtimeService = require("../services/realtimeService");
+    realtimeService.emitUnitStatusUpdate(payload).catch(err => console.error("Socket emit error:", err));
+
+    res.status(200).json({
+      success: true,
+      message: `Unit is now ${status}`,
+      data: payload
+    });
+  } catch (err) {
+    console.error("❌ updateMyStatus error:", err);
+    next(err);
+  }
+};
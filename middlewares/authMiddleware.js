@@ -32,10 +32,27 @@ function isTourAdmin(req, res, next) {
   });
 }
 
+const AUTHORITY_ROLES = ["Police Officer", "Tourism Officer", "Emergency Responder", "Admin", "authority"];
+
+// Whether a decoded token belongs to an authority (for routes shared with tourists)
+function hasAuthorityRole(user) {
+  return AUTHORITY_ROLES.includes(user?.role);
+}
+
 function isAuthority(req, res, next) {
-  const allowedRoles = ["Police Officer", "Tourism Officer", "Emergency Responder", "Admin", "authority"];
-  if (allowedRoles.includes(req.user?.role)) return next();
+  if (hasAuthorityRole(req.user)) return next();
   res.status(403).json({ message: "Requires Authority role" });
 }
 
-module.exports = { verifyToken, isSolo, isTourAdmin, isAuthority };
+// Authority administrators only (e.g. risk profile changes); use after isAuthority
+function isAdmin(req, res, next) {
+  if (req.user?.role === "Admin") return next();
+  res.status(403).json({ message: "Requires Admin role" });
+}
+
+function isUnit(req, res, next) {
+  if (req.user?.role === "unit") return next();
+  res.status(403).json({ message: "Requires Unit role" });
+}
+
+module.exports = { verifyToken, isSolo, isTourAdmin, isAuthority, isAdmin, isUnit, hasAuthorityRole, AUTHORITY_ROLES };
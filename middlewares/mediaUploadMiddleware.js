@@ -0,0 +1,27 @@
+const express = require("express");
+const { MAX_SIZE_BYTES } = require("../services/mediaAttachmentService");
+
+// Raw file body for media uploads (the global JSON parser is limited to 1mb).
+// The file name, if any, comes in the X-File-Name header or ?filename=.
+const mediaBody = express.raw({
+  type: ["image/*", "audio/*", "video/*"],
+  limit: Math.max(...Object.values(MAX_SIZE_BYTES)),
+});
+
+// Upload options for mediaAttachmentService.attachMedia
+function mediaUploadOptions(req) {
+  const name = req.headers["x-file-name"] || req.query.filename;
+  let originalName;
+  try {
+    originalName = name ? decodeURIComponent(String(name)) : undefined;
+  } catch (e) {
+    originalName = String(name);
+  }
+  return {
+    declaredType: req.headers["content-type"],
+    originalName,
+    uploadedBy: { id: req.user.id, touristId: req.user.touristId },
+  };
+}
+
+module.exports = { mediaBody, mediaUploadOptions };
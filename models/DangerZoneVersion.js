@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One entry per change of a danger zone: who changed what, and the zone as it was afterwards
+const dangerZoneVersionSchema = new mongoose.Schema({
+  // Business id of the zone (DangerZone.id), kept after the zone is deleted
+  zoneId: { type: String, required: true },
+
+  // DangerZone.version this entry produced
+  version: { type: Number, required: true },
+
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'import'],
+    required: true,
+  },
+
+  // Field-level diff: [{ field, from, to }]
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+  }],
+
+  // Full zone after the change (before it, for deletes)
+  snapshot: { type: mongoose.Schema.Types.Mixed },
+
+  changedBy: {
+    type: { type: String, enum: ['authority', 'system'], required: true },
+    id: { type: String },
+    name: { type: String },
+    role: { type: String },
+  },
+
+  comment: { type: String },
+  at: { type: Date, default: Date.now },
+});
+
+// History of a zone, newest first; one entry per version
+dangerZoneVersionSchema.index({ zoneId: 1, version: -1 }, { unique: true });
+dangerZoneVersionSchema.index({ at: -1 });
+
+module.exports = mongoose.model('DangerZoneVersion', dangerZoneVersionSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Incident = require('./Incident');
+
+// Keyword rule: an item mentioning any keyword becomes an incident of `type`
+const classificationRuleSchema = new mongoose.Schema({
+  type: { type: String, enum: Incident.schema.path('type').enumValues, required: true },
+  keywords: { type: [String], required: true },     // Whole words; "burglar*" matches by prefix
+  severity: { type: Number, min: 0, max: 1, required: true },
+}, { _id: false });
+
+// External source of incidents (see feedIngestionService and feedAdapters)
+const feedSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true }, // Also the ingested incidents' `source`
+  adapter: { type: String, enum: ['rss', 'json-drop', 'cap', 'newsapi'], required: true },
+
+  // Adapter settings: url (rss, cap), dropDir (json-drop), query (newsapi)
+  url: { type: String, trim: true },
+  dropDir: { type: String, trim: true },
+  query: { type: String, trim: true },
+
+  enabled: { type: Boolean, default: false },
+  schedule: { type: String, default: '*/30 * * * *' }, // cron expression
+
+  // Items without coordinates are geocoded around this place; if they cannot
+  // be placed more precisely and do not mention it, they are skipped
+  area: {
+    name: { type: String },
+    lat: { type: Number },
+    lng: { type: Number },
+  },
+  geocode: { type: Boolean, default: true },
+
+  // Empty: the default rules (see feedIngestionService.DEFAULT_RULES)
+  rules: { type: [classificationRuleSchema], default: [] },
+
+  lastRun: {
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    status: { type: String, enum: ['running', 'ok', 'failed'] },
+    error: { type: String },
+    fetched: { type: Number },
+    ingested: { type: Number },
+    duplicates: { type: Number },
+    skipped: { type: Number },
+    failed: { type: Number },
+  },
+
+  updatedBy: {
+    type: { type: String, enum: ['authority', 'system'] },
+    id: { type: String },
+    name: { type: String },
+    role: { type: String },
+  },
+}, { timestamps: true });
+
+feedSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model('Feed', feedSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Item seen on a feed, kept for deduplication and for authorities to review
+const feedItemSchema = new mongoose.Schema({
+  feed: { type: mongoose.Schema.Types.ObjectId, ref: 'Feed', required: true },
+
+  url: { type: String },                             // Normalised link, when the item has one
+  contentHash: { type: String, required: true },     // sha256 of the normalised title + summary
+  externalId: { type: String },                      // guid / CAP identifier
+
+  title: { type: String },
+  summary: { type: String },
+  publishedAt: { type: Date },
+
+  // ingested: became `incident`; unclassified: no rule matched;
+  // unlocated: could not be placed on the map; failed: the incident could not be stored (retried)
+  status: { type: String, enum: ['ingested', 'unclassified', 'unlocated', 'failed'], required: true },
+  error: { type: String },
+  type: { type: String },
+  severity: { type: Number },
+  matchedKeywords: { type: [String], default: undefined },
+  location: {
+    lat: { type: Number },
+    lng: { type: Number },
+    method: { type: String, enum: ['feed', 'geocoded', 'area'] }, // How it was placed
+  },
+  incident: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' },
+}, { timestamps: true });
+
+feedItemSchema.index({ url: 1 }, { sparse: true });
+feedItemSchema.index({ contentHash: 1 }, { unique: true });
+feedItemSchema.index({ feed: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FeedItem', feedItemSchema);
@@ -26,11 +26,31 @@ const DangerZoneSchema = new mongoose.Schema({
     }
   },
   radiusKm: { type: Number },                             // optional (only for circle)
+  // `coords` as a GeoJSON Point ([lng, lat]) so circle zones can be found by location
+  center: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined },
+  },
+  // Real shape of polygon zones (GeoJSON Polygon / MultiPolygon, [lng, lat] positions).
+  // For these zones `coords` holds the centre of the shape's bounding box.
+  geometry: {
+    type: { type: String, enum: ["Polygon", "MultiPolygon"] },
+    coordinates: { type: Array, default: undefined },
+  },
   category: { type: String },
   state: { type: String },
   riskLevel: { type: String, enum: ["Low", "Medium", "High", "Very High"] },
   source: { type: String },
   raw: { type: RawInfoSchema },                           // keep original raw metadata
+
+  // Manual switch and optional schedule (festivals, curfews, ...). A zone only
+  // counts while isActive and now is within [activeFrom, activeUntil).
+  isActive: { type: Boolean, default: true },
+  activeFrom: { type: Date },
+  activeUntil: { type: Date },
+
+  // Incremented on every change, see DangerZoneVersion for the history
+  version: { type: Number, default: 1 },
   
   // Visual styling properties to differentiate from risk grids and geofences
   visualStyle: {
@@ -44,6 +64,12 @@ const DangerZoneSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Containment / proximity queries on polygon zones (circle zones have no geometry, see center)
+DangerZoneSchema.index({ geometry: "2dsphere" });
+// Circle zones: centres near a location, and the widest radius to search within
+DangerZoneSchema.index({ center: "2dsphere" });
+DangerZoneSchema.index({ radiusKm: -1 });
+
 // Tourist Destination Geofence Schema (for alerting tourists when leaving safe areas)
 // Also supports itinerary-based geofences for tour groups and solo users
 const GeofenceSchema = new mongoose.Schema({
@@ -1,9 +1,24 @@
 const mongoose = require('mongoose');
 
+// One moderation or lifecycle step (append-only)
+const moderationEntrySchema = new mongoose.Schema({
+  action: { type: String, required: true }, // report, verify, reject, merge, severity, resolve
+  fromStatus: { type: String, default: null },
+  toStatus: { type: String, required: true },
+  actor: {
+    type: { type: String, enum: ['tourist', 'authority', 'system'] },
+    id: { type: String },
+    name: { type: String },
+    role: { type: String },
+  },
+  comment: { type: String },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
 const incidentSchema = new mongoose.Schema({
   title: String,
-  type: { 
-    type: String, 
+  type: {
+    type: String,
     enum: ['theft', 'assault', 'accident', 'riot', 'natural_disaster', 'other'],
   },
   location: {
@@ -12,9 +27,51 @@ const incidentSchema = new mongoose.Schema({
   },
   severity: { type: Number, min: 0, max: 1, default: 0.5 }, // 0 to 1
   timestamp: { type: Date, default: Date.now },
-  source: { type: String, default: 'Manual' } // GNews, Police, User, etc.
+  source: { type: String, default: 'Manual' }, // GNews, Police, User, etc.
+
+  // Moderation: crowdsourced reports start 'pending' (see incidentModerationService),
+  // other sources are trusted. Rejected and merged reports never count.
+  status: { type: String, enum: ['pending', 'verified', 'rejected', 'merged'], default: 'verified' },
+  reportedBy: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Tourist' },
+    touristId: { type: String },
+  },
+  trust: {
+    reporter: { type: Number, min: 0, max: 1 },   // Reporter's track record
+    corroborations: { type: Number, default: 0 },  // Other reporters with a similar report nearby
+    weight: { type: Number, min: 0, max: 1 },     // Share of the report counted while pending
+  },
+  // Duplicate reports join the canonical incident of their cluster
+  // (see incidentClusterService); only the canonical incident counts.
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' },
+  reportCount: { type: Number, default: 1 },      // Canonical incident: reports in the cluster (itself included)
+  lastReportedAt: { type: Date },                 // Canonical incident: latest report in the cluster
+  moderationHistory: { type: [moderationEntrySchema], default: [] },
+
+  // Resolved incidents no longer count towards risk (see incidentService)
+  resolvedAt: { type: Date },
+  resolvedBy: {
+    type: { type: String, enum: ['authority', 'system'] },
+    id: { type: String },
+    name: { type: String },
+    role: { type: String },
+  },
+  resolution: { type: String },
+  notes: [{
+    text: { type: String, required: true },
+    actor: {
+      type: { type: String, enum: ['authority', 'system'] },
+      id: { type: String },
+      name: { type: String },
+      role: { type: String },
+    },
+    at: { type: Date, default: Date.now },
+  }],
 });
 
 incidentSchema.index({ location: '2dsphere' });
+incidentSchema.index({ status: 1, timestamp: -1 });
+incidentSchema.index({ 'reportedBy.touristId': 1, status: 1 });
+incidentSchema.index({ mergedInto: 1 });
 
 module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Photo, audio clip or video attached to an SOS alert or an incident report
+const mediaAttachmentSchema = new mongoose.Schema({
+  target: {
+    kind: { type: String, enum: ['sos', 'incident'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, required: true }, // SOSAlert / Incident _id
+  },
+  uploadedBy: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Tourist' },
+    touristId: { type: String },
+  },
+
+  mediaType: { type: String, enum: ['image', 'audio', 'video'], required: true },
+  mimeType: { type: String, required: true }, // Detected from the content, not the client's claim
+  size: { type: Number, required: true },     // bytes
+  originalName: { type: String },
+
+  storage: {
+    driver: { type: String, required: true }, // see mediaStorageService
+    key: { type: String, required: true },
+  },
+
+  sha256: { type: String, required: true, index: true }, // hex digest of the file
+
+  // From the photo's EXIF block (JPEG only)
+  exif: {
+    lat: { type: Number },
+    lng: { type: Number },
+    takenAt: { type: String }, // Camera local time "YYYY:MM:DD HH:MM:SS", no time zone
+  },
+
+  // On-chain anchoring of sha256 through blockchainService
+  evidence: {
+    status: { type: String, enum: ['pending', 'anchored', 'failed'], default: 'pending' },
+    eventId: { type: String },     // 0x-prefixed bytes32 event id
+    contractAddress: { type: String },
+    txHash: { type: String },
+    anchoredAt: { type: Date },
+    error: { type: String },
+    attempts: { type: Number },    // Anchoring attempts so far (retried while below the limit)
+  },
+}, { timestamps: true });
+
+mediaAttachmentSchema.index({ 'target.kind': 1, 'target.id': 1, createdAt: 1 });
+// Anchors still to send (retryPendingAnchors)
+mediaAttachmentSchema.index({ 'evidence.status': 1, createdAt: 1 });
+
+module.exports = mongoose.model('MediaAttachment', mediaAttachmentSchema);
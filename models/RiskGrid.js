@@ -1,18 +1,26 @@
 const mongoose = require('mongoose');
 
 const riskGridSchema = new mongoose.Schema({
-  gridId: { type: String, required: true, unique: true }, // Format: "lat_lng" of center
+  gridId: { type: String, required: true, unique: true }, // "lat_lng" of center (square) or "h<res>_<q>_<r>" (hex)
   location: {
     type: { type: String, enum: ['Point'], default: 'Point' },
     coordinates: { type: [Number], required: true, index: '2dsphere' } // [lng, lat]
   },
-  riskScore: { type: Number, default: 0, min: 0, max: 1 },
+  riskScore: { type: Number, default: 0, min: 0, max: 1 }, // After neighbour smoothing
+  baseScore: { type: Number, min: 0, max: 1 },              // From the cell's own events (0 for spillover cells)
+  spillover: { type: Boolean, default: false },             // No events of its own, risk spilled from adjacent cells
+  gridType: { type: String, enum: ["square", "hex"], default: "square" },
+  resolution: { type: Number },                             // Grid resolution (see utils/riskGrid.js)
   lastUpdated: { type: Date, default: Date.now },
   riskLevel: { type: String, enum: ["Low", "Medium", "High", "Very High"], default: "Low" },
   tierLevel: { type: String, enum: ["Standard", "High", "Critical"], default: "Standard" }, // Dynamic persistence tier
   radius: { type: Number, default: 500 }, // Display radius in meters
   expiresAt: { type: Date }, // When this grid should naturally expire
   gridName: { type: String, default: "Unknown Zone" }, // Human readable name
+  profile: {                                               // Risk profile version that scored the cell
+    region: { type: String },
+    version: { type: Number }
+  },
   
   // Reasons for risk grid creation (SOS alerts + incidents)
   reasons: [{
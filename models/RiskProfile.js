@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Risk engine and safety score parameters for a region. Every edit is stored as
+// a new version; grids and scores record the { region, version } that produced them.
+const riskProfileSchema = new mongoose.Schema({
+  // 'default' applies wherever no other region's boundary matches
+  region: { type: String, required: true, trim: true, lowercase: true },
+  version: { type: Number, required: true },
+
+  // Latest version of the region (the one in use, unless isActive is false)
+  isCurrent: { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true },
+
+  name: { type: String, required: true },
+  boundary: {
+    type: { type: String, enum: ['Polygon', 'MultiPolygon'] },
+    coordinates: { type: Array, default: undefined },
+  },
+  // Overlapping regions: the highest priority wins
+  priority: { type: Number, default: 0 },
+
+  // Risk engine: { weights, sosOnlyWeights, sosBaseWeight, tiers } (see riskProfileService)
+  engine: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Safety scorer: distance thresholds, radii and penalties (see riskProfileService)
+  scorer: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  createdBy: {
+    type: { type: String, enum: ['authority', 'system'] },
+    id: { type: String },
+    name: { type: String },
+    role: { type: String },
+  },
+  comment: { type: String },
+}, { timestamps: true });
+
+riskProfileSchema.index({ region: 1, version: -1 }, { unique: true });
+riskProfileSchema.index({ isCurrent: 1 });
+
+module.exports = mongoose.model('RiskProfile', riskProfileSchema);
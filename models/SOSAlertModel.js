@@ -1,5 +1,23 @@
 const mongoose = require("mongoose");
 
+// One lifecycle transition (append-only: entries are never edited once written)
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, immutable: true }, // raise, acknowledge, assign, escalate, resolve, cancel, close
+    fromStatus: { type: String, default: null, immutable: true },
+    toStatus: { type: String, required: true, immutable: true },
+    actor: {
+      type: { type: String, enum: ["tourist", "authority", "system"], immutable: true },
+      id: { type: String, immutable: true }, // touristId / authorityId / service name
+      name: { type: String, immutable: true },
+      role: { type: String, immutable: true },
+    },
+    comment: { type: String, immutable: true },
+    at: { type: Date, default: Date.now, immutable: true },
+  },
+  { _id: false },
+);
+
 const sosAlertSchema = new mongoose.Schema(
   {
     // Reference to the tourist who triggered the SOS
@@ -12,10 +30,21 @@ const sosAlertSchema = new mongoose.Schema(
     // Current status of the alert
     status: {
       type: String,
-      enum: ["new", "acknowledged", "responding", "resolved", "closed"],
+      enum: ["new", "acknowledged", "responding", "resolved", "cancelled", "closed"],
       default: "new",
     },
 
+    // Number of times the alert has been escalated (0 = never)
+    escalationLevel: { type: Number, default: 0, min: 0 },
+
+    // Steps of the no-response escalation policy already executed (sosEscalationService)
+    escalationSteps: [{
+      stepId: { type: String },
+      action: { type: String },
+      executedAt: { type: Date, default: Date.now },
+      details: { type: Object },
+    }],
+
     // GeoJSON format for live location
     location: {
       type: {
@@ -42,6 +71,7 @@ const sosAlertSchema = new mongoose.Schema(
     emergencyContact: {
       name: String,
       phone: String,
+      email: String,
     },
 
     // SOS reason and additional metadata
@@ -49,6 +79,26 @@ const sosAlertSchema = new mongoose.Schema(
       reason: { type: String },
     },
 
+    // Set when the alert was raised automatically by the system (e.g. a missed Safe Pulse check-in)
+    // rather than by the tourist pressing the SOS button
+    autoEscalation: {
+      isAutoEscalated: { type: Boolean, default: false },
+      source: { type: String, enum: ["safe-pulse"] },
+      reason: { type: String }, // Human readable explanation shown to authorities
+      escalatedAt: { type: Date },
+      details: { type: Object }, // Source-specific context (missed check-in times, location source, ...)
+    },
+
+    // Messages sent to the emergency contact (notificationService)
+    contactNotifications: [{
+      event: { type: String }, // raised, unanswered, acknowledged, responding, resolved, cancelled
+      channel: { type: String }, // email, sms
+      to: { type: String }, // address / masked phone number
+      sent: { type: Boolean, default: false },
+      error: { type: String },
+      at: { type: Date, default: Date.now },
+    }],
+
     // Blockchain logging fields
     blockchainTxHash: { type: String },
     isLoggedOnChain: { type: Boolean, default: false },
@@ -63,6 +113,19 @@ const sosAlertSchema = new mongoose.Schema(
       role: { type: String }
     }],
 
+    // Response units (models/Unit) dispatched to this alert. A unit is released
+    // back to AVAILABLE when the alert is resolved, cancelled or closed.
+    dispatchedUnits: [{
+      unitId: { type: mongoose.Schema.Types.ObjectId, ref: "Unit" },
+      name: { type: String },
+      code: { type: String },
+      unitType: { type: String },
+      dispatchedBy: { type: String }, // authorityId
+      dispatchedAt: { type: Date, default: Date.now },
+      etaMinutes: { type: Number, min: 0 },
+      releasedAt: { type: Date, default: null },
+    }],
+
     // Response time formatted string (e.g., "00:57:54") sent by frontend
     responseTime: { type: String },
 
@@ -75,6 +138,24 @@ const sosAlertSchema = new mongoose.Schema(
     // Auditable timestamps
     responseDate: { type: Date }, // Time when authority was assigned
     resolvedDate: { type: Date }, // Time when alert was marked resolved
+    acknowledgedDate: { type: Date }, // Time when an authority first acknowledged the alert
+    cancelledDate: { type: Date }, // Time when the alert was cancelled as a false alarm
+    closedDate: { type: Date }, // Time when the alert was closed
+    closingNote: { type: String }, // Mandatory note recorded when closing
+
+    // Cancellation request details (tourist false alarm or authority cancel)
+    cancellation: {
+      requestedBy: { type: String, enum: ["tourist", "authority"] },
+      requestedAt: { type: Date },
+      reason: { type: String },
+      pinVerified: { type: Boolean, default: false },
+      // Duress code entered: the tourist's phone shows a cancellation while the alert stays open.
+      // Never expose this flag on tourist-facing payloads.
+      isDuress: { type: Boolean, default: false },
+    },
+
+    // Lifecycle audit trail, managed by sosLifecycleService (append-only)
+    history: { type: [historyEntrySchema], default: [] },
 
     // Additional metadata
     metadata: { type: Object },
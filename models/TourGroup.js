@@ -32,6 +32,21 @@ const TourGroupSchema = new mongoose.Schema({
         enum: ["active", "inactive", "SOS"],
         default: "active",
       },  
+      // Latest position reported over the realtime socket
+      lastKnownLocation: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined }, // [lng, lat]
+        updatedAt: { type: Date },
+      },
+      // Stray detection state (see groupLocationService)
+      stray: {
+        isStray: { type: Boolean, default: false },
+        reasons: [{ type: String, enum: ["group", "itinerary"] }],
+        distanceFromGroup: { type: Number },
+        distanceFromItinerary: { type: Number },
+        since: { type: Date },
+        clearedAt: { type: Date },
+      },
     },
   ],
 
@@ -39,7 +54,7 @@ const TourGroupSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
-// Index for geospatial queries on member locations (future proofing)
+// Index for geospatial queries on member locations
 // Use a partial index so only member documents that actually have coordinates are included.
 // This avoids Mongo errors when documents contain empty/missing coordinate arrays.
 TourGroupSchema.index(
@@ -28,6 +28,18 @@ const TouristSchema = new mongoose.Schema({
     },
   },
 
+  // Safe Pulse (Dead Man's Switch) runtime state, managed by safePulseService
+  safePulse: {
+    lastCheckInAt: { type: Date },
+    stage: {
+      type: String,
+      enum: ["ok", "reminded", "warned", "escalated"],
+      default: "ok",
+    },
+    stageChangedAt: { type: Date },
+    escalatedAlertId: { type: mongoose.Schema.Types.ObjectId, ref: "SOSAlert" },
+  },
+
   // 📝 ITINERARY STORAGE
   // For 'Solo': Stores personal itinerary 
   // For 'Group Member': Empty (Inherits from TourGroup)
@@ -56,8 +68,13 @@ const TouristSchema = new mongoose.Schema({
 
   emergencyContactEncrypted: { type: String }, // AES encrypted
   passwordHash: { type: String, required: true }, // bcrypt hashed password
+  // SOS cancellation codes (bcrypt hashed). The duress PIN looks like a normal
+  // cancellation on the phone but silently escalates the alert to authorities.
+  sosPinHash: { type: String },
+  sosDuressPinHash: { type: String },
   language: { type: String, default: "hindi" },
   safetyScore: { type: Number, default: 70 }, // initial tourist safety score
+  safetyScoreProfile: { region: { type: String }, version: { type: Number } }, // Risk profile version behind safetyScore
   welcomeEmailSent: { type: Boolean, default: false }, // Track if welcome email was sent
   consent: {
     tracking: { type: Boolean, default: false },
@@ -42,9 +42,24 @@ const transitionSchema = new mongoose.Schema({
   metadata: {
     type: mongoose.Schema.Types.Mixed,
   },
+
+  // Device-reported GPS quality / motion data (only set for 'location-update' events)
+  accuracy: { type: Number }, // meters
+  speed: { type: Number },    // m/s
+  heading: { type: Number },  // degrees from north
+
+  // When this record should be purged (retention for the location trail and
+  // server-side geofence transitions). Left empty for events kept indefinitely.
+  expiresAt: { type: Date },
 });
 
 // Create an index for faster lookups by digitalId and timestamp
 transitionSchema.index({ digitalId: 1, timestamp: -1 });
 
+// Trail queries filter by user + event type over a time window
+transitionSchema.index({ digitalId: 1, eventType: 1, timestamp: 1 });
+
+// TTL index: MongoDB removes the document once expiresAt has passed
+transitionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Transition', transitionSchema);
\ No newline at end of file
@@ -8,6 +8,7 @@ const {
 } = require('../controllers/authController');
 const { verifyTouristRecord } = require('../controllers/verifyController');
 const { authorityRegister,authorityLogin,authorityVerify,authorityLogOut } = require('../controllers/authority/authPage')
+const { loginUnit } = require('../controllers/unitController');
 
 const router = express.Router();
 
@@ -19,6 +20,7 @@ router.post("/signup",authorityRegister);
 router.post("/login", loginTourist);
 router.post("/login-with-codes", loginWithCodes);
 router.post("/login-authority", authorityLogin)
+router.post("/login-unit", loginUnit);
 
 // relaxed — general routes
 router.get('/verify/:touristId', verifyTouristRecord);
@@ -1,12 +1,56 @@
 const express = require('express');
-const { assignUnitToAlert, getRespondingSosAlerts, getNewSosAlerts, resolveAlert, getSosCounts } = require('../controllers/authority/SOSAlertPage')
-const { getExpiredTouristData, getTouristManagementData, revokeTourist } = require('../controllers/authority/touristPage')
+const {
+  assignUnitToAlert,
+  getRespondingSosAlerts,
+  getNewSosAlerts,
+  resolveAlert,
+  getSosCounts,
+  acknowledgeAlert,
+  escalateAlert,
+  cancelAlert,
+  closeAlert,
+  getAlertHistory,
+  dispatchUnitToAlert,
+  getRecommendedUnits
+} = require('../controllers/authority/SOSAlertPage')
+const { getUnits, getUnitById, createUnit, updateUnit, deleteUnit } = require('../controllers/authority/unitPage');
+const { getExpiredTouristData, getTouristManagementData, revokeTourist, getTouristTrail } = require('../controllers/authority/touristPage')
 const { getDashboardStats } = require('../controllers/authority/dashboard')
 const { getMapOverview } = require('../controllers/authority/mapPage')
 const { predictCrowdSurge } = require('../controllers/authority/analytics');
 const { createEFIR, getEFIRSummaries } = require('../controllers/authority/eFIRPage');
 const { createGeoFenceToDangerLocation } = require('../controllers/geofenceController');
-const { verifyToken, isAuthority } = require('../middlewares/authMiddleware');
+const {
+  importDangerZonesFile,
+  updateDangerZone,
+  deleteDangerZone,
+  getDangerZoneHistory,
+} = require('../controllers/authority/dangerZonePage');
+const {
+  getRiskProfiles,
+  getRiskProfileHistory,
+  saveRiskProfile,
+  restoreRiskProfile,
+} = require('../controllers/authority/riskProfilePage');
+const {
+  getIncidentReviewQueue,
+  getIncidentCluster,
+  verifyIncident,
+  rejectIncident,
+  mergeIncident,
+} = require('../controllers/authority/incidentReviewPage');
+const { updateIncidentSeverity, resolveIncident, addIncidentNote } = require('../controllers/authority/incidentPage');
+const { getAlertMedia, getIncidentMedia, getMediaFile, verifyMedia } = require('../controllers/authority/mediaPage');
+const {
+  getFeeds,
+  createFeed,
+  updateFeed,
+  enableFeed,
+  disableFeed,
+  runFeedNow,
+  getFeedItems,
+} = require('../controllers/authority/feedPage');
+const { verifyToken, isAuthority, isAdmin } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -17,15 +61,70 @@ router.get('/dashboard-stats', getDashboardStats);
 router.get('/analytics/crowd-prediction', predictCrowdSurge);
 router.get('/tourist-management', getTouristManagementData);
 router.get('/expired-tourists', getExpiredTouristData);
+router.get('/tourists/:touristId/trail', getTouristTrail);
 router.get('/map-overview', getMapOverview);
 router.post('/map/danger-zone', createGeoFenceToDangerLocation);
+// Raw GeoJSON / KML / CSV uploads (JSON bodies go through the app-wide parser)
+router.post(
+  '/map/danger-zones/import',
+  express.text({ type: ['text/*', 'application/geo+json', 'application/vnd.google-earth.kml+xml', 'application/xml'], limit: '10mb' }),
+  importDangerZonesFile
+);
+router.put('/map/danger-zones/:id', updateDangerZone);
+router.delete('/map/danger-zones/:id', deleteDangerZone);
+router.get('/map/danger-zones/:id/history', getDangerZoneHistory);
 router.get('/efir', getEFIRSummaries);
 router.post('/efir', createEFIR);
 router.delete('/revoke/:id', revokeTourist);
 router.get('/alerts', getNewSosAlerts);
 router.get('/alerts/responding', getRespondingSosAlerts);
 router.put('/alerts/:id/assign', assignUnitToAlert);
+router.put('/alerts/:id/dispatch', dispatchUnitToAlert);
+router.get('/alerts/:id/recommended-units', getRecommendedUnits);
 router.put('/alerts/:id/resolve', resolveAlert);
+router.put('/alerts/:id/acknowledge', acknowledgeAlert);
+router.put('/alerts/:id/escalate', escalateAlert);
+router.put('/alerts/:id/cancel', cancelAlert);
+router.put('/alerts/:id/close', closeAlert);
+router.get('/alerts/:id/history', getAlertHistory);
+router.get('/alerts/:id/media', getAlertMedia);
+
+// Incidents: crowdsourced report moderation and lifecycle
+router.get('/incidents/review', getIncidentReviewQueue);
+router.get('/incidents/:id/cluster', getIncidentCluster);
+router.put('/incidents/:id/verify', verifyIncident);
+router.put('/incidents/:id/reject', rejectIncident);
+router.put('/incidents/:id/merge', mergeIncident);
+router.put('/incidents/:id/severity', updateIncidentSeverity);
+router.put('/incidents/:id/resolve', resolveIncident);
+router.post('/incidents/:id/notes', addIncidentNote);
+router.get('/incidents/:id/media', getIncidentMedia);
+
+// Evidence attached to SOS alerts and incidents
+router.get('/media/:mediaId/file', getMediaFile);
+router.get('/media/:mediaId/verify', verifyMedia);
+
+// Incident feeds (RSS/Atom, CAP alerts, JSON drop folders, NewsAPI)
+router.get('/feeds', getFeeds);
+router.post('/feeds', isAdmin, createFeed);
+router.put('/feeds/:id', isAdmin, updateFeed);
+router.put('/feeds/:id/enable', enableFeed);
+router.put('/feeds/:id/disable', disableFeed);
+router.post('/feeds/:id/run', runFeedNow);
+router.get('/feeds/:id/items', getFeedItems);
+
+// Response units
+router.get('/units', getUnits);
+router.post('/units', createUnit);
+router.get('/units/:unitId', getUnitById);
+router.put('/units/:unitId', updateUnit);
+router.delete('/units/:unitId', deleteUnit);
+
+// Risk profiles (engine and safety score parameters per region)
+router.get('/risk-profiles', isAdmin, getRiskProfiles);
+router.get('/risk-profiles/:region', isAdmin, getRiskProfileHistory);
+router.put('/risk-profiles/:region', isAdmin, saveRiskProfile);
+router.post('/risk-profiles/:region/versions/:version/restore', isAdmin, restoreRiskProfile);
 
 module.exports = router;
 
@@ -7,9 +7,11 @@ const {
   getHighRiskZoneCount,
   getDynamicRiskZones,
   triggerRiskUpdate,
+  getRiskEngineMetrics,
   createDestinationGeofence,
   getAllDestinationGeofences,
-  getAllZonesWithStyling
+  getAllZonesWithStyling,
+  exportMapLayer
 } = require('../controllers/geofenceController');
 const { verifyToken } = require('../middlewares/authMiddleware');
 
@@ -17,7 +19,7 @@ const router = express.Router();
 
 router.use(verifyToken);
 // Route to receive geofence transitions from the tourist app
-// router.post('/transitions', verifyToken, receiveGeofenceTransitions);
+router.post('/transitions', receiveGeofenceTransitions);
 
 // Danger zone routes
 // router.post('/zone', verifyToken, createGeoFenceToDangerLocation);
@@ -28,6 +30,7 @@ router.get('/count', getHighRiskZoneCount);
 // Risk grid routes
 router.get('/dynamic', getDynamicRiskZones);
 router.post('/risk/update', triggerRiskUpdate);
+router.get('/risk/metrics', getRiskEngineMetrics);
 
 // Destination geofence routes
 router.post('/destination', createDestinationGeofence);
@@ -36,4 +39,7 @@ router.get('/destinations', getAllDestinationGeofences);
 // Combined endpoint with visual styling
 router.get('/all-zones-styled', getAllZonesWithStyling);
 
+// Standard GeoJSON / KML exports of each map layer for external GIS tools
+router.get('/export/:layer', exportMapLayer);
+
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,15 @@ const express = require('express');
 const router = express.Router();
 const incidentController = require('../controllers/incidentController');
 const { verifyToken } = require('../middlewares/authMiddleware');
+const { mediaBody } = require('../middlewares/mediaUploadMiddleware');
+
+// GET /api/incidents - List incidents (filters and pagination in the query string)
+router.get('/', verifyToken, incidentController.getIncidents);
 
 // POST /api/incidents - Report a new incident
 router.post('/', verifyToken, incidentController.reportIncident);
 
+// POST /api/incidents/:id/media - Attach a photo, audio clip or video (reporter only)
+router.post('/:id/media', verifyToken, mediaBody, incidentController.uploadIncidentMedia);
+
 module.exports = router;
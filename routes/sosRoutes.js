@@ -1,6 +1,7 @@
 const express = require('express');
-const {triggerSOS } = require('../controllers/SOSalertController');
+const { triggerSOS, cancelSOS, uploadSosMedia } = require('../controllers/SOSalertController');
 const { verifyToken } = require('../middlewares/authMiddleware');
+const { mediaBody } = require('../middlewares/mediaUploadMiddleware');
 // const { arcjetSosMiddleware } = require('../middlewares/ArcjetMiddleware');
 
 const router  = express.Router();
@@ -8,5 +9,7 @@ const router  = express.Router();
 router.use(verifyToken);
 
 router.post('/trigger',triggerSOS);
+router.post('/:id/cancel', cancelSOS);
+router.post('/:id/media', mediaBody, uploadSosMedia);
 
 module.exports = router;
\ No newline at end of file
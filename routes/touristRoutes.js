@@ -1,9 +1,13 @@
 const express = require('express');
 const {
   getTouristById,
-  getAllTourists
+  getAllTourists,
+  updatePreferences,
+  getSafePulseStatus,
+  safePulseCheckIn,
+  setSosPin
 } = require('../controllers/touristController');
-const { verifyToken } = require('../middlewares/authMiddleware');
+const { verifyToken, isSolo } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -11,6 +15,12 @@ const router = express.Router();
 // The specific role-based authorization can be added here or in the controller.
 
 router.get('/me',verifyToken, getTouristById);
+router.put('/preferences', verifyToken, updatePreferences);
+router.put('/sos-pin', verifyToken, setSosPin);
+
+// Safe Pulse (dead man's switch) check-ins for solo travelers
+router.get('/safe-pulse', verifyToken, isSolo, getSafePulseStatus);
+router.post('/safe-pulse/check-in', verifyToken, isSolo, safePulseCheckIn);
 router.get('/',getAllTourists)
 
 module.exports = router;
\ No newline at end of file
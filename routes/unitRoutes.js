@@ -0,0 +1,13 @@
+const express = require('express');
+const { getMyUnit, updateMyStatus } = require('../controllers/unitController');
+const { verifyToken, isUnit } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Endpoints used by a response unit's own device (login is under /api/auth/login-unit)
+router.use(verifyToken, isUnit);
+
+router.get('/me', getMyUnit);
+router.put('/me/status', updateMyStatus);
+
+module.exports = router;
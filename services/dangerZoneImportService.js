@@ -0,0 +1,410 @@
+const { DangerZone } = require('../models/Geofence');
+const { sha256Hex } = require('../utils/hash');
+const { decodeXml, xmlBlocks, xmlText } = require('../utils/xml');
+const { normalizePolygonGeometry, geometryCenter, coordsPoint } = require('../utils/geo');
+const DangerZoneVersion = require('../models/DangerZoneVersion');
+const { diffZones, buildVersionEntry, lastHistoryVersions } = require('./dangerZoneService');
+
+/**
+ * Danger Zone Import Service
+ *
+ * Bulk-loads danger zones from GeoJSON FeatureCollections, KML documents and
+ * CSV files (the columns of the original dataset - Name, Category, Latitude,
+ * Longitude, Area_km2, Source, ... - are understood and kept in `raw`).
+ *
+ * Every input row is parsed into a zone, validated on its own and upserted by
+ * `id`. A dry run runs the exact same pipeline without writing anything.
+ * Written zones get a version bump and an 'import' entry in their history.
+ */
+
+const FORMATS = ['geojson', 'kml', 'csv'];
+const MAX_IMPORT_ROWS = 5000;
+
+const RISK_LEVELS = DangerZone.schema.path('riskLevel').enumValues;
+const RAW_FIELDS = Object.keys(DangerZone.schema.path('raw').schema.paths).filter(f => f !== '_id');
+
+// Fields compared to decide whether an existing zone actually changes
+const COMPARED_FIELDS = ['name', 'type', 'coords', 'radiusKm', 'geometry', 'category', 'state', 'riskLevel', 'source'];
+
+/**
+ * Pick the import format from an explicit value or the upload's content type.
+ * @param {string} format ?format= value
+ * @param {string} contentType Request Content-Type
+ * @returns {string|null}
+ */
+function detectFormat(format, contentType = '') {
+  if (format) return FORMATS.includes(String(format).toLowerCase()) ? String(format).toLowerCase() : null;
+  if (/kml/i.test(contentType)) return 'kml';
+  if (/csv/i.test(contentType)) return 'csv';
+  if (/json/i.test(contentType)) return 'geojson';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Parsers: each returns [{ row, properties, geometry }] with geometry in GeoJSON
+// ---------------------------------------------------------------------------
+
+function parseGeoJSON(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('GeoJSON must be a FeatureCollection');
+  }
+  return data.features.map((feature, i) => ({
+    row: i + 1,
+    properties: (feature && feature.properties) || {},
+    geometry: feature && feature.geometry,
+    featureId: feature && feature.id,
+  }));
+}
+
+// "lng,lat[,alt] lng,lat[,alt] ..." -> [[lng, lat], ...]
+const kmlCoordinates = (text) => decodeXml(text)
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+function kmlPolygon(xml) {
+  const outer = xmlBlocks(xml, 'outerBoundaryIs').map(b => xmlBlocks(b, 'coordinates')[0]).filter(Boolean);
+  const inner = xmlBlocks(xml, 'innerBoundaryIs').map(b => xmlBlocks(b, 'coordinates')[0]).filter(Boolean);
+  if (outer.length === 0) return null;
+  return [kmlCoordinates(outer[0]), ...inner.map(kmlCoordinates)];
+}
+
+function parseKML(content) {
+  if (typeof content !== 'string' || !/<kml\b/i.test(content)) {
+    throw new Error('KML must be an XML document with a <kml> root');
+  }
+
+  const placemarkRe = /<(?:\w+:)?Placemark\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?Placemark>/g;
+  const placemarks = [];
+  let found;
+  while ((found = placemarkRe.exec(content)) !== null) placemarks.push({ attributes: found[1], body: found[2] });
+
+  return placemarks.map(({ attributes, body: placemark }, i) => {
+    const idAttribute = attributes.match(/\bid="([^"]*)"/);
+    const properties = {
+      name: xmlText(placemark, 'name'),
+    };
+
+    // <ExtendedData><Data name="x"><value>..</value></Data> and <SimpleData name="x">..</SimpleData>
+    const dataRe = /<(?:\w+:)?Data\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?Data>/g;
+    let match;
+    while ((match = dataRe.exec(placemark)) !== null) {
+      const value = xmlText(match[2], 'value');
+      if (value !== undefined) properties[match[1]] = value;
+    }
+    const simpleRe = /<(?:\w+:)?SimpleData\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?SimpleData>/g;
+    while ((match = simpleRe.exec(placemark)) !== null) {
+      properties[match[1]] = decodeXml(match[2]);
+    }
+
+    let geometry = null;
+    const polygons = xmlBlocks(placemark, 'Polygon').map(kmlPolygon).filter(Boolean);
+    if (polygons.length === 1) {
+      geometry = { type: 'Polygon', coordinates: polygons[0] };
+    } else if (polygons.length > 1) {
+      geometry = { type: 'MultiPolygon', coordinates: polygons };
+    } else {
+      const [point] = xmlBlocks(placemark, 'Point');
+      const coordinates = point && xmlBlocks(point, 'coordinates')[0];
+      if (coordinates) geometry = { type: 'Point', coordinates: kmlCoordinates(coordinates)[0] };
+    }
+
+    return { row: i + 1, properties, geometry, featureId: idAttribute ? decodeXml(idAttribute[1]) : undefined };
+  });
+}
+
+// RFC 4180 CSV (quoted fields, escaped quotes, CRLF)
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) { record.push(field); records.push(record); }
+
+  return records.filter(r => r.some(v => v.trim() !== ''));
+}
+
+function parseCSV(content) {
+  if (typeof content !== 'string') throw new Error('CSV must be sent as text');
+  const [header, ...records] = parseCsvRecords(content.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('CSV is empty');
+
+  const columns = header.map(h => h.trim());
+  return records.map((values, i) => {
+    const properties = {};
+    columns.forEach((column, c) => {
+      if (values[c] !== undefined && values[c].trim() !== '') properties[column] = values[c].trim();
+    });
+
+    let geometry = null;
+    if (properties.geometry) {
+      try {
+        geometry = JSON.parse(properties.geometry);
+      } catch (err) {
+        geometry = { invalid: 'geometry column is not valid GeoJSON' };
+      }
+    } else {
+      const lat = pick(properties, ['latitude', 'Latitude', 'lat']);
+      const lng = pick(properties, ['longitude', 'Longitude', 'lng', 'lon']);
+      if (lat !== undefined && lng !== undefined) {
+        geometry = { type: 'Point', coordinates: [Number(lng), Number(lat)] };
+      }
+    }
+
+    // +2: 1-based and the header line
+    return { row: i + 2, properties, geometry };
+  });
+}
+
+// First present value among alternative column / property names
+function pick(properties, names) {
+  for (const name of names) {
+    if (properties[name] !== undefined && properties[name] !== null && properties[name] !== '') return properties[name];
+  }
+  return undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Row -> DangerZone
+// ---------------------------------------------------------------------------
+
+function normaliseRiskLevel(value) {
+  if (value === undefined) return undefined;
+  const wanted = String(value).trim().toLowerCase().replace(/[_-]+/g, ' ');
+  return RISK_LEVELS.find(level => level.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Build a DangerZone document from a parsed row.
+ * @returns {object} { zone, errors }
+ */
+function buildZone({ properties, geometry, featureId }) {
+  const errors = [];
+  const name = pick(properties, ['name', 'Name']);
+  if (!name) errors.push('name is required');
+
+  const zone = {
+    name: name ? String(name) : undefined,
+    category: pick(properties, ['category', 'Category']),
+    state: pick(properties, ['state', 'State']),
+    source: pick(properties, ['source', 'Source']),
+  };
+
+  const riskLevelValue = pick(properties, ['riskLevel', 'risk_level', 'RiskLevel']);
+  if (riskLevelValue !== undefined) {
+    zone.riskLevel = normaliseRiskLevel(riskLevelValue);
+    if (!zone.riskLevel) errors.push(`riskLevel must be one of ${RISK_LEVELS.join(', ')}`);
+  }
+
+  // Keep the dataset's original columns
+  const raw = {};
+  for (const field of RAW_FIELDS) {
+    if (properties[field] !== undefined) raw[field] = String(properties[field]);
+  }
+  if (Object.keys(raw).length > 0) zone.raw = raw;
+
+  if (!geometry) {
+    errors.push('a location is required (Point, Polygon or MultiPolygon geometry, or latitude/longitude columns)');
+  } else if (geometry.invalid) {
+    errors.push(geometry.invalid);
+  } else if (geometry.type === 'Point') {
+    const [lng, lat] = Array.isArray(geometry.coordinates) ? geometry.coordinates.map(Number) : [];
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      errors.push('point coordinates must be a valid [lng, lat]');
+    } else {
+      zone.type = 'circle';
+      zone.coords = [lat, lng];
+
+      // Explicit radius, otherwise the radius of a circle with the dataset's area
+      const radiusKm = pick(properties, ['radiusKm', 'radius_km']);
+      const areaKm2 = pick(properties, ['areaKm2', 'Area_km2']);
+      if (radiusKm !== undefined) {
+        zone.radiusKm = Number(radiusKm);
+        if (!(zone.radiusKm > 0)) errors.push('radiusKm must be a positive number');
+      } else if (areaKm2 !== undefined && Number(areaKm2) > 0) {
+        zone.radiusKm = Math.round(Math.sqrt(Number(areaKm2) / Math.PI) * 1000) / 1000;
+      }
+    }
+  } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+    try {
+      zone.type = 'polygon';
+      zone.geometry = normalizePolygonGeometry(geometry);
+      zone.coords = geometryCenter(zone.geometry);
+    } catch (err) {
+      errors.push(`invalid geometry: ${err.message}`);
+    }
+  } else {
+    errors.push(`unsupported geometry type '${geometry.type}'`);
+  }
+  if (zone.coords) zone.center = coordsPoint(zone.coords);
+
+  // Stable id so re-importing the same dataset updates instead of duplicating
+  const id = pick(properties, ['id', 'ID', 'zoneId']) ?? featureId;
+  if (id !== undefined && id !== null && String(id).trim() !== '') {
+    zone.id = String(id).trim();
+  } else if (zone.name && zone.coords) {
+    zone.id = `import-${sha256Hex(`${zone.name}|${zone.coords.join(',')}`).slice(0, 16)}`;
+  }
+
+  return { zone, errors };
+}
+
+const comparable = (zone) => JSON.stringify(COMPARED_FIELDS.map(f => zone[f] === undefined ? null : zone[f]));
+
+// Fields an imported zone clears on the stored one (a circle has no geometry, a polygon no radius)
+const clearedFields = (zone) => [
+  ...(zone.type === 'circle' ? ['geometry'] : []),
+  ...(zone.type === 'polygon' || zone.radiusKm === undefined ? ['radiusKm'] : []),
+];
+
+/**
+ * Import danger zones.
+ * @param {string|object} content File content (parsed JSON is accepted for GeoJSON)
+ * @param {string} format 'geojson' | 'kml' | 'csv'
+ * @param {object} options { dryRun, actor }
+ * @returns {Promise<object>} Summary { dryRun, format, total, created, updated, skipped, rows }
+ * @throws {Error} With statusCode 400 when the file itself cannot be read
+ */
+async function importDangerZones(content, format, { dryRun = false, actor } = {}) {
+  let parsed;
+  try {
+    if (format === 'geojson') parsed = parseGeoJSON(content);
+    else if (format === 'kml') parsed = parseKML(content);
+    else if (format === 'csv') parsed = parseCSV(content);
+    else throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+  } catch (err) {
+    err.statusCode = 400;
+    err.message = `Could not read ${format || 'import'} file: ${err.message}`;
+    throw err;
+  }
+
+  if (parsed.length === 0) {
+    const err = new Error('The file contains no zones');
+    err.statusCode = 400;
+    throw err;
+  }
+  if (parsed.length > MAX_IMPORT_ROWS) {
+    const err = new Error(`At most ${MAX_IMPORT_ROWS} zones can be imported at once`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const rows = parsed.map(item => ({ row: item.row, ...buildZone(item) }));
+
+  // Duplicate ids inside one file: keep the first, skip the rest
+  const seen = new Map();
+  for (const row of rows) {
+    if (row.errors.length > 0 || !row.zone.id) continue;
+    if (seen.has(row.zone.id)) row.errors.push(`duplicate id '${row.zone.id}' (first seen on row ${seen.get(row.zone.id)})`);
+    else seen.set(row.zone.id, row.row);
+  }
+
+  const valid = rows.filter(r => r.errors.length === 0);
+  const existing = await DangerZone.find({ id: { $in: valid.map(r => r.zone.id) } }).lean();
+  const existingById = new Map(existing.map(z => [z.id, z]));
+
+  for (const row of rows) {
+    if (row.errors.length > 0) { row.action = 'skipped'; continue; }
+    const current = existingById.get(row.zone.id);
+    if (!current) row.action = 'create';
+    else if (comparable(current) === comparable(row.zone)) { row.action = 'skipped'; row.reason = 'unchanged'; }
+    else row.action = 'update';
+  }
+
+  const writes = rows.filter(r => r.action === 'create' || r.action === 'update');
+
+  if (!dryRun && writes.length > 0) {
+    // New ids may belong to deleted zones whose history continues
+    const created = writes.filter(r => r.action === 'create').map(r => r.zone.id);
+    const lastVersions = created.length > 0 ? await lastHistoryVersions(created) : new Map();
+
+    const operations = writes.map((row) => {
+      const { zone } = row;
+      const current = existingById.get(zone.id);
+      zone.version = current ? (current.version || 1) + 1 : (lastVersions.get(zone.id) || 0) + 1;
+
+      const unset = Object.fromEntries(clearedFields(zone).map(field => [field, '']));
+      return {
+        updateOne: {
+          filter: { id: zone.id },
+          update: Object.keys(unset).length > 0 ? { $set: zone, $unset: unset } : { $set: zone },
+          upsert: true,
+        },
+      };
+    });
+
+    try {
+      await DangerZone.bulkWrite(operations, { ordered: false });
+    } catch (err) {
+      // Rows MongoDB refused (e.g. geometry the 2dsphere index can't take) are reported per row
+      if (!Array.isArray(err.writeErrors)) throw err;
+      for (const writeError of err.writeErrors) {
+        const row = writes[writeError.index];
+        row.action = 'skipped';
+        row.errors.push(writeError.errmsg || 'write failed');
+      }
+    }
+
+    const written = writes.filter(r => r.action !== 'skipped');
+    if (written.length > 0) {
+      await DangerZoneVersion.insertMany(written.map(({ zone }) => {
+        const current = existingById.get(zone.id);
+        const after = { ...(current || {}), ...zone };
+        clearedFields(zone).forEach(field => delete after[field]);
+        return buildVersionEntry(after, 'import', {
+          actor,
+          changes: diffZones(current || {}, after),
+          comment: `Imported from ${format.toUpperCase()}`,
+        });
+      }), { ordered: false });
+    }
+  }
+
+  const count = (action) => rows.filter(r => r.action === action).length;
+  return {
+    dryRun,
+    format,
+    total: rows.length,
+    created: count('create'),
+    updated: count('update'),
+    skipped: count('skipped'),
+    rows: rows.map(r => ({
+      row: r.row,
+      id: r.zone.id || null,
+      name: r.zone.name || null,
+      action: r.action,
+      reason: r.reason,
+      errors: r.errors.length > 0 ? r.errors : undefined,
+    })),
+  };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseGeoJSON,
+  parseKML,
+  parseCSV,
+  buildZone,
+  importDangerZones,
+};
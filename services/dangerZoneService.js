@@ -0,0 +1,329 @@
+const { DangerZone } = require('../models/Geofence');
+const DangerZoneVersion = require('../models/DangerZoneVersion');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { normalizePolygonGeometry, geometryCenter, coordsPoint } = require('../utils/geo');
+
+/**
+ * Danger Zone Service
+ *
+ * Editing, deletion and version history of danger zones, plus the
+ * "is this zone in force right now" rule (isActive + activeFrom/activeUntil)
+ * shared by the safety score, the map endpoints and the exports.
+ */
+
+// Fields tracked in the version history
+const VERSIONED_FIELDS = [
+  'name', 'type', 'coords', 'radiusKm', 'geometry', 'category', 'state',
+  'riskLevel', 'source', 'isActive', 'activeFrom', 'activeUntil', 'visualStyle',
+];
+
+// Fields an authority may change through the update endpoint
+const EDITABLE_FIELDS = VERSIONED_FIELDS.filter(f => f !== 'type');
+
+const SYSTEM_ACTOR = { type: 'system', id: 'danger-zone-service', name: 'System' };
+
+/**
+ * MongoDB filter matching zones that are in force at `now`.
+ * @param {Date} now
+ * @returns {object} Filter to combine with other conditions (uses $and)
+ */
+function activeZoneFilter(now = new Date()) {
+  return {
+    isActive: { $ne: false },
+    $and: [
+      { $or: [{ activeFrom: null }, { activeFrom: { $lte: now } }] },
+      { $or: [{ activeUntil: null }, { activeUntil: { $gt: now } }] },
+    ],
+  };
+}
+
+/**
+ * Same rule as activeZoneFilter, for a zone already loaded.
+ * @param {object} zone
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isZoneActive(zone, now = new Date()) {
+  if (zone.isActive === false) return false;
+  if (zone.activeFrom && new Date(zone.activeFrom) > now) return false;
+  if (zone.activeUntil && new Date(zone.activeUntil) <= now) return false;
+  return true;
+}
+
+const normaliseValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+/**
+ * Field-level diff between two versions of a zone.
+ * @returns {Array} [{ field, from, to }]
+ */
+function diffZones(before = {}, after = {}) {
+  const changes = [];
+  for (const field of VERSIONED_FIELDS) {
+    const from = normaliseValue(before[field]);
+    const to = normaliseValue(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+const snapshotOf = (zone) => {
+  const { _id, __v, ...rest } = zone;
+  return JSON.parse(JSON.stringify(rest));
+};
+
+/**
+ * Append an entry to a zone's history.
+ * @param {object} zone Zone (lean) after the change; before it for deletes
+ * @param {string} action 'create' | 'update' | 'delete' | 'import'
+ * @param {object} options { actor, changes, comment, version }
+ */
+async function recordVersion(zone, action, options = {}) {
+  return DangerZoneVersion.create(buildVersionEntry(zone, action, options));
+}
+
+/**
+ * History entry for a zone change, for bulk inserts (see recordVersion).
+ * @returns {object} DangerZoneVersion document
+ */
+function buildVersionEntry(zone, action, { actor, changes, comment, version } = {}) {
+  return {
+    zoneId: zone.id,
+    version: version || zone.version || 1,
+    action,
+    changes: changes || [],
+    snapshot: snapshotOf(zone),
+    changedBy: actor || SYSTEM_ACTOR,
+    comment,
+  };
+}
+
+/**
+ * Last history version of each zone id, deleted zones included, so a zone
+ * re-created under the same id carries on its numbering.
+ * @param {string[]} zoneIds Business ids
+ * @returns {Promise<Map<string, number>>} zoneId -> last version (absent if no history)
+ */
+async function lastHistoryVersions(zoneIds) {
+  const rows = await DangerZoneVersion.aggregate([
+    { $match: { zoneId: { $in: zoneIds } } },
+    { $group: { _id: '$zoneId', version: { $max: '$version' } } },
+  ]);
+  return new Map(rows.map(r => [r._id, r.version]));
+}
+
+/**
+ * Validate an activeFrom / activeUntil pair.
+ * @param {object} values { activeFrom, activeUntil } (null clears a bound)
+ * @returns {object} Parsed dates (only the keys that were provided)
+ * @throws {CustomError} 400
+ */
+function parseSchedule({ activeFrom, activeUntil } = {}) {
+  const schedule = {};
+  for (const [key, value] of Object.entries({ activeFrom, activeUntil })) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      schedule[key] = null;
+      continue;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new CustomError(400, `${key} must be a valid date`);
+    schedule[key] = date;
+  }
+  return schedule;
+}
+
+const assertScheduleOrder = (activeFrom, activeUntil) => {
+  if (activeFrom && activeUntil && new Date(activeFrom) >= new Date(activeUntil)) {
+    throw new CustomError(400, 'activeUntil must be after activeFrom');
+  }
+};
+
+/**
+ * Update a danger zone and record the change.
+ * @param {string} zoneId Business id (DangerZone.id)
+ * @param {object} updates Subset of EDITABLE_FIELDS (null clears optional fields)
+ * @param {object} options { actor, comment }
+ * @returns {Promise<object>} { zone, changes }
+ * @throws {CustomError} 400 invalid input, 404 unknown zone, 409 concurrent edit
+ */
+async function updateZone(zoneId, updates = {}, { actor, comment } = {}) {
+  const unknown = Object.keys(updates).filter(f => !EDITABLE_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw new CustomError(400, `Cannot update ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const before = await DangerZone.findOne({ id: zoneId }).lean();
+  if (!before) throw new CustomError(404, 'Danger zone not found');
+
+  const $set = {};
+  const $unset = {};
+  const set = (field, value) => {
+    if (value === null || value === undefined) $unset[field] = '';
+    else $set[field] = value;
+  };
+
+  for (const field of ['name', 'category', 'state', 'source', 'riskLevel', 'isActive', 'visualStyle']) {
+    if (updates[field] !== undefined) set(field, updates[field]);
+  }
+  if ('name' in $unset) throw new CustomError(400, 'name cannot be removed');
+  if ('isActive' in $unset) throw new CustomError(400, 'isActive must be true or false');
+  if ($set.isActive !== undefined && typeof $set.isActive !== 'boolean') {
+    throw new CustomError(400, 'isActive must be true or false');
+  }
+
+  const schedule = parseSchedule(updates);
+  Object.entries(schedule).forEach(([field, value]) => set(field, value));
+  assertScheduleOrder(
+    schedule.activeFrom !== undefined ? schedule.activeFrom : before.activeFrom,
+    schedule.activeUntil !== undefined ? schedule.activeUntil : before.activeUntil
+  );
+
+  // Shape: a geometry makes it a polygon zone, removing it (with coords) a circle again
+  if (updates.geometry) {
+    try {
+      $set.geometry = normalizePolygonGeometry(updates.geometry);
+    } catch (err) {
+      throw new CustomError(400, `Invalid geometry: ${err.message}`);
+    }
+    $set.type = 'polygon';
+    $set.coords = geometryCenter($set.geometry);
+    $unset.radiusKm = '';
+  } else {
+    if (updates.geometry === null) {
+      if (!updates.coords) throw new CustomError(400, 'coords are required when turning a polygon zone into a circle');
+      $unset.geometry = '';
+      $set.type = 'circle';
+    }
+    const isPolygon = !!(before.geometry && before.geometry.type) && updates.geometry !== null;
+    if (updates.coords !== undefined) {
+      if (isPolygon) throw new CustomError(400, 'coords of a polygon zone are derived from its geometry');
+      const coords = updates.coords;
+      if (!Array.isArray(coords) || coords.length !== 2 || !coords.every(Number.isFinite) ||
+        coords[0] < -90 || coords[0] > 90 || coords[1] < -180 || coords[1] > 180) {
+        throw new CustomError(400, 'coords must be [latitude, longitude]');
+      }
+      $set.coords = coords;
+    }
+    if (updates.radiusKm !== undefined) {
+      if (isPolygon) throw new CustomError(400, 'radiusKm only applies to circle zones');
+      if (updates.radiusKm !== null && !(Number(updates.radiusKm) > 0)) {
+        throw new CustomError(400, 'radiusKm must be a positive number');
+      }
+      set('radiusKm', updates.radiusKm === null ? null : Number(updates.radiusKm));
+    }
+  }
+  if ($set.coords) $set.center = coordsPoint($set.coords);
+
+  const candidate = { ...before, ...$set };
+  Object.keys($unset).forEach(field => delete candidate[field]);
+  const changes = diffZones(before, candidate);
+  if (changes.length === 0) return { zone: before, changes };
+
+  const version = (before.version || 1) + 1;
+  $set.version = version;
+
+  // Only apply on top of the version that was read
+  const update = { $set };
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  const zone = await DangerZone.findOneAndUpdate(
+    { id: zoneId, version: before.version ? before.version : { $exists: false } },
+    update,
+    { new: true, runValidators: true }
+  ).lean();
+  if (!zone) throw new CustomError(409, 'Danger zone was changed by someone else, please retry');
+
+  await recordVersion(zone, 'update', { actor, changes, comment });
+  console.log(`🗺️ Danger zone ${zoneId} updated to v${version} (${changes.map(c => c.field).join(', ')})`);
+  return { zone, changes };
+}
+
+/**
+ * Delete a danger zone; its history is kept with a final 'delete' entry.
+ * @param {string} zoneId Business id
+ * @param {object} options { actor, comment }
+ * @returns {Promise<object>} The deleted zone
+ * @throws {CustomError} 404
+ */
+async function deleteZone(zoneId, { actor, comment } = {}) {
+  const zone = await DangerZone.findOneAndDelete({ id: zoneId }).lean();
+  if (!zone) throw new CustomError(404, 'Danger zone not found');
+
+  await recordVersion(zone, 'delete', { actor, comment, version: (zone.version || 1) + 1 });
+  console.log(`🗺️ Danger zone ${zoneId} deleted`);
+  return zone;
+}
+
+/**
+ * Version history of a zone, newest first (also available after deletion).
+ * @param {string} zoneId Business id
+ * @returns {Promise<Array>}
+ */
+async function getZoneHistory(zoneId) {
+  return DangerZoneVersion.find({ zoneId }).sort({ version: -1 }).lean();
+}
+
+/**
+ * Give zones written before `center` existed one, derived from their coords.
+ * Intended to run once on startup from app.js.
+ * @returns {Promise<number>} Number of zones updated
+ */
+async function backfillZoneCenters() {
+  const result = await DangerZone.updateMany({ center: { $exists: false } }, [
+    { $set: { center: { type: 'Point', coordinates: [{ $arrayElemAt: ['$coords', 1] }, { $arrayElemAt: ['$coords', 0] }] } } },
+  ]);
+  if (result.modifiedCount > 0) console.log(`🗺️ Added a center to ${result.modifiedCount} danger zones`);
+  return result.modifiedCount;
+}
+
+let lastScheduleCheck = new Date();
+
+/**
+ * Tell map clients when scheduled zones came into or went out of force since
+ * the previous check. Intended to run every minute from app.js.
+ * @returns {Promise<number>} Number of zones whose state changed
+ */
+async function runScheduleSweep() {
+  const since = lastScheduleCheck;
+  const now = new Date();
+  lastScheduleCheck = now;
+
+  const zones = await DangerZone.find({
+    isActive: { $ne: false },
+    $or: [
+      { activeFrom: { $gt: since, $lte: now } },
+      { activeUntil: { $gt: since, $lte: now } },
+    ],
+  }).select('id name activeFrom activeUntil').lean();
+
+  if (zones.length === 0) return 0;
+
+  const realtimeService = require('./realtimeService');
+  await realtimeService.emitMapDataUpdated({
+    eventType: 'danger-zones-schedule',
+    activated: zones.filter(z => isZoneActive(z, now)).map(z => z.id),
+    deactivated: zones.filter(z => !isZoneActive(z, now)).map(z => z.id),
+  });
+  return zones.length;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  activeZoneFilter,
+  isZoneActive,
+  diffZones,
+  recordVersion,
+  buildVersionEntry,
+  lastHistoryVersions,
+  parseSchedule,
+  assertScheduleOrder,
+  updateZone,
+  deleteZone,
+  getZoneHistory,
+  runScheduleSweep,
+  backfillZoneCenters,
+};
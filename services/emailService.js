@@ -4,6 +4,17 @@ const { RESEND_API_KEY, FROM_EMAIL } = require("../config/config");
 // Initialize Resend client
 const resend = new Resend(RESEND_API_KEY);
 
+// Values from user input (names, places) must not be read as HTML
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
 /**
  * Send welcome email to newly added group member with 3-code login system
  * @param {Object} memberData - Member information
@@ -430,8 +441,141 @@ const sendBulkWelcomeEmails = async (members, guideId, groupAccessCode, groupNam
   };
 };
 
+/**
+ * Send an emergency notification about a tourist's SOS to their emergency contact
+ * @param {string} contactEmail - Emergency contact's email address
+ * @param {string} contactName - Emergency contact's name
+ * @param {Object} details - Notification content
+ * @param {string} details.subject - Email subject
+ * @param {string} details.heading - Heading shown in the email
+ * @param {string} details.message - Main message
+ * @param {string} details.touristName - Name of the tourist
+ * @param {string} [details.locationName] - Descriptive location
+ * @param {string} [details.mapUrl] - Link to the SOS location on a map
+ * @param {Date|string} [details.timestamp] - When the SOS was raised
+ * @returns {Promise<Object>} - Email send result
+ */
+const sendEmergencyContactEmail = async (contactEmail, contactName, details) => {
+  try {
+    const { subject, heading, message, touristName, locationName, mapUrl, timestamp } = details;
+    const raisedAt = timestamp ? new Date(timestamp).toUTCString() : null;
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333333;
+            background-color: #f4f4f4;
+            margin: 0;
+            padding: 0;
+          }
+          .email-container {
+            max-width: 600px;
+            margin: 20px auto;
+            background-color: #ffffff;
+            border-radius: 8px;
+            overflow: hidden;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+          }
+          .header {
+            background-color: #DC2626;
+            color: #ffffff;
+            padding: 20px 30px;
+            text-align: center;
+          }
+          .content {
+            padding: 30px;
+          }
+          .info-box {
+            background-color: #FEF2F2;
+            border-left: 4px solid #DC2626;
+            padding: 15px;
+            margin: 20px 0;
+            border-radius: 4px;
+          }
+          .map-button {
+            display: inline-block;
+            background-color: #DC2626;
+            color: #ffffff !important;
+            padding: 12px 24px;
+            border-radius: 6px;
+            text-decoration: none;
+            font-weight: bold;
+          }
+          .footer {
+            background-color: #F9FAFB;
+            padding: 20px 30px;
+            text-align: center;
+            color: #6B7280;
+            font-size: 14px;
+            border-top: 1px solid #E5E7EB;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="email-container">
+          <div class="header">
+            <h2 style="margin: 0;">🚨 ${escapeHtml(heading)}</h2>
+          </div>
+
+          <div class="content">
+            <h3>Hello ${escapeHtml(contactName || "there")},</h3>
+            <p>You are listed as the emergency contact for <strong>${escapeHtml(touristName)}</strong>.</p>
+            <p>${escapeHtml(message)}</p>
+
+            <div class="info-box">
+              ${locationName ? `<p><strong>📍 Location:</strong> ${escapeHtml(locationName)}</p>` : ""}
+              ${raisedAt ? `<p><strong>🕒 SOS raised at:</strong> ${raisedAt}</p>` : ""}
+            </div>
+
+            ${mapUrl ? `<p style="text-align: center;"><a class="map-button" href="${escapeHtml(mapUrl)}">View location on map</a></p>` : ""}
+
+            <p>Local authorities have been notified. If you can reach ${escapeHtml(touristName)}, please try to contact them.</p>
+          </div>
+
+          <div class="footer">
+            <p><strong>Smart Tourist Safety</strong></p>
+            <p style="font-size: 12px; color: #9CA3AF; margin-top: 10px;">
+              This is an automated notification. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const result = await resend.emails.send({
+      from: FROM_EMAIL || "Smart Tourist Safety <onboarding@resend.dev>",
+      to: contactEmail,
+      subject,
+      html: htmlContent,
+    });
+
+    if (result?.error) {
+      throw new Error(result.error.message || "Email provider rejected emergency contact email request");
+    }
+
+    const messageId = result?.data?.id || result?.id || null;
+    if (!messageId) {
+      throw new Error("Email provider did not return a message id");
+    }
+
+    console.log("Emergency contact email sent successfully:", result);
+    return { success: true, messageId };
+  } catch (error) {
+    console.error("Error sending emergency contact email:", error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendWelcomeEmail,
   sendProfileUpdateEmail,
   sendBulkWelcomeEmails,
+  sendEmergencyContactEmail,
 };
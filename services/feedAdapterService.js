@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { NEWS_API_KEY, FEED_DROP_DIR } = require('../config/config');
+const { decodeXml, xmlBlocks, xmlText, xmlAttributes } = require('../utils/xml');
+
+/**
+ * Feed Adapter Service
+ *
+ * One adapter per kind of incident source. Adding a source only needs a new
+ * entry in ADAPTERS:
+ *
+ *   validate(feed)          -> error message, or null if the settings are usable
+ *   fetch(feed, { seen })   -> Promise<{ items, commit? }>
+ *
+ * `seen(url)` resolves true for links already ingested, so adapters can skip
+ * fetching them again. `commit(count)` runs once the first `count` items have
+ * been stored (a run may stop short of all of them), e.g. to move processed
+ * files out of a drop folder.
+ *
+ * Every item is normalised to:
+ *   { externalId, url, title, summary, publishedAt, location: { lat, lng } | null,
+ *     typeHint, severityHint }
+ * typeHint / severityHint come from structured sources (CAP, JSON) and are used
+ * when no classification rule matches / instead of the rule's severity.
+ */
+
+const HTTP_TIMEOUT_MS = 15000;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const USER_AGENT = 'TouristSafetyApp/1.0';
+const MAX_CAP_DOCUMENTS_PER_RUN = 25;
+
+const NEWS_URL = 'https://newsapi.org/v2/everything';
+const DEFAULT_DROP_DIR = path.join(__dirname, '..', 'uploads', 'feeds');
+
+const httpGet = (url, config = {}) => axios.get(url, {
+  timeout: HTTP_TIMEOUT_MS,
+  maxContentLength: MAX_RESPONSE_BYTES,
+  headers: { 'User-Agent': USER_AGENT },
+  ...config,
+});
+
+const getText = async (url) => (await httpGet(url, { responseType: 'text' })).data;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const toLocation = (lat, lng) => {
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  if (lat === 0 && lng === 0) return null;
+  return { lat, lng };
+};
+
+// ---------------------------------------------------------------------------
+// RSS 2.0 / Atom
+// ---------------------------------------------------------------------------
+
+// <georss:point>lat lng</georss:point> or <geo:lat>/<geo:long>
+function itemLocation(xml) {
+  const point = xmlText(xml, 'point');
+  if (point) {
+    const [lat, lng] = point.split(/[\s,]+/);
+    return toLocation(lat, lng);
+  }
+  const lat = xmlText(xml, 'lat');
+  const lng = xmlText(xml, 'long') || xmlText(xml, 'lon');
+  return lat !== undefined && lng !== undefined ? toLocation(lat, lng) : null;
+}
+
+// Atom <link rel="alternate" href>; RSS <link>url</link>
+function itemLink(xml) {
+  const atomLink = xmlAttributes(xml, 'link').find(a => a.href && (!a.rel || a.rel === 'alternate'));
+  if (atomLink) return atomLink.href;
+  return xmlBlocks(xml, 'link').map(decodeXml).find(isHttpUrl);
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document.
+ * @param {string} xml
+ * @returns {object[]} Normalised items, plus `raw` (the entry's XML)
+ * @throws {Error} Not RSS or Atom
+ */
+function parseSyndicationFeed(xml) {
+  if (typeof xml !== 'string' || !/<(?:\w+:)?(rss|feed|RDF)\b/.test(xml)) {
+    throw new Error('Response is not an RSS or Atom feed');
+  }
+
+  const entries = xmlBlocks(xml, 'item').length > 0 ? xmlBlocks(xml, 'item') : xmlBlocks(xml, 'entry');
+  return entries.map(entry => ({
+    externalId: xmlText(entry, 'guid') || xmlText(entry, 'id'),
+    url: itemLink(entry),
+    title: xmlText(entry, 'title'),
+    summary: xmlText(entry, 'description') || xmlText(entry, 'summary') || xmlText(entry, 'content'),
+    publishedAt: toDate(xmlText(entry, 'pubDate') || xmlText(entry, 'published') || xmlText(entry, 'updated') || xmlText(entry, 'date')),
+    location: itemLocation(entry),
+    raw: entry,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// CAP 1.2 (Common Alerting Protocol, used by government alerting systems)
+// ---------------------------------------------------------------------------
+
+const CAP_SEVERITY = { Extreme: 0.95, Severe: 0.8, Moderate: 0.6, Minor: 0.4 };
+const CAP_CATEGORY_TYPES = {
+  Geo: 'natural_disaster',
+  Met: 'natural_disaster',
+  Fire: 'natural_disaster',
+  Env: 'natural_disaster',
+  Transport: 'accident',
+};
+
+// First <polygon> ("lat,lng lat,lng ...") vertex average, or first <circle> ("lat,lng radius") centre
+function capAreaLocation(info) {
+  const polygon = xmlText(info, 'polygon');
+  if (polygon) {
+    const points = polygon.split(/\s+/).map(pair => pair.split(',').map(Number)).filter(p => p.length >= 2);
+    // The closing vertex repeats the first one
+    const vertices = points.length > 1 ? points.slice(0, -1) : points;
+    if (vertices.length > 0) {
+      return toLocation(
+        vertices.reduce((sum, p) => sum + p[0], 0) / vertices.length,
+        vertices.reduce((sum, p) => sum + p[1], 0) / vertices.length
+      );
+    }
+  }
+  const circle = xmlText(info, 'circle');
+  if (circle) {
+    const [lat, lng] = circle.split(/[\s,]+/);
+    return toLocation(lat, lng);
+  }
+  return null;
+}
+
+/**
+ * Parse the CAP <alert> elements of a document. Only actual alerts are kept
+ * (no exercises, tests, cancellations or acknowledgements).
+ * @param {string} xml
+ * @param {string} [url] Where the document was fetched from
+ * @returns {object[]} Normalised items
+ */
+function parseCapAlerts(xml, url) {
+  return xmlBlocks(xml, 'alert')
+    .filter(alert => (xmlText(alert, 'status') || 'Actual') === 'Actual'
+      && ['Alert', 'Update'].includes(xmlText(alert, 'msgType') || 'Alert'))
+    .map(alert => {
+      const infos = xmlBlocks(alert, 'info');
+      const info = infos.find(i => /^en/i.test(xmlText(i, 'language') || 'en-US')) || infos[0] || '';
+      const category = xmlText(info, 'category');
+
+      return {
+        externalId: xmlText(alert, 'identifier'),
+        url: url || xmlText(info, 'web'),
+        title: xmlText(info, 'headline') || xmlText(info, 'event'),
+        summary: [xmlText(info, 'event'), xmlText(info, 'description'), xmlText(info, 'areaDesc')].filter(Boolean).join(' - '),
+        publishedAt: toDate(xmlText(alert, 'sent')),
+        location: capAreaLocation(info),
+        typeHint: CAP_CATEGORY_TYPES[category] || 'other',
+        severityHint: CAP_SEVERITY[xmlText(info, 'severity')],
+      };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// JSON drop folder
+// ---------------------------------------------------------------------------
+
+const dropRoot = () => path.resolve(FEED_DROP_DIR || DEFAULT_DROP_DIR);
+
+// dropDir is a folder name under FEED_DROP_DIR, never an arbitrary path
+function resolveDropDir(dropDir) {
+  const root = dropRoot();
+  const dir = path.resolve(root, String(dropDir || ''));
+  if (!dir.startsWith(root + path.sep)) return null;
+  return dir;
+}
+
+/**
+ * Normalise one object of a dropped JSON file.
+ * Accepted fields: title, url|link, summary|description, publishedAt|date,
+ * lat|latitude + lng|lon|longitude or location.coordinates [lng, lat], type, severity, id.
+ * @param {object} raw
+ * @returns {object} Normalised item
+ */
+function normaliseJsonItem(raw) {
+  const coordinates = raw.location && Array.isArray(raw.location.coordinates) ? raw.location.coordinates : null;
+  const severity = Number(raw.severity);
+  return {
+    externalId: raw.id !== undefined ? String(raw.id) : undefined,
+    url: raw.url || raw.link,
+    title: raw.title,
+    summary: raw.summary || raw.description,
+    publishedAt: toDate(raw.publishedAt || raw.date),
+    location: coordinates
+      ? toLocation(coordinates[1], coordinates[0])
+      : toLocation(raw.lat ?? raw.latitude, raw.lng ?? raw.lon ?? raw.longitude),
+    typeHint: raw.type,
+    severityHint: Number.isFinite(severity) && severity >= 0 && severity <= 1 ? severity : undefined,
+  };
+}
+
+// Move a processed drop file into processed/ or failed/ next to it
+async function archiveDropFile(dir, file, folder) {
+  await fs.promises.mkdir(path.join(dir, folder), { recursive: true });
+  await fs.promises.rename(path.join(dir, file), path.join(dir, folder, `${Date.now()}-${file}`));
+}
+
+// ---------------------------------------------------------------------------
+// Adapters
+// ---------------------------------------------------------------------------
+
+const ADAPTERS = {
+  rss: {
+    validate: (feed) => (isHttpUrl(feed.url) ? null : 'RSS/Atom feeds need an http(s) url'),
+    async fetch(feed) {
+      const items = parseSyndicationFeed(await getText(feed.url));
+      return { items: items.map(({ raw, ...item }) => item) };
+    },
+  },
+
+  // A CAP document, or an RSS/Atom index whose entries embed or link to CAP alerts
+  cap: {
+    validate: (feed) => (isHttpUrl(feed.url) ? null : 'CAP feeds need an http(s) url'),
+    async fetch(feed, { seen }) {
+      const xml = await getText(feed.url);
+      if (/<(?:\w+:)?alert\b/.test(xml) && !/<(?:\w+:)?(rss|feed)\b/.test(xml)) {
+        return { items: parseCapAlerts(xml, undefined) };
+      }
+
+      const items = [];
+      let fetched = 0;
+      for (const entry of parseSyndicationFeed(xml)) {
+        if (/<(?:\w+:)?alert\b/.test(entry.raw)) {
+          items.push(...parseCapAlerts(entry.raw, entry.url));
+          continue;
+        }
+        if (!isHttpUrl(entry.url) || await seen(entry.url)) continue;
+        if (fetched++ >= MAX_CAP_DOCUMENTS_PER_RUN) break; // The rest is picked up next run
+        try {
+          items.push(...parseCapAlerts(await getText(entry.url), entry.url));
+        } catch (err) {
+          console.error(`CAP document ${entry.url} could not be fetched:`, err.message);
+        }
+      }
+      return { items };
+    },
+  },
+
+  'json-drop': {
+    validate: (feed) => (resolveDropDir(feed.dropDir) ? null : 'JSON drop feeds need a dropDir folder name (inside FEED_DROP_DIR)'),
+    async fetch(feed) {
+      const dir = resolveDropDir(feed.dropDir);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const files = (await fs.promises.readdir(dir)).filter(f => f.toLowerCase().endsWith('.json')).sort();
+
+      const items = [];
+      const processed = []; // { file, end: index after its last item }
+      for (const file of files) {
+        try {
+          const data = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+          const rows = Array.isArray(data) ? data : (data && Array.isArray(data.items) ? data.items : null);
+          if (!rows) throw new Error('expected an array or { items: [...] }');
+          items.push(...rows.filter(r => r && typeof r === 'object').map(normaliseJsonItem));
+          processed.push({ file, end: items.length });
+        } catch (err) {
+          console.error(`Drop file ${file} rejected:`, err.message);
+          await archiveDropFile(dir, file, 'failed').catch(e => console.error(`Could not move ${file}:`, e.message));
+        }
+      }
+
+      return {
+        items,
+        // Files with items left over stay in place and are read again next run
+        commit: async (count) => {
+          for (const { file, end } of processed) {
+            if (end <= count) await archiveDropFile(dir, file, 'processed');
+          }
+        },
+      };
+    },
+  },
+
+  newsapi: {
+    validate: (feed) => {
+      if (!NEWS_API_KEY) return 'NEWS_API_KEY is not configured';
+      return feed.query || (feed.area && feed.area.name) ? null : 'NewsAPI feeds need a query or an area name';
+    },
+    async fetch(feed) {
+      const response = await httpGet(NEWS_URL, {
+        params: {
+          q: feed.query || `${feed.area.name} AND (crime OR accident OR riot OR flood OR fire)`,
+          sortBy: 'publishedAt',
+          apiKey: NEWS_API_KEY,
+          language: 'en',
+        },
+      });
+      return {
+        items: (response.data.articles || []).map(article => ({
+          url: article.url,
+          title: article.title,
+          summary: article.description,
+          publishedAt: toDate(article.publishedAt),
+          location: null,
+        })),
+      };
+    },
+  },
+};
+
+/**
+ * Adapter by name.
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getAdapter(name) {
+  return Object.prototype.hasOwnProperty.call(ADAPTERS, name) ? ADAPTERS[name] : null;
+}
+
+module.exports = {
+  ADAPTER_NAMES: Object.keys(ADAPTERS),
+  getAdapter,
+  parseSyndicationFeed,
+  parseCapAlerts,
+  normaliseJsonItem,
+};
@@ -0,0 +1,511 @@
+const axios = require('axios');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const Incident = require('../models/Incident');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { getAdapter, ADAPTER_NAMES } = require('./feedAdapterService');
+const { enqueueLocation } = require('./riskEngineService');
+const { findClusterFor, addToCluster } = require('./incidentClusterService');
+const { sha256Hex } = require('../utils/hash');
+
+/**
+ * Feed Ingestion Service
+ *
+ * Turns external sources (RSS/Atom, CAP alert feeds, JSON drop folders,
+ * NewsAPI - see feedAdapterService) into incidents. Each enabled feed runs on
+ * its own cron schedule:
+ *
+ *   1. the adapter fetches and normalises the items
+ *   2. items already seen (same link, or same title + summary) are dropped
+ *   3. keyword rules pick the Incident type and severity
+ *   4. the item is placed: coordinates from the feed, else a place named in
+ *      the text geocoded near the feed's area, else the area itself if the
+ *      text mentions it
+ *   5. a verified Incident is created with the feed's name as source; if it
+ *      duplicates a recent incident nearby, it joins that incident's cluster
+ *      (see incidentClusterService) so the same event counts once
+ *
+ * Every new item is kept as a FeedItem (ingested, unclassified, unlocated or
+ * failed) so authorities can review what a feed brought in. Failed items are
+ * retried on the next run.
+ */
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search'; // OpenStreetMap Geocoding API
+const GEOCODE_INTERVAL_MS = 1000; // Nominatim usage policy: 1 request per second
+const GEOCODE_VIEWBOX_DEG = 0.5;  // Geocoded places must lie this close to the feed's area
+
+const MAX_ITEMS_PER_RUN = 200;
+const MAX_SUMMARY_LENGTH = 2000;
+
+const EDITABLE_FIELDS = ['name', 'adapter', 'url', 'dropDir', 'query', 'schedule', 'area', 'geocode', 'rules', 'enabled'];
+
+// Checked in order: the first rule with a matching keyword wins
+const DEFAULT_RULES = [
+  { type: 'riot', severity: 0.8, keywords: ['riot*', 'protest*', 'mob', 'mobs', 'unrest', 'stampede*', 'curfew'] },
+  { type: 'assault', severity: 0.95, keywords: ['murder*', 'assault*', 'rape*', 'attack*', 'shoot*', 'stab*', 'kidnap*'] },
+  { type: 'theft', severity: 0.4, keywords: ['theft*', 'thief', 'thieves', 'robbery', 'robbed', 'burglar*', 'snatch*', 'pickpocket*'] },
+  { type: 'accident', severity: 0.6, keywords: ['accident*', 'crash*', 'collision*', 'derail*'] },
+  { type: 'natural_disaster', severity: 0.9, keywords: ['flood*', 'fire', 'fires', 'wildfire*', 'earthquake*', 'cyclone*', 'landslide*', 'avalanche*', 'cloudburst*', 'tsunami*'] },
+];
+
+const INCIDENT_TYPES = Incident.schema.path('type').enumValues;
+
+const tasks = new Map();     // feed id -> cron task
+const running = new Set();   // feed ids with a run in progress
+let lastGeocodeAt = 0;
+
+// ---------------------------------------------------------------------------
+// Normalisation and deduplication
+// ---------------------------------------------------------------------------
+
+const stripHtml = (text) => String(text || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Canonical form of a link: tracking parameters and fragment removed.
+ * @param {string} url
+ * @returns {string|undefined}
+ */
+function normaliseUrl(url) {
+  if (!url) return undefined;
+  try {
+    const parsed = new URL(String(url).trim());
+    if (!['http:', 'https:'].includes(parsed.protocol)) return undefined;
+    parsed.hash = '';
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$)/i.test(key)) parsed.searchParams.delete(key);
+    }
+    return parsed.toString();
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Hash identifying an item's content regardless of its source or link.
+ * @param {string} title
+ * @param {string} summary
+ * @returns {string} sha256 hex
+ */
+function contentHash(title, summary) {
+  const normalise = (text) => stripHtml(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return sha256Hex(`${normalise(title)}\n${normalise(summary)}`);
+}
+
+// ---------------------------------------------------------------------------
+// Classification
+// ---------------------------------------------------------------------------
+
+// "burglar*" -> prefix match, "mob" -> whole word only
+const keywordPattern = (keyword) => {
+  const prefix = keyword.endsWith('*');
+  const word = keyword.replace(/\*$/, '').trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}])${word}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`, 'u');
+};
+
+/**
+ * Incident type and severity of an item's text.
+ * @param {string} text Title and summary
+ * @param {object[]} rules [{ type, severity, keywords }], in priority order
+ * @returns {object|null} { type, severity, matchedKeywords }
+ */
+function classify(text, rules = DEFAULT_RULES) {
+  const lower = String(text || '').toLowerCase();
+  for (const rule of rules) {
+    const matchedKeywords = rule.keywords.filter(keyword => keywordPattern(keyword).test(lower));
+    if (matchedKeywords.length > 0) {
+      return { type: rule.type, severity: rule.severity, matchedKeywords };
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Location
+// ---------------------------------------------------------------------------
+
+/**
+ * Find a place named in the text ("in/at/near <Place>") and geocode it near the area.
+ * @param {string} text
+ * @param {object} area { name, lat, lng }
+ * @returns {Promise<object|null>} { lat, lng }
+ */
+async function geocodeText(text, area) {
+  // Simple NLP: run of capitalised words after "in", "at" or "near"
+  const locationRegex = /\b(?:in|at|near)\s+([A-Z][a-zA-Z]+(?:\s+[A-Z][a-zA-Z]+)*)/g;
+  let match;
+  let place = null;
+  while ((match = locationRegex.exec(text)) !== null) {
+    const candidate = match[1].trim();
+    // Ignore common noise words
+    if (['The', 'A', 'An', 'This', 'That', 'India', area.name].includes(candidate)) continue;
+    place = candidate;
+    break;
+  }
+  if (!place) return null;
+
+  const wait = lastGeocodeAt + GEOCODE_INTERVAL_MS - Date.now();
+  if (wait > 0) await new Promise(r => setTimeout(r, wait));
+  lastGeocodeAt = Date.now();
+
+  try {
+    const params = { q: `${place}, ${area.name}`, format: 'json', limit: 1 };
+    if (Number.isFinite(area.lat) && Number.isFinite(area.lng)) {
+      params.viewbox = [area.lng - GEOCODE_VIEWBOX_DEG, area.lat + GEOCODE_VIEWBOX_DEG, area.lng + GEOCODE_VIEWBOX_DEG, area.lat - GEOCODE_VIEWBOX_DEG].join(',');
+      params.bounded = 1;
+    }
+    const response = await axios.get(NOMINATIM_URL, {
+      params,
+      timeout: 10000,
+      headers: { 'User-Agent': 'TouristSafetyApp/1.0' } // Required by Nominatim policy
+    });
+    if (Array.isArray(response.data) && response.data.length > 0) {
+      return { lat: parseFloat(response.data[0].lat), lng: parseFloat(response.data[0].lon) };
+    }
+    console.log(`❌ Nominatim found nothing for: "${params.q}"`);
+  } catch (err) {
+    console.error("Geocoding Error:", err.message);
+  }
+  return null;
+}
+
+/**
+ * Where an item happened.
+ * @param {object} item Normalised item
+ * @param {object} feed
+ * @returns {Promise<object|null>} { lat, lng, method }
+ */
+async function locateItem(item, feed) {
+  if (item.location) return { ...item.location, method: 'feed' };
+
+  const area = feed.area || {};
+  if (!area.name) return null;
+  const text = `${item.title || ''} ${item.summary || ''}`;
+
+  if (feed.geocode !== false) {
+    const geocoded = await geocodeText(text, area);
+    if (geocoded) return { ...geocoded, method: 'geocoded' };
+  }
+  if (Number.isFinite(area.lat) && Number.isFinite(area.lng) && text.toLowerCase().includes(area.name.toLowerCase())) {
+    return { lat: area.lat, lng: area.lng, method: 'area' };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+/**
+ * Store one item (and its incident), unless it was seen before.
+ * @returns {Promise<object|null>} FeedItem (status 'failed' if its incident could not be stored), null for a duplicate
+ */
+async function ingestItem(feed, item) {
+  const url = normaliseUrl(item.url);
+  const title = stripHtml(item.title).slice(0, 500);
+  const summary = stripHtml(item.summary).slice(0, MAX_SUMMARY_LENGTH);
+  if (!title) return null;
+
+  const hash = contentHash(title, summary);
+  const seen = await FeedItem.find(url ? { $or: [{ url }, { contentHash: hash }] } : { contentHash: hash }).select('status').lean();
+  if (seen.some(existing => existing.status !== 'failed')) return null;
+  // Earlier attempt whose incident could not be stored: try again
+  if (seen.length > 0) await FeedItem.deleteMany({ _id: { $in: seen.map(existing => existing._id) } });
+
+  const rules = feed.rules && feed.rules.length > 0 ? feed.rules : DEFAULT_RULES;
+  let classification = classify(`${title} ${summary}`, rules);
+  if (!classification && INCIDENT_TYPES.includes(item.typeHint)) {
+    classification = { type: item.typeHint, severity: 0.5, matchedKeywords: [] };
+  }
+  if (classification && item.severityHint !== undefined) {
+    classification.severity = item.severityHint;
+  }
+  const location = classification ? await locateItem({ ...item, title, summary }, feed) : null;
+
+  let feedItem;
+  try {
+    feedItem = await FeedItem.create({
+      feed: feed._id,
+      url,
+      contentHash: hash,
+      externalId: item.externalId,
+      title,
+      summary,
+      publishedAt: item.publishedAt,
+      status: !classification ? 'unclassified' : (location ? 'ingested' : 'unlocated'),
+      type: classification ? classification.type : undefined,
+      severity: classification ? classification.severity : undefined,
+      matchedKeywords: classification ? classification.matchedKeywords : undefined,
+      location: location || undefined,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // Stored meanwhile by another feed
+    throw err;
+  }
+  if (feedItem.status !== 'ingested') return feedItem;
+
+  let incident;
+  let cluster = null;
+  try {
+    incident = new Incident({
+      title,
+      type: classification.type,
+      location: { type: 'Point', coordinates: [location.lng, location.lat] },
+      severity: classification.severity,
+      timestamp: item.publishedAt && item.publishedAt <= new Date() ? item.publishedAt : new Date(),
+      source: feed.name,
+    });
+
+    // Another feed (or tourists) already reported it: join that cluster.
+    // An unreviewed report never absorbs a trusted one.
+    const canonical = await findClusterFor(incident, { statuses: ['verified'] });
+    if (canonical) incident.mergedInto = canonical._id;
+    else incident.lastReportedAt = incident.timestamp;
+
+    await incident.save();
+    if (canonical) cluster = await addToCluster(canonical._id, incident);
+  } catch (err) {
+    console.error(`Feed item "${title}" could not be stored as an incident:`, err.message);
+    feedItem.status = 'failed';
+    feedItem.error = err.message;
+    await feedItem.save();
+    return feedItem;
+  }
+  feedItem.incident = incident._id;
+  await feedItem.save();
+
+  enqueueLocation(location.lat, location.lng).catch(err => console.error("Risk update failed:", err));
+
+  const realtimeService = require('./realtimeService');
+  realtimeService.emitIncidentReported({
+    id: incident._id,
+    title: incident.title,
+    type: incident.type,
+    severity: incident.severity >= 0.8 ? 'critical' : (incident.severity >= 0.6 ? 'high' : 'medium'),
+    location: { lat: location.lat, lng: location.lng },
+    timestamp: incident.timestamp,
+    status: incident.status,
+    source: incident.source,
+    mergedInto: incident.mergedInto,
+    reportCount: cluster ? cluster.reportCount : incident.reportCount
+  }).catch(err => console.error("Socket emit error:", err));
+
+  return feedItem;
+}
+
+/**
+ * Fetch a feed now and ingest its new items. Runs of the same feed never overlap.
+ * @param {string} feedId
+ * @returns {Promise<object|null>} The feed's lastRun, null if a run was already in progress
+ * @throws {CustomError} 404
+ */
+async function runFeed(feedId) {
+  const feed = mongoose.isValidObjectId(feedId) ? await Feed.findById(feedId) : null;
+  if (!feed) throw new CustomError(404, 'Feed not found');
+
+  const key = String(feed._id);
+  if (running.has(key)) return null;
+  running.add(key);
+
+  const counts = { fetched: 0, ingested: 0, duplicates: 0, skipped: 0, failed: 0 };
+  const startedAt = new Date();
+
+  try {
+    feed.lastRun = { startedAt, status: 'running' };
+    await feed.save();
+
+    const adapter = getAdapter(feed.adapter);
+    const problem = adapter ? adapter.validate(feed) : `Unknown adapter '${feed.adapter}'`;
+    if (problem) throw new Error(problem);
+
+    const { items, commit } = await adapter.fetch(feed, {
+      seen: async (url) => Boolean(await FeedItem.exists({ url: normaliseUrl(url), status: { $ne: 'failed' } }))
+    });
+    counts.fetched = items.length;
+
+    const batch = items.slice(0, MAX_ITEMS_PER_RUN);
+    for (const item of batch) {
+      let stored;
+      try {
+        stored = await ingestItem(feed, item);
+      } catch (err) {
+        console.error(`Feed ${feed.name} item could not be stored:`, err.message);
+        counts.failed++;
+        continue;
+      }
+      if (!stored) counts.duplicates++;
+      else if (stored.status === 'ingested') counts.ingested++;
+      else if (stored.status === 'failed') counts.failed++;
+      else counts.skipped++;
+    }
+    // Items beyond the batch are left to the next run
+    if (commit) await commit(batch.length);
+
+    feed.lastRun = { startedAt, ...counts, status: 'ok', finishedAt: new Date() };
+    console.log(`📰 Feed ${feed.name}: ${counts.ingested} incidents from ${counts.fetched} items (${counts.duplicates} duplicates, ${counts.skipped} skipped, ${counts.failed} failed)`);
+  } catch (err) {
+    console.error(`❌ Feed ${feed.name} failed:`, err.message);
+    feed.lastRun = { startedAt, ...counts, status: 'failed', error: err.message, finishedAt: new Date() };
+  } finally {
+    running.delete(key);
+  }
+
+  await feed.save();
+  return feed.toObject().lastRun;
+}
+
+// ---------------------------------------------------------------------------
+// Scheduling
+// ---------------------------------------------------------------------------
+
+/**
+ * (Re)schedule a feed after it changed; disabled feeds are unscheduled.
+ * @param {object} feed
+ */
+function scheduleFeed(feed) {
+  const key = String(feed._id);
+  const existing = tasks.get(key);
+  if (existing) {
+    existing.destroy();
+    tasks.delete(key);
+  }
+  if (!feed.enabled) return;
+
+  tasks.set(key, cron.schedule(feed.schedule, () => {
+    runFeed(key).catch(err => console.error(`Feed ${feed.name} run error:`, err));
+  }, { name: `feed:${key}` }));
+}
+
+/**
+ * Schedule every enabled feed (on server start).
+ * @returns {Promise<number>} Feeds scheduled
+ */
+async function startFeedScheduler() {
+  const feeds = await Feed.find({ enabled: true }).select('name schedule enabled').lean();
+  for (const feed of feeds) {
+    if (cron.validate(feed.schedule)) scheduleFeed(feed);
+    else console.error(`Feed ${feed.name} has an invalid schedule '${feed.schedule}'`);
+  }
+  console.log(`📰 ${feeds.length} incident feed(s) scheduled`);
+  return feeds.length;
+}
+
+// ---------------------------------------------------------------------------
+// Feed management
+// ---------------------------------------------------------------------------
+
+// Shape and rule checks the schema does not cover
+function assertFeedSettings(feed) {
+  if (!cron.validate(feed.schedule)) {
+    throw new CustomError(400, `schedule '${feed.schedule}' is not a valid cron expression`);
+  }
+  const adapter = getAdapter(feed.adapter);
+  if (!adapter) throw new CustomError(400, `adapter must be one of: ${ADAPTER_NAMES.join(', ')}`);
+  // Incomplete settings are fine until the feed is enabled
+  const problem = feed.enabled ? adapter.validate(feed) : null;
+  if (problem) throw new CustomError(400, problem);
+
+  const area = feed.area || {};
+  if ((area.lat !== undefined || area.lng !== undefined) &&
+    (!Number.isFinite(area.lat) || !Number.isFinite(area.lng) || Math.abs(area.lat) > 90 || Math.abs(area.lng) > 180)) {
+    throw new CustomError(400, 'area lat and lng must be valid coordinates');
+  }
+  for (const rule of feed.rules || []) {
+    if (!rule.keywords || rule.keywords.filter(k => String(k).replace(/\*$/, '').trim()).length === 0) {
+      throw new CustomError(400, `Rule for '${rule.type}' needs at least one keyword`);
+    }
+  }
+}
+
+/**
+ * Create a feed, or edit one when `feedId` is given, and reschedule it.
+ * @param {string|null} feedId
+ * @param {object} input Any of EDITABLE_FIELDS
+ * @param {object} options { actor }
+ * @returns {Promise<object>} Feed
+ * @throws {CustomError} 400 invalid settings, 404, 409 duplicate name
+ */
+async function saveFeed(feedId, input = {}, { actor } = {}) {
+  const unknown = Object.keys(input).filter(f => !EDITABLE_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw new CustomError(400, `Cannot set ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  let feed;
+  if (feedId) {
+    feed = mongoose.isValidObjectId(feedId) ? await Feed.findById(feedId) : null;
+    if (!feed) throw new CustomError(404, 'Feed not found');
+    feed.set(input);
+  } else {
+    feed = new Feed(input);
+  }
+  feed.updatedBy = actor || { type: 'system', id: 'feed-ingestion-service', name: 'System' };
+
+  const validationError = feed.validateSync();
+  if (validationError) throw new CustomError(400, validationError.message);
+  assertFeedSettings(feed);
+
+  try {
+    await feed.save();
+  } catch (err) {
+    if (err.code === 11000) throw new CustomError(409, `A feed named '${feed.name}' already exists`);
+    throw err;
+  }
+
+  scheduleFeed(feed);
+  return feed;
+}
+
+/**
+ * All feeds with their last run, by name.
+ * @returns {Promise<object[]>}
+ */
+async function listFeeds() {
+  const feeds = await Feed.find().sort({ name: 1 }).lean();
+  return feeds.map(feed => ({ ...feed, running: running.has(String(feed._id)) }));
+}
+
+/**
+ * Items a feed brought in, newest first.
+ * @param {string} feedId
+ * @param {object} options { status, page, limit }
+ * @returns {Promise<object>} { items, total }
+ * @throws {CustomError} 404
+ */
+async function listFeedItems(feedId, { status, page = 1, limit = 20 } = {}) {
+  if (!mongoose.isValidObjectId(feedId) || !(await Feed.exists({ _id: feedId }))) {
+    throw new CustomError(404, 'Feed not found');
+  }
+  const query = { feed: feedId };
+  if (status) query.status = status;
+
+  const [items, total] = await Promise.all([
+    FeedItem.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('incident', 'status severity resolvedAt mergedInto')
+      .lean(),
+    FeedItem.countDocuments(query)
+  ]);
+  return { items, total };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  EDITABLE_FIELDS,
+  normaliseUrl,
+  contentHash,
+  classify,
+  runFeed,
+  scheduleFeed,
+  startFeedScheduler,
+  saveFeed,
+  listFeeds,
+  listFeedItems,
+};
@@ -0,0 +1,240 @@
+const { Geofence } = require('../models/Geofence');
+const Tourist = require('../models/Tourist');
+const Transition = require('../models/Transition');
+const { calculateDistance } = require('./safetyScoreService');
+const { isPointInPolygon, distanceToPolygonBoundary } = require('../utils/geo');
+const { canStoreLocation } = require('./locationConsentService');
+const { retentionExpiry } = require('./locationTrailService');
+
+/**
+ * Geofence Evaluation Service
+ *
+ * Checks each realtime location update against the tourist's active safe-zone
+ * geofences:
+ *   - static destination geofences (createDestinationGeofence)
+ *   - today's itinerary geofences of the tourist and of their tour group
+ * Circle fences use coords + radiusKm, polygon fences use polygonCoords.
+ * Entries and exits are recorded in Transition ('geofence-entry' /
+ * 'geofence-exit') for tourists who consented to location storage, with the
+ * trail's retention; an exit returns an event carrying the fence's alertMessage.
+ */
+
+const ENTRY_EVENT_TYPE = 'geofence-entry';
+const EXIT_EVENT_TYPE = 'geofence-exit';
+
+const EXIT_BUFFER_M = 30;                     // Must be this far outside before an exit counts (GPS jitter)
+const STATIC_CACHE_TTL_MS = 5 * 60 * 1000;    // Static fences change rarely
+const TOURIST_CACHE_TTL_MS = 5 * 60 * 1000;   // Itinerary fences of one tourist
+
+let staticCache = { fences: [], loadedAt: 0 };
+let touristCache = new Map(); // touristId -> { fences, loadedAt }
+let insideStates = new Map();  // touristId -> Set of geofence ids the tourist is inside
+let queues = new Map();        // touristId -> Promise (serialises evaluations per tourist)
+
+/**
+ * Normalise a Geofence document into what the evaluator needs.
+ * @returns {object|null} null for fences without usable geometry
+ */
+function toFence(doc) {
+  const fence = {
+    id: doc._id.toString(),
+    name: doc.name,
+    sourceType: doc.sourceType || 'static',
+    alertMessage: doc.alertMessage,
+  };
+
+  if (doc.type === 'polygon') {
+    const ring = (doc.polygonCoords || []).filter(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+    if (ring.length < 3) return null;
+    fence.shape = 'polygon';
+    fence.ring = ring;
+    return fence;
+  }
+
+  if (!Array.isArray(doc.coords) || doc.coords.length !== 2 || !(doc.radiusKm > 0)) return null;
+  fence.shape = 'circle';
+  fence.center = { lat: doc.coords[0], lng: doc.coords[1] };
+  fence.radiusM = doc.radiusKm * 1000;
+  return fence;
+}
+
+async function getStaticFences() {
+  if (Date.now() - staticCache.loadedAt < STATIC_CACHE_TTL_MS) return staticCache.fences;
+
+  const docs = await Geofence.find({
+    isActive: true,
+    $or: [{ sourceType: { $exists: false } }, { sourceType: 'static' }],
+  }).select('name type coords radiusKm polygonCoords alertMessage sourceType').lean();
+
+  staticCache = { fences: docs.map(toFence).filter(Boolean), loadedAt: Date.now() };
+  return staticCache.fences;
+}
+
+async function getItineraryFences(touristId) {
+  const cached = touristCache.get(touristId);
+  if (cached && Date.now() - cached.loadedAt < TOURIST_CACHE_TTL_MS) return cached.fences;
+
+  const tourist = await Tourist.findOne({ touristId }).select('role groupId ownedGroupId').lean();
+  const groupId = tourist && (tourist.role === 'tour-admin' ? tourist.ownedGroupId : tourist.groupId);
+  const owners = [{ ownerId: touristId, ownerType: 'Tourist' }];
+  if (groupId) owners.push({ ownerId: groupId.toString(), ownerType: 'TourGroup' });
+
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const docs = await Geofence.find({
+    sourceType: 'itinerary',
+    isActive: true,
+    $or: owners,
+    scheduledDate: { $gte: start, $lt: end },
+  }).select('name type coords radiusKm polygonCoords alertMessage sourceType').lean();
+
+  const fences = docs.map(toFence).filter(Boolean);
+  touristCache.set(touristId, { fences, loadedAt: Date.now() });
+  return fences;
+}
+
+/**
+ * Signed distance from the fence boundary: negative inside, positive outside.
+ */
+function boundaryDistance(fence, lat, lng) {
+  if (fence.shape === 'circle') {
+    return calculateDistance(lat, lng, fence.center.lat, fence.center.lng) - fence.radiusM;
+  }
+  const distance = distanceToPolygonBoundary(lat, lng, fence.ring);
+  return isPointInPolygon(lat, lng, fence.ring) ? -distance : distance;
+}
+
+/**
+ * Geofences the tourist was last recorded inside (restores state after a
+ * reconnect or server restart instead of re-recording entries).
+ */
+async function loadInsideState(touristId, fences) {
+  if (fences.length === 0) return new Set();
+
+  const last = await Transition.aggregate([
+    {
+      $match: {
+        digitalId: touristId,
+        eventType: { $in: [ENTRY_EVENT_TYPE, EXIT_EVENT_TYPE] },
+        'metadata.geofenceId': { $in: fences.map(f => f.id) },
+      },
+    },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$metadata.geofenceId', eventType: { $first: '$eventType' } } },
+  ]);
+
+  return new Set(last.filter(t => t.eventType === ENTRY_EVENT_TYPE).map(t => t._id));
+}
+
+async function evaluate(touristId, location) {
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+  const fences = [...await getStaticFences(), ...await getItineraryFences(touristId)];
+
+  let inside = insideStates.get(touristId);
+  if (!inside) {
+    inside = await loadInsideState(touristId, fences);
+    insideStates.set(touristId, inside);
+  }
+
+  const now = new Date();
+  const transitions = [];
+
+  for (const fence of fences) {
+    const distance = boundaryDistance(fence, lat, lng);
+    const wasInside = inside.has(fence.id);
+
+    if (!wasInside && distance <= 0) {
+      inside.add(fence.id);
+      transitions.push({ fence, eventType: ENTRY_EVENT_TYPE });
+    } else if (wasInside && distance > EXIT_BUFFER_M) {
+      inside.delete(fence.id);
+      transitions.push({ fence, eventType: EXIT_EVENT_TYPE, distance: Math.round(distance) });
+    }
+  }
+
+  // Fences that disappeared (expired day, deactivated) are forgotten silently
+  const activeIds = new Set(fences.map(f => f.id));
+  for (const id of inside) {
+    if (!activeIds.has(id)) inside.delete(id);
+  }
+
+  if (transitions.length === 0) return [];
+
+  // Without consent the events are still sent, only not stored
+  if (await canStoreLocation({ touristId })) {
+    await Transition.insertMany(transitions.map(t => ({
+      digitalId: touristId,
+      eventType: t.eventType,
+      location: { latitude: lat, longitude: lng },
+      timestamp: now,
+      receivedAt: now,
+      metadata: {
+        geofenceId: t.fence.id,
+        geofenceName: t.fence.name,
+        sourceType: t.fence.sourceType,
+        source: 'server',
+      },
+      expiresAt: retentionExpiry(now.getTime()),
+    })));
+  }
+
+  return transitions.map(t => ({
+    event: t.eventType === ENTRY_EVENT_TYPE ? 'geofenceEntry' : 'geofenceExit',
+    payload: {
+      geofenceId: t.fence.id,
+      name: t.fence.name,
+      sourceType: t.fence.sourceType,
+      alertMessage: t.eventType === EXIT_EVENT_TYPE ? t.fence.alertMessage : undefined,
+      distanceOutside: t.distance,
+      location: { lat, lng },
+    },
+  }));
+}
+
+/**
+ * Evaluate a location update against the tourist's active geofences.
+ * Evaluations for the same tourist run one after another.
+ * @param {string} touristId Business tourist ID
+ * @param {object} location { lat, lng }
+ * @returns {Promise<Array>} [{ event: 'geofenceEntry' | 'geofenceExit', payload }]
+ */
+function evaluateLocation(touristId, location) {
+  if (!touristId || !location) return Promise.resolve([]);
+
+  const previous = queues.get(touristId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => evaluate(touristId, location));
+  queues.set(touristId, run);
+  run.finally(() => {
+    if (queues.get(touristId) === run) queues.delete(touristId);
+  }).catch(() => {});
+  return run;
+}
+
+/**
+ * Forget cached fences and state for a tourist (e.g. on disconnect or after
+ * their itinerary changed).
+ * @param {string} touristId
+ */
+function resetTourist(touristId) {
+  touristCache.delete(touristId);
+  insideStates.delete(touristId);
+}
+
+/**
+ * Drop the static geofence cache (e.g. after a destination geofence was created).
+ */
+function invalidateStaticFences() {
+  staticCache = { fences: [], loadedAt: 0 };
+}
+
+module.exports = {
+  evaluateLocation,
+  resetTourist,
+  invalidateStaticFences,
+};
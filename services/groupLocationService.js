@@ -0,0 +1,243 @@
+const TourGroup = require('../models/TourGroup');
+const { Geofence } = require('../models/Geofence');
+const { calculateDistance } = require('./safetyScoreService');
+const { canStoreLocation, forgetConsent } = require('./locationConsentService');
+const { decrypt } = require('../utils/encrypt');
+const { GROUP_STRAY_DISTANCE_METERS } = require('../config/config');
+const realtimeService = require('./realtimeService');
+
+/**
+ * Group Location Service
+ *
+ * Keeps TourGroup.members[].lastKnownLocation up to date from realtime
+ * location updates and runs the stray detection sweep: a member is "stray"
+ * when they drift further than the configured distance from the rest of the
+ * group (centroid of the other members) or from every one of the day's
+ * itinerary geofences. The tour admin is alerted once when a member strays
+ * and once when they are back.
+ */
+
+// Persist throttling (members move a lot, the dashboard doesn't need every fix)
+const MIN_PERSIST_INTERVAL_MS = 15 * 1000;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const MIN_PERSIST_DISTANCE_M = 50;
+
+// Stray detection
+const STRAY_DISTANCE_M = Number(GROUP_STRAY_DISTANCE_METERS) || 1000;
+const CLEAR_RATIO = 0.8;                      // Must come back within 80% of the distance to clear (no flapping)
+const LOCATION_STALE_MS = 10 * 60 * 1000;     // Positions older than this are ignored
+const MIN_OTHERS_FOR_CENTROID = 2;            // A centroid of one other member says nothing
+
+let lastPersisted = new Map(); // touristObjectId -> { lat, lng, at }
+let sweepRunning = false;
+
+/**
+ * Store a group member's latest position (throttled). A no-op for tourists
+ * that are not in the group's members list (e.g. the tour admin) and for
+ * members who did not consent to tracking and data retention.
+ * @param {ObjectId|string} touristObjectId Tourist _id
+ * @param {string} groupId TourGroup _id
+ * @param {object} location { lat, lng }
+ * @returns {Promise<boolean>} Whether the position was written
+ */
+async function recordMemberLocation(touristObjectId, groupId, location) {
+  if (!touristObjectId || !groupId || !location) return false;
+
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return false;
+
+  const key = touristObjectId.toString();
+  const now = Date.now();
+  const last = lastPersisted.get(key);
+
+  if (last) {
+    const elapsed = now - last.at;
+    if (elapsed < MIN_PERSIST_INTERVAL_MS) return false;
+
+    const moved = calculateDistance(last.lat, last.lng, lat, lng);
+    if (elapsed < HEARTBEAT_INTERVAL_MS && moved < MIN_PERSIST_DISTANCE_M) return false;
+  }
+
+  if (!(await canStoreLocation({ _id: key }))) return false;
+
+  lastPersisted.set(key, { lat, lng, at: now });
+
+  const result = await TourGroup.updateOne(
+    { _id: groupId, 'members.touristId': touristObjectId },
+    {
+      $set: {
+        'members.$.lastKnownLocation': {
+          type: 'Point',
+          coordinates: [lng, lat],
+          updatedAt: new Date(now),
+        },
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Forget throttling state and cached consent for a member (e.g. once all their sockets disconnect).
+ * @param {ObjectId|string} touristObjectId
+ */
+function resetThrottle(touristObjectId) {
+  if (!touristObjectId) return;
+  lastPersisted.delete(touristObjectId.toString());
+  forgetConsent({ _id: touristObjectId.toString() });
+}
+
+// [lat, lng] of a member's stored position
+const toLatLng = (member) => {
+  const [lng, lat] = member.lastKnownLocation.coordinates;
+  return { lat, lng };
+};
+
+/**
+ * Today's itinerary geofences of a group (circle centres + radii).
+ */
+async function getTodaysGeofences(groupId) {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const fences = await Geofence.find({
+    sourceType: 'itinerary',
+    ownerId: groupId,
+    ownerType: 'TourGroup',
+    scheduledDate: { $gte: start, $lt: end },
+    isActive: true,
+  }).select('name coords radiusKm').lean();
+
+  return fences.filter(f => Array.isArray(f.coords) && f.coords.length === 2);
+}
+
+/**
+ * Why a member is away from their group, given the distance limit.
+ * @returns {object} { reasons: [], distanceFromGroup, distanceFromItinerary }
+ */
+function evaluateMember(member, others, fences, limit) {
+  const { lat, lng } = toLatLng(member);
+  const reasons = [];
+  let distanceFromGroup = null;
+  let distanceFromItinerary = null;
+
+  if (others.length >= MIN_OTHERS_FOR_CENTROID) {
+    const points = others.map(toLatLng);
+    const centroid = {
+      lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+      lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+    };
+    distanceFromGroup = Math.round(calculateDistance(lat, lng, centroid.lat, centroid.lng));
+    if (distanceFromGroup > limit) reasons.push('group');
+  }
+
+  if (fences.length > 0) {
+    // Distance to the edge of the nearest geofence (0 when inside one)
+    distanceFromItinerary = Math.round(Math.min(...fences.map(f => Math.max(
+      0,
+      calculateDistance(lat, lng, f.coords[0], f.coords[1]) - (f.radiusKm || 0) * 1000
+    ))));
+    if (distanceFromItinerary > limit) reasons.push('itinerary');
+  }
+
+  return { reasons, distanceFromGroup, distanceFromItinerary };
+}
+
+/**
+ * Check every member of one group and alert the tour admin about changes.
+ */
+async function checkGroup(group) {
+  const now = Date.now();
+  const located = group.members.filter(m =>
+    m.touristId &&
+    m.lastKnownLocation && Array.isArray(m.lastKnownLocation.coordinates) && m.lastKnownLocation.coordinates.length === 2 &&
+    m.lastKnownLocation.updatedAt && now - new Date(m.lastKnownLocation.updatedAt).getTime() <= LOCATION_STALE_MS
+  );
+  if (located.length === 0) return;
+
+  const fences = await getTodaysGeofences(group._id);
+  const adminTouristId = group.adminId && group.adminId.touristId;
+
+  for (const member of located) {
+    // Members in SOS are already being handled through the SOS flow
+    if (member.status === 'SOS') continue;
+
+    const wasStray = !!(member.stray && member.stray.isStray);
+    const limit = wasStray ? STRAY_DISTANCE_M * CLEAR_RATIO : STRAY_DISTANCE_M;
+    const others = located.filter(m => m !== member);
+    const { reasons, distanceFromGroup, distanceFromItinerary } = evaluateMember(member, others, fences, limit);
+    const isStray = reasons.length > 0;
+
+    if (isStray === wasStray) continue;
+
+    const stray = isStray
+      ? { isStray: true, reasons, distanceFromGroup, distanceFromItinerary, since: new Date(now) }
+      : { isStray: false, reasons: [], distanceFromGroup, distanceFromItinerary, clearedAt: new Date(now) };
+
+    await TourGroup.updateOne(
+      { _id: group._id, 'members.touristId': member.touristId._id },
+      { $set: { 'members.$.stray': stray } }
+    );
+
+    const payload = {
+      groupId: group._id,
+      touristId: member.touristId.touristId,
+      name: member.touristId.nameEncrypted ? decrypt(member.touristId.nameEncrypted) : null,
+      location: toLatLng(member),
+      locationUpdatedAt: member.lastKnownLocation.updatedAt,
+      reasons,
+      distanceFromGroup,
+      distanceFromItinerary,
+      thresholdMeters: STRAY_DISTANCE_M,
+    };
+
+    await realtimeService.emitGroupAdminEvent(adminTouristId, isStray ? 'groupMemberStray' : 'groupMemberStrayCleared', payload);
+    console.log(`🧭 Group ${group._id}: member ${payload.touristId} ${isStray ? `strayed (${reasons.join(', ')})` : 'is back with the group'}`);
+  }
+}
+
+/**
+ * Periodic stray detection over groups whose trip is running. Intended to run
+ * every minute from app.js.
+ */
+async function runStraySweep() {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const now = new Date();
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const groups = await TourGroup.find({
+      isActive: true,
+      startDate: { $lte: now },
+      endDate: { $gte: startOfToday },
+      'members.lastKnownLocation.updatedAt': { $gte: new Date(now.getTime() - LOCATION_STALE_MS) },
+    })
+      .select('adminId members')
+      .populate('adminId', 'touristId')
+      .populate('members.touristId', 'touristId nameEncrypted')
+      .lean();
+
+    for (const group of groups) {
+      try {
+        await checkGroup(group);
+      } catch (err) {
+        console.error(`Stray detection failed for group ${group._id}:`, err);
+      }
+    }
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+module.exports = {
+  recordMemberLocation,
+  resetThrottle,
+  runStraySweep,
+};
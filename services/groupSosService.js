@@ -0,0 +1,111 @@
+const TourGroup = require('../models/TourGroup');
+const SOSAlert = require('../models/SOSAlertModel');
+const { decrypt } = require('../utils/encrypt');
+const realtimeService = require('./realtimeService');
+
+/**
+ * Group SOS Service
+ *
+ * Propagates a group member's SOS to the rest of their tour group:
+ *   - flips the member's TourGroup.members[].status to 'SOS' (and back once no
+ *     open SOS remains)
+ *   - emits group events to the per-group socket room `group:<groupId>`
+ *     (tour admin + members)
+ *
+ * The group is a tourist-facing audience: a duress "cancellation" is shown to
+ * the group as a normal cancellation, exactly like on the tourist's own phone.
+ */
+
+const OPEN_STATUSES = ['new', 'acknowledged', 'responding'];
+
+/**
+ * Group a tourist belongs to (as member) or manages (as tour admin).
+ * @param {object} tourist Tourist document with role / groupId / ownedGroupId
+ * @returns {string|null}
+ */
+function getGroupIdForTourist(tourist) {
+  if (!tourist) return null;
+  const groupId = tourist.role === 'tour-admin' ? tourist.ownedGroupId : tourist.groupId;
+  return groupId ? groupId.toString() : null;
+}
+
+/**
+ * Open SOS alerts for a set of tourists, as seen by their group.
+ * @param {Array} touristObjectIds Tourist _ids
+ * @returns {Promise<Array>} Lean SOSAlert documents
+ */
+async function getOpenGroupAlerts(touristObjectIds) {
+  if (!touristObjectIds || touristObjectIds.length === 0) return [];
+  return SOSAlert.find({
+    touristId: { $in: touristObjectIds },
+    status: { $in: OPEN_STATUSES },
+    'cancellation.isDuress': { $ne: true },
+  })
+    .select('touristId status location timestamp sosReason etaArrivalAt')
+    .sort({ timestamp: -1 })
+    .lean();
+}
+
+/**
+ * A tourist raised an SOS: mark them and tell their group.
+ * @param {object} tourist Tourist document (needs _id, touristId, role, groupId/ownedGroupId, nameEncrypted)
+ * @param {object} sosAlert The saved SOSAlert
+ */
+async function onSOSRaised(tourist, sosAlert) {
+  const groupId = getGroupIdForTourist(tourist);
+  if (!groupId) return;
+
+  // Tour admins are usually not in members[]; the update is then a no-op
+  await TourGroup.updateOne(
+    { _id: groupId, 'members.touristId': tourist._id },
+    { $set: { 'members.$.status': 'SOS' } }
+  );
+
+  await realtimeService.emitGroupEvent(groupId, 'groupMemberSOS', {
+    alertId: sosAlert._id,
+    touristId: tourist.touristId,
+    name: tourist.nameEncrypted ? decrypt(tourist.nameEncrypted) : null,
+    role: tourist.role,
+    status: sosAlert.status,
+    location: sosAlert.location,
+    sosReason: sosAlert.sosReason,
+    raisedAt: sosAlert.timestamp,
+  });
+  console.log(`👥 Group ${groupId} notified of SOS ${sosAlert._id} from ${tourist.touristId}`);
+}
+
+/**
+ * A tourist's SOS ended (resolved / cancelled / closed) as far as the group is
+ * concerned: tell the group and reset the member's status when nothing else is open.
+ * @param {object} alert SOSAlert (touristId may be populated)
+ * @param {string} status Status to report to the group
+ */
+async function onSOSEnded(alert, status) {
+  const Tourist = require('../models/Tourist');
+  const touristObjectId = alert.touristId && alert.touristId._id ? alert.touristId._id : alert.touristId;
+  const tourist = await Tourist.findById(touristObjectId).select('touristId role groupId ownedGroupId');
+  const groupId = getGroupIdForTourist(tourist);
+  if (!groupId) return;
+
+  const stillOpen = (await getOpenGroupAlerts([tourist._id])).filter(a => a._id.toString() !== alert._id.toString());
+  if (stillOpen.length === 0) {
+    await TourGroup.updateOne(
+      { _id: groupId, 'members.touristId': tourist._id, 'members.status': 'SOS' },
+      { $set: { 'members.$.status': 'active' } }
+    );
+  }
+
+  await realtimeService.emitGroupEvent(groupId, 'groupMemberSOSUpdated', {
+    alertId: alert._id,
+    touristId: tourist.touristId,
+    status,
+    memberStatus: stillOpen.length === 0 ? 'active' : 'SOS',
+  });
+}
+
+module.exports = {
+  getGroupIdForTourist,
+  getOpenGroupAlerts,
+  onSOSRaised,
+  onSOSEnded,
+};
@@ -0,0 +1,110 @@
+const Incident = require('../models/Incident');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { INCIDENT_CLUSTER_RADIUS_METERS, INCIDENT_CLUSTER_WINDOW_MINUTES } = require('../config/config');
+
+/**
+ * Incident Cluster Service
+ *
+ * Tourists often report the same theft or accident several times within
+ * minutes. A report of the same type within CLUSTER_RADIUS_M of an incident
+ * whose latest report is at most CLUSTER_WINDOW_MS old joins that incident's
+ * cluster: it is stored with mergedInto pointing at the canonical incident,
+ * which keeps the report count. Only canonical incidents count towards risk,
+ * so a burst of duplicates weighs as one event (their reporters still
+ * corroborate it, see incidentModerationService).
+ */
+
+const CLUSTER_RADIUS_M = Number(INCIDENT_CLUSTER_RADIUS_METERS) || 300;
+const CLUSTER_WINDOW_MS = (Number(INCIDENT_CLUSTER_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Canonical incident a new report duplicates, if any (the most recently
+ * reported one when several are in range).
+ * @param {object} report Unsaved incident with type, location and timestamp
+ * @param {object} options { statuses: only join canonical incidents in these states }
+ * @returns {Promise<object|null>} Canonical incident (lean)
+ */
+async function findClusterFor(report, { statuses } = {}) {
+  const [lng, lat] = report.location.coordinates;
+  const windowStart = new Date(new Date(report.timestamp || Date.now()).getTime() - CLUSTER_WINDOW_MS);
+
+  return Incident.findOne({
+    type: report.type,
+    mergedInto: { $exists: false },
+    resolvedAt: { $exists: false },
+    status: statuses ? { $in: statuses } : { $nin: ['rejected', 'merged'] },
+    // Incidents stored before clustering have no lastReportedAt
+    $or: [
+      { lastReportedAt: { $gte: windowStart } },
+      { lastReportedAt: { $exists: false }, timestamp: { $gte: windowStart } },
+    ],
+    location: { $geoWithin: { $centerSphere: [[lng, lat], CLUSTER_RADIUS_M / 6378100] } },
+  }).sort({ lastReportedAt: -1, timestamp: -1 }).lean();
+}
+
+/**
+ * Record a saved report on its canonical incident.
+ * @param {ObjectId} canonicalId
+ * @param {object} report Saved member report
+ * @returns {Promise<object|null>} Updated canonical incident
+ */
+async function addToCluster(canonicalId, report) {
+  return Incident.findByIdAndUpdate(
+    canonicalId,
+    {
+      $inc: { reportCount: 1 },
+      $max: { lastReportedAt: report.timestamp },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Move a cluster (the incident and its member reports) into another cluster.
+ * Used when an authority merges an incident into another.
+ * @param {object} incident Incident being merged (lean, with reportCount)
+ * @param {object} target Canonical incident it duplicates
+ * @returns {Promise<void>}
+ */
+async function absorbCluster(incident, target) {
+  await Incident.updateMany({ mergedInto: incident._id }, { $set: { mergedInto: target._id } });
+  await Incident.updateOne(
+    { _id: target._id },
+    {
+      $inc: { reportCount: incident.reportCount || 1 },
+      $max: { lastReportedAt: incident.lastReportedAt || incident.timestamp },
+    }
+  );
+}
+
+/**
+ * Canonical incident of a cluster and its member reports, oldest first.
+ * Accepts the id of the canonical incident or of any member.
+ * @param {string} incidentId
+ * @returns {Promise<object>} { incident, reports, reporterCount }
+ * @throws {CustomError} 404
+ */
+async function getCluster(incidentId) {
+  let incident = await Incident.findById(incidentId).lean();
+  if (!incident) throw new CustomError(404, 'Incident not found');
+  if (incident.mergedInto) {
+    incident = await Incident.findById(incident.mergedInto).lean();
+    if (!incident) throw new CustomError(404, 'Canonical incident of this report not found');
+  }
+
+  const members = await Incident.find({ mergedInto: incident._id }).sort({ timestamp: 1 }).lean();
+  const reporters = new Set([incident, ...members]
+    .map(inc => inc.reportedBy?.touristId)
+    .filter(Boolean));
+
+  return { incident, reports: members, reporterCount: reporters.size };
+}
+
+module.exports = {
+  CLUSTER_RADIUS_M,
+  CLUSTER_WINDOW_MS,
+  findClusterFor,
+  addToCluster,
+  absorbCluster,
+  getCluster,
+};
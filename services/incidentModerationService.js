@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { absorbCluster } = require('./incidentClusterService');
+
+/**
+ * Incident Moderation Service
+ *
+ * Crowdsourced reports are stored 'pending' and reviewed by authorities:
+ *
+ *   pending ──► verified ◄──► rejected
+ *      │           │
+ *      └───────────┴──► merged (duplicate of another incident)
+ *
+ * Until reviewed, a report only counts for its trust weight: the reporter's
+ * track record (verified vs rejected reports) raised by corroborating reports
+ * of the same type from other reporters nearby. Verified reports (and every
+ * non-crowdsourced incident) count fully; rejected and merged ones never count.
+ *
+ * Duplicate reports are clustered into one canonical incident
+ * (incidentClusterService): only the canonical incident counts, members
+ * corroborate it, and reviewing it reviews its pending members too.
+ */
+
+const CORROBORATION_RADIUS_M = 500;
+const CORROBORATION_WINDOW_MS = 6 * 60 * 60 * 1000;
+const CORROBORATION_BOOST = 0.2;  // Weight added per corroborating reporter
+const MAX_PENDING_WEIGHT = 0.9;   // Only a review makes a report count fully
+const MAX_REFRESHED_REPORTS = 50; // Pending reports re-weighted after one change
+
+// Statuses that never count towards risk
+const EXCLUDED_STATUSES = ['rejected', 'merged'];
+
+// action -> { from: allowed current statuses, to: target status }
+const ACTIONS = {
+  verify: { from: ['pending', 'rejected'], to: 'verified' },
+  reject: { from: ['pending', 'verified'], to: 'rejected' },
+  merge: { from: ['pending', 'verified'], to: 'merged' },
+};
+
+/**
+ * Query condition for incidents that count towards risk: open canonical
+ * incidents that are not rejected (matches incidents stored before moderation
+ * existed, which have no status)
+ */
+const countedIncidentFilter = () => ({
+  status: { $nin: EXCLUDED_STATUSES },
+  mergedInto: { $exists: false },
+  resolvedAt: { $exists: false },
+});
+
+/**
+ * Share of an incident that counts towards risk (0-1).
+ * @param {object} incident Needs status and trust
+ * @returns {number}
+ */
+function incidentWeight(incident) {
+  if (!incident.status || incident.status === 'verified') return 1;
+  if (incident.status === 'pending') return incident.trust?.weight ?? 0;
+  return 0;
+}
+
+/**
+ * Reporter's track record: (verified + 1) / (reviewed + 3), so a first-time
+ * reporter starts at 0.33 and every review moves it towards their accuracy.
+ * Reports merged into another incident were real, so they count as verified.
+ * @param {string} touristId
+ * @returns {Promise<number>}
+ */
+async function getReporterTrust(touristId) {
+  if (!touristId) return 1 / 3;
+
+  const counts = await Incident.aggregate([
+    { $match: { 'reportedBy.touristId': touristId, status: { $in: ['verified', 'rejected', 'merged'] } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const byStatus = Object.fromEntries(counts.map(c => [c._id, c.count]));
+  const confirmed = (byStatus.verified || 0) + (byStatus.merged || 0);
+  return (confirmed + 1) / (confirmed + (byStatus.rejected || 0) + 3);
+}
+
+// Other reports of the same type near a report, around the time it was made
+// (duplicates merged into a cluster corroborate too)
+const corroborationQuery = ({ _id, type, location, timestamp }) => {
+  const [lng, lat] = location.coordinates;
+  const time = new Date(timestamp || Date.now()).getTime();
+  const query = {
+    status: { $ne: 'rejected' },
+    type,
+    timestamp: { $gte: new Date(time - CORROBORATION_WINDOW_MS), $lte: new Date(time + CORROBORATION_WINDOW_MS) },
+    location: { $geoWithin: { $centerSphere: [[lng, lat], CORROBORATION_RADIUS_M / 6378100] } },
+  };
+  if (_id) query._id = { $ne: _id };
+  return query;
+};
+
+/**
+ * Trust of a pending report.
+ * @param {object} report Incident (saved or not) with type, location, timestamp, reportedBy
+ * @returns {Promise<object>} { reporter, corroborations, weight }
+ */
+async function assessReport(report) {
+  const reporterId = report.reportedBy?.touristId;
+  const [reporter, similar] = await Promise.all([
+    getReporterTrust(reporterId),
+    Incident.find(corroborationQuery(report)).select('reportedBy.touristId source').lean(),
+  ]);
+
+  // Distinct other reporters; an official incident corroborates on its own
+  const others = new Set(similar
+    .map(inc => (inc.reportedBy?.touristId ? `tourist:${inc.reportedBy.touristId}` : `incident:${inc._id}`))
+    .filter(key => !reporterId || key !== `tourist:${reporterId}`));
+  const corroborations = others.size;
+
+  return {
+    reporter,
+    corroborations,
+    weight: Math.min(reporter + CORROBORATION_BOOST * corroborations, MAX_PENDING_WEIGHT),
+  };
+}
+
+/**
+ * Recalculate the trust of pending reports, e.g. after a nearby report
+ * arrived or the reporter's record changed.
+ * @param {object} query Extra conditions
+ * @returns {Promise<Array>} Re-weighted reports ({ _id, location })
+ */
+async function refreshPendingReports(query) {
+  const reports = await Incident.find({ ...query, status: 'pending' })
+    .sort({ timestamp: -1 })
+    .limit(MAX_REFRESHED_REPORTS)
+    .select('type location timestamp reportedBy trust')
+    .lean();
+
+  const changed = [];
+  for (const report of reports) {
+    const trust = await assessReport(report);
+    if (report.trust && report.trust.weight === trust.weight && report.trust.corroborations === trust.corroborations) continue;
+    await Incident.updateOne({ _id: report._id, status: 'pending' }, { $set: { trust } });
+    changed.push(report);
+  }
+  return changed;
+}
+
+/**
+ * Pending reports that a new report corroborates.
+ * @param {object} report Saved incident
+ * @returns {Promise<Array>} Re-weighted reports
+ */
+function refreshCorroboratedReports(report) {
+  return refreshPendingReports(corroborationQuery(report));
+}
+
+/**
+ * Apply a review action to an incident. The update is conditional on the
+ * status read, so two concurrent reviews cannot both succeed.
+ * @param {string} incidentId
+ * @param {string} action verify | reject | merge
+ * @param {object} options { actor, comment, mergeInto (merge only) }
+ * @returns {Promise<object>} { incident, target (merge only), refreshed: [re-weighted reports of the reporter] }
+ * @throws {CustomError} 400 bad input, 404 not found, 409 illegal or concurrent transition
+ */
+async function reviewIncident(incidentId, action, { actor, comment, mergeInto } = {}) {
+  const rule = ACTIONS[action];
+  if (!rule) throw new CustomError(400, `Unknown review action '${action}'`);
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) throw new CustomError(400, 'Invalid incident id');
+
+  const current = await Incident.findById(incidentId)
+    .select('status reportedBy mergedInto reportCount timestamp lastReportedAt').lean();
+  if (!current) throw new CustomError(404, 'Incident not found');
+
+  const fromStatus = current.status || 'verified';
+  if (!rule.from.includes(fromStatus)) {
+    throw new CustomError(409, `Cannot ${action} an incident that is '${fromStatus}'`);
+  }
+
+  const set = { status: rule.to };
+  let target = null;
+  if (action === 'merge') {
+    if (!mergeInto || !mongoose.Types.ObjectId.isValid(mergeInto)) {
+      throw new CustomError(400, 'mergeInto (id of the incident this report duplicates) is required');
+    }
+    if (current.mergedInto) {
+      throw new CustomError(409, `This report is already part of incident ${current.mergedInto}`);
+    }
+    target = await Incident.findById(mergeInto).lean();
+    if (!target) throw new CustomError(404, 'Incident to merge into not found');
+    // Always merge into the canonical incident of the target's cluster
+    if (target.mergedInto) target = await Incident.findById(target.mergedInto).lean();
+    if (!target || String(target._id) === String(incidentId)) {
+      throw new CustomError(400, 'An incident cannot be merged into itself or its own cluster');
+    }
+    if (EXCLUDED_STATUSES.includes(target.status)) {
+      throw new CustomError(409, `Cannot merge into an incident that is '${target.status}'`);
+    }
+    set.mergedInto = target._id;
+  }
+
+  const entry = { action, fromStatus, toStatus: rule.to, actor, comment: comment || undefined, at: new Date() };
+  const incident = await Incident.findOneAndUpdate(
+    // Incidents stored before moderation have no status
+    { _id: incidentId, status: current.status === undefined ? { $exists: false } : fromStatus },
+    { $set: set, $push: { moderationHistory: entry } },
+    { new: true, runValidators: true }
+  );
+  if (!incident) throw new CustomError(409, 'Incident was reviewed by someone else, please retry');
+
+  const reporterIds = new Set([current.reportedBy?.touristId]);
+  if (action === 'merge') {
+    await absorbCluster(current, target);
+  } else if (!current.mergedInto) {
+    // Duplicates of the incident share its review
+    const members = await Incident.find({ mergedInto: incident._id, status: 'pending' }).select('reportedBy').lean();
+    if (members.length > 0) {
+      await Incident.updateMany(
+        { _id: { $in: members.map(m => m._id) }, status: 'pending' },
+        { $set: { status: rule.to }, $push: { moderationHistory: { ...entry, fromStatus: 'pending', comment: `Cluster ${action === 'verify' ? 'verified' : 'rejected'}` } } }
+      );
+      members.forEach(m => reporterIds.add(m.reportedBy?.touristId));
+    }
+  }
+
+  // The review changes the reporters' track record
+  const refreshed = [];
+  for (const reporterId of [...reporterIds].filter(Boolean)) {
+    refreshed.push(...await refreshPendingReports({ 'reportedBy.touristId': reporterId }));
+  }
+
+  console.log(`🛡️ Incident ${incident._id}: ${action} (${fromStatus} → ${rule.to}) by ${actor?.type || 'unknown'} ${actor?.id || ''}`);
+  return { incident, target, refreshed };
+}
+
+/**
+ * Reports awaiting review (or any other status), most trusted first for pending.
+ * @param {object} options { status, page, limit, location (geo query condition) }
+ * @returns {Promise<object>} { incidents, total }
+ */
+async function getReviewQueue({ status = 'pending', page = 1, limit = 20, location } = {}) {
+  const query = { status };
+  // Duplicates are reviewed with their canonical incident
+  if (status !== 'merged') query.mergedInto = { $exists: false };
+  if (location) query.location = location;
+  const sort = status === 'pending' ? { 'trust.weight': -1, timestamp: -1 } : { timestamp: -1 };
+
+  const [incidents, total] = await Promise.all([
+    Incident.find(query).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+    Incident.countDocuments(query),
+  ]);
+  return { incidents, total };
+}
+
+module.exports = {
+  ACTIONS,
+  countedIncidentFilter,
+  incidentWeight,
+  getReporterTrust,
+  assessReport,
+  refreshCorroboratedReports,
+  reviewIncident,
+  getReviewQueue,
+};
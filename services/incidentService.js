@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { bboxGeoWithin } = require('../utils/geo');
+
+/**
+ * Incident Service
+ *
+ * Listing and authority lifecycle of incidents (moderation lives in
+ * incidentModerationService, duplicate clustering in incidentClusterService).
+ * Resolving an incident takes it out of risk scoring: the Risk Engine and the
+ * Safety Score only read open incidents.
+ */
+
+const INCIDENT_TYPES = ['theft', 'assault', 'accident', 'riot', 'natural_disaster', 'other'];
+const INCIDENT_STATUSES = ['pending', 'verified', 'rejected', 'merged'];
+const MAX_SEARCH_RADIUS_M = 50000;
+const MAX_NOTE_LENGTH = 2000;
+
+// Internal fields hidden from tourists
+const PUBLIC_FIELDS = '-reportedBy -trust -moderationHistory -notes -resolvedBy';
+
+/**
+ * Build an incident query from listing filters (already parsed).
+ * @param {object} filters {
+ *   bbox: parseBBox() output, near: { lat, lng, radius },
+ *   types: [string], minSeverity, maxSeverity, sources: [string],
+ *   from: Date, to: Date, statuses: [string], resolved: 'open' | 'resolved' | 'all'
+ * }
+ * @returns {object} MongoDB query
+ * @throws {CustomError} 400
+ */
+function buildIncidentQuery({ bbox, near, types, minSeverity, maxSeverity, sources, from, to, statuses, resolved = 'open' } = {}) {
+  const query = {};
+
+  if (bbox && near) throw new CustomError(400, 'Use either bbox or lat/lng/radius, not both');
+  if (bbox) query.location = bboxGeoWithin(bbox);
+  if (near) {
+    if (!(near.radius > 0 && near.radius <= MAX_SEARCH_RADIUS_M)) {
+      throw new CustomError(400, `radius must be between 1 and ${MAX_SEARCH_RADIUS_M} meters`);
+    }
+    query.location = { $geoWithin: { $centerSphere: [[near.lng, near.lat], near.radius / 6378100] } };
+  }
+
+  if (types && types.length > 0) {
+    const unknown = types.filter(t => !INCIDENT_TYPES.includes(t));
+    if (unknown.length > 0) throw new CustomError(400, `Invalid type. Allowed: ${INCIDENT_TYPES.join(', ')}`);
+    query.type = { $in: types };
+  }
+
+  if (minSeverity !== undefined || maxSeverity !== undefined) {
+    query.severity = {};
+    if (minSeverity !== undefined) query.severity.$gte = minSeverity;
+    if (maxSeverity !== undefined) query.severity.$lte = maxSeverity;
+  }
+
+  if (sources && sources.length > 0) query.source = { $in: sources };
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  if (statuses && statuses.length > 0) {
+    const unknown = statuses.filter(s => !INCIDENT_STATUSES.includes(s));
+    if (unknown.length > 0) throw new CustomError(400, `Invalid status. Allowed: ${INCIDENT_STATUSES.join(', ')}`);
+    // Incidents stored before moderation have no status and count as verified
+    query.status = statuses.includes('verified') ? { $in: [...statuses, null] } : { $in: statuses };
+  } else {
+    query.status = { $nin: ['rejected', 'merged'] };
+  }
+  // Duplicates are listed with their canonical incident (see the cluster endpoint)
+  if (!(statuses && statuses.includes('merged'))) query.mergedInto = { $exists: false };
+
+  if (resolved === 'open') query.resolvedAt = { $exists: false };
+  else if (resolved === 'resolved') query.resolvedAt = { $exists: true };
+
+  return query;
+}
+
+/**
+ * Paginated incident listing, newest first (or most severe first).
+ * @param {object} filters See buildIncidentQuery
+ * @param {object} options { page, limit, sort: 'recent' | 'severity', internal: include moderation fields }
+ * @returns {Promise<object>} { incidents, total }
+ */
+async function searchIncidents(filters, { page = 1, limit = 20, sort = 'recent', internal = false } = {}) {
+  const query = buildIncidentQuery(filters);
+  const order = sort === 'severity' ? { severity: -1, timestamp: -1 } : { timestamp: -1 };
+
+  let find = Incident.find(query).sort(order).skip((page - 1) * limit).limit(limit);
+  if (!internal) find = find.select(PUBLIC_FIELDS);
+
+  const [incidents, total] = await Promise.all([find.lean(), Incident.countDocuments(query)]);
+  return { incidents, total };
+}
+
+// Canonical incident an authority action applies to
+async function findEditableIncident(incidentId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) throw new CustomError(400, 'Invalid incident id');
+
+  const incident = await Incident.findById(incidentId).select('status mergedInto resolvedAt severity').lean();
+  if (!incident) throw new CustomError(404, 'Incident not found');
+  if (incident.mergedInto) {
+    throw new CustomError(409, `This report is part of incident ${incident.mergedInto}; update that incident instead`);
+  }
+  return incident;
+}
+
+/**
+ * Change an incident's severity.
+ * @param {string} incidentId
+ * @param {number} severity 0-1
+ * @param {object} options { actor, comment }
+ * @returns {Promise<object>} Updated incident
+ * @throws {CustomError} 400, 404, 409
+ */
+async function updateSeverity(incidentId, severity, { actor, comment } = {}) {
+  if (typeof severity !== 'number' || !Number.isFinite(severity) || severity < 0 || severity > 1) {
+    throw new CustomError(400, 'severity must be a number between 0 and 1');
+  }
+
+  const current = await findEditableIncident(incidentId);
+  const status = current.status || 'verified';
+  const entry = {
+    action: 'severity',
+    fromStatus: status,
+    toStatus: status,
+    actor,
+    comment: comment || `Severity ${current.severity ?? 0.5} → ${severity}`,
+    at: new Date(),
+  };
+
+  const incident = await Incident.findOneAndUpdate(
+    { _id: incidentId, severity: current.severity === undefined ? { $exists: false } : current.severity },
+    { $set: { severity }, $push: { moderationHistory: entry } },
+    { new: true, runValidators: true }
+  );
+  if (!incident) throw new CustomError(409, 'Incident was updated by someone else, please retry');
+  return incident;
+}
+
+/**
+ * Mark an incident resolved; it stops counting towards risk.
+ * @param {string} incidentId
+ * @param {object} options { actor, resolution }
+ * @returns {Promise<object>} Updated incident
+ * @throws {CustomError} 404, 409 already resolved, rejected or merged
+ */
+async function resolveIncident(incidentId, { actor, resolution } = {}) {
+  const current = await findEditableIncident(incidentId);
+  if (current.resolvedAt) throw new CustomError(409, 'Incident is already resolved');
+  if (['rejected', 'merged'].includes(current.status)) {
+    throw new CustomError(409, `Cannot resolve an incident that is '${current.status}'`);
+  }
+
+  const status = current.status || 'verified';
+  const now = new Date();
+  const set = { resolvedAt: now, resolvedBy: actor };
+  if (resolution) set.resolution = resolution;
+
+  const incident = await Incident.findOneAndUpdate(
+    { _id: incidentId, resolvedAt: { $exists: false } },
+    {
+      $set: set,
+      $push: { moderationHistory: { action: 'resolve', fromStatus: status, toStatus: status, actor, comment: resolution || undefined, at: now } },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!incident) throw new CustomError(409, 'Incident was resolved by someone else');
+
+  console.log(`✅ Incident ${incident._id} resolved by ${actor?.type || 'unknown'} ${actor?.id || ''}`);
+  return incident;
+}
+
+/**
+ * Attach an authority note to an incident.
+ * @param {string} incidentId
+ * @param {string} text
+ * @param {object} options { actor }
+ * @returns {Promise<object>} The stored note
+ * @throws {CustomError} 400, 404
+ */
+async function addNote(incidentId, text, { actor } = {}) {
+  const note = typeof text === 'string' ? text.trim() : '';
+  if (!note) throw new CustomError(400, 'text is required');
+  if (note.length > MAX_NOTE_LENGTH) throw new CustomError(400, `text must be at most ${MAX_NOTE_LENGTH} characters`);
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) throw new CustomError(400, 'Invalid incident id');
+
+  const entry = { text: note, actor, at: new Date() };
+  const incident = await Incident.findByIdAndUpdate(incidentId, { $push: { notes: entry } }, { new: true }).select('notes');
+  if (!incident) throw new CustomError(404, 'Incident not found');
+  return incident.notes[incident.notes.length - 1];
+}
+
+module.exports = {
+  INCIDENT_TYPES,
+  INCIDENT_STATUSES,
+  buildIncidentQuery,
+  searchIncidents,
+  updateSeverity,
+  resolveIncident,
+  addNote,
+};
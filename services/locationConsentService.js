@@ -0,0 +1,47 @@
+const Tourist = require('../models/Tourist');
+
+/**
+ * Location Consent Service
+ *
+ * Whether a tourist's positions may be stored (movement trail, tour group
+ * position): only with consent to tracking and to data retention
+ * (Tourist.consent). Answers are cached briefly because location updates
+ * arrive every few seconds per tourist.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = new Map(); // 'touristId:T123' | '_id:<ObjectId>' -> { allowed, at }
+
+/**
+ * Whether positions of a tourist may be stored.
+ * @param {object} filter { touristId } (business id) or { _id }
+ * @returns {Promise<boolean>}
+ */
+async function canStoreLocation(filter) {
+  const [[field, value]] = Object.entries(filter);
+  const key = `${field}:${value}`;
+  const now = Date.now();
+  const cached = cache.get(key);
+  if (cached && now - cached.at < CACHE_TTL_MS) return cached.allowed;
+
+  const tourist = await Tourist.findOne({ [field]: value }).select('consent').lean();
+  const allowed = !!(tourist && tourist.consent && tourist.consent.tracking && tourist.consent.dataRetention);
+  cache.set(key, { allowed, at: now });
+  return allowed;
+}
+
+/**
+ * Forget cached answers for a tourist (e.g. once all their sockets disconnect)
+ * so a consent change applies from their next session.
+ * @param {object} filter { touristId } or { _id }
+ */
+function forgetConsent(filter) {
+  const [[field, value]] = Object.entries(filter);
+  cache.delete(`${field}:${value}`);
+}
+
+module.exports = {
+  canStoreLocation,
+  forgetConsent,
+};
@@ -0,0 +1,198 @@
+const Transition = require('../models/Transition');
+const { calculateDistance } = require('./safetyScoreService');
+const { canStoreLocation, forgetConsent } = require('./locationConsentService');
+const { LOCATION_TRAIL_RETENTION_DAYS } = require('../config/config');
+
+/**
+ * Location Trail Service
+ *
+ * Persists accepted realtime location updates as a time-series trail
+ * (stored in the Transition collection with eventType 'location-update')
+ * so a tourist's movement history survives server restarts and can be
+ * reviewed by authorities. Nothing is stored without the tourist's consent
+ * to tracking and data retention (locationConsentService).
+ */
+
+const TRAIL_EVENT_TYPE = 'location-update';
+
+// Throttling: a point is stored only if enough time has passed or the tourist moved far enough
+const MIN_PERSIST_INTERVAL_MS = 5 * 1000;   // Hard floor between two stored points
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;    // Store a point at least once a minute, even when stationary
+const MIN_PERSIST_DISTANCE_M = 25;          // Movement that justifies storing before the heartbeat
+
+// Retention: trail points are purged by the TTL index on Transition.expiresAt
+const RETENTION_DAYS = Number(LOCATION_TRAIL_RETENTION_DAYS) || 30;
+
+// Maximum number of points returned for a single trail query
+const MAX_TRAIL_POINTS = 5000;
+
+let lastPersisted = new Map(); // touristId -> { lat, lng, at }
+
+/**
+ * When a stored position recorded now should be purged (TTL on Transition.expiresAt).
+ * @param {number} now Epoch ms
+ * @returns {Date}
+ */
+const retentionExpiry = (now = Date.now()) => new Date(now + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Store a location update in the tourist's trail (throttled).
+ * @param {string} touristId Business tourist ID (e.g. T1768914660451)
+ * @param {object} location { lat, lng, accuracy?, speed?, heading?, timestamp? }
+ * @returns {Promise<object|null>} The stored Transition or null if throttled or not consented
+ */
+async function recordLocation(touristId, location) {
+  if (!touristId || !location) return null;
+
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  const now = Date.now();
+  const last = lastPersisted.get(touristId);
+
+  if (last) {
+    const elapsed = now - last.at;
+    if (elapsed < MIN_PERSIST_INTERVAL_MS) return null;
+
+    const moved = calculateDistance(last.lat, last.lng, lat, lng);
+    if (elapsed < HEARTBEAT_INTERVAL_MS && moved < MIN_PERSIST_DISTANCE_M) return null;
+  }
+
+  if (!(await canStoreLocation({ touristId }))) return null;
+
+  lastPersisted.set(touristId, { lat, lng, at: now });
+
+  // Prefer the device timestamp, but never trust one from the future
+  let timestamp = location.timestamp ? new Date(location.timestamp) : new Date(now);
+  if (isNaN(timestamp.getTime()) || timestamp.getTime() > now) {
+    timestamp = new Date(now);
+  }
+
+  return Transition.create({
+    digitalId: touristId,
+    eventType: TRAIL_EVENT_TYPE,
+    location: { latitude: lat, longitude: lng },
+    timestamp,
+    receivedAt: new Date(now),
+    accuracy: Number.isFinite(Number(location.accuracy)) ? Number(location.accuracy) : undefined,
+    speed: Number.isFinite(Number(location.speed)) ? Number(location.speed) : undefined,
+    heading: Number.isFinite(Number(location.heading)) ? Number(location.heading) : undefined,
+    expiresAt: retentionExpiry(now),
+  });
+}
+
+/**
+ * Forget throttling state and cached consent for a tourist (e.g. once all their sockets disconnect)
+ * so the first point after reconnecting is always stored.
+ * @param {string} touristId
+ */
+function resetThrottle(touristId) {
+  lastPersisted.delete(touristId);
+  forgetConsent({ touristId });
+}
+
+/**
+ * Fetch a tourist's trail for a time window, oldest point first.
+ * @param {string} touristId
+ * @param {object} options { from: Date, to: Date, limit: number }
+ * @returns {Promise<Array>} Array of { lat, lng, timestamp, accuracy, speed, heading }
+ */
+async function getTrail(touristId, { from, to, limit } = {}) {
+  const query = { digitalId: touristId, eventType: TRAIL_EVENT_TYPE };
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  const maxPoints = Math.min(Number(limit) || MAX_TRAIL_POINTS, MAX_TRAIL_POINTS);
+
+  const docs = await Transition.find(query)
+    .sort({ timestamp: 1 })
+    .limit(maxPoints)
+    .select('location timestamp accuracy speed heading')
+    .lean();
+
+  return docs.map(d => ({
+    lat: d.location.latitude,
+    lng: d.location.longitude,
+    timestamp: d.timestamp,
+    accuracy: d.accuracy ?? null,
+    speed: d.speed ?? null,
+    heading: d.heading ?? null,
+  }));
+}
+
+/**
+ * Get the most recent stored trail point for each of the given tourists.
+ * Used when the realtime layer has no location (tourist offline or server restarted).
+ * @param {Array<string>} touristIds
+ * @returns {Promise<Map>} touristId -> { lat, lng, timestamp }
+ */
+async function getLatestPoints(touristIds) {
+  const latest = new Map();
+  if (!touristIds || touristIds.length === 0) return latest;
+
+  const rows = await Transition.aggregate([
+    { $match: { digitalId: { $in: touristIds }, eventType: TRAIL_EVENT_TYPE } },
+    { $sort: { digitalId: 1, timestamp: -1 } },
+    {
+      $group: {
+        _id: '$digitalId',
+        location: { $first: '$location' },
+        timestamp: { $first: '$timestamp' },
+      },
+    },
+  ]);
+
+  rows.forEach(r => latest.set(r._id, {
+    lat: r.location.latitude,
+    lng: r.location.longitude,
+    timestamp: r.timestamp,
+  }));
+
+  return latest;
+}
+
+/**
+ * Convert trail points to a GeoJSON Feature with a LineString geometry.
+ * A LineString needs at least two positions; shorter trails get a null geometry.
+ * @param {Array} points Output of getTrail()
+ * @param {object} properties Extra Feature properties
+ * @returns {object} GeoJSON Feature
+ */
+function toGeoJSONLineString(points, properties = {}) {
+  const coordinates = points.map(p => [p.lng, p.lat]);
+
+  let distanceMeters = 0;
+  for (let i = 1; i < points.length; i++) {
+    distanceMeters += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+
+  return {
+    type: 'Feature',
+    geometry: coordinates.length >= 2 ? { type: 'LineString', coordinates } : null,
+    properties: {
+      ...properties,
+      pointCount: points.length,
+      distanceMeters: Math.round(distanceMeters),
+      startedAt: points.length > 0 ? points[0].timestamp : null,
+      endedAt: points.length > 0 ? points[points.length - 1].timestamp : null,
+      // Per-vertex timestamps so the map can animate / label the path
+      timestamps: points.map(p => p.timestamp),
+    },
+  };
+}
+
+module.exports = {
+  TRAIL_EVENT_TYPE,
+  retentionExpiry,
+  recordLocation,
+  resetThrottle,
+  getTrail,
+  getLatestPoints,
+  toGeoJSONLineString,
+};
@@ -0,0 +1,344 @@
+const { DangerZone, Geofence } = require('../models/Geofence');
+const RiskGrid = require('../models/RiskGrid');
+const DangerZoneVersion = require('../models/DangerZoneVersion');
+const { sha256Hex } = require('../utils/hash');
+const { bboxGeoWithin, geometryBBox } = require('../utils/geo');
+const { isZoneActive } = require('./dangerZoneService');
+
+/**
+ * Map Export Service
+ *
+ * Publishes the map layers (danger zones in force, risk grids, static geofences) as
+ * standard GeoJSON FeatureCollections and KML documents so external GIS
+ * tools can consume them. Each feature's visualStyle is translated into
+ * simplestyle-spec properties (stroke, fill, fill-opacity, ...), and circles
+ * are exported as polygons since neither format has a circle primitive.
+ */
+
+const LAYERS = ['danger-zones', 'risk-grids', 'geofences'];
+const FORMATS = ['geojson', 'kml'];
+
+const CIRCLE_SEGMENTS = 64;
+const EARTH_RADIUS_M = 6371000;
+
+const RISK_COLORS = {
+  'Low': '#fbc02d',
+  'Medium': '#fb8c00',
+  'High': '#e53935',
+  'Very High': '#b71c1c',
+};
+
+const NAMED_COLORS = {
+  blue: '#1e88e5',
+  green: '#43a047',
+  red: '#e53935',
+  orange: '#fb8c00',
+  yellow: '#fbc02d',
+  purple: '#8e24aa',
+  grey: '#757575',
+  gray: '#757575',
+};
+
+// iconType -> maki icon name used by simplestyle's marker-symbol
+const MARKER_SYMBOLS = {
+  'warning-triangle': 'danger',
+  'incident-marker': 'police',
+  'location-pin': 'marker',
+  'shield': 'shelter',
+};
+
+const toHexColor = (color, fallback) => {
+  if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+  return NAMED_COLORS[String(color || '').toLowerCase()] || fallback;
+};
+
+/**
+ * Approximate a circle as a closed GeoJSON ring.
+ * @returns {Array} [[lng, lat], ...]
+ */
+function circleRing(lat, lng, radiusM) {
+  const ring = [];
+  const angular = radiusM / EARTH_RADIUS_M;
+  const latRad = lat * Math.PI / 180;
+  const lngRad = lng * Math.PI / 180;
+
+  for (let i = 0; i <= CIRCLE_SEGMENTS; i++) {
+    const bearing = (i % CIRCLE_SEGMENTS) / CIRCLE_SEGMENTS * 2 * Math.PI;
+    const pLat = Math.asin(Math.sin(latRad) * Math.cos(angular) + Math.cos(latRad) * Math.sin(angular) * Math.cos(bearing));
+    const pLng = lngRad + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(latRad),
+      Math.cos(angular) - Math.sin(latRad) * Math.sin(pLat)
+    );
+    ring.push([
+      Math.round(pLng * 180 / Math.PI * 1e6) / 1e6,
+      Math.round(pLat * 180 / Math.PI * 1e6) / 1e6,
+    ]);
+  }
+  return ring;
+}
+
+/**
+ * Geometry of a zone-like document: its GeoJSON shape, a circle polygon, or a point.
+ */
+function shapeOf({ geometry, lat, lng, radiusM }) {
+  if (geometry && geometry.type) return { type: geometry.type, coordinates: geometry.coordinates };
+  if (radiusM > 0) return { type: 'Polygon', coordinates: [circleRing(lat, lng, radiusM)] };
+  return { type: 'Point', coordinates: [lng, lat] };
+}
+
+/**
+ * visualStyle -> simplestyle-spec properties (+ the original style hints).
+ */
+function simplestyle(visualStyle = {}, color) {
+  return {
+    'stroke': color,
+    'stroke-width': visualStyle.borderWidth ?? 2,
+    'stroke-opacity': 1,
+    'fill': color,
+    'fill-opacity': visualStyle.fillOpacity ?? 0.25,
+    'marker-color': color,
+    'marker-symbol': MARKER_SYMBOLS[visualStyle.iconType] || 'marker',
+    zoneType: visualStyle.zoneType,
+    borderStyle: visualStyle.borderStyle,
+    fillPattern: visualStyle.fillPattern,
+    renderPriority: visualStyle.renderPriority,
+  };
+}
+
+// Circle zones reach into the bbox with their radius, polygons with their extent
+function intersectsBBox(bbox, { geometry, lat, lng, radiusM }) {
+  if (!bbox) return true;
+  if (geometry && geometry.type) {
+    const extent = geometryBBox(geometry);
+    return extent.minLng <= bbox.maxLng && extent.maxLng >= bbox.minLng &&
+      extent.minLat <= bbox.maxLat && extent.maxLat >= bbox.minLat;
+  }
+  const padDeg = (radiusM || 0) / 111000;
+  return lat >= bbox.minLat - padDeg && lat <= bbox.maxLat + padDeg &&
+    lng >= bbox.minLng - padDeg && lng <= bbox.maxLng + padDeg;
+}
+
+// ---------------------------------------------------------------------------
+// Layer loaders: each returns { items: [{ feature, modifiedAt, version }], changedAt }
+// (changedAt: layer-level changes not visible on the remaining features)
+// ---------------------------------------------------------------------------
+
+async function loadDangerZones(bbox) {
+  const now = new Date();
+  const [allZones, lastChange] = await Promise.all([
+    DangerZone.find({}).lean(),
+    DangerZoneVersion.findOne({}).sort({ at: -1 }).select('at').lean(),
+  ]);
+
+  // Schedule boundaries that already passed and deletions also change the layer
+  const layerChangedAt = [
+    lastChange && lastChange.at,
+    ...allZones.flatMap(z => [z.activeFrom, z.activeUntil]).filter(d => d && new Date(d) <= now),
+  ].filter(Boolean).reduce((latest, d) => (!latest || new Date(d) > latest ? new Date(d) : latest), null);
+
+  const zones = allZones.filter(zone => isZoneActive(zone, now));
+  const items = zones
+    .map(zone => ({ zone, shape: { geometry: zone.geometry, lat: zone.coords[0], lng: zone.coords[1], radiusM: (zone.radiusKm || 0) * 1000 } }))
+    .filter(({ shape }) => intersectsBBox(bbox, shape))
+    .map(({ zone, shape }) => ({
+      modifiedAt: zone.updatedAt || zone.createdAt,
+      version: `${zone._id}:${new Date(zone.updatedAt || zone.createdAt || 0).getTime()}`,
+      feature: {
+        type: 'Feature',
+        id: zone.id,
+        geometry: shapeOf(shape),
+        properties: {
+          layer: 'danger-zones',
+          name: zone.name,
+          riskLevel: zone.riskLevel || null,
+          category: zone.category || null,
+          state: zone.state || null,
+          source: zone.source || null,
+          radiusKm: zone.radiusKm || null,
+          version: zone.version || 1,
+          activeFrom: zone.activeFrom || null,
+          activeUntil: zone.activeUntil || null,
+          ...simplestyle(zone.visualStyle, RISK_COLORS[zone.riskLevel] || RISK_COLORS.High),
+        },
+      },
+    }));
+
+  return { items, changedAt: layerChangedAt };
+}
+
+async function loadRiskGrids(bbox) {
+  const query = { riskScore: { $gt: 0 } };
+  if (bbox) query.location = bboxGeoWithin(bbox);
+  const grids = await RiskGrid.find(query).lean();
+
+  const items = grids.map(grid => ({
+    modifiedAt: grid.lastUpdated,
+    version: `${grid._id}:${new Date(grid.lastUpdated || 0).getTime()}`,
+    feature: {
+      type: 'Feature',
+      id: grid.gridId,
+      geometry: shapeOf({
+        lat: grid.location.coordinates[1],
+        lng: grid.location.coordinates[0],
+        radiusM: grid.radius || 500,
+      }),
+      properties: {
+        layer: 'risk-grids',
+        name: grid.gridName,
+        riskLevel: grid.riskLevel,
+        riskScore: grid.riskScore,
+        tierLevel: grid.tierLevel,
+        radiusM: grid.radius || 500,
+        expiresAt: grid.expiresAt || null,
+        ...simplestyle(grid.visualStyle, RISK_COLORS[grid.riskLevel] || RISK_COLORS.Low),
+      },
+    },
+  }));
+  return { items, changedAt: null };
+}
+
+async function loadGeofences(bbox) {
+  // Itinerary geofences are personal; only static safe zones are published
+  const fences = await Geofence.find({
+    isActive: true,
+    $or: [{ sourceType: { $exists: false } }, { sourceType: 'static' }],
+  }).lean();
+
+  const items = fences
+    .map(fence => {
+      const polygon = fence.type === 'polygon' && Array.isArray(fence.polygonCoords) && fence.polygonCoords.length >= 3
+        ? { type: 'Polygon', coordinates: [closeRing(fence.polygonCoords)] }
+        : null;
+      return { fence, shape: { geometry: polygon, lat: fence.coords[0], lng: fence.coords[1], radiusM: (fence.radiusKm || 0) * 1000 } };
+    })
+    .filter(({ shape }) => intersectsBBox(bbox, shape))
+    .map(({ fence, shape }) => ({
+      modifiedAt: fence.updatedAt || fence.createdAt,
+      version: `${fence._id}:${new Date(fence.updatedAt || fence.createdAt || 0).getTime()}`,
+      feature: {
+        type: 'Feature',
+        id: fence._id.toString(),
+        geometry: shapeOf(shape),
+        properties: {
+          layer: 'geofences',
+          name: fence.name,
+          destination: fence.destination || null,
+          alertMessage: fence.alertMessage,
+          radiusKm: fence.radiusKm || null,
+          ...simplestyle(fence.visualStyle, toHexColor(fence.visualStyle && fence.visualStyle.color, NAMED_COLORS.blue)),
+        },
+      },
+    }));
+  return { items, changedAt: null };
+}
+
+const closeRing = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+const LOADERS = {
+  'danger-zones': loadDangerZones,
+  'risk-grids': loadRiskGrids,
+  'geofences': loadGeofences,
+};
+
+// ---------------------------------------------------------------------------
+// Serialisers
+// ---------------------------------------------------------------------------
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+// #rrggbb + opacity -> KML aabbggrr
+const kmlColor = (hex, opacity) => {
+  const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+  return `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+};
+
+const kmlRing = (ring) => `<LinearRing><coordinates>${ring.map(p => `${p[0]},${p[1]}`).join(' ')}</coordinates></LinearRing>`;
+
+const kmlPolygon = (rings) =>
+  `<Polygon><outerBoundaryIs>${kmlRing(rings[0])}</outerBoundaryIs>` +
+  rings.slice(1).map(r => `<innerBoundaryIs>${kmlRing(r)}</innerBoundaryIs>`).join('') +
+  '</Polygon>';
+
+function kmlGeometry(geometry) {
+  if (geometry.type === 'Point') return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+  if (geometry.type === 'Polygon') return kmlPolygon(geometry.coordinates);
+  return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+}
+
+const STYLE_KEYS = ['stroke', 'stroke-width', 'stroke-opacity', 'fill', 'fill-opacity', 'marker-color', 'marker-symbol'];
+
+function toKML(layer, features) {
+  const placemarks = features.map((feature, i) => {
+    const p = feature.properties;
+    const data = Object.entries(p)
+      .filter(([key, value]) => !STYLE_KEYS.includes(key) && key !== 'name' && value !== null && value !== undefined)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value instanceof Date ? value.toISOString() : value)}</value></Data>`)
+      .join('');
+
+    return `<Placemark id="${escapeXml(feature.id || `${layer}-${i}`)}">` +
+      `<name>${escapeXml(p.name || '')}</name>` +
+      '<Style>' +
+      `<LineStyle><color>${kmlColor(p.stroke, p['stroke-opacity'])}</color><width>${p['stroke-width']}</width></LineStyle>` +
+      `<PolyStyle><color>${kmlColor(p.fill, p['fill-opacity'])}</color></PolyStyle>` +
+      `<IconStyle><color>${kmlColor(p['marker-color'], 1)}</color></IconStyle>` +
+      '</Style>' +
+      `<ExtendedData>${data}</ExtendedData>` +
+      kmlGeometry(feature.geometry) +
+      '</Placemark>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${escapeXml(layer)}</name>` +
+    placemarks.join('') +
+    '</Document></kml>\n';
+}
+
+/**
+ * Build an export of one layer.
+ * @param {string} layer One of LAYERS
+ * @param {string} format 'geojson' | 'kml'
+ * @param {object|null} bbox Output of parseBBox()
+ * @returns {Promise<object>} { body, contentType, etag, lastModified, count }
+ */
+async function exportLayer(layer, format, bbox) {
+  const { items, changedAt } = await LOADERS[layer](bbox);
+
+  const lastModified = items.reduce((latest, item) => {
+    const at = item.modifiedAt ? new Date(item.modifiedAt) : null;
+    return at && (!latest || at > latest) ? at : latest;
+  }, changedAt);
+
+  // Changes to any feature (or the set of features) change the tag
+  const etag = `"${sha256Hex([layer, format, bbox ? Object.values(bbox).join(',') : '', ...items.map(i => i.version).sort()].join('|')).slice(0, 32)}"`;
+
+  const features = items.map(i => i.feature);
+  const body = format === 'kml'
+    ? toKML(layer, features)
+    : JSON.stringify({
+      type: 'FeatureCollection',
+      name: layer,
+      bbox: bbox ? [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat] : undefined,
+      features,
+    });
+
+  return {
+    body,
+    contentType: format === 'kml' ? 'application/vnd.google-earth.kml+xml; charset=utf-8' : 'application/geo+json; charset=utf-8',
+    etag,
+    lastModified,
+    count: features.length,
+  };
+}
+
+module.exports = {
+  LAYERS,
+  FORMATS,
+  exportLayer,
+};
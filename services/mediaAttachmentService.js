@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MediaAttachment = require('../models/MediaAttachment');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { getStorage } = require('./mediaStorageService');
+const { detectMediaType } = require('../utils/mediaType');
+const { extractExif } = require('../utils/exif');
+const { hex64ToBytes32 } = require('../utils/ethFormat');
+const { sha256Hex } = require('../utils/hash');
+
+/**
+ * Media Attachment Service
+ *
+ * Photos, short audio clips and videos attached to SOS alerts and incident
+ * reports. The type is detected from the file content, JPEG photos have their
+ * EXIF position extracted, and each file's SHA-256 is anchored on-chain
+ * through blockchainService (in the background, one transaction at a time)
+ * so the evidence can later be shown to be unaltered. Anchors that are still
+ * pending (e.g. after a restart) or failed are retried by retryPendingAnchors().
+ */
+
+const MAX_SIZE_BYTES = {
+  image: 10 * 1024 * 1024,
+  audio: 10 * 1024 * 1024,
+  video: 50 * 1024 * 1024,
+};
+const MAX_ATTACHMENTS_PER_TARGET = 10;
+const MAX_NAME_LENGTH = 200;
+const MAX_ANCHOR_ATTEMPTS = 10;
+const RETRY_BATCH_SIZE = 20;    // Anchors retried per sweep
+
+// Blockchain transactions are sent one after another (nonce ordering)
+let anchorQueue = Promise.resolve();
+let queued = new Set(); // Attachment ids waiting in anchorQueue
+
+/**
+ * Store a file and attach it to an SOS alert or incident.
+ * The caller checks that the uploader may attach to the target.
+ * @param {object} target { kind: 'sos' | 'incident', id }
+ * @param {Buffer} buffer File content
+ * @param {object} options { declaredType: Content-Type, originalName, uploadedBy: { id, touristId } }
+ * @returns {Promise<object>} MediaAttachment
+ * @throws {CustomError} 400 empty, 409 too many attachments, 413 too large, 415 unsupported type
+ */
+async function attachMedia(target, buffer, { declaredType, originalName, uploadedBy } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new CustomError(400, 'Send the file as the request body with its Content-Type (image/*, audio/* or video/*)');
+  }
+
+  const detected = detectMediaType(buffer, declaredType);
+  if (!detected) {
+    throw new CustomError(415, 'Unsupported file. Allowed: JPEG, PNG, WebP or HEIC photos; MP3, AAC, M4A, OGG, WAV or AMR audio; MP4, MOV, 3GP or WebM video');
+  }
+  const declaredFamily = String(declaredType || '').split('/')[0].trim().toLowerCase();
+  if (declaredFamily && declaredFamily !== detected.mediaType) {
+    throw new CustomError(415, `File content is ${detected.mimeType}, not ${declaredType}`);
+  }
+  if (buffer.length > MAX_SIZE_BYTES[detected.mediaType]) {
+    throw new CustomError(413, `${detected.mediaType} files are limited to ${MAX_SIZE_BYTES[detected.mediaType] / (1024 * 1024)} MB`);
+  }
+
+  const existing = await MediaAttachment.countDocuments({ 'target.kind': target.kind, 'target.id': target.id });
+  if (existing >= MAX_ATTACHMENTS_PER_TARGET) {
+    throw new CustomError(409, `At most ${MAX_ATTACHMENTS_PER_TARGET} files can be attached`);
+  }
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const exif = detected.mimeType === 'image/jpeg' ? extractExif(buffer) : null;
+
+  const storage = getStorage();
+  const now = new Date();
+  const key = `${target.kind}/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}.${detected.ext}`;
+  await storage.save(key, buffer);
+
+  let attachment;
+  try {
+    attachment = await MediaAttachment.create({
+      target,
+      uploadedBy,
+      mediaType: detected.mediaType,
+      mimeType: detected.mimeType,
+      size: buffer.length,
+      originalName: originalName ? String(originalName).slice(0, MAX_NAME_LENGTH) : undefined,
+      storage: { driver: storage.name, key },
+      sha256,
+      exif: exif || undefined,
+    });
+  } catch (err) {
+    await storage.remove(key).catch(() => {});
+    throw err;
+  }
+
+  anchorAttachment(attachment._id).catch(err => console.error(`Evidence anchoring failed for ${attachment._id}:`, err));
+
+  console.log(`📎 ${detected.mediaType} (${buffer.length} bytes) attached to ${target.kind} ${target.id}`);
+  return attachment;
+}
+
+/**
+ * Anchor an attachment's SHA-256 on-chain (queued behind earlier anchors).
+ * @param {string} attachmentId
+ * @returns {Promise<void>}
+ */
+function anchorAttachment(attachmentId) {
+  const key = String(attachmentId);
+  queued.add(key);
+
+  const run = async () => {
+    try {
+      const attachment = await MediaAttachment.findById(attachmentId).select('sha256 evidence');
+      if (!attachment || attachment.evidence?.status === 'anchored') return;
+
+      const attempts = (attachment.evidence?.attempts || 0) + 1;
+      const eventId = hex64ToBytes32(sha256Hex(`${crypto.randomUUID()}|media|${attachment._id}`));
+      try {
+        // Required lazily: it connects to the chain when loaded
+        const blockchain = require('./blockchainService');
+        const txHash = await blockchain.storeEvent(eventId, hex64ToBytes32(attachment.sha256));
+        attachment.evidence = {
+          status: 'anchored',
+          eventId: `0x${Buffer.from(eventId).toString('hex')}`,
+          contractAddress: blockchain.getConfiguredContractAddress(),
+          txHash,
+          anchoredAt: new Date(),
+          attempts,
+        };
+        console.log(`⛓️ Evidence ${attachment._id} anchored: ${txHash}`);
+      } catch (err) {
+        attachment.evidence = { status: 'failed', error: err.shortMessage || err.message, attempts };
+      }
+      await attachment.save();
+    } finally {
+      queued.delete(key);
+    }
+  };
+
+  anchorQueue = anchorQueue.then(run, run);
+  return anchorQueue;
+}
+
+/**
+ * Queue the oldest attachments whose anchor is still pending (e.g. the server
+ * restarted before it was sent) or failed, up to MAX_ANCHOR_ATTEMPTS each.
+ * Intended to run at startup and periodically from app.js.
+ * @returns {Promise<number>} Number of attachments queued
+ */
+async function retryPendingAnchors() {
+  const attachments = await MediaAttachment.find({
+    _id: { $nin: [...queued] },
+    'evidence.status': { $in: ['pending', 'failed', null] },
+    'evidence.attempts': { $not: { $gte: MAX_ANCHOR_ATTEMPTS } },
+  })
+    .sort({ createdAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  attachments.forEach(({ _id }) => {
+    anchorAttachment(_id).catch(err => console.error(`Evidence anchoring failed for ${_id}:`, err));
+  });
+  if (attachments.length > 0) console.log(`⛓️ Retrying evidence anchoring for ${attachments.length} attachment(s)`);
+  return attachments.length;
+}
+
+/**
+ * Summary of an attachment for API responses and alert panels.
+ * @param {object} attachment MediaAttachment
+ * @param {string} baseUrl Path the file is served under
+ * @returns {object}
+ */
+function toAttachmentPayload(attachment, baseUrl = '/api/authority/media') {
+  return {
+    id: attachment._id,
+    mediaType: attachment.mediaType,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    originalName: attachment.originalName || null,
+    sha256: attachment.sha256,
+    exifLocation: attachment.exif && attachment.exif.lat != null
+      ? { lat: attachment.exif.lat, lng: attachment.exif.lng }
+      : null,
+    takenAt: attachment.exif?.takenAt || null,
+    evidence: {
+      status: attachment.evidence?.status || 'pending',
+      txHash: attachment.evidence?.txHash || null,
+    },
+    uploadedAt: attachment.createdAt,
+    url: `${baseUrl}/${attachment._id}/file`,
+  };
+}
+
+/**
+ * Attachments of several targets of one kind, oldest first.
+ * @param {string} kind 'sos' | 'incident'
+ * @param {Array} ids Target ids
+ * @returns {Promise<Map>} String(target id) -> [attachment payload]
+ */
+async function listAttachments(kind, ids) {
+  const byTarget = new Map();
+  if (ids.length === 0) return byTarget;
+
+  const attachments = await MediaAttachment.find({ 'target.kind': kind, 'target.id': { $in: ids } })
+    .sort({ createdAt: 1 })
+    .lean();
+  for (const attachment of attachments) {
+    const key = String(attachment.target.id);
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(toAttachmentPayload(attachment));
+  }
+  return byTarget;
+}
+
+// Attachment by id, 404 if unknown
+async function findAttachment(attachmentId) {
+  const attachment = mongoose.isValidObjectId(attachmentId)
+    ? await MediaAttachment.findById(attachmentId).lean()
+    : null;
+  if (!attachment) throw new CustomError(404, 'Attachment not found');
+  return attachment;
+}
+
+/**
+ * Attachment and a stream of its file.
+ * @param {string} attachmentId
+ * @returns {Promise<object>} { attachment, stream }
+ * @throws {CustomError} 404
+ */
+async function openAttachment(attachmentId) {
+  const attachment = await findAttachment(attachmentId);
+  return { attachment, stream: getStorage(attachment.storage.driver).createReadStream(attachment.storage.key) };
+}
+
+/**
+ * Check that a stored file still matches its recorded hash, and that the hash
+ * is the one anchored on-chain.
+ * @param {string} attachmentId
+ * @returns {Promise<object>} { intact, sha256, computedSha256, evidence, onChain (null if unknown) }
+ * @throws {CustomError} 404
+ */
+async function verifyAttachment(attachmentId) {
+  const attachment = await findAttachment(attachmentId);
+
+  const buffer = await getStorage(attachment.storage.driver).read(attachment.storage.key);
+  const computedSha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  let onChain = null;
+  if (attachment.evidence?.status === 'anchored') {
+    try {
+      const blockchain = require('./blockchainService');
+      onChain = await blockchain.verifyAuditRecordAt(
+        attachment.evidence.contractAddress || blockchain.getConfiguredContractAddress(),
+        attachment.evidence.eventId,
+        hex64ToBytes32(attachment.sha256)
+      );
+    } catch (err) {
+      console.error(`On-chain verification failed for ${attachment._id}:`, err.message);
+    }
+  }
+
+  return {
+    intact: computedSha256 === attachment.sha256,
+    sha256: attachment.sha256,
+    computedSha256,
+    evidence: attachment.evidence,
+    onChain,
+  };
+}
+
+module.exports = {
+  MAX_SIZE_BYTES,
+  attachMedia,
+  anchorAttachment,
+  retryPendingAnchors,
+  toAttachmentPayload,
+  listAttachments,
+  openAttachment,
+  verifyAttachment,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { MEDIA_STORAGE, MEDIA_STORAGE_DIR } = require('../config/config');
+
+/**
+ * Media Storage Service
+ *
+ * Where attachment files live. Every driver implements the same interface,
+ * so another backend (e.g. an object store) only needs a new driver:
+ *
+ *   name                      Stored on each attachment with its key
+ *   save(key, buffer)         -> Promise<void>
+ *   read(key)                 -> Promise<Buffer>
+ *   createReadStream(key)     -> Readable
+ *   remove(key)               -> Promise<void> (missing files are ignored)
+ *
+ * Keys are generated by the server ("sos/2024/05/<uuid>.jpg"), never taken
+ * from the client.
+ */
+
+/**
+ * Driver storing files under a directory on the local disk.
+ * @param {string} rootDir
+ * @returns {object} Storage driver
+ */
+function createLocalDiskStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key '${key}'`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // 'wx': never overwrite existing evidence
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+
+    read(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+const DRIVERS = {
+  local: () => createLocalDiskStorage(MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'media')),
+};
+
+const instances = new Map();
+
+/**
+ * Storage driver by name (defaults to MEDIA_STORAGE, then 'local').
+ * @param {string} [name]
+ * @returns {object} Storage driver
+ * @throws {Error} Unknown driver
+ */
+function getStorage(name = MEDIA_STORAGE || 'local') {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown media storage '${name}'. Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  if (!instances.has(name)) instances.set(name, DRIVERS[name]());
+  return instances.get(name);
+}
+
+module.exports = { getStorage, createLocalDiskStorage };
@@ -0,0 +1,150 @@
+const SOSAlert = require('../models/SOSAlertModel');
+const { decrypt } = require('../utils/encrypt');
+const { sendEmergencyContactEmail } = require('./emailService');
+const { sendSms, maskPhone } = require('./smsService');
+
+/**
+ * Notification Service
+ *
+ * Keeps a tourist's emergency contact informed about their SOS: when it is
+ * raised, as it moves through its lifecycle, and when it goes unanswered.
+ * Messages go out over every channel the contact can be reached on (email,
+ * SMS); channels are pluggable through registerChannel().
+ *
+ * Nothing is sent unless the tourist consented to emergency sharing
+ * (Tourist.consent.emergencySharing).
+ */
+
+// Lifecycle events that produce a message (others, e.g. 'closed', are silent)
+const TEMPLATES = {
+  raised: ({ touristName }) => ({
+    subject: `Emergency: ${touristName} raised an SOS`,
+    heading: 'SOS Alert',
+    message: `${touristName} has raised an SOS. Local authorities have been alerted.`,
+  }),
+  unanswered: ({ touristName, minutesWithoutResponse }) => ({
+    subject: `Emergency: ${touristName}'s SOS is still unanswered`,
+    heading: 'SOS Still Unanswered',
+    message: `${touristName} raised an SOS ${minutesWithoutResponse} minute(s) ago and it has not been answered yet. Authorities are being escalated.`,
+  }),
+  acknowledged: ({ touristName }) => ({
+    subject: `Update: ${touristName}'s SOS has been acknowledged`,
+    heading: 'SOS Acknowledged',
+    message: `Authorities have seen ${touristName}'s SOS and are arranging a response.`,
+  }),
+  responding: ({ touristName, etaMinutes }) => ({
+    subject: `Update: help is on the way to ${touristName}`,
+    heading: 'Responders Dispatched',
+    message: `A response unit has been assigned to ${touristName}'s SOS${etaMinutes !== undefined && etaMinutes !== null ? ` and is expected in about ${etaMinutes} minute(s)` : ''}.`,
+  }),
+  resolved: ({ touristName }) => ({
+    subject: `Update: ${touristName}'s SOS has been resolved`,
+    heading: 'SOS Resolved',
+    message: `Authorities have marked ${touristName}'s SOS as resolved.`,
+  }),
+  cancelled: ({ touristName }) => ({
+    subject: `Update: ${touristName}'s SOS was cancelled`,
+    heading: 'SOS Cancelled',
+    message: `${touristName}'s SOS was cancelled as a false alarm.`,
+  }),
+};
+
+const mapLink = (alert) => {
+  const [lng, lat] = alert.location.coordinates;
+  return `https://www.google.com/maps?q=${lat},${lng}`;
+};
+
+// channel name -> { canReach(contact), send(contact, content) }
+const channels = new Map();
+
+/**
+ * Register a notification channel.
+ * @param {string} name
+ * @param {object} channel { canReach: (contact) => boolean, send: async (contact, content) => ({ success, error? }) }
+ */
+function registerChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+registerChannel('email', {
+  canReach: (contact) => !!contact.email,
+  send: (contact, content) => sendEmergencyContactEmail(contact.email, contact.name, content),
+});
+
+registerChannel('sms', {
+  canReach: (contact) => !!contact.phone,
+  send: (contact, content) => sendSms(
+    contact.phone,
+    `[Smart Tourist Safety] ${content.message}${content.mapUrl ? ` Location: ${content.mapUrl}` : ''}`
+  ),
+});
+
+/**
+ * Notify the emergency contact of an alert about a lifecycle event.
+ * Each event is sent at most once per alert.
+ * @param {string} alertId SOSAlert _id
+ * @param {string} event One of the TEMPLATES keys
+ * @param {object} extra Template values (e.g. { minutesWithoutResponse })
+ * @returns {Promise<object>} { sent, reason?, results? }
+ */
+async function notifyEmergencyContact(alertId, event, extra = {}) {
+  const template = TEMPLATES[event];
+  if (!template) return { sent: false, reason: `No template for '${event}'` };
+
+  const alert = await SOSAlert.findById(alertId)
+    .select('touristId location locationName timestamp emergencyContact contactNotifications cancellation etaMinutes')
+    .populate('touristId', 'nameEncrypted consent');
+  if (!alert) return { sent: false, reason: 'Alert not found' };
+
+  const tourist = alert.touristId && typeof alert.touristId === 'object' ? alert.touristId : null;
+  if (!tourist || !tourist.consent || tourist.consent.emergencySharing === false) {
+    return { sent: false, reason: 'Tourist has not consented to emergency sharing' };
+  }
+
+  // A duress "cancellation" keeps the alert open: the contact must not hear it was cancelled
+  if (event === 'cancelled' && alert.cancellation && alert.cancellation.isDuress) {
+    return { sent: false, reason: 'Duress alert' };
+  }
+
+  if ((alert.contactNotifications || []).some(n => n.event === event && n.sent)) {
+    return { sent: false, reason: 'Already notified' };
+  }
+
+  const contact = alert.emergencyContact || {};
+  const reachable = [...channels.entries()].filter(([, channel]) => channel.canReach(contact));
+  if (reachable.length === 0) {
+    return { sent: false, reason: 'No emergency contact details on file' };
+  }
+
+  const touristName = tourist.nameEncrypted ? decrypt(tourist.nameEncrypted) : 'A tourist';
+  const content = {
+    ...template({ touristName, etaMinutes: alert.etaMinutes, ...extra }),
+    touristName,
+    locationName: alert.locationName || alert.location.locationName,
+    mapUrl: mapLink(alert),
+    timestamp: alert.timestamp,
+  };
+
+  const results = await Promise.all(reachable.map(async ([name, channel]) => {
+    const result = await channel.send(contact, content);
+    return {
+      event,
+      channel: name,
+      to: name === 'sms' ? maskPhone(contact.phone) : contact.email,
+      sent: !!result.success,
+      error: result.success ? undefined : result.error,
+      at: new Date(),
+    };
+  }));
+
+  await SOSAlert.updateOne({ _id: alert._id }, { $push: { contactNotifications: { $each: results } } });
+
+  const sent = results.some(r => r.sent);
+  console.log(`📨 Emergency contact notified (${event}) for alert ${alert._id}: ${results.map(r => `${r.channel}=${r.sent ? 'sent' : 'failed'}`).join(', ')}`);
+  return { sent, results };
+}
+
+module.exports = {
+  registerChannel,
+  notifyEmergencyContact,
+};
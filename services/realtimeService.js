@@ -1,16 +1,50 @@
 const socketio = require('socket.io');
+const Tourist = require('../models/Tourist');
 const fallbackService = require('./fallbackService');
 const blockchainService = require('./blockchainService');
 const { calculateSafetyScore, shouldNotifyScoreChange } = require('./safetyScoreService');
+const locationTrailService = require('./locationTrailService');
+const routeDeviationService = require('./routeDeviationService');
+const geofenceEvaluationService = require('./geofenceEvaluationService');
+const Unit = require('../models/Unit');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../config/config');
+const { toUnitPayload } = require('./unitService');
 
 let io; // This will hold the Socket.IO server instance
 let authoritySockets = new Map(); // Map to store connected authorities
 let touristSockets = new Map(); // Map to store connected tourists
 let touristLastScores = new Map(); // Store last safety score for each tourist
 let touristLastLocations = new Map();
+let touristLastSeen = new Map(); // touristId -> timestamp (kept after disconnect, up to PRESENCE_WINDOW_MS)
+let unitSockets = new Map(); // unitId -> Set of sockets
+let unitLastLocationWrite = new Map(); // unitId -> timestamp of last persisted location
 
-// Export the locations map to be used by analytics or other controllers
-// exports.getTouristLocations = () => touristLastLocations;
+const UNIT_LOCATION_MIN_INTERVAL_MS = 5 * 1000; // Throttle unit location writes
+const PRESENCE_WINDOW_MS = 24 * 60 * 60 * 1000; // How long a disconnected tourist stays in the presence snapshot
+
+/**
+ * Snapshot of the realtime state of tourists known to this server instance.
+ * @returns {Map} touristId -> { connected, socketCount, location, safetyScore, lastSeenAt }
+ */
+exports.getTouristPresence = () => {
+  const presence = new Map();
+
+  for (const [touristId, lastSeen] of touristLastSeen.entries()) {
+    const socketSet = touristSockets.get(touristId);
+    const loc = touristLastLocations.get(touristId);
+
+    presence.set(touristId, {
+      connected: !!(socketSet && socketSet.size > 0),
+      socketCount: socketSet ? socketSet.size : 0,
+      location: loc ? { lat: loc.lat, lng: loc.lng, updatedAt: new Date(loc.updatedAt) } : null,
+      safetyScore: touristLastScores.has(touristId) ? touristLastScores.get(touristId) : null,
+      lastSeenAt: new Date(lastSeen),
+    });
+  }
+
+  return presence;
+};
 
 const SAFETY_POLL_INTERVAL_MS =  60 * 1000; // 30 minutes
 let safetyPollTimer = null;
@@ -80,6 +114,10 @@ exports.init = (httpServer) => {
             updatedAt: Date.now(),
             lastCalcAt: 0
           });
+
+          // Persist the starting point of this session's trail
+          locationTrailService.recordLocation(touristId, location)
+            .catch(err => console.error(`Failed to persist trail point for ${touristId}:`, err));
         }
 
         // Add socket to the set for this touristId (allow multiple devices per tourist)
@@ -93,6 +131,25 @@ exports.init = (httpServer) => {
         // Join a global 'tourists' room and a per-user room
         socket.join('tourists');
         socket.join(`tourist:${touristId}`);
+        touristLastSeen.set(touristId, Date.now());
+
+        // Join the tour group room (members and the tour admin share it)
+        try {
+          const tourist = await Tourist.findOne({ touristId }).select('role groupId ownedGroupId').lean();
+          const groupId = tourist && (tourist.role === 'tour-admin' ? tourist.ownedGroupId : tourist.groupId);
+          if (groupId) {
+            socket.data.groupId = groupId.toString();
+            socket.data.touristObjectId = tourist._id.toString();
+            socket.join(`group:${socket.data.groupId}`);
+
+            if (location && location.lat && location.lng) {
+              require('./groupLocationService').recordMemberLocation(tourist._id, socket.data.groupId, location)
+                .catch(err => console.error(`Failed to store group location for ${touristId}:`, err));
+            }
+          }
+        } catch (err) {
+          console.error(`Failed to join group room for ${touristId}:`, err);
+        }
 
         console.log(`Tourist ${touristId} registered with socket ${socket.id} (sockets for user: ${set.size})`);
 
@@ -103,6 +160,7 @@ exports.init = (httpServer) => {
 
             // Store initial score
             touristLastScores.set(touristId, safetyScoreData.safetyScore);
+            persistSafetyScore(touristId, safetyScoreData);
 
             // Send safety score to tourist
             socket.emit('safetyScoreUpdate', safetyScoreData);
@@ -160,6 +218,7 @@ exports.init = (httpServer) => {
 
         // Update stored "last processed" state
         socket.data.location = newLocation;
+        touristLastSeen.set(touristId, now);
         if (newLocation && newLocation.lat && newLocation.lng) {
           touristLastLocations.set(touristId, {
             lat: newLocation.lat,
@@ -167,6 +226,26 @@ exports.init = (httpServer) => {
             updatedAt: now,
             lastCalcAt: now
           });
+
+          // Persist to the tourist's movement trail (throttled separately inside the service)
+          locationTrailService.recordLocation(touristId, { ...newLocation, timestamp: data.timestamp })
+            .catch(err => console.error(`Failed to persist trail point for ${touristId}:`, err));
+
+          // Compare against the tourist's commuter route corridor (if one is saved)
+          routeDeviationService.evaluateLocation(touristId, newLocation)
+            .then(events => events.forEach(e => exports.emitRouteDeviationEvent(touristId, e)))
+            .catch(err => console.error(`Route deviation check failed for ${touristId}:`, err));
+
+          // Record safe-zone geofence entries/exits and warn on leaving one
+          geofenceEvaluationService.evaluateLocation(touristId, newLocation)
+            .then(events => events.forEach(e => exports.emitGeofenceEvent(touristId, e)))
+            .catch(err => console.error(`Geofence evaluation failed for ${touristId}:`, err));
+
+          // Share the position with the tour admin (members only, throttled inside the service)
+          if (socket.data.groupId) {
+            require('./groupLocationService').recordMemberLocation(socket.data.touristObjectId, socket.data.groupId, newLocation)
+              .catch(err => console.error(`Failed to store group location for ${touristId}:`, err));
+          }
         }
 
         console.log(`Tourist ${touristId} moved ${Math.round(distanceMoved)}m. Updating score...`);
@@ -181,6 +260,7 @@ exports.init = (httpServer) => {
 
           // Update stored score
           touristLastScores.set(touristId, newScore);
+          if (newScore !== previousScore) persistSafetyScore(touristId, safetyScoreData);
 
           // Send updated safety score to tourist
           socket.emit('safetyScoreUpdate', safetyScoreData);
@@ -205,6 +285,119 @@ exports.init = (httpServer) => {
       }
     });
 
+    // Tourist confirms they are safe (Safe Pulse / dead man's switch check-in)
+    socket.on('safePulseCheckIn', async () => {
+      if (!socket.data || socket.data.userType !== 'tourist') {
+        socket.emit('safePulseCheckInError', { success: false, message: 'Unauthorized: Only tourists can check in' });
+        return;
+      }
+
+      try {
+        const safePulseService = require('./safePulseService');
+        const status = await safePulseService.recordCheckIn(socket.data.touristId);
+        if (!status) {
+          socket.emit('safePulseCheckInError', { success: false, message: 'Tourist not found' });
+          return;
+        }
+        socket.emit('safePulseCheckInConfirmed', { success: true, ...status });
+      } catch (err) {
+        console.error('Safe Pulse check-in failed:', err);
+        socket.emit('safePulseCheckInError', { success: false, message: err.message });
+      }
+    });
+
+    // Response unit (police car, ambulance, ...) registers with its login token
+    socket.on('registerUnit', async (data) => {
+      try {
+        const decoded = jwt.verify(data && data.token, JWT_SECRET);
+        if (decoded.role !== 'unit') throw new Error('Not a unit token');
+
+        const unit = await Unit.findById(decoded.id);
+        if (!unit) throw new Error('Unit not found');
+
+        const unitId = unit._id.toString();
+        socket.data = socket.data || {};
+        socket.data.unitId = unitId;
+        socket.data.userType = 'unit';
+
+        let set = unitSockets.get(unitId);
+        if (!set) {
+          set = new Set();
+          unitSockets.set(unitId, set);
+        }
+        set.add(socket);
+
+        socket.join('units');
+        socket.join(`unit:${unitId}`);
+
+        socket.emit('unitRegistrationConfirmed', { success: true, ...toUnitPayload(unit) });
+        console.log(`Unit ${unit.code} registered with socket ${socket.id} (sockets for unit: ${set.size})`);
+      } catch (err) {
+        socket.emit('unitRegistrationError', { success: false, message: 'Invalid or expired unit token' });
+      }
+    });
+
+    // Unit reports its live position
+    socket.on('updateUnitLocation', async (data) => {
+      if (!socket.data || socket.data.userType !== 'unit' || !data || !data.location) return;
+
+      const unitId = socket.data.unitId;
+      const lat = Number(data.location.lat);
+      const lng = Number(data.location.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) return;
+
+      const now = Date.now();
+      if (now - (unitLastLocationWrite.get(unitId) || 0) < UNIT_LOCATION_MIN_INTERVAL_MS) return;
+      unitLastLocationWrite.set(unitId, now);
+
+      try {
+        const unit = await Unit.findByIdAndUpdate(
+          unitId,
+          { $set: { location: { type: 'Point', coordinates: [lng, lat] }, lastLocationUpdate: new Date(now) } },
+          { new: true }
+        );
+        if (unit) {
+          io.to('authorities').emit('unitLocationUpdated', toUnitPayload(unit));
+        }
+      } catch (err) {
+        console.error(`Failed to update location for unit ${unitId}:`, err);
+      }
+    });
+
+    // Unit goes on/off duty. BUSY is managed by dispatch and cannot be set by hand.
+    socket.on('updateUnitStatus', async (data) => {
+      if (!socket.data || socket.data.userType !== 'unit') {
+        socket.emit('unitStatusError', { success: false, message: 'Unauthorized: Only units can update unit status' });
+        return;
+      }
+
+      const status = data && data.status;
+      if (!['AVAILABLE', 'OFFLINE'].includes(status)) {
+        socket.emit('unitStatusError', { success: false, message: 'status must be AVAILABLE or OFFLINE' });
+        return;
+      }
+
+      try {
+        // A unit working an alert stays bound until the alert is resolved
+        const unit = await Unit.findOneAndUpdate(
+          { _id: socket.data.unitId, currentAlert: null },
+          { $set: { status } },
+          { new: true }
+        );
+        if (!unit) {
+          socket.emit('unitStatusError', { success: false, message: 'Unit is assigned to an active alert' });
+          return;
+        }
+
+        const payload = toUnitPayload(unit);
+        socket.emit('unitStatusConfirmed', { success: true, ...payload });
+        exports.emitUnitStatusUpdate(payload).catch(err => console.error('Unit emit error:', err));
+      } catch (err) {
+        console.error('Failed to update unit status:', err);
+        socket.emit('unitStatusError', { success: false, message: err.message });
+      }
+    });
+
     // Authority broadcasts alert to tourists
     socket.on('authorityBroadcast', async (data) => {
       if (socket.data && socket.data.userType === 'authority') {
@@ -247,14 +440,35 @@ exports.init = (httpServer) => {
           }
           if (set.size === 0) {
             touristSockets.delete(tid);
+            touristLastSeen.set(tid, Date.now());
             touristLastScores.delete(tid);
             touristLastLocations.delete(tid); // cleanup location too
+            locationTrailService.resetThrottle(tid);
+            routeDeviationService.forgetRoute(tid); // open deviations are still escalated by the sweep
+            geofenceEvaluationService.resetTourist(tid);
+            require('./groupLocationService').resetThrottle(socket.data.touristObjectId);
           } else {
             console.log(`Remaining tourist sockets for ${tid}: ${set.size}`);
           }
         }
       }
 
+      if (userType === 'unit' && socket.data.unitId) {
+        const unitId = socket.data.unitId;
+        const set = unitSockets.get(unitId);
+        if (set) {
+          set.delete(socket);
+          if (set.size === 0) {
+            unitSockets.delete(unitId);
+            unitLastLocationWrite.delete(unitId);
+            // An idle unit with no connected device can't be dispatched; BUSY units stay bound
+            Unit.findOneAndUpdate({ _id: unitId, status: 'AVAILABLE' }, { $set: { status: 'OFFLINE' } }, { new: true })
+              .then(unit => unit && exports.emitUnitStatusUpdate(toUnitPayload(unit)))
+              .catch(err => console.error(`Failed to mark unit ${unitId} offline:`, err));
+          }
+        }
+      }
+
       console.log(`Client disconnected: ${socket.id}`);
     });
   });
@@ -309,6 +523,17 @@ exports.emitSOSAlert = async (alertData) => {
   }
 };
 
+/**
+ * Persist the latest safety score on the Tourist record so it survives restarts
+ * and is visible to authority views for tourists who are offline.
+ * @param {string} touristId
+ * @param {object} safetyScoreData Result of calculateSafetyScore
+ */
+function persistSafetyScore(touristId, { safetyScore, profile }) {
+  Tourist.updateOne({ touristId }, { $set: { safetyScore, safetyScoreProfile: profile } })
+    .catch(err => console.error(`Failed to persist safety score for ${touristId}:`, err));
+}
+
 /**
  * Helper function to calculate distance between two coordinates (Haversine formula)
  * @param {number} lat1 
@@ -460,6 +685,29 @@ exports.emitSOSStatusUpdate = async (alertData) => {
   }
 };
 
+/**
+ * Emits an escalation step of an unanswered SOS to all connected authorities.
+ * @param {object} escalationData { alertId, stepId, action, escalationLevel, minutesWithoutResponse, ... }
+ */
+exports.emitSOSEscalation = async (escalationData) => {
+  if (io) {
+    io.to('authorities').emit('sosEscalation', escalationData);
+    console.log(`SOS escalation '${escalationData.stepId}' broadcasted for alert ${escalationData.alertId}`);
+  }
+};
+
+/**
+ * Pages specific authorities (per-user rooms) about an unanswered SOS.
+ * @param {Array<string>} authorityIds Authority _ids to page
+ * @param {object} escalationData Escalation payload
+ */
+exports.emitSOSEscalationPage = async (authorityIds, escalationData) => {
+  if (!io || !authorityIds || authorityIds.length === 0) return;
+
+  authorityIds.forEach(id => io.to(`authority:${id}`).emit('sosEscalationPage', escalationData));
+  console.log(`SOS escalation page sent to ${authorityIds.length} authority user(s) for alert ${escalationData.alertId}`);
+};
+
 /**
  * Emit explicit SOS assignment acknowledgement to the affected tourist.
  * @param {object} alertData assignment payload
@@ -471,6 +719,126 @@ exports.emitSOSAssignmentAcknowledgement = async (alertData) => {
   console.log(`SOS assignment acknowledgement emitted to tourist ${alertData.touristId} for alert ${alertData.alertId}`);
 };
 
+/**
+ * Emits a Safe Pulse notification (reminder, grace warning, escalation) to a tourist.
+ * @param {string} touristId Business tourist ID
+ * @param {string} eventName 'safePulseReminder' | 'safePulseWarning' | 'safePulseEscalated'
+ * @param {object} payload Event payload
+ */
+exports.emitSafePulseEvent = async (touristId, eventName, payload) => {
+  if (!io || !touristId) return;
+
+  io.to(`tourist:${touristId}`).emit(eventName, {
+    ...payload,
+    touristId,
+    timestamp: new Date().toISOString()
+  });
+  console.log(`💓 ${eventName} emitted to tourist ${touristId}`);
+};
+
+/**
+ * Emits a commuter route deviation event to the tourist and, when the deviation
+ * has persisted, to all authorities.
+ * @param {string} touristId Business tourist ID
+ * @param {object} deviation { event: 'routeDeviation' | 'routeDeviationCleared', payload, toAuthorities }
+ */
+exports.emitRouteDeviationEvent = async (touristId, deviation) => {
+  if (!io || !touristId || !deviation) return;
+
+  const payload = {
+    ...deviation.payload,
+    touristId,
+    timestamp: new Date().toISOString()
+  };
+
+  io.to(`tourist:${touristId}`).emit(deviation.event, payload);
+
+  if (deviation.toAuthorities) {
+    const live = touristLastLocations.get(touristId);
+    io.to('authorities').emit(deviation.event, {
+      ...payload,
+      location: live ? { lat: live.lat, lng: live.lng } : (deviation.payload.lastKnownLocation || null)
+    });
+  }
+  console.log(`🧭 ${deviation.event} (${deviation.payload.reason}) emitted for tourist ${touristId}${deviation.toAuthorities ? ' to authorities' : ''}`);
+};
+
+/**
+ * Emits a geofence entry/exit to the tourist (an exit carries the fence's alertMessage).
+ * @param {string} touristId Business tourist ID
+ * @param {object} geofenceEvent { event: 'geofenceEntry' | 'geofenceExit', payload }
+ */
+exports.emitGeofenceEvent = async (touristId, geofenceEvent) => {
+  if (!io || !touristId || !geofenceEvent) return;
+
+  io.to(`tourist:${touristId}`).emit(geofenceEvent.event, {
+    ...geofenceEvent.payload,
+    touristId,
+    timestamp: new Date().toISOString()
+  });
+  console.log(`📍 ${geofenceEvent.event} (${geofenceEvent.payload.name}) emitted to tourist ${touristId}`);
+};
+
+/**
+ * Emits an event to everyone in a tour group (tour admin and members).
+ * @param {string} groupId TourGroup _id
+ * @param {string} eventName e.g. 'groupMemberSOS', 'groupMemberSOSUpdated'
+ * @param {object} payload Event payload
+ */
+exports.emitGroupEvent = async (groupId, eventName, payload) => {
+  if (!io || !groupId) return;
+
+  io.to(`group:${groupId}`).emit(eventName, {
+    ...payload,
+    groupId,
+    timestamp: new Date().toISOString()
+  });
+  console.log(`👥 ${eventName} emitted to group ${groupId}`);
+};
+
+/**
+ * Emits an event to a tour group's admin only (e.g. stray member alerts).
+ * @param {string} adminTouristId Business tourist ID of the tour admin
+ * @param {string} eventName e.g. 'groupMemberStray', 'groupMemberStrayCleared'
+ * @param {object} payload Event payload
+ */
+exports.emitGroupAdminEvent = async (adminTouristId, eventName, payload) => {
+  if (!io || !adminTouristId) return;
+
+  io.to(`tourist:${adminTouristId}`).emit(eventName, {
+    ...payload,
+    timestamp: new Date().toISOString()
+  });
+  console.log(`👥 ${eventName} emitted to tour admin ${adminTouristId}`);
+};
+
+/**
+ * Emits an event to a single response unit's devices.
+ * @param {string} unitId Unit _id
+ * @param {string} eventName e.g. 'unitDispatched', 'unitReleased'
+ * @param {object} payload Event payload
+ */
+exports.emitUnitEvent = async (unitId, eventName, payload) => {
+  if (!io || !unitId) return;
+
+  io.to(`unit:${unitId}`).emit(eventName, {
+    ...payload,
+    unitId,
+    timestamp: new Date().toISOString()
+  });
+  console.log(`🚓 ${eventName} emitted to unit ${unitId}`);
+};
+
+/**
+ * Emits a unit's new status/assignment to all connected authorities.
+ * @param {object} unitData Output of unitService.toUnitPayload()
+ */
+exports.emitUnitStatusUpdate = async (unitData) => {
+  if (io) {
+    io.to('authorities').emit('unitStatusUpdated', unitData);
+  }
+};
+
 /**
  * Emits a new danger zone event to authority and tourist clients.
  * @param {object} zoneData The new danger zone data.
@@ -506,6 +874,28 @@ exports.emitIncidentReported = async (incidentData) => {
   }
 };
 
+/**
+ * Emits an incident moderation change (verified, rejected, merged) to authorities.
+ * @param {object} incidentData The reviewed incident.
+ */
+exports.emitIncidentUpdated = async (incidentData) => {
+  if (io) {
+    io.to('authorities').emit('incidentUpdated', incidentData);
+    console.log(`Incident update broadcasted: ${incidentData.id || incidentData._id}`);
+  }
+};
+
+/**
+ * Emits a new photo, audio clip or video attached to an SOS alert or incident to authorities.
+ * @param {object} mediaData { targetKind, targetId, attachment }
+ */
+exports.emitMediaAttached = async (mediaData) => {
+  if (io) {
+    io.to('authorities').emit('mediaAttached', mediaData);
+    console.log(`Media attachment broadcasted: ${mediaData.targetKind} ${mediaData.targetId}`);
+  }
+};
+
 /**
  * Emits a risk grid update event to all connected clients.
  * @param {object} gridData The updated grid data.
@@ -521,11 +911,18 @@ exports.emitRiskGridUpdated = async (gridData) => {
 /**
  * Periodically recompute safety scores for all connected tourists
  * using their last known locations. Emits safetyScoreUpdate and
- * safetyScoreAlert (if significant change) events.
+ * safetyScoreAlert (if significant change) events. Also prunes presence
+ * entries of tourists offline for longer than PRESENCE_WINDOW_MS.
  */
 async function runPeriodicSafetyScoreUpdate() {
   if (!io) return;
 
+  // Forget tourists who have been offline for longer than the presence window
+  const seenSince = Date.now() - PRESENCE_WINDOW_MS;
+  for (const [touristId, lastSeen] of touristLastSeen.entries()) {
+    if (lastSeen < seenSince && !touristSockets.has(touristId)) touristLastSeen.delete(touristId);
+  }
+
   for (const [touristId, socketSet] of touristSockets.entries()) {
     if (!socketSet || socketSet.size === 0) continue;
 
@@ -542,6 +939,7 @@ async function runPeriodicSafetyScoreUpdate() {
 
       // Update stored score
       touristLastScores.set(touristId, newScore);
+      if (newScore !== previousScore) persistSafetyScore(touristId, safetyScoreData);
 
       // Emit to all sockets of this tourist
       for (const socket of socketSet) {
@@ -2,108 +2,139 @@ const RiskGrid = require('../models/RiskGrid');
 const Incident = require('../models/Incident');
 const SOSAlert = require('../models/SOSAlertModel');
 const { getGridName } = require('../utils/mapboxClient');
+const { calculateDistance } = require('./safetyScoreService');
+const { getProfile, profileRef } = require('./riskProfileService');
+const { countedIncidentFilter, incidentWeight } = require('./incidentModerationService');
+const { getGridSystem, gridSystemFor, resolutionForZoom } = require('../utils/riskGrid');
+const { RISK_GRID_TYPE, RISK_GRID_RESOLUTION, RISK_GRID_SMOOTHING } = require('../config/config');
+
+/**
+ * Risk Engine
+ *
+ * Event-driven: a new SOS alert or incident enqueues the grid cell it falls in
+ * plus the existing cells within its influence radius. The queue is drained in
+ * batches that share their database reads. The periodic job only decays
+ * scores and removes expired cells; it never rescans events.
+ *
+ * Cells come from a pluggable grid (utils/riskGrid.js): the original square
+ * grid or an equal-area hexagonal one (RISK_GRID_TYPE=hex).
+ *
+ * Weights, tier rules and durations come from the risk profile of each cell's
+ * location (riskProfileService); every cell records the profile version used.
+ *
+ * Crowdsourced incidents awaiting review count only for their trust weight
+ * (incidentModerationService); rejected and merged ones are ignored.
+ */
 
 // Constants
-const GRID_SIZE_DEG = 0.0045; // Approx 500m
+const GRID = getGridSystem(RISK_GRID_TYPE || 'square');
+const GRID_RESOLUTION = Math.min(Math.max(parseInt(RISK_GRID_RESOLUTION, 10) || GRID.defaultResolution,
+    GRID.minResolution), GRID.maxResolution);
+const SMOOTHING = RISK_GRID_SMOOTHING !== undefined && RISK_GRID_SMOOTHING !== ''
+    ? Math.min(Math.max(Number(RISK_GRID_SMOOTHING) || 0, 0), 1)
+    : 0.5;                       // Share of a cell's score spilled into adjacent cells (0 disables)
+const MIN_SPILLOVER_SCORE = 0.3; // Spillover below Medium is not stored
+const SPILLOVER_REFRESH_DELTA = 0.01; // Own-score change that re-smooths the neighbours
+const LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000; // Always scan 30 days back to catch high-severity history
+const INFLUENCE_RADIUS_M = 2500; // Maximum scan radius (Critical tier): events further away never affect a cell
+const BATCH_SIZE = 25;           // Cells processed per batch
+const FLUSH_DELAY_MS = 2000;     // Collect bursts of reports into one batch
+const METRICS_HISTORY = 50;      // Runs kept for the metrics endpoint
 // Lambda will be calculated dynamically based on tier duration
 
-// Weights (Tuned to increase Incident impact)
-const W_INCIDENT = 0.40;
-const W_SOS = 0.50;
-const W_HISTORY = 0.10;
-
 /**
- * Convert lat/lng to a fixed grid ID and center point
+ * Convert lat/lng to the grid ID and center point of the configured grid
  */
 function getGridIdAndCenter(lat, lng) {
-    const snapedLat = Math.floor(lat / GRID_SIZE_DEG) * GRID_SIZE_DEG + (GRID_SIZE_DEG / 2);
-    const snapedLng = Math.floor(lng / GRID_SIZE_DEG) * GRID_SIZE_DEG + (GRID_SIZE_DEG / 2);
-    return {
-        gridId: `${snapedLat.toFixed(5)}_${snapedLng.toFixed(5)}`,
-        center: [snapedLng, snapedLat]
-    };
+    return GRID.cellOf(lat, lng, GRID_RESOLUTION);
 }
 
-/**
- * Core Logic: Update Risk Scores for all active grids
- */
-async function updateRiskScores() {
-    console.log("🔄 Running Global Risk Update Job...");
-
-    // 1. Identify all grids that need updates (activity within 30 days)
-    const activeGridIds = new Set();
-    const LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
-    const windowStart = new Date(Date.now() - LOOKBACK_MS);
-    
-    // A. Grids with recent SOS alerts (last 30 days) AND Check only NEW alerts
-    const recentSOS = await SOSAlert.find({ 
-        timestamp: { $gte: windowStart },
-        status: 'new' 
-    });
-    recentSOS.forEach(alert => {
-        if(alert.location && alert.location.coordinates) {
-            const { gridId } = getGridIdAndCenter(alert.location.coordinates[1], alert.location.coordinates[0]);
-            activeGridIds.add(gridId);
-        }
-    });
+const parseGridId = (gridId) => gridSystemFor(gridId).centerOf(gridId);
+
+const levelForScore = (score) => {
+    if (score >= 0.8) return 'Very High';
+    if (score >= 0.6) return 'High';
+    if (score >= 0.3) return 'Medium';
+    return 'Low';
+};
+
+// Decay rate so that ~10% remains at the end of the tier: -ln(0.1) / (days * 24)
+const lambdaFor = (engine, tier) => 2.3 / (engine.tiers[tier].durationDays * 24);
+
+// Sliding floor (tier floor -> 0 as expiry approaches) to prevent "cliff-edge" deletion
+const floorFor = (engine, tier, expiresAt, now) => {
+    const totalDurationMs = engine.tiers[tier].durationDays * 24 * 60 * 60 * 1000;
+    const timeRemainingRatio = Math.max(0, Math.min(1, (new Date(expiresAt).getTime() - now) / totalDurationMs));
+    return engine.tiers[tier].floor * timeRemainingRatio;
+};
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+const metrics = {
+    since: new Date(),
+    totals: {},      // per run type: { runs, cellsProcessed, cellsUpdated, cellsExpired }
+    recentRuns: [],  // newest first
+};
+
+function recordRun(type, startedAt, { cellsProcessed = 0, cellsUpdated = 0, cellsExpired = 0 }) {
+    const run = {
+        type,
+        startedAt,
+        durationMs: Date.now() - startedAt.getTime(),
+        cellsProcessed,
+        cellsUpdated,
+        cellsExpired,
+        queueDepth: pendingCells.size,
+    };
 
-    // B. Grids with recent Incidents (last 30 days)
-    const recentIncidents = await Incident.find({
-        timestamp: { $gte: windowStart }
-    });
-    recentIncidents.forEach(inc => {
-        if(inc.location && inc.location.coordinates) {
-            const { gridId } = getGridIdAndCenter(inc.location.coordinates[1], inc.location.coordinates[0]);
-            activeGridIds.add(gridId);
-        }
-    });
-    
-    // C. Existing grids
-    const existingGrids = await RiskGrid.find({});
-    existingGrids.forEach(g => activeGridIds.add(g.gridId));
+    const totals = metrics.totals[type] || (metrics.totals[type] = { runs: 0, cellsProcessed: 0, cellsUpdated: 0, cellsExpired: 0 });
+    totals.runs++;
+    totals.cellsProcessed += cellsProcessed;
+    totals.cellsUpdated += cellsUpdated;
+    totals.cellsExpired += cellsExpired;
 
-    console.log(`Analyzing ${activeGridIds.size} active grids...`);
+    metrics.recentRuns.unshift(run);
+    metrics.recentRuns.length = Math.min(metrics.recentRuns.length, METRICS_HISTORY);
 
-    // 2. Process each grid
-    for (const gid of activeGridIds) {
-        await processGrid(gid);
-    }
-    console.log("✅ Risk Update Complete.");
+    console.log(`📊 Risk engine ${type} run: ${cellsProcessed} cells processed, ${cellsUpdated} updated, ${cellsExpired} expired in ${run.durationMs}ms`);
+    return run;
 }
 
 /**
- * Calculate risk for a single grid cell
+ * Cells processed per run, totals per run type and the current queue.
+ * @returns {object}
  */
-async function processGrid(gridId) {
-    const [latStr, lngStr] = gridId.split('_');
-    const lat = parseFloat(latStr);
-    const lng = parseFloat(lngStr);
-    
-    // Always scan 30 days back to catch high-severity history
-    const LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
-    const windowStart = new Date(Date.now() - LOOKBACK_MS);
+function getRiskEngineMetrics() {
+    return {
+        since: metrics.since,
+        queueDepth: pendingCells.size,
+        processing: !!draining,
+        totals: metrics.totals,
+        recentRuns: metrics.recentRuns,
+    };
+}
 
-    // --- 1. Fetch Data (Maximum Scan Radius: 2.5km) ---
-    // We scan the maximum possible influence area (Critical Tier = 2.5km)
-    
-    // FILTER: Only pick 'new' SOS alerts as requested (exclude acknowledged/responding)
-    const sosAlerts = await SOSAlert.find({
-        location: { $geoWithin: { $centerSphere: [ [lng, lat], 2500 / 6378100 ] } },
-        timestamp: { $gte: windowStart },
-        status: 'new'
-    }).lean();
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
 
-    const incidents = await Incident.find({
-        location: { $geoWithin: { $centerSphere: [ [lng, lat], 2500 / 6378100 ] } },
-        timestamp: { $gte: windowStart }
-    }).lean();
+/**
+ * Calculate risk for a single grid cell from the events around it.
+ * @param {Array} sosAlerts 'new' SOS alerts within INFLUENCE_RADIUS_M of the cell
+ * @param {Array} incidents Counted incidents within INFLUENCE_RADIUS_M of the cell (with status, trust and reportedBy)
+ * @param {object|null} prevGrid Current RiskGrid of the cell
+ * @param {object} engine Engine parameters of the cell's risk profile
+ * @returns {object} { expired: true, tier } or the RiskGrid fields to save (without gridName)
+ */
+function computeGridRisk(sosAlerts, incidents, prevGrid, engine, now = Date.now()) {
+    // --- 1. Analyze Intensity Metrics ---
 
-    // --- 2. Analyze Intensity Metrics ---
-    
     let maxIncidentSeverity = 0;
     let minSosSafetyScore = 100;
     let latestEventTime = 0;
-    
+
     // Process SOS
     sosAlerts.forEach(a => {
         const time = new Date(a.timestamp).getTime();
@@ -113,63 +144,65 @@ async function processGrid(gridId) {
         }
     });
 
-    // Process Incidents
+    // Process Incidents: unreviewed reports count for their trust weight only
+    // (a single low-trust report can neither form a cluster nor look severe)
+    incidents = incidents
+        .map(i => ({ ...i, weight: incidentWeight(i) }))
+        .filter(i => i.weight > 0);
+
+    // A reporter's pending reports count once per cell (the heaviest), so
+    // repeating a report cannot outweigh the reporter's own trust
+    const pendingReporter = i => i.status === 'pending' && i.reportedBy?.touristId;
+    const heaviestPending = new Map();
+    incidents.forEach(i => {
+        const reporter = pendingReporter(i);
+        if (!reporter) return;
+        const heaviest = heaviestPending.get(reporter);
+        if (!heaviest || i.weight > heaviest.weight) heaviestPending.set(reporter, i);
+    });
+    incidents.forEach(i => {
+        const reporter = pendingReporter(i);
+        i.countedWeight = reporter && heaviestPending.get(reporter) !== i ? 0 : i.weight;
+    });
+
+    let incidentCount = 0;
     incidents.forEach(i => {
         const time = new Date(i.timestamp).getTime();
         if (time > latestEventTime) latestEventTime = time;
-        if (i.severity > maxIncidentSeverity) maxIncidentSeverity = i.severity;
+        const severity = (i.severity || 0.5) * i.weight;
+        if (severity > maxIncidentSeverity) maxIncidentSeverity = severity;
+        incidentCount += i.countedWeight;
     });
 
-    const combinedCount = sosAlerts.length + incidents.length;
+    const combinedCount = sosAlerts.length + incidentCount;
+
+    // --- 2. Determine Tier & Expiry ---
+
+    // Logic: an event cluster, a severe incident or a very low safety score
+    // (default Critical: >5 events, severity >=0.8 or safety <=30; High: >2, >=0.6, <=50)
+    const meetsTier = ({ minEvents, minIncidentSeverity, maxSosSafetyScore }) =>
+        combinedCount >= minEvents || maxIncidentSeverity >= minIncidentSeverity || minSosSafetyScore <= maxSosSafetyScore;
 
-    // --- 3. Determine Tier & Expiry ---
-    
     let tier = 'Standard';
-    let durationDays = 7;
-    let displayRadius = 500; // meters
-
-    // Logic: Active SOS cluster (>5) or Major Riot/Terror (>0.8) or Very Low Safety (<=30)
-    if (combinedCount > 5 || maxIncidentSeverity >= 0.8 || minSosSafetyScore <= 30) {
-        tier = 'Critical';
-        durationDays = 30;
-        displayRadius = 1500;
-    } 
-    // Logic: Moderate Cluster (>2) or High Severity (>0.6) or Low Safety (<=50)
-    else if (combinedCount > 2 || maxIncidentSeverity >= 0.6 || minSosSafetyScore <= 50) {
-        tier = 'High';
-        durationDays = 14;
-        displayRadius = 1000;
-    }
+    if (meetsTier(engine.tiers.Critical)) tier = 'Critical';
+    else if (meetsTier(engine.tiers.High)) tier = 'High';
 
     // Default is Standard (7 days, 500m)
+    const { durationDays, radius: displayRadius } = engine.tiers[tier];
 
-    // Calculate Expiry
     // If no events found, latestEventTime is 0, so expiresAt is past (correct)
     const expiresAt = new Date(latestEventTime + (durationDays * 24 * 60 * 60 * 1000));
-    
-    // Check if Expired
-    if (Date.now() > expiresAt.getTime()) {
-        // Expired -> Delete Grid from Database to cleanup
-        console.log(`Grid ${gridId} expired (Tier: ${tier}). Deleting.`);
-        
-        await RiskGrid.deleteOne({ gridId });
-        return;
-    }
+    if (now > expiresAt.getTime()) return { expired: true, tier };
 
-    // --- 4. Calculate Risk Score (with Dynamic Decay) ---
-    
-    // Dynamic Lambda based on Tier duration
-    // Formula: We want ~10% remaining at 'durationDays'.
-    // lambda = -ln(0.1) / (days * 24) = 2.3 / (days * 24)
-    
-    const lambda = 2.3 / (durationDays * 24);
+    // --- 3. Calculate Risk Score (with Dynamic Decay) ---
+
+    const lambda = lambdaFor(engine, tier);
 
     let sosScore = 0;
     if (sosAlerts.length > 0) {
-        const SOS_BASE_WEIGHT = 0.34;
         const totalSosImpact = sosAlerts.reduce((acc, alert) => {
-            const hoursAgo = (Date.now() - alert.timestamp) / (1000 * 60 * 60);
-            return acc + (SOS_BASE_WEIGHT * Math.exp(-lambda * hoursAgo));
+            const hoursAgo = (now - new Date(alert.timestamp)) / (1000 * 60 * 60);
+            return acc + (engine.sosBaseWeight * Math.exp(-lambda * hoursAgo));
         }, 0);
         sosScore = Math.min(totalSosImpact, 1.0);
     }
@@ -177,84 +210,47 @@ async function processGrid(gridId) {
     let incidentScore = 0;
     if (incidents.length > 0) {
         const totalImpact = incidents.reduce((acc, inc) => {
-            const hoursAgo = (Date.now() - inc.timestamp) / (1000 * 60 * 60);
-            const currentSeverity = (inc.severity || 0.5) * Math.exp(-lambda * hoursAgo);
+            const hoursAgo = (now - new Date(inc.timestamp)) / (1000 * 60 * 60);
+            const currentSeverity = (inc.severity || 0.5) * inc.countedWeight * Math.exp(-lambda * hoursAgo);
             return acc + currentSeverity;
         }, 0);
         incidentScore = Math.min(totalImpact, 1.0);
     }
 
-    // History (Self-Referential Decay)
+    // History (Self-Referential Decay) of the cell's own score, without spillover
     let historyScore = 0;
-    let gridName = null;
-    const prevGrid = await RiskGrid.findOne({ gridId });
-    if (prevGrid) {
-        const hoursSinceUpdate = (Date.now() - prevGrid.lastUpdated) / (1000 * 60 * 60);
-        historyScore = prevGrid.riskScore * Math.exp(-lambda * hoursSinceUpdate);
-        if (prevGrid.gridName && !prevGrid.gridName.startsWith('Zone [')) {
-            gridName = prevGrid.gridName;
-        }
-    }
-    
-    if (!gridName) {
-        gridName = await getGridName(lat, lng);
+    if (prevGrid && !prevGrid.spillover) {
+        const hoursSinceUpdate = (now - new Date(prevGrid.lastUpdated)) / (1000 * 60 * 60);
+        const prevScore = prevGrid.baseScore !== undefined ? prevGrid.baseScore : prevGrid.riskScore;
+        historyScore = prevScore * Math.exp(-lambda * hoursSinceUpdate);
     }
 
     // --- Adaptive Weighting ---
     // Problem: If there are NO incidents (only SOS), score is capped at 0.5 (Medium).
     // Solution: If Incident Score is 0, shift weight to SOS so a pure SOS cluster can reach High/Critical levels.
-    let wIncident = W_INCIDENT;
-    let wSos = W_SOS;
-    
+    let { incident: wIncident, sos: wSos } = engine.weights;
+
     if (incidentScore === 0 && sosScore > 0) {
-        if (tier === 'Critical') {
-            // Extreme Case: Massive SOS cluster but no official incidents yet.
-            // Allow risk to reach ~1.0 (Very High) purely on SOS volume.
-            wIncident = 0.0;
-            wSos = 0.95; // 0.95 SOS + 0.10 History can saturate to 1.0 (clamped)
-        } else {
-            wIncident = 0.10; // Reduce incident weight temporarily
-            wSos = 0.80;      // Boost SOS weight to allow score > 0.8
-        }
+        // Critical: massive SOS cluster but no official incidents yet, allow risk to
+        // reach ~1.0 (Very High) purely on SOS volume. Otherwise boost SOS enough
+        // to allow a score > 0.8.
+        ({ incident: wIncident, sos: wSos } = tier === 'Critical'
+            ? engine.sosOnlyWeights.critical
+            : engine.sosOnlyWeights.other);
     }
 
     // Weighted Sum
-    let finalScore = (wIncident * incidentScore) + (wSos * sosScore) + (W_HISTORY * historyScore);
-
-    // --- Dynamic Floor Calculation ---
-    // Instead of a fixed floor, we use a sliding scale based on time remaining to prevent "cliff-edge" deletion.
-    
-    // Calculate progress (0.0 to 1.0)
-    const now = Date.now();
-    const expiryTime = expiresAt.getTime();
-    const totalDurationMs = durationDays * 24 * 60 * 60 * 1000;
-    
-    // Clamped between 0 and 1
-    const timeRemainingRatio = Math.max(0, Math.min(1, (expiryTime - now) / totalDurationMs));
-
-    if (tier === 'Critical') {
-        const dynamicFloor = 0.8 * timeRemainingRatio; // Slides from 0.8 down to 0
-        finalScore = Math.max(finalScore, dynamicFloor); 
-    } else if (tier === 'High') {
-        const dynamicFloor = 0.6 * timeRemainingRatio; // Slides from 0.6 down to 0
-        finalScore = Math.max(finalScore, dynamicFloor);
-    }
-
+    let finalScore = (wIncident * incidentScore) + (wSos * sosScore) + (engine.weights.history * historyScore);
+    finalScore = Math.max(finalScore, floorFor(engine, tier, expiresAt, now));
     finalScore = Math.min(Math.max(finalScore, 0), 1);
 
-    let level = 'Low';
-    if (finalScore >= 0.8) level = 'Very High';
-    else if (finalScore >= 0.6) level = 'High';
-    else if (finalScore >= 0.3) level = 'Medium';
-
-
-    // --- 5. Build Reasons ---
+    // --- 4. Build Reasons ---
     const reasons = [];
     sosAlerts.forEach(sos => reasons.push({
         type: 'sos_alert',
         title: sos.sosReason?.reason || 'SOS Alert',
         timestamp: sos.timestamp,
-        severity: sos.safetyScore || 1.0, 
+        severity: sos.safetyScore || 1.0,
         eventType: 'sos'
     }));
     incidents.forEach(inc => reasons.push({
@@ -264,45 +260,513 @@ async function processGrid(gridId) {
         severity: inc.severity,
         eventType: inc.type
     }));
-    
+
     reasons.sort((a, b) => b.timestamp - a.timestamp);
-    const topReasons = reasons.slice(0, 10);
-
-    // Save
-    await RiskGrid.findOneAndUpdate(
-        { gridId },
-        {
-            location: { type: "Point", coordinates: [lng, lat] },
-            riskScore: finalScore,
-            riskLevel: level,
-            tierLevel: tier,
-            radius: displayRadius,
-            expiresAt: expiresAt,
-            lastUpdated: new Date(),
-            gridName: gridName,
-            reasons: topReasons
-        },
-        { upsert: true, new: true }
-    );
+
+    return {
+        riskScore: finalScore,
+        riskLevel: levelForScore(finalScore),
+        tierLevel: tier,
+        radius: displayRadius,
+        expiresAt,
+        lastUpdated: new Date(now),
+        reasons: reasons.slice(0, 10),
+    };
+}
+
+// Events within INFLUENCE_RADIUS_M of any of the cells, read once per batch
+async function loadEventsAround(cells, now) {
+    const near = cells.map(({ lat, lng }) => ({
+        location: { $geoWithin: { $centerSphere: [[lng, lat], INFLUENCE_RADIUS_M / 6378100] } }
+    }));
+    const windowStart = new Date(now - LOOKBACK_MS);
+
+    // FILTER: Only pick 'new' SOS alerts (exclude acknowledged/responding
+    // and cancelled false alarms)
+    const [sosAlerts, incidents] = await Promise.all([
+        SOSAlert.find({ $or: near, timestamp: { $gte: windowStart }, status: 'new' })
+            .select('location timestamp safetyScore sosReason').lean(),
+        Incident.find({ $or: near, timestamp: { $gte: windowStart }, ...countedIncidentFilter() })
+            .select('location timestamp severity title type status trust reportedBy').lean(),
+    ]);
+    return { sosAlerts, incidents };
+}
+
+const within = (cell) => (event) => event.location && event.location.coordinates &&
+    calculateDistance(cell.lat, cell.lng, event.location.coordinates[1], event.location.coordinates[0]) <= INFLUENCE_RADIUS_M;
+
+// Strongest neighbour with risk of its own (spillover cells never spill further)
+function strongestSource(gridId, computed, stored, expiredSources) {
+    let strongest = null;
+    for (const id of gridSystemFor(gridId).neighbours(gridId)) {
+        let candidate = null;
+        if (computed.has(id)) {
+            candidate = computed.get(id);
+        } else if (stored.has(id) && !stored.get(id).spillover && !expiredSources.has(id)) {
+            const grid = stored.get(id);
+            candidate = { ...grid, baseScore: grid.baseScore !== undefined ? grid.baseScore : grid.riskScore };
+        }
+        if (candidate && (!strongest || candidate.baseScore > strongest.baseScore)) strongest = candidate;
+    }
+    return strongest;
+}
+
+/**
+ * Recalculate a batch of grid cells.
+ * Cells with events of their own are scored from the events around them; their
+ * score is raised to SMOOTHING x the strongest adjacent cell's, and cells next
+ * to a risky cell get that spilled-over score (see RISK_GRID_SMOOTHING).
+ * @param {Array<object>} entries [{ gridId, source }] (source: an event fell inside the cell)
+ * @returns {Promise<object>} { cellsProcessed, cellsUpdated, cellsExpired, updated: [RiskGrid], expired: [gridId], levelChanged: [RiskGrid], refresh: [gridId] }
+ */
+async function processBatch(entries) {
+    const now = Date.now();
+    const cells = entries.map(({ gridId, source }) => ({ gridId, source, ...parseGridId(gridId) }));
+
+    // The batch and everything adjacent to it, for history and smoothing
+    const adjacentIds = cells.flatMap(cell => gridSystemFor(cell.gridId).neighbours(cell.gridId));
+    const storedGrids = await RiskGrid.find({
+        gridId: { $in: [...new Set([...cells.map(c => c.gridId), ...adjacentIds])] }
+    }).lean();
+    const stored = new Map(storedGrids.map(g => [g.gridId, g]));
+
+    cells.forEach(cell => {
+        const prevGrid = stored.get(cell.gridId);
+        cell.source = cell.source || !!(prevGrid && !prevGrid.spillover);
+    });
+    const sourceCells = cells.filter(c => c.source);
+    const { sosAlerts, incidents } = sourceCells.length > 0
+        ? await loadEventsAround(sourceCells, now)
+        : { sosAlerts: [], incidents: [] };
+
+    // Pass 1: cells' own scores
+    const computed = new Map(); // gridId -> fields, for cells still at risk
+    const expiredSources = new Set();
+    for (const cell of sourceCells) {
+        const prevGrid = stored.get(cell.gridId) || null;
+        const inRange = within(cell);
+        const profile = await getProfile(cell.lat, cell.lng);
+        const result = computeGridRisk(sosAlerts.filter(inRange), incidents.filter(inRange), prevGrid, profile.engine, now);
+        if (result.expired) {
+            expiredSources.add(cell.gridId);
+            if (prevGrid) console.log(`Grid ${cell.gridId} expired (Tier: ${result.tier}). Deleting.`);
+        } else {
+            computed.set(cell.gridId, {
+                ...result,
+                baseScore: result.riskScore,
+                gridName: prevGrid && prevGrid.gridName,
+                profile: profileRef(profile),
+            });
+        }
+    }
+
+    // Pass 2: smoothing and writes
+    const ops = [];
+    const updated = [];
+    const expired = [];
+    const levelChanged = [];
+    const refresh = new Set();
+
+    for (const cell of cells) {
+        const prevGrid = stored.get(cell.gridId) || null;
+        const system = gridSystemFor(cell.gridId);
+        const strongest = SMOOTHING > 0 ? strongestSource(cell.gridId, computed, stored, expiredSources) : null;
+        const spill = strongest ? SMOOTHING * strongest.baseScore : 0;
+        let fields;
+
+        if (computed.has(cell.gridId)) {
+            const own = computed.get(cell.gridId);
+            const riskScore = Math.max(own.baseScore, spill);
+            fields = { ...own, riskScore, riskLevel: levelForScore(riskScore), spillover: false };
+        } else if (spill >= MIN_SPILLOVER_SCORE) {
+            fields = {
+                riskScore: spill,
+                baseScore: 0,
+                riskLevel: levelForScore(spill),
+                tierLevel: strongest.tierLevel,
+                radius: strongest.radius,
+                expiresAt: strongest.expiresAt,
+                lastUpdated: new Date(now),
+                gridName: strongest.gridName,
+                reasons: [],
+                spillover: true,
+                // Tier and expiry come from the neighbour, so does the profile
+                profile: strongest.profile,
+            };
+        } else {
+            // Expired, or a spillover cell whose neighbours calmed down
+            if (prevGrid) {
+                ops.push({ deleteOne: { filter: { gridId: cell.gridId } } });
+                expired.push(cell.gridId);
+            }
+            if (SMOOTHING > 0 && prevGrid && !prevGrid.spillover) system.neighbours(cell.gridId).forEach(id => refresh.add(id));
+            continue;
+        }
+
+        // Keep a real place name once resolved; placeholders are retried
+        let gridName = fields.gridName && !fields.gridName.startsWith('Zone [') ? fields.gridName : null;
+        if (!gridName) gridName = await getGridName(cell.lat, cell.lng);
+
+        Object.assign(fields, {
+            location: { type: "Point", coordinates: [cell.lng, cell.lat] },
+            gridName,
+            gridType: system.type,
+            resolution: system.resolutionOf(cell.gridId),
+            'visualStyle.gridSize': Math.round(system.cellWidthMeters(system.resolutionOf(cell.gridId))),
+        });
+        ops.push({ updateOne: { filter: { gridId: cell.gridId }, update: { $set: fields }, upsert: true } });
+
+        // Neighbours' spillover depends on this cell's own score
+        const prevBase = prevGrid && !prevGrid.spillover
+            ? (prevGrid.baseScore !== undefined ? prevGrid.baseScore : prevGrid.riskScore)
+            : 0;
+        if (SMOOTHING > 0 && Math.abs(fields.baseScore - prevBase) >= SPILLOVER_REFRESH_DELTA) {
+            system.neighbours(cell.gridId).forEach(id => refresh.add(id));
+        }
+
+        const grid = { gridId: cell.gridId, ...fields };
+        updated.push(grid);
+        if (!prevGrid || prevGrid.riskLevel !== grid.riskLevel) levelChanged.push(grid);
+    }
+
+    if (ops.length > 0) await RiskGrid.bulkWrite(ops, { ordered: false });
+    cells.forEach(cell => refresh.delete(cell.gridId));
+
+    return {
+        cellsProcessed: cells.length,
+        cellsUpdated: updated.length,
+        cellsExpired: expired.length,
+        updated,
+        expired,
+        levelChanged,
+        refresh: [...refresh],
+    };
 }
 
 /**
- * Update risk score for a specific location immediately (for instant SOS feedback)
+ * Calculate risk for a single grid cell
+ */
+async function processGrid(gridId, source = false) {
+    return processBatch([{ gridId, source }]);
+}
+
+const gridPayload = (grid) => ({
+    gridId: grid.gridId,
+    riskLevel: grid.riskLevel,
+    riskScore: grid.riskScore,
+    location: grid.location,
+    gridName: grid.gridName,
+    lastUpdated: grid.lastUpdated,
+    radius: grid.radius,
+    tierLevel: grid.tierLevel
+});
+
+// Tell map clients about cells that changed level or disappeared
+function broadcastChanges(levelChanged, expired, eventType) {
+    if (levelChanged.length === 0 && expired.length === 0) return;
+    const realtimeService = require('./realtimeService');
+
+    levelChanged.forEach(grid => {
+        realtimeService.emitRiskGridUpdated(gridPayload(grid))
+            .catch(err => console.error('Grid emit error:', err));
+    });
+    if (expired.length > 0) {
+        realtimeService.emitMapDataUpdated({ eventType, gridIds: expired })
+            .catch(err => console.error('Grid emit error:', err));
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Map aggregation
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge cells into coarser cells of the same grid for a map zoom level, so
+ * zoomed-out maps show a readable number of cells. A merged cell takes the
+ * highest score of its cells (a single dangerous block keeps the area
+ * flagged); the area-weighted mean is included too.
+ * @param {Array} grids RiskGrid documents (lean)
+ * @param {number} zoom Web map zoom level
+ * @param {number} lat Latitude the map is centred on
+ * @returns {Array} [{ gridId, gridType, resolution, cellSize, center, boundary, riskScore, averageRiskScore, riskLevel, tierLevel, cellCount, gridName, lastUpdated }]
+ */
+function aggregateRiskGrids(grids, zoom, lat) {
+    const groups = new Map();
+
+    for (const grid of grids) {
+        const system = gridSystemFor(grid.gridId);
+        const cellRes = system.resolutionOf(grid.gridId);
+        const res = resolutionForZoom(system, zoom, lat, cellRes);
+        const center = system.centerOf(grid.gridId);
+        const gridId = res === cellRes ? grid.gridId : system.cellOf(center.lat, center.lng, res).gridId;
+
+        if (!groups.has(gridId)) groups.set(gridId, { system, res, cells: [] });
+        groups.get(gridId).cells.push(grid);
+    }
+
+    return [...groups.entries()].map(([gridId, { system, res, cells }]) => {
+        const top = cells.reduce((a, b) => (b.riskScore > a.riskScore ? b : a));
+        // Cells of a resolution have equal areas, so a plain mean over the
+        // merged cell (empty cells count as 0) is area-weighted
+        const cellsPerParent = (system.cellWidthMeters(res) / system.cellWidthMeters(system.resolutionOf(top.gridId))) ** 2;
+        const averageRiskScore = cells.reduce((sum, g) => sum + g.riskScore, 0) / Math.max(cellsPerParent, cells.length);
+        const center = system.centerOf(gridId);
+
+        return {
+            gridId,
+            gridType: system.type,
+            resolution: res,
+            cellSize: Math.round(system.cellWidthMeters(res)),
+            center: [center.lng, center.lat],
+            boundary: system.boundary(gridId),
+            riskScore: top.riskScore,
+            averageRiskScore,
+            riskLevel: top.riskLevel,
+            tierLevel: top.tierLevel,
+            cellCount: cells.length,
+            gridName: top.gridName,
+            lastUpdated: cells.reduce((latest, g) => (g.lastUpdated > latest ? g.lastUpdated : latest), top.lastUpdated),
+        };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Update queue
+// ---------------------------------------------------------------------------
+
+const pendingCells = new Map(); // gridId -> { source }
+let flushTimer = null;
+let draining = null; // Promise of the running drain
+
+// source: an event fell inside the cell (it may not have a grid yet)
+const queueCell = (gridId, source = false) => {
+    const queued = pendingCells.get(gridId);
+    pendingCells.set(gridId, { source: source || !!(queued && queued.source) });
+};
+
+/**
+ * Cells affected by an event at a location: the cell containing it and every
+ * existing cell within INFLUENCE_RADIUS_M (cells without a grid yet only
+ * appear once an event falls inside them).
+ * @returns {Promise<Array<string>>} gridIds
+ */
+async function findAffectedCells(lat, lng) {
+    const { gridId } = getGridIdAndCenter(lat, lng);
+    const neighbours = await RiskGrid.find({
+        location: { $geoWithin: { $centerSphere: [[lng, lat], INFLUENCE_RADIUS_M / 6378100] } }
+    }).select('gridId').lean();
+
+    return [gridId, ...neighbours.map(g => g.gridId).filter(id => id !== gridId)];
+}
+
+function scheduleFlush() {
+    if (flushTimer || draining) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        drainQueue().catch(err => console.error('Risk queue error:', err));
+    }, FLUSH_DELAY_MS);
+}
+
+/**
+ * Process every queued cell in batches of BATCH_SIZE.
+ * Concurrent calls share the running drain.
+ * @param {string} type Run type recorded in the metrics
+ * @returns {Promise<object|null>} Run metrics, null if the queue was empty
+ */
+function drainQueue(type = 'incremental') {
+    if (draining) return draining;
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (pendingCells.size === 0) return Promise.resolve(null);
+
+    draining = (async () => {
+        const startedAt = new Date();
+        const stats = { cellsProcessed: 0, cellsUpdated: 0, cellsExpired: 0 };
+
+        while (pendingCells.size > 0) {
+            const batch = [...pendingCells].slice(0, BATCH_SIZE).map(([gridId, { source }]) => ({ gridId, source }));
+            batch.forEach(({ gridId }) => pendingCells.delete(gridId));
+
+            let result;
+            try {
+                result = await processBatch(batch);
+            } catch (err) {
+                console.error(`⚠️ Risk batch of ${batch.length} cells failed:`, err);
+                continue;
+            }
+            stats.cellsProcessed += result.cellsProcessed;
+            stats.cellsUpdated += result.cellsUpdated;
+            stats.cellsExpired += result.cellsExpired;
+            result.refresh.forEach(id => queueCell(id));
+            broadcastChanges(result.levelChanged, result.expired, 'risk-grids-expired');
+        }
+
+        return recordRun(type, startedAt, stats);
+    })().finally(() => {
+        draining = null;
+        // Cells queued while the last batch was being written
+        if (pendingCells.size > 0) scheduleFlush();
+    });
+
+    return draining;
+}
+
+/**
+ * Queue the cells affected by a new event at a location.
+ * @returns {Promise<number>} Number of cells queued
+ */
+async function enqueueLocation(lat, lng) {
+    const gridIds = await findAffectedCells(lat, lng);
+    gridIds.forEach((id, i) => queueCell(id, i === 0));
+    scheduleFlush();
+    return gridIds.length;
+}
+
+/**
+ * Update risk score for a specific location immediately (for instant SOS feedback).
+ * The surrounding cells are queued.
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @returns {Object} Updated grid data
  */
 async function updateGridForLocation(lat, lng) {
     console.log(`🎯 Updating risk grid for location: ${lat}, ${lng}`);
-    
-    const { gridId } = getGridIdAndCenter(lat, lng);
-    await processGrid(gridId);
-    
+
+    const startedAt = new Date();
+    const [gridId, ...neighbours] = await findAffectedCells(lat, lng);
+    const result = await processGrid(gridId, true);
+    recordRun('immediate', startedAt, result);
+
+    [...neighbours, ...result.refresh].forEach(id => queueCell(id));
+    if (pendingCells.size > 0) scheduleFlush();
+
     // Return the updated grid
     const updatedGrid = await RiskGrid.findOne({ gridId });
-    console.log(`✅ Grid ${gridId} updated - Risk: ${updatedGrid?.riskLevel || 'Unknown'}`);
-    
+    console.log(`✅ Grid ${gridId} updated - Risk: ${updatedGrid?.riskLevel || 'Unknown'} (${neighbours.length} neighbours queued)`);
+
     return updatedGrid;
 }
 
-module.exports = { updateRiskScores, getGridIdAndCenter, updateGridForLocation };
+// ---------------------------------------------------------------------------
+// Periodic jobs
+// ---------------------------------------------------------------------------
+
+/**
+ * Decay every cell's score towards its tier floor and delete expired cells.
+ * Reads only RiskGrid; events are handled by the queue.
+ * @returns {Promise<object>} Run metrics
+ */
+async function runDecaySweep() {
+    const startedAt = new Date();
+    const now = startedAt.getTime();
+
+    const expiredGrids = await RiskGrid.find({ expiresAt: { $lte: startedAt } }).select('gridId').lean();
+    const expired = expiredGrids.map(g => g.gridId);
+    if (expired.length > 0) await RiskGrid.deleteMany({ gridId: { $in: expired } });
+
+    let cellsProcessed = 0;
+    const levelChanged = [];
+    let ops = [];
+
+    const flush = async () => {
+        if (ops.length > 0) await RiskGrid.bulkWrite(ops, { ordered: false });
+        ops = [];
+    };
+
+    const cursor = RiskGrid.find({ expiresAt: { $gt: startedAt } }).lean().cursor();
+    for await (const grid of cursor) {
+        cellsProcessed++;
+        const [lng, lat] = grid.location.coordinates;
+        const profile = await getProfile(lat, lng);
+        const { engine } = profile;
+        const tier = engine.tiers[grid.tierLevel] ? grid.tierLevel : 'Standard';
+        const hoursSinceUpdate = (now - new Date(grid.lastUpdated)) / (1000 * 60 * 60);
+
+        const decay = Math.exp(-lambdaFor(engine, tier) * hoursSinceUpdate);
+        // Spillover cells follow a proportional share of their neighbour's floor
+        const floor = floorFor(engine, tier, grid.expiresAt, now) * (grid.spillover ? SMOOTHING : 1);
+        const riskScore = Math.min(Math.max(grid.riskScore * decay, floor, 0), 1);
+        const riskLevel = levelForScore(riskScore);
+
+        if (grid.spillover && riskScore < MIN_SPILLOVER_SCORE) {
+            ops.push({ deleteOne: { filter: { gridId: grid.gridId, lastUpdated: grid.lastUpdated } } });
+            expired.push(grid.gridId);
+            if (ops.length >= BATCH_SIZE * 4) await flush();
+            continue;
+        }
+
+        const update = { riskScore, riskLevel, lastUpdated: startedAt };
+        if (!grid.spillover) update.profile = profileRef(profile);
+        if (grid.baseScore !== undefined) {
+            update.baseScore = grid.spillover ? 0 : Math.min(Math.max(grid.baseScore * decay, floor, 0), 1);
+        }
+
+        // Events older than the tier lifetime no longer explain the score
+        const cutoff = now - engine.tiers[tier].durationDays * 24 * 60 * 60 * 1000;
+        const reasons = (grid.reasons || []).filter(r => new Date(r.timestamp).getTime() > cutoff);
+
+        ops.push({
+            updateOne: {
+                filter: { gridId: grid.gridId, lastUpdated: grid.lastUpdated }, // skip cells the queue just rewrote
+                update: { $set: { ...update, reasons } },
+            }
+        });
+        if (riskLevel !== grid.riskLevel) levelChanged.push({ ...grid, riskScore, riskLevel, lastUpdated: startedAt });
+        if (ops.length >= BATCH_SIZE * 4) await flush();
+    }
+    await flush();
+
+    broadcastChanges(levelChanged, expired, 'risk-grids-expired');
+    return recordRun('decay', startedAt, {
+        cellsProcessed,
+        cellsUpdated: cellsProcessed - (expired.length - expiredGrids.length),
+        cellsExpired: expired.length,
+    });
+}
+
+/**
+ * Full rebuild: queue every cell with activity in the last 30 days plus all
+ * existing cells and process them. Used for manual recalculation only.
+ * @returns {Promise<object|null>} Run metrics
+ */
+async function updateRiskScores() {
+    console.log("🔄 Running Global Risk Update Job...");
+
+    const windowStart = new Date(Date.now() - LOOKBACK_MS);
+    const [recentSOS, recentIncidents, existingGrids] = await Promise.all([
+        SOSAlert.find({ timestamp: { $gte: windowStart }, status: 'new' }).select('location').lean(),
+        Incident.find({ timestamp: { $gte: windowStart }, ...countedIncidentFilter() }).select('location').lean(),
+        RiskGrid.find({}).select('gridId').lean(),
+    ]);
+
+    // Let a running drain finish so this run is measured on its own
+    if (draining) await draining;
+
+    [...recentSOS, ...recentIncidents].forEach(event => {
+        if (event.location && event.location.coordinates) {
+            const { gridId } = getGridIdAndCenter(event.location.coordinates[1], event.location.coordinates[0]);
+            queueCell(gridId, true);
+        }
+    });
+    existingGrids.forEach(g => queueCell(g.gridId));
+
+    console.log(`Analyzing ${pendingCells.size} active grids...`);
+    const run = await drainQueue('rebuild');
+    console.log("✅ Risk Update Complete.");
+    return run;
+}
+
+module.exports = {
+    updateRiskScores,
+    computeGridRisk,
+    processBatch,
+    getGridIdAndCenter,
+    updateGridForLocation,
+    enqueueLocation,
+    drainQueue,
+    runDecaySweep,
+    getRiskEngineMetrics,
+    aggregateRiskGrids,
+};
@@ -0,0 +1,376 @@
+const RiskProfile = require('../models/RiskProfile');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { normalizePolygonGeometry, geometryBBox, isPointInGeometry } = require('../utils/geo');
+
+/**
+ * Risk Profile Service
+ *
+ * Per-region parameters for the Risk Engine (weights, tier rules, durations)
+ * and the Safety Score (distances, radii, penalties). Profiles are versioned:
+ * an edit never changes a stored version, it adds the next one. The current
+ * versions are cached and reloaded after every edit and at least every
+ * RELOAD_INTERVAL_MS, so other server instances pick edits up without a restart.
+ */
+
+const RELOAD_INTERVAL_MS = 60 * 1000;
+const DEFAULT_REGION = 'default';
+
+// Built-in values, used for anything a stored profile does not set
+const DEFAULT_ENGINE = {
+  weights: { incident: 0.40, sos: 0.50, history: 0.10 },
+  // A cell with SOS alerts but no incidents shifts weight to SOS so a pure SOS
+  // cluster can still reach High/Critical levels
+  sosOnlyWeights: {
+    critical: { incident: 0.0, sos: 0.95 },
+    other: { incident: 0.10, sos: 0.80 },
+  },
+  sosBaseWeight: 0.34,
+  // A tier applies when any of its conditions holds (events within 2.5km)
+  tiers: {
+    Critical: { minEvents: 6, minIncidentSeverity: 0.8, maxSosSafetyScore: 30, durationDays: 30, radius: 1500, floor: 0.8 },
+    High: { minEvents: 3, minIncidentSeverity: 0.6, maxSosSafetyScore: 50, durationDays: 14, radius: 1000, floor: 0.6 },
+    Standard: { durationDays: 7, radius: 500, floor: 0 },
+  },
+};
+
+const DEFAULT_SCORER = {
+  // Distance thresholds (in meters)
+  DANGER_ZONE_CRITICAL_DISTANCE: 100,    // Inside or very close
+  DANGER_ZONE_HIGH_DISTANCE: 500,        // High alert zone
+  DANGER_ZONE_MEDIUM_DISTANCE: 2000,     // Medium alert zone
+  DANGER_ZONE_LOW_DISTANCE: 5000,        // Low alert zone
+
+  RISK_GRID_CRITICAL_DISTANCE: 100,      // Inside grid
+  RISK_GRID_HIGH_DISTANCE: 500,          // Very close to grid
+  RISK_GRID_MEDIUM_DISTANCE: 1500,       // Medium distance
+  RISK_GRID_LOW_DISTANCE: 3000,          // Far but visible
+
+  // Base scores
+  BASE_SCORE: 100,                        // Perfect safety
+
+  // Maximum zones to consider (performance optimization)
+  MAX_NEARBY_ZONES: 10,
+  MAX_NEARBY_GRIDS: 15,
+
+  // Search radius for queries (in meters)
+  SEARCH_RADIUS: 10000,                   // 10km search radius
+
+  // Direct SOS / Incident influence
+  SOS_RADIUS_M: 2500,
+  INCIDENT_RADIUS_M: 4000,
+  SOS_LOOKBACK_DAYS: 7,
+  INCIDENT_LOOKBACK_DAYS: 7,
+  MAX_SOS_PENALTY: 40,        // max points deducted from nearby SOS
+  MAX_INCIDENT_PENALTY: 45    // max points deducted from nearby incidents
+};
+
+const BUILT_IN_PROFILE = {
+  region: DEFAULT_REGION,
+  version: 0,
+  name: 'Built-in defaults',
+  engine: DEFAULT_ENGINE,
+  scorer: DEFAULT_SCORER,
+};
+
+// Allowed range per parameter path: [pattern, min, max, integer]
+const RANGES = [
+  [/^engine\.(weights|sosOnlyWeights)\.|^engine\.sosBaseWeight$|\.floor$|\.minIncidentSeverity$/, 0, 1],
+  [/\.minEvents$/, 1, 1000, true],
+  [/\.maxSosSafetyScore$|^scorer\.BASE_SCORE$|_PENALTY$/, 0, 100],
+  [/\.durationDays$|_LOOKBACK_DAYS$/, 0.01, 365],
+  [/^scorer\.MAX_NEARBY_/, 1, 100, true],
+  [/\.radius$|_DISTANCE$|_RADIUS(_M)?$/, 1, 100000],
+];
+
+const DISTANCE_LADDERS = ['DANGER_ZONE', 'RISK_GRID'];
+
+const EDITABLE_FIELDS = ['name', 'boundary', 'priority', 'isActive', 'engine', 'scorer'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Overlay `input` on `base`, validating every value against RANGES.
+ * @param {object} base Complete section (defaults or a stored profile)
+ * @param {object} input Partial section
+ * @param {string} path 'engine' | 'scorer'
+ * @returns {object} New complete section
+ * @throws {CustomError} 400
+ */
+function mergeSection(base, input, path) {
+  if (input === undefined) return JSON.parse(JSON.stringify(base));
+  if (!isPlainObject(input)) throw new CustomError(400, `${path} must be an object`);
+
+  const merged = {};
+  for (const [key, baseValue] of Object.entries(base)) {
+    const fieldPath = `${path}.${key}`;
+    if (isPlainObject(baseValue)) {
+      merged[key] = mergeSection(baseValue, input[key], fieldPath);
+      continue;
+    }
+    if (input[key] === undefined) {
+      merged[key] = baseValue;
+      continue;
+    }
+
+    const value = input[key];
+    const range = RANGES.find(([pattern]) => pattern.test(fieldPath));
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new CustomError(400, `${fieldPath} must be a number`);
+    }
+    if (range) {
+      const [, min, max, integer] = range;
+      if (value < min || value > max || (integer && !Number.isInteger(value))) {
+        throw new CustomError(400, `${fieldPath} must be ${integer ? 'an integer ' : ''}between ${min} and ${max}`);
+      }
+    }
+    merged[key] = value;
+  }
+
+  const unknown = Object.keys(input).filter(key => !(key in base));
+  if (unknown.length > 0) {
+    throw new CustomError(400, `Unknown ${path} parameter(s): ${unknown.map(k => `${path}.${k}`).join(', ')}`);
+  }
+  return merged;
+}
+
+function assertDistanceOrder(scorer) {
+  for (const prefix of DISTANCE_LADDERS) {
+    const ladder = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].map(level => scorer[`${prefix}_${level}_DISTANCE`]);
+    if (!ladder.every((d, i) => i === 0 || d > ladder[i - 1])) {
+      throw new CustomError(400, `${prefix}_*_DISTANCE values must increase from CRITICAL to LOW`);
+    }
+  }
+}
+
+// Stored profile -> complete profile (defaults fill parameters added later)
+const completeProfile = (doc) => ({
+  region: doc.region,
+  version: doc.version,
+  name: doc.name,
+  priority: doc.priority || 0,
+  boundary: doc.boundary && doc.boundary.type ? doc.boundary : null,
+  engine: mergeSection(DEFAULT_ENGINE, doc.engine, 'engine'),
+  scorer: mergeSection(DEFAULT_SCORER, doc.scorer, 'scorer'),
+});
+
+// ---------------------------------------------------------------------------
+// Cache
+// ---------------------------------------------------------------------------
+
+let cache = { regions: [], defaultProfile: BUILT_IN_PROFILE, loadedAt: 0 };
+let loading = null;
+
+/**
+ * Reload the current profile versions from the database.
+ * On failure the previous profiles stay in use.
+ * @returns {Promise<void>}
+ */
+function reloadProfiles() {
+  if (loading) return loading;
+
+  loading = (async () => {
+    try {
+      const docs = await RiskProfile.find({ isCurrent: true, isActive: { $ne: false } }).lean();
+      const profiles = [];
+      for (const doc of docs) {
+        try {
+          profiles.push(completeProfile(doc));
+        } catch (err) {
+          console.error(`⚠️ Ignoring invalid risk profile ${doc.region} v${doc.version}:`, err.message);
+        }
+      }
+
+      cache = {
+        regions: profiles
+          .filter(p => p.region !== DEFAULT_REGION && p.boundary)
+          .map(p => ({ ...p, bbox: geometryBBox(p.boundary) }))
+          .sort((a, b) => b.priority - a.priority),
+        defaultProfile: profiles.find(p => p.region === DEFAULT_REGION) || BUILT_IN_PROFILE,
+        loadedAt: Date.now(),
+      };
+    } catch (err) {
+      console.error('⚠️ Failed to reload risk profiles, keeping the previous ones:', err.message);
+      cache = { ...cache, loadedAt: Date.now() };
+    }
+  })().finally(() => {
+    loading = null;
+  });
+
+  return loading;
+}
+
+/**
+ * Profile in force at a location.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<object>} { region, version, name, engine, scorer }
+ */
+async function getProfile(lat, lng) {
+  if (Date.now() - cache.loadedAt > RELOAD_INTERVAL_MS) await reloadProfiles();
+
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    const match = cache.regions.find(p =>
+      lat >= p.bbox.minLat && lat <= p.bbox.maxLat && lng >= p.bbox.minLng && lng <= p.bbox.maxLng &&
+      isPointInGeometry(lat, lng, p.boundary)
+    );
+    if (match) return match;
+  }
+  return cache.defaultProfile;
+}
+
+/**
+ * Reference stored on grids and scores.
+ * @param {object} profile
+ * @returns {object} { region, version }
+ */
+const profileRef = (profile) => ({ region: profile.region, version: profile.version });
+
+// ---------------------------------------------------------------------------
+// Administration
+// ---------------------------------------------------------------------------
+
+const normaliseRegion = (region) => {
+  const key = String(region || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{0,63}$/.test(key)) {
+    throw new CustomError(400, 'region must be 1-64 letters, digits, - or _');
+  }
+  return key;
+};
+
+/**
+ * Current version of every region (including deactivated ones).
+ * @returns {Promise<object>} { profiles, builtIn }
+ */
+async function listProfiles() {
+  const profiles = await RiskProfile.find({ isCurrent: true }).sort({ region: 1 }).lean();
+  return { profiles, builtIn: BUILT_IN_PROFILE };
+}
+
+/**
+ * All versions of a region, newest first.
+ * @param {string} region
+ * @returns {Promise<Array>}
+ */
+async function getProfileHistory(region) {
+  return RiskProfile.find({ region: normaliseRegion(region) }).sort({ version: -1 }).lean();
+}
+
+/**
+ * Store a new version of a region's profile. Parameters not given are taken
+ * from the current version (or the built-in defaults).
+ * @param {string} region Region key ('default' for everywhere else)
+ * @param {object} input Any of EDITABLE_FIELDS; engine and scorer may be partial
+ * @param {object} options { actor, comment }
+ * @returns {Promise<object>} { profile, changed }
+ * @throws {CustomError} 400 invalid input, 409 concurrent edit
+ */
+async function saveProfileVersion(region, input = {}, { actor, comment } = {}) {
+  const key = normaliseRegion(region);
+  const unknown = Object.keys(input).filter(f => !EDITABLE_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw new CustomError(400, `Cannot set ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const [current, latest] = await Promise.all([
+    RiskProfile.findOne({ region: key, isCurrent: true }).lean(),
+    RiskProfile.findOne({ region: key }).sort({ version: -1 }).select('version').lean(),
+  ]);
+  const base = current ? completeProfile(current) : BUILT_IN_PROFILE;
+
+  const next = {
+    name: input.name !== undefined ? String(input.name).trim() : (current ? current.name : null),
+    priority: input.priority !== undefined ? input.priority : (current ? current.priority || 0 : 0),
+    isActive: input.isActive !== undefined ? input.isActive : (current ? current.isActive !== false : true),
+    boundary: current && current.boundary && current.boundary.type ? current.boundary : undefined,
+    engine: mergeSection(base.engine, input.engine, 'engine'),
+    scorer: mergeSection(base.scorer, input.scorer, 'scorer'),
+  };
+  assertDistanceOrder(next.scorer);
+
+  if (key === DEFAULT_REGION) {
+    if (input.boundary) throw new CustomError(400, 'The default profile applies everywhere and cannot have a boundary');
+    if (next.isActive === false) throw new CustomError(400, 'The default profile cannot be deactivated');
+    next.name = next.name || 'Default';
+  } else {
+    if (input.boundary !== undefined && input.boundary !== null) {
+      try {
+        next.boundary = normalizePolygonGeometry(input.boundary);
+      } catch (err) {
+        throw new CustomError(400, `Invalid boundary: ${err.message}`);
+      }
+    }
+    if (!next.boundary) throw new CustomError(400, 'boundary (GeoJSON Polygon or MultiPolygon) is required for a region');
+    if (!next.name) throw new CustomError(400, 'name is required for a new region');
+  }
+  if (typeof next.isActive !== 'boolean') throw new CustomError(400, 'isActive must be true or false');
+  if (typeof next.priority !== 'number' || !Number.isFinite(next.priority)) {
+    throw new CustomError(400, 'priority must be a number');
+  }
+
+  if (current) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const unchanged = same(next.engine, base.engine) && same(next.scorer, base.scorer) &&
+      next.name === current.name && next.priority === (current.priority || 0) &&
+      next.isActive === (current.isActive !== false) && same(next.boundary || null, base.boundary);
+    if (unchanged) return { profile: current, changed: false };
+  }
+
+  let profile;
+  try {
+    profile = await RiskProfile.create({
+      region: key,
+      version: (latest ? latest.version : 0) + 1,
+      isCurrent: true,
+      ...next,
+      createdBy: actor || { type: 'system', id: 'risk-profile-service', name: 'System' },
+      comment,
+    });
+  } catch (err) {
+    if (err.code === 11000) throw new CustomError(409, 'Risk profile was changed by someone else, please retry');
+    throw err;
+  }
+  await RiskProfile.updateMany({ region: key, _id: { $ne: profile._id }, isCurrent: true }, { $set: { isCurrent: false } });
+
+  console.log(`⚙️ Risk profile ${key} saved as v${profile.version}`);
+  await reloadProfiles();
+  return { profile: profile.toObject(), changed: true };
+}
+
+/**
+ * Make an earlier version current again, as a new version with its values.
+ * @param {string} region
+ * @param {number} version Version to restore
+ * @param {object} options { actor, comment }
+ * @returns {Promise<object>} { profile, changed }
+ * @throws {CustomError} 404
+ */
+async function restoreProfileVersion(region, version, { actor, comment } = {}) {
+  const key = normaliseRegion(region);
+  const old = await RiskProfile.findOne({ region: key, version: Number(version) }).lean();
+  if (!old) throw new CustomError(404, `Risk profile ${key} has no version ${version}`);
+
+  const input = {
+    name: old.name,
+    priority: old.priority || 0,
+    isActive: old.isActive !== false,
+    engine: old.engine,
+    scorer: old.scorer,
+  };
+  if (old.boundary && old.boundary.type) input.boundary = old.boundary;
+
+  return saveProfileVersion(key, input, { actor, comment: comment || `Restored version ${old.version}` });
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  DEFAULT_ENGINE,
+  DEFAULT_SCORER,
+  EDITABLE_FIELDS,
+  getProfile,
+  profileRef,
+  reloadProfiles,
+  listProfiles,
+  getProfileHistory,
+  saveProfileVersion,
+  restoreProfileVersion,
+};
@@ -0,0 +1,275 @@
+const Tourist = require('../models/Tourist');
+const { calculateDistance } = require('./safetyScoreService');
+const { distanceToSegment } = require('../utils/geo');
+
+/**
+ * Route Deviation Service
+ *
+ * Monitors tourists who saved a commuter route (preferences.commuterRoute).
+ * A trip starts when the tourist is seen at the start point (or on the corridor)
+ * and ends on arrival. While a trip is active, each location update is checked
+ * against:
+ *   - the route corridor (distance from the straight start -> end line)
+ *   - the expected travel time (route length / average commute speed)
+ * A deviation warns the tourist immediately and is escalated to authorities
+ * if it persists, also when the tourist goes offline (runDeviationSweep).
+ */
+
+const ARRIVAL_RADIUS_M = 200;             // Within this distance of start/end counts as "at" the point
+const MIN_CORRIDOR_HALF_WIDTH_M = 500;    // Allowed distance either side of the route line
+const MAX_CORRIDOR_HALF_WIDTH_M = 3000;
+const CORRIDOR_WIDTH_RATIO = 0.2;         // Longer routes get a wider corridor (roads aren't straight)
+
+const AVERAGE_SPEED_MPS = 20 * 1000 / 3600;  // 20 km/h urban commute
+const ROUTE_DETOUR_FACTOR = 1.3;             // Road distance vs straight line
+const OVERDUE_FACTOR = 1.5;                  // Allowed trip time = expected * factor + grace
+const OVERDUE_GRACE_MS = 10 * 60 * 1000;
+
+const ESCALATE_AFTER_MS = 5 * 60 * 1000;     // Deviation must persist this long before authorities are told
+const ROUTE_CACHE_TTL_MS = 5 * 60 * 1000;    // How long a tourist's saved route is cached
+const TRIP_STATE_TTL_MS = 12 * 60 * 60 * 1000; // Trips without a location update for this long are dropped
+
+let routeCache = new Map(); // touristId -> { route, loadedAt }
+let tripStates = new Map(); // touristId -> trip / deviation state
+
+const isLngLat = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+
+/**
+ * Load (and cache) a tourist's commuter route with derived corridor and timing values.
+ * @param {string} touristId
+ * @returns {Promise<object|null>} null when the tourist has no complete route
+ */
+async function getRoute(touristId) {
+  const cached = routeCache.get(touristId);
+  if (cached && Date.now() - cached.loadedAt < ROUTE_CACHE_TTL_MS) return cached.route;
+
+  const tourist = await Tourist.findOne({ touristId }).select('preferences.commuterRoute').lean();
+  const commuterRoute = tourist?.preferences?.commuterRoute;
+
+  let route = null;
+  if (commuterRoute && isLngLat(commuterRoute.start) && isLngLat(commuterRoute.end)) {
+    const { start, end } = commuterRoute;
+    const lengthMeters = calculateDistance(start[1], start[0], end[1], end[0]);
+    const expectedDurationMs = (lengthMeters * ROUTE_DETOUR_FACTOR / AVERAGE_SPEED_MPS) * 1000;
+
+    route = {
+      start,
+      end,
+      lengthMeters,
+      corridorHalfWidth: Math.min(
+        MAX_CORRIDOR_HALF_WIDTH_M,
+        Math.max(MIN_CORRIDOR_HALF_WIDTH_M, lengthMeters * CORRIDOR_WIDTH_RATIO)
+      ),
+      expectedDurationMs,
+      allowedDurationMs: expectedDurationMs * OVERDUE_FACTOR + OVERDUE_GRACE_MS,
+    };
+  }
+
+  routeCache.set(touristId, { route, loadedAt: Date.now() });
+  return route;
+}
+
+/**
+ * Drop cached route and trip state (route changed).
+ * @param {string} touristId
+ */
+function resetTourist(touristId) {
+  routeCache.delete(touristId);
+  tripStates.delete(touristId);
+}
+
+/**
+ * Drop only the cached route (tourist went offline). The trip state is kept so
+ * an open deviation still reaches authorities through runDeviationSweep().
+ * @param {string} touristId
+ */
+function forgetRoute(touristId) {
+  routeCache.delete(touristId);
+}
+
+function buildPayload(route, state, now, extra = {}) {
+  return {
+    reason: state.reason,
+    deviationDistanceMeters: Math.round(state.distance),
+    maxDeviationDistanceMeters: Math.round(state.maxDistance),
+    corridorHalfWidthMeters: Math.round(route.corridorHalfWidth),
+    deviationStartedAt: new Date(state.deviationStartedAt),
+    deviationDurationSeconds: Math.round((now - state.deviationStartedAt) / 1000),
+    tripStartedAt: new Date(state.tripStartedAt),
+    expectedArrivalAt: new Date(state.tripStartedAt + route.expectedDurationMs),
+    routeProgress: Math.round(state.fraction * 100) / 100,
+    commuterRoute: { start: route.start, end: route.end },
+    ...extra,
+  };
+}
+
+/**
+ * Evaluate a location update against the tourist's commuter route.
+ * @param {string} touristId
+ * @param {object} location { lat, lng }
+ * @returns {Promise<Array>} Events to emit: [{ event, payload, toAuthorities }]
+ */
+async function evaluateLocation(touristId, location) {
+  const route = await getRoute(touristId);
+  if (!route) {
+    tripStates.delete(touristId);
+    return [];
+  }
+
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+  const now = Date.now();
+  const events = [];
+  let state = tripStates.get(touristId);
+
+  const distanceFromStart = calculateDistance(lat, lng, route.start[1], route.start[0]);
+  const distanceFromEnd = calculateDistance(lat, lng, route.end[1], route.end[0]);
+  const { distance, fraction } = distanceToSegment(lat, lng, route.start, route.end);
+
+  // Arrived: trip is over, clear any open deviation
+  if (distanceFromEnd <= ARRIVAL_RADIUS_M) {
+    if (state && state.deviationStartedAt) {
+      events.push({
+        event: 'routeDeviationCleared',
+        payload: { reason: 'arrived', tripStartedAt: new Date(state.tripStartedAt) },
+        toAuthorities: state.escalated,
+      });
+    }
+    tripStates.delete(touristId);
+    return events;
+  }
+
+  // At the start point: (re)start the trip clock until they leave
+  if (distanceFromStart <= ARRIVAL_RADIUS_M) {
+    if (state && state.deviationStartedAt) {
+      events.push({
+        event: 'routeDeviationCleared',
+        payload: { reason: 'returned-to-start', tripStartedAt: new Date(state.tripStartedAt) },
+        toAuthorities: state.escalated,
+      });
+    }
+    tripStates.set(touristId, { tripStartedAt: now, fraction: 0, distance: 0, maxDistance: 0 });
+    return events;
+  }
+
+  if (!state) {
+    // Not on a trip and not on the corridor: the tourist is doing something else
+    if (distance > route.corridorHalfWidth) return events;
+    state = { tripStartedAt: now, fraction, distance, maxDistance: 0 };
+    tripStates.set(touristId, state);
+  }
+
+  state.distance = distance;
+  state.fraction = fraction;
+  state.updatedAt = now;
+  state.location = { lat, lng };
+
+  let reason = null;
+  if (distance > route.corridorHalfWidth) reason = 'off-corridor';
+  else if (now - state.tripStartedAt > route.allowedDurationMs) reason = 'overdue';
+
+  if (!reason) {
+    if (state.deviationStartedAt) {
+      events.push({
+        event: 'routeDeviationCleared',
+        payload: { reason: 'back-on-route', deviationDurationSeconds: Math.round((now - state.deviationStartedAt) / 1000) },
+        toAuthorities: state.escalated,
+      });
+      state.deviationStartedAt = null;
+      state.maxDistance = 0;
+      state.escalated = false;
+      state.reason = null;
+    }
+    return events;
+  }
+
+  state.maxDistance = Math.max(state.maxDistance || 0, distance);
+
+  if (!state.deviationStartedAt) {
+    state.deviationStartedAt = now;
+    state.reason = reason;
+    state.escalated = false;
+    events.push({
+      event: 'routeDeviation',
+      payload: buildPayload(route, state, now, {
+        severity: 'warning',
+        message: reason === 'overdue'
+          ? 'You are taking longer than expected on your usual route. Are you safe?'
+          : 'You have left your usual route. Are you safe?',
+      }),
+      toAuthorities: false,
+    });
+    return events;
+  }
+
+  // Overdue is the stronger signal once it kicks in
+  if (reason === 'overdue' || state.reason !== 'overdue') state.reason = reason;
+
+  const escalation = escalateIfPersistent(route, state, now);
+  if (escalation) events.push(escalation);
+
+  return events;
+}
+
+// Escalation event once an open deviation has lasted ESCALATE_AFTER_MS (once per deviation)
+function escalateIfPersistent(route, state, now) {
+  if (!state.deviationStartedAt || state.escalated || now - state.deviationStartedAt < ESCALATE_AFTER_MS) return null;
+
+  state.escalated = true;
+  return {
+    event: 'routeDeviation',
+    payload: buildPayload(route, state, now, {
+      severity: 'critical',
+      message: 'Deviation from the commuter route has persisted. Authorities have been notified.',
+    }),
+    toAuthorities: true,
+  };
+}
+
+/**
+ * Escalate deviations that persisted without a new location update (e.g. the
+ * tourist's phone went offline mid-deviation) and drop abandoned trips.
+ * Intended to run every minute from the scheduler in app.js.
+ * @returns {Promise<number>} Number of deviations escalated
+ */
+async function runDeviationSweep() {
+  const now = Date.now();
+  let escalated = 0;
+
+  for (const [touristId, state] of tripStates) {
+    if (now - (state.updatedAt || state.tripStartedAt) > TRIP_STATE_TTL_MS) {
+      tripStates.delete(touristId);
+      continue;
+    }
+    if (!state.deviationStartedAt || state.escalated) continue;
+
+    try {
+      const route = await getRoute(touristId);
+      if (!route) {
+        tripStates.delete(touristId);
+        continue;
+      }
+      const escalation = escalateIfPersistent(route, state, now);
+      if (escalation) {
+        escalated++;
+        // The tourist is usually offline by now: report where they were last seen
+        escalation.payload.lastKnownLocation = state.location || null;
+        const realtimeService = require('./realtimeService');
+        realtimeService.emitRouteDeviationEvent(touristId, escalation)
+          .catch(err => console.error(`Route deviation emit failed for ${touristId}:`, err));
+      }
+    } catch (err) {
+      console.error(`Route deviation sweep failed for ${touristId}:`, err);
+    }
+  }
+  return escalated;
+}
+
+module.exports = {
+  evaluateLocation,
+  resetTourist,
+  forgetRoute,
+  runDeviationSweep,
+};
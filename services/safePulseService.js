@@ -0,0 +1,252 @@
+const Tourist = require('../models/Tourist');
+const { raiseSOS } = require('./sosService');
+const { getLatestPoints } = require('./locationTrailService');
+const realtimeService = require('./realtimeService');
+const { CustomError } = require('../middlewares/errorMiddleware');
+
+/**
+ * Safe Pulse (Dead Man's Switch) Service
+ *
+ * Solo tourists who set preferences.safePulseFrequency (minutes) must check in
+ * at that interval. A missed check-in moves the tourist through:
+ *   ok -> reminded (at the due time)
+ *      -> warned   (WARNING_AFTER_MS past due)
+ *      -> escalated (ESCALATE_AFTER_MS past due: an SOS is raised automatically)
+ * A check-in at any stage resets the tourist back to 'ok'.
+ */
+
+const WARNING_AFTER_MS = 5 * 60 * 1000;    // Grace warning 5 minutes after a missed check-in
+const ESCALATE_AFTER_MS = 10 * 60 * 1000;  // Auto SOS 10 minutes after a missed check-in
+
+const MIN_FREQUENCY_MINUTES = 5;
+const MAX_FREQUENCY_MINUTES = 24 * 60;
+
+let sweepRunning = false;
+
+/**
+ * When the next check-in is due for a tourist
+ * @param {object} tourist Tourist document (or lean object)
+ * @returns {Date|null} null when Safe Pulse is disabled
+ */
+function getNextDueAt(tourist) {
+  const frequency = tourist.preferences?.safePulseFrequency || 0;
+  const lastCheckInAt = tourist.safePulse?.lastCheckInAt;
+  if (frequency <= 0 || !lastCheckInAt) return null;
+  return new Date(new Date(lastCheckInAt).getTime() + frequency * 60 * 1000);
+}
+
+/**
+ * Public view of a tourist's Safe Pulse state
+ * @param {object} tourist
+ * @returns {object}
+ */
+function getStatus(tourist) {
+  const frequency = tourist.preferences?.safePulseFrequency || 0;
+  return {
+    enabled: frequency > 0,
+    frequencyMinutes: frequency,
+    stage: tourist.safePulse?.stage || 'ok',
+    lastCheckInAt: tourist.safePulse?.lastCheckInAt || null,
+    nextDueAt: getNextDueAt(tourist),
+    escalatedAlertId: tourist.safePulse?.escalatedAlertId || null,
+  };
+}
+
+/**
+ * Record a check-in from the tourist (REST or socket). Only solo tourists
+ * use Safe Pulse, the same rule as the isSolo middleware on the REST route.
+ * @param {string} touristId Business tourist ID
+ * @returns {Promise<object|null>} Updated status or null if the tourist doesn't exist
+ * @throws {CustomError} 403 for tourists that are not solo
+ */
+async function recordCheckIn(touristId) {
+  const now = new Date();
+  const tourist = await Tourist.findOneAndUpdate(
+    { touristId, role: 'solo' },
+    {
+      $set: {
+        'safePulse.lastCheckInAt': now,
+        'safePulse.stage': 'ok',
+        'safePulse.stageChangedAt': now,
+      },
+    },
+    { new: true }
+  );
+
+  if (!tourist) {
+    if (await Tourist.exists({ touristId })) throw new CustomError(403, 'Requires solo role');
+    return null;
+  }
+
+  console.log(`💓 Safe Pulse check-in from ${touristId}`);
+  return getStatus(tourist);
+}
+
+/**
+ * Move a tourist to a new stage only if nobody else has moved them already
+ * (guards against overlapping sweeps / multiple server instances).
+ * @returns {Promise<boolean>} true if this caller won the transition
+ */
+async function advanceStage(tourist, fromStage, toStage) {
+  const result = await Tourist.updateOne(
+    { _id: tourist._id, 'safePulse.stage': fromStage },
+    {
+      $set: {
+        'safePulse.stage': toStage,
+        'safePulse.stageChangedAt': new Date(),
+      },
+    }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Best known position for a tourist: realtime layer first, then persisted trail.
+ * @returns {Promise<object|null>} { lat, lng, source, recordedAt }
+ */
+async function getLastKnownLocation(touristId) {
+  const live = realtimeService.getTouristPresence().get(touristId);
+  if (live && live.location) {
+    return { lat: live.location.lat, lng: live.location.lng, source: 'realtime', recordedAt: live.location.updatedAt };
+  }
+
+  const persisted = (await getLatestPoints([touristId])).get(touristId);
+  if (persisted) {
+    return { lat: persisted.lat, lng: persisted.lng, source: 'trail', recordedAt: persisted.timestamp };
+  }
+
+  return null;
+}
+
+/**
+ * Raise an automatic SOS for a tourist who never checked in.
+ */
+async function escalate(tourist, dueAt) {
+  const touristId = tourist.touristId;
+  const location = await getLastKnownLocation(touristId);
+
+  if (!location) {
+    // Without any position we cannot raise a useful SOS; retry on the next sweep.
+    console.warn(`⚠️ Safe Pulse escalation for ${touristId} pending: no known location`);
+    return;
+  }
+
+  // Claim the escalation before raising so a concurrent sweep can't raise a duplicate SOS
+  const claimed = await advanceStage(tourist, 'warned', 'escalated');
+  if (!claimed) return;
+
+  const frequency = tourist.preferences.safePulseFrequency;
+  const overdueMinutes = Math.round((Date.now() - dueAt.getTime()) / 60000);
+  const live = realtimeService.getTouristPresence().get(touristId);
+
+  try {
+    const { sosAlert } = await raiseSOS(tourist, {
+      location: { type: 'Point', coordinates: [location.lng, location.lat] },
+      safetyScore: live && live.safetyScore !== null ? live.safetyScore : tourist.safetyScore,
+      sosReason: { reason: 'SAFE_PULSE_MISSED' },
+      autoEscalation: {
+        isAutoEscalated: true,
+        source: 'safe-pulse',
+        reason: `No Safe Pulse check-in for ${overdueMinutes} minute(s) past due (expected every ${frequency} minutes). Reminder and warning were not acknowledged.`,
+        escalatedAt: new Date(),
+        details: {
+          frequencyMinutes: frequency,
+          lastCheckInAt: tourist.safePulse?.lastCheckInAt || null,
+          dueAt,
+          locationSource: location.source,
+          locationRecordedAt: location.recordedAt || null,
+        },
+      },
+    });
+
+    await Tourist.updateOne({ _id: tourist._id }, { $set: { 'safePulse.escalatedAlertId': sosAlert._id } });
+
+    realtimeService.emitSafePulseEvent(touristId, 'safePulseEscalated', {
+      alertId: sosAlert._id,
+      message: 'You missed your Safe Pulse check-in. Authorities have been alerted.',
+    }).catch(err => console.error('Safe Pulse emit error:', err));
+
+    console.log(`🚨 Safe Pulse auto-SOS raised for ${touristId} (alert ${sosAlert._id})`);
+  } catch (err) {
+    // Roll back the claim so the next sweep retries the escalation
+    await advanceStage(tourist, 'escalated', 'warned');
+    throw err;
+  }
+}
+
+/**
+ * Periodic sweep: send reminders, warnings and auto-escalate missed check-ins.
+ * Intended to run every minute from the scheduler in app.js.
+ */
+async function runSafePulseSweep() {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const now = new Date();
+    const tourists = await Tourist.find({
+      role: 'solo',
+      'preferences.safePulseFrequency': { $gt: 0 },
+      $or: [
+        { expiresAt: { $gt: now } },
+        { expiresAt: null },
+        { expiresAt: { $exists: false } },
+      ],
+    }).select('touristId nameEncrypted phoneEncrypted emergencyContactEncrypted dob nationality gender bloodGroup medicalConditions allergies safetyScore preferences safePulse');
+
+    for (const tourist of tourists) {
+      try {
+        const touristId = tourist.touristId;
+
+        // First time we see this tourist: start the clock now instead of alerting immediately
+        if (!tourist.safePulse?.lastCheckInAt) {
+          await Tourist.updateOne(
+            { _id: tourist._id },
+            { $set: { 'safePulse.lastCheckInAt': now, 'safePulse.stage': 'ok', 'safePulse.stageChangedAt': now } }
+          );
+          continue;
+        }
+
+        const dueAt = getNextDueAt(tourist);
+        const overdueMs = now.getTime() - dueAt.getTime();
+        if (overdueMs < 0) continue;
+
+        const stage = tourist.safePulse.stage || 'ok';
+
+        if (stage === 'ok') {
+          if (await advanceStage(tourist, 'ok', 'reminded')) {
+            realtimeService.emitSafePulseEvent(touristId, 'safePulseReminder', {
+              dueAt,
+              message: 'Safe Pulse check-in is due. Tap "I am safe" to confirm.',
+            }).catch(err => console.error('Safe Pulse emit error:', err));
+            console.log(`💓 Safe Pulse reminder sent to ${touristId}`);
+          }
+        } else if (stage === 'reminded' && overdueMs >= WARNING_AFTER_MS) {
+          if (await advanceStage(tourist, 'reminded', 'warned')) {
+            const escalatesAt = new Date(dueAt.getTime() + ESCALATE_AFTER_MS);
+            realtimeService.emitSafePulseEvent(touristId, 'safePulseWarning', {
+              dueAt,
+              escalatesAt,
+              message: 'You missed your Safe Pulse check-in. An SOS will be raised automatically if you do not check in.',
+            }).catch(err => console.error('Safe Pulse emit error:', err));
+            console.log(`⚠️ Safe Pulse grace warning sent to ${touristId}`);
+          }
+        } else if (stage === 'warned' && overdueMs >= ESCALATE_AFTER_MS) {
+          await escalate(tourist, dueAt);
+        }
+      } catch (err) {
+        console.error(`Safe Pulse sweep failed for ${tourist.touristId}:`, err);
+      }
+    }
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+module.exports = {
+  MIN_FREQUENCY_MINUTES,
+  MAX_FREQUENCY_MINUTES,
+  getStatus,
+  recordCheckIn,
+  runSafePulseSweep,
+};
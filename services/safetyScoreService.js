@@ -2,6 +2,10 @@ const RiskGrid = require('../models/RiskGrid');
 const { DangerZone } = require('../models/Geofence');
 const Incident = require('../models/Incident');
 const SOSAlert = require('../models/SOSAlertModel');
+const { distanceToGeometryBoundary } = require('../utils/geo');
+const { activeZoneFilter } = require('./dangerZoneService');
+const { getProfile, profileRef } = require('./riskProfileService');
+const { countedIncidentFilter, incidentWeight } = require('./incidentModerationService');
 
 /**
  * Dynamic Safety Score Calculation Service
@@ -18,39 +22,12 @@ const SOSAlert = require('../models/SOSAlertModel');
  * - 50-69:  Fair (Moderate Risk)
  * - 30-49:  Poor (High Risk)
  * - 0-29:   Critical (Very High Risk)
+ *
+ * Distances, radii and penalties come from the risk profile of the location
+ * (see riskProfileService DEFAULT_SCORER).
  */
 
-// Configuration constants
-const CONFIG = {
-  // Distance thresholds (in meters)
-  DANGER_ZONE_CRITICAL_DISTANCE: 100,    // Inside or very close
-  DANGER_ZONE_HIGH_DISTANCE: 500,        // High alert zone
-  DANGER_ZONE_MEDIUM_DISTANCE: 2000,     // Medium alert zone
-  DANGER_ZONE_LOW_DISTANCE: 5000,        // Low alert zone
-  
-  RISK_GRID_CRITICAL_DISTANCE: 100,      // Inside grid
-  RISK_GRID_HIGH_DISTANCE: 500,          // Very close to grid
-  RISK_GRID_MEDIUM_DISTANCE: 1500,       // Medium distance
-  RISK_GRID_LOW_DISTANCE: 3000,          // Far but visible
-  
-  // Base scores
-  BASE_SCORE: 100,                        // Perfect safety
-  
-  // Maximum zones to consider (performance optimization)
-  MAX_NEARBY_ZONES: 10,
-  MAX_NEARBY_GRIDS: 15,
-  
-  // Search radius for queries (in meters)
-  SEARCH_RADIUS: 10000,                   // 10km search radius
-
-  // Direct SOS / Incident influence
-  SOS_RADIUS_M: 2500,
-  INCIDENT_RADIUS_M: 4000,
-  SOS_LOOKBACK_DAYS: 7,
-  INCIDENT_LOOKBACK_DAYS: 7,
-  MAX_SOS_PENALTY: 40,        // max points deducted from nearby SOS
-  MAX_INCIDENT_PENALTY: 45    // max points deducted from nearby incidents
-};
+const EARTH_RADIUS_M = 6371000;
 
 /**
  * Haversine formula to calculate distance between two coordinates
@@ -98,9 +75,10 @@ function getRiskSeverity(riskLevel) {
  * @param {number} severity - Severity of threat (0-1)
  * @param {string} type - 'risk_grid' or 'danger_zone'
  * @param {number} [customRadius] - Dynamics radius for risk grids
+ * @param {object} scorer - Scorer parameters of the risk profile
  * @returns {number} Score penalty (0-100)
  */
-function calculateThreatImpact(distance, severity, type, customRadius = null) {
+function calculateThreatImpact(distance, severity, type, customRadius, scorer) {
   let config;
   
   if (type === 'risk_grid' && customRadius) {
@@ -114,18 +92,18 @@ function calculateThreatImpact(distance, severity, type, customRadius = null) {
     };
   } else if (type === 'danger_zone') {
     config = {
-        critical: CONFIG.DANGER_ZONE_CRITICAL_DISTANCE,
-        high: CONFIG.DANGER_ZONE_HIGH_DISTANCE,
-        medium: CONFIG.DANGER_ZONE_MEDIUM_DISTANCE,
-        low: CONFIG.DANGER_ZONE_LOW_DISTANCE
+        critical: scorer.DANGER_ZONE_CRITICAL_DISTANCE,
+        high: scorer.DANGER_ZONE_HIGH_DISTANCE,
+        medium: scorer.DANGER_ZONE_MEDIUM_DISTANCE,
+        low: scorer.DANGER_ZONE_LOW_DISTANCE
     };
   } else {
     // Fallback for static grids (legacy)
     config = {
-        critical: CONFIG.RISK_GRID_CRITICAL_DISTANCE,
-        high: CONFIG.RISK_GRID_HIGH_DISTANCE,
-        medium: CONFIG.RISK_GRID_MEDIUM_DISTANCE,
-        low: CONFIG.RISK_GRID_LOW_DISTANCE
+        critical: scorer.RISK_GRID_CRITICAL_DISTANCE,
+        high: scorer.RISK_GRID_HIGH_DISTANCE,
+        medium: scorer.RISK_GRID_MEDIUM_DISTANCE,
+        low: scorer.RISK_GRID_LOW_DISTANCE
     };
   }
 
@@ -184,6 +162,9 @@ function proximityPenalty(distance, maxRadius, severity, maxPenalty) {
 async function calculateSafetyScore(lat, lng) {
   try {
     console.log(`🔍 Calculating safety score for location: ${lat}, ${lng}`);
+
+    const profile = await getProfile(lat, lng);
+    const { scorer } = profile;
     
     let totalPenalty = 0;
     const threats = [];
@@ -197,11 +178,11 @@ async function calculateSafetyScore(lat, lng) {
             type: 'Point',
             coordinates: [lng, lat]
           },
-          $maxDistance: CONFIG.SEARCH_RADIUS
+          $maxDistance: scorer.SEARCH_RADIUS
         }
       },
       riskScore: { $gt: 0.1 } // Only consider grids with meaningful risk
-    }).limit(CONFIG.MAX_NEARBY_GRIDS);
+    }).limit(scorer.MAX_NEARBY_GRIDS);
 
     console.log(`Found ${nearbyRiskGrids.length} nearby risk grids`);
 
@@ -216,7 +197,7 @@ async function calculateSafetyScore(lat, lng) {
       // Only process if within range
       if (distance <= monitoringRange) {
         const severity = grid.riskScore; // 0-1
-        const impact = calculateThreatImpact(distance, severity, 'risk_grid', gridRadius);
+        const impact = calculateThreatImpact(distance, severity, 'risk_grid', gridRadius, scorer);
         
         if (impact > 0) {
           totalPenalty += impact;
@@ -240,9 +221,42 @@ async function calculateSafetyScore(lat, lng) {
     }
 
     // --- 2. Check nearby Danger Zones ---
-    const nearbyDangerZones = await DangerZone.find({}).limit(100); // Get all, filter by distance
-
     let dangerZonesInRange = [];
+    const point = { type: 'Point', coordinates: [lng, lat] };
+
+    // 2a. Polygon zones: true containment, otherwise distance to the nearest boundary
+    // Only zones in force right now (isActive and within their activeFrom/activeUntil schedule)
+    const activeZones = activeZoneFilter();
+    const [containingZones, nearbyPolygonZones] = await Promise.all([
+      DangerZone.find({ geometry: { $geoIntersects: { $geometry: point } }, ...activeZones }).limit(scorer.MAX_NEARBY_ZONES),
+      DangerZone.find({
+        geometry: { $near: { $geometry: point, $maxDistance: scorer.DANGER_ZONE_LOW_DISTANCE } },
+        ...activeZones
+      }).limit(100)
+    ]);
+
+    const containingIds = new Set(containingZones.map(z => z._id.toString()));
+    for (const zone of containingZones) {
+      dangerZonesInRange.push({ zone, distance: 0, isInside: true });
+    }
+    for (const zone of nearbyPolygonZones) {
+      if (containingIds.has(zone._id.toString())) continue;
+      const distanceFromEdge = distanceToGeometryBoundary(lat, lng, zone.geometry);
+      if (distanceFromEdge <= scorer.DANGER_ZONE_LOW_DISTANCE) {
+        dangerZonesInRange.push({ zone, distance: distanceFromEdge, isInside: false });
+      }
+    }
+
+    // 2b. Circle / point zones (no geometry): centres close enough for the widest circle to reach
+    const widestZone = await DangerZone.findOne({ geometry: { $exists: false }, ...activeZones })
+      .sort({ radiusKm: -1 }).select('radiusKm').lean();
+    const searchRadius = scorer.DANGER_ZONE_LOW_DISTANCE + ((widestZone && widestZone.radiusKm) || 0) * 1000;
+    const nearbyDangerZones = await DangerZone.find({
+      geometry: { $exists: false },
+      center: { $geoWithin: { $centerSphere: [[lng, lat], searchRadius / EARTH_RADIUS_M] } },
+      ...activeZones
+    });
+
     for (const zone of nearbyDangerZones) {
       const zoneLat = zone.coords[0];
       const zoneLng = zone.coords[1];
@@ -258,13 +272,13 @@ async function calculateSafetyScore(lat, lng) {
         } else {
           // Calculate distance from edge
           const distanceFromEdge = distance - radiusMeters;
-          if (distanceFromEdge <= CONFIG.DANGER_ZONE_LOW_DISTANCE) {
+          if (distanceFromEdge <= scorer.DANGER_ZONE_LOW_DISTANCE) {
             dangerZonesInRange.push({ zone, distance: distanceFromEdge, isInside: false });
           }
         }
       } else {
         // For point-based zones, use direct distance
-        if (distance <= CONFIG.DANGER_ZONE_LOW_DISTANCE) {
+        if (distance <= scorer.DANGER_ZONE_LOW_DISTANCE) {
           dangerZonesInRange.push({ zone, distance, isInside: false });
         }
       }
@@ -274,14 +288,14 @@ async function calculateSafetyScore(lat, lng) {
 
     // Sort by distance and take closest
     dangerZonesInRange.sort((a, b) => a.distance - b.distance);
-    dangerZonesInRange = dangerZonesInRange.slice(0, CONFIG.MAX_NEARBY_ZONES);
+    dangerZonesInRange = dangerZonesInRange.slice(0, scorer.MAX_NEARBY_ZONES);
 
     for (const { zone, distance, isInside } of dangerZonesInRange) {
       const severity = getRiskSeverity(zone.riskLevel);
       
       // If inside danger zone, apply maximum penalty
       const effectiveDistance = isInside ? 0 : distance;
-      const impact = calculateThreatImpact(effectiveDistance, severity, 'danger_zone');
+      const impact = calculateThreatImpact(effectiveDistance, severity, 'danger_zone', null, scorer);
       
       if (impact > 0) {
         totalPenalty += impact;
@@ -298,13 +312,13 @@ async function calculateSafetyScore(lat, lng) {
     }
 
     // --- 3. Direct nearby SOS alerts influence ---
-    const sosSince = new Date(Date.now() - CONFIG.SOS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const sosSince = new Date(Date.now() - scorer.SOS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
     const nearbySOS = await SOSAlert.find({
       timestamp: { $gte: sosSince },
       status: 'new', // Only penalize for active, unattended threats
       location: {
         $geoWithin: {
-          $centerSphere: [[lng, lat], CONFIG.SOS_RADIUS_M / 6378100]
+          $centerSphere: [[lng, lat], scorer.SOS_RADIUS_M / 6378100]
         }
       }
     }).select('safetyScore timestamp sosReason location').limit(50).lean();
@@ -362,7 +376,7 @@ async function calculateSafetyScore(lat, lng) {
       // So we heavily rely on the reason type for capping.
       const severity = Math.max(scoreSeverity, semanticSeverity);
 
-      const impact = proximityPenalty(distance, CONFIG.SOS_RADIUS_M, severity, CONFIG.MAX_SOS_PENALTY);
+      const impact = proximityPenalty(distance, scorer.SOS_RADIUS_M, severity, scorer.MAX_SOS_PENALTY);
 
       // Special Handling for "Inside Grid" Alerts:
       // If the specific SOS is critical (Panic/Fire) AND its individual impact > Grid Penalty,
@@ -405,15 +419,16 @@ async function calculateSafetyScore(lat, lng) {
     }
 
     // --- 4. Direct nearby Incidents influence ---
-    const incidentsSince = new Date(Date.now() - CONFIG.INCIDENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const incidentsSince = new Date(Date.now() - scorer.INCIDENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
     const nearbyIncidents = await Incident.find({
       timestamp: { $gte: incidentsSince },
+      ...countedIncidentFilter(),
       location: {
         $geoWithin: {
-          $centerSphere: [[lng, lat], CONFIG.INCIDENT_RADIUS_M / 6378100]
+          $centerSphere: [[lng, lat], scorer.INCIDENT_RADIUS_M / 6378100]
         }
       }
-    }).select('severity title type timestamp location').limit(50).lean();
+    }).select('severity title type timestamp location status trust').limit(50).lean();
 
     if (nearbyIncidents.length > 0) {
       console.log(`⚠️ Found ${nearbyIncidents.length} nearby Incidents`);
@@ -433,8 +448,9 @@ async function calculateSafetyScore(lat, lng) {
       if (isCoveredByGrid) continue;
 
       const distance = calculateDistance(lat, lng, iLat, iLng);
-      const severity = Math.max(0, Math.min(1, inc.severity || 0.6));
-      const impact = proximityPenalty(distance, CONFIG.INCIDENT_RADIUS_M, severity, CONFIG.MAX_INCIDENT_PENALTY);
+      // Unreviewed crowdsourced reports count for their trust weight only
+      const severity = Math.max(0, Math.min(1, inc.severity || 0.6)) * incidentWeight(inc);
+      const impact = proximityPenalty(distance, scorer.INCIDENT_RADIUS_M, severity, scorer.MAX_INCIDENT_PENALTY);
 
       if (impact > 0) {
         totalPenalty += impact;
@@ -456,7 +472,7 @@ async function calculateSafetyScore(lat, lng) {
 
     // --- 5. Calculate Final Score ---
     // Start with base score and subtract penalties
-    let finalScore = CONFIG.BASE_SCORE - totalPenalty;
+    let finalScore = scorer.BASE_SCORE - totalPenalty;
     
     // Ensure score is within bounds
     finalScore = Math.max(0, Math.min(100, finalScore));
@@ -565,6 +581,7 @@ async function calculateSafetyScore(lat, lng) {
       nearestThreat: threats.length > 0 ? threats[0] : null,
       threats: threats.slice(0, 5), // Return top 5 threats
       location: { lat, lng },
+      profile: profileRef(profile), // Risk profile version that produced this score
       timestamp: new Date().toISOString()
     };
 
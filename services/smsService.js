@@ -0,0 +1,63 @@
+const { SMS_PROVIDER } = require("../config/config");
+
+/**
+ * SMS Service
+ *
+ * Thin provider interface so a real gateway (Twilio, MSG91, ...) can be plugged
+ * in without touching callers. A provider is an object:
+ *   { name: string, send: async (to, text) => ({ success, messageId?, error? }) }
+ *
+ * Only the local stub ships with the backend; it logs messages instead of
+ * sending them, which keeps development and tests free of SMS costs.
+ */
+
+// Mask all but the last 4 digits so phone numbers don't end up in logs
+const maskPhone = (phone) => String(phone).replace(/\d(?=\d{4})/g, "*");
+
+const stubProvider = {
+  name: "stub",
+  send: async (to, text) => {
+    console.log(`📱 [SMS stub] to ${maskPhone(to)}: ${text}`);
+    return { success: true, messageId: `stub-${Date.now()}` };
+  },
+};
+
+const providers = new Map([[stubProvider.name, stubProvider]]);
+
+/**
+ * Register an SMS provider; select it with SMS_PROVIDER=<name>.
+ * @param {object} provider { name, send }
+ */
+const registerSmsProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== "function") {
+    throw new Error("SMS provider must have a name and a send(to, text) function");
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Send an SMS through the configured provider.
+ * @param {string} to - Phone number in international format
+ * @param {string} text - Message body
+ * @returns {Promise<Object>} - { success, provider, messageId?, error? }
+ */
+const sendSms = async (to, text) => {
+  const provider = providers.get(SMS_PROVIDER || "stub");
+  if (!provider) {
+    return { success: false, error: `SMS provider '${SMS_PROVIDER}' is not registered` };
+  }
+
+  try {
+    const result = await provider.send(to, text);
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    console.error("Error sending SMS:", error);
+    return { success: false, provider: provider.name, error: error.message };
+  }
+};
+
+module.exports = {
+  registerSmsProvider,
+  sendSms,
+  maskPhone,
+};
@@ -0,0 +1,190 @@
+const SOSAlert = require('../models/SOSAlertModel');
+const Authority = require('../models/Authority');
+const { SOS_ESCALATION_POLICY } = require('../config/config');
+const { transitionAlert, getTouristRoomId } = require('./sosLifecycleService');
+const { notifyEmergencyContact } = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const { AUTHORITY_ROLES } = require('../middlewares/authMiddleware');
+
+/**
+ * SOS Escalation Service
+ *
+ * Escalates alerts that nobody has picked up (still 'new') according to a
+ * time-based policy. Each step runs once per alert, bumps escalationLevel,
+ * is recorded in the alert's escalationSteps + history and is broadcast to
+ * the 'authorities' room.
+ *
+ * The default policy can be replaced with the SOS_ESCALATION_POLICY env var
+ * (JSON array of steps), e.g.
+ *   [{"id":"page-police","afterMinutes":3,"action":"page-roles","roles":["Police Officer"]}]
+ */
+
+const ACTIONS = ['rebroadcast', 'page-roles', 'notify-emergency-contact'];
+
+const DEFAULT_POLICY = [
+  { id: 'rebroadcast', afterMinutes: 2, action: 'rebroadcast' },
+  { id: 'page-admins', afterMinutes: 5, action: 'page-roles', roles: ['Admin'] },
+  { id: 'notify-emergency-contact', afterMinutes: 10, action: 'notify-emergency-contact' },
+];
+
+const SYSTEM_ACTOR = { type: 'system', id: 'escalation-policy', name: 'Escalation policy' };
+
+let sweepRunning = false;
+
+/**
+ * Validate and normalise a policy definition.
+ * @param {Array} steps
+ * @returns {Array} Steps sorted by delay, with afterMs
+ * @throws {Error} If a step is malformed
+ */
+function normalisePolicy(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('policy must be a non-empty array of steps');
+  }
+
+  const ids = new Set();
+  return steps.map(step => {
+    if (!step || typeof step.id !== 'string' || !step.id) throw new Error('each step needs a string id');
+    if (ids.has(step.id)) throw new Error(`duplicate step id '${step.id}'`);
+    ids.add(step.id);
+
+    if (!ACTIONS.includes(step.action)) throw new Error(`step '${step.id}': action must be one of ${ACTIONS.join(', ')}`);
+    const afterMinutes = Number(step.afterMinutes);
+    if (!Number.isFinite(afterMinutes) || afterMinutes < 0) throw new Error(`step '${step.id}': afterMinutes must be >= 0`);
+    if (step.action === 'page-roles' && (!Array.isArray(step.roles) || step.roles.length === 0)) {
+      throw new Error(`step '${step.id}': page-roles needs a non-empty roles array`);
+    }
+    const unknownRole = step.action === 'page-roles' && step.roles.find(role => !AUTHORITY_ROLES.includes(role));
+    if (unknownRole) {
+      throw new Error(`step '${step.id}': unknown role '${unknownRole}', expected one of ${AUTHORITY_ROLES.join(', ')}`);
+    }
+
+    return { ...step, afterMinutes, afterMs: afterMinutes * 60 * 1000 };
+  }).sort((a, b) => a.afterMs - b.afterMs);
+}
+
+/**
+ * Active escalation policy (env override, falling back to the default).
+ * @returns {Array}
+ */
+function getPolicy() {
+  if (SOS_ESCALATION_POLICY) {
+    try {
+      return normalisePolicy(JSON.parse(SOS_ESCALATION_POLICY));
+    } catch (err) {
+      console.error(`⚠️ Invalid SOS_ESCALATION_POLICY (${err.message}); using the default policy`);
+    }
+  }
+  return normalisePolicy(DEFAULT_POLICY);
+}
+
+const policy = getPolicy();
+
+// Summary of the alert sent with every escalation event
+function buildEscalationPayload(alert, step, minutesWithoutResponse) {
+  return {
+    alertId: alert._id,
+    touristId: getTouristRoomId(alert),
+    status: alert.status,
+    escalationLevel: alert.escalationLevel,
+    stepId: step.id,
+    action: step.action,
+    minutesWithoutResponse,
+    location: alert.location,
+    locationName: alert.locationName,
+    sosReason: alert.sosReason,
+    timestamp: alert.timestamp,
+  };
+}
+
+/**
+ * Page every active authority holding one of the step's roles.
+ * @returns {Promise<object>} Step details
+ */
+async function pageRoles(step, payload) {
+  const authorities = await Authority.find({ role: { $in: step.roles }, isActive: true }).select('_id').lean();
+  const authorityIds = authorities.map(a => a._id.toString());
+
+  await realtimeService.emitSOSEscalationPage(authorityIds, payload);
+  return { roles: step.roles, paged: authorityIds.length };
+}
+
+/**
+ * Run one policy step for an alert (claim first, then act).
+ */
+async function runStep(alertId, step, minutesWithoutResponse) {
+  let claimed;
+  try {
+    claimed = await transitionAlert(alertId, 'escalate', {
+      actor: SYSTEM_ACTOR,
+      comment: `No response after ${minutesWithoutResponse} minute(s): ${step.id}`,
+      inc: { escalationLevel: 1 },
+      push: { escalationSteps: { stepId: step.id, action: step.action, executedAt: new Date() } },
+      // Only if this step hasn't run yet and nobody picked the alert up meanwhile
+      where: { 'escalationSteps.stepId': { $ne: step.id } },
+    });
+  } catch (err) {
+    // 409: another sweep ran this step or the alert moved on - nothing to do
+    if (err.statusCode === 409) return;
+    throw err;
+  }
+
+  const alert = await SOSAlert.findById(alertId).populate('touristId', 'touristId');
+  const payload = buildEscalationPayload(alert, step, minutesWithoutResponse);
+
+  let details = {};
+  if (step.action === 'page-roles') {
+    details = await pageRoles(step, payload);
+  } else if (step.action === 'notify-emergency-contact') {
+    details = await notifyEmergencyContact(alertId, 'unanswered', { minutesWithoutResponse });
+  }
+
+  await SOSAlert.updateOne(
+    { _id: alertId, 'escalationSteps.stepId': step.id },
+    { $set: { 'escalationSteps.$.details': details } }
+  );
+
+  // Every step (including the plain re-broadcast) goes to the authorities room
+  await realtimeService.emitSOSEscalation({ ...payload, details, historyEntry: claimed.entry });
+  console.log(`⏫ SOS ${alertId} escalation step '${step.id}' executed after ${minutesWithoutResponse} min`);
+}
+
+/**
+ * Periodic sweep over unanswered alerts. Intended to run every minute from app.js.
+ */
+async function runEscalationSweep() {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const now = Date.now();
+    const alerts = await SOSAlert.find({
+      status: 'new',
+      timestamp: { $lte: new Date(now - policy[0].afterMs) },
+      $expr: { $lt: [{ $size: { $ifNull: ['$escalationSteps', []] } }, policy.length] },
+    }).select('timestamp escalationSteps').lean();
+
+    for (const alert of alerts) {
+      const elapsedMs = now - new Date(alert.timestamp).getTime();
+      const done = new Set((alert.escalationSteps || []).map(s => s.stepId));
+
+      for (const step of policy) {
+        if (elapsedMs < step.afterMs) break;
+        if (done.has(step.id)) continue;
+
+        try {
+          await runStep(alert._id, step, Math.floor(elapsedMs / 60000));
+        } catch (err) {
+          console.error(`SOS escalation step '${step.id}' failed for ${alert._id}:`, err);
+        }
+      }
+    }
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+module.exports = {
+  getPolicy,
+  runEscalationSweep,
+};
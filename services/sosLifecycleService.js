@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const SOSAlert = require('../models/SOSAlertModel');
+const Authority = require('../models/Authority');
+const { CustomError } = require('../middlewares/errorMiddleware');
+const { releaseUnitsForAlert } = require('./unitService');
+const { notifyEmergencyContact } = require('./notificationService');
+const groupSosService = require('./groupSosService');
+
+/**
+ * SOS Lifecycle Service
+ *
+ * Explicit state machine for SOS alerts. Every status change goes through
+ * transitionAlert(), which rejects illegal transitions and appends an entry to
+ * the alert's append-only history.
+ *
+ *   new ──► acknowledged ──► responding ──► resolved ──► closed
+ *    │            │               │
+ *    └────────────┴───────────────┴──────► cancelled ──► closed
+ *
+ * 'escalate' and repeated 'assign' keep the current status but are still
+ * recorded in the history.
+ */
+
+const OPEN_STATUSES = ['new', 'acknowledged', 'responding'];
+const RELEASE_UNITS_ON = ['resolved', 'cancelled', 'closed'];
+
+// action -> { from: allowed current statuses, to: target status (null = unchanged) }
+const ACTIONS = {
+  acknowledge: { from: ['new'], to: 'acknowledged' },
+  assign: { from: OPEN_STATUSES, to: 'responding' },
+  escalate: { from: OPEN_STATUSES, to: null },
+  resolve: { from: OPEN_STATUSES, to: 'resolved' },
+  cancel: { from: OPEN_STATUSES, to: 'cancelled' },
+  close: { from: ['resolved', 'cancelled'], to: 'closed' },
+};
+
+/**
+ * Whether an action is allowed from the given status
+ * @param {string} status Current alert status
+ * @param {string} action One of the ACTIONS keys
+ * @returns {boolean}
+ */
+function canTransition(status, action) {
+  const rule = ACTIONS[action];
+  return !!rule && rule.from.includes(status);
+}
+
+/**
+ * Build a history actor from an authority JWT payload.
+ * @param {object} user req.user ({ id, role })
+ * @returns {Promise<object>} { type, id, name, role }
+ */
+async function getAuthorityActor(user) {
+  const authority = await Authority.findById(user.id || user._id).select('authorityId fullName role').lean();
+  if (!authority) {
+    throw new CustomError(404, 'Authority not found');
+  }
+  return { type: 'authority', id: authority.authorityId, name: authority.fullName, role: authority.role };
+}
+
+/**
+ * Apply a lifecycle action to an alert.
+ * The update is conditional on the status read, so two concurrent transitions
+ * cannot both succeed.
+ *
+ * @param {string} alertId SOSAlert _id
+ * @param {string} action One of the ACTIONS keys
+ * @param {object} options {
+ *   actor: { type, id, name, role },
+ *   comment: string,
+ *   set: extra fields to $set,
+ *   push: extra arrays to $push (e.g. assignedTo),
+ *   inc: extra counters to $inc,
+ *   where: extra conditions the alert must still match (e.g. step not yet executed)
+ * }
+ * @returns {Promise<object>} { alert (populated touristId.touristId), entry }
+ * @throws {CustomError} 404 if the alert does not exist, 409 for an illegal transition
+ */
+async function transitionAlert(alertId, action, { actor, comment, set = {}, push = {}, inc = {}, where = {} } = {}) {
+  const rule = ACTIONS[action];
+  if (!rule) {
+    throw new CustomError(400, `Unknown SOS action '${action}'`);
+  }
+
+  if (!mongoose.isValidObjectId(alertId)) {
+    throw new CustomError(404, 'SOS Alert not found');
+  }
+
+  const current = await SOSAlert.findById(alertId).select('status');
+  if (!current) {
+    throw new CustomError(404, 'SOS Alert not found');
+  }
+
+  const fromStatus = current.status;
+  if (!canTransition(fromStatus, action)) {
+    throw new CustomError(409, `Cannot ${action} an alert that is '${fromStatus}'`);
+  }
+
+  const toStatus = rule.to || fromStatus;
+  const entry = {
+    action,
+    fromStatus,
+    toStatus,
+    actor,
+    comment: comment || undefined,
+    at: new Date(),
+  };
+
+  const update = {
+    $set: { ...set, status: toStatus },
+    $push: { ...push, history: entry },
+  };
+  if (Object.keys(inc).length > 0) update.$inc = inc;
+
+  const alert = await SOSAlert.findOneAndUpdate(
+    { ...where, _id: alertId, status: fromStatus },
+    update,
+    { new: true, runValidators: true }
+  ).populate('touristId', 'touristId');
+
+  if (!alert) {
+    throw new CustomError(409, 'SOS Alert was updated by someone else, please retry');
+  }
+
+  // Free any dispatched response units once the alert no longer needs them
+  if (RELEASE_UNITS_ON.includes(toStatus) && fromStatus !== toStatus) {
+    releaseUnitsForAlert(alert._id).catch(err => console.error(`Failed to release units for alert ${alert._id}:`, err));
+  }
+
+  // Keep the tourist's emergency contact informed of status changes
+  if (fromStatus !== toStatus) {
+    notifyEmergencyContact(alert._id, toStatus).catch(err => console.error(`Failed to notify emergency contact for alert ${alert._id}:`, err));
+  }
+
+  // Only 'new' alerts count towards grid risk, so rescore the cells around one that left it
+  if (fromStatus === 'new' && toStatus !== 'new' && alert.location && alert.location.coordinates) {
+    const { enqueueLocation } = require('./riskEngineService');
+    enqueueLocation(alert.location.coordinates[1], alert.location.coordinates[0])
+      .catch(err => console.error(`Failed to rescore risk around alert ${alert._id}:`, err));
+  }
+
+  // Clear the member's SOS in their tour group (a duress alert already looks cancelled to the group)
+  if (OPEN_STATUSES.includes(fromStatus) && !OPEN_STATUSES.includes(toStatus) && !(alert.cancellation && alert.cancellation.isDuress)) {
+    groupSosService.onSOSEnded(alert, toStatus).catch(err => console.error(`Failed to update tour group for alert ${alert._id}:`, err));
+  }
+
+  console.log(`🔁 SOS ${alert._id}: ${action} (${fromStatus} → ${toStatus}) by ${actor?.type || 'unknown'} ${actor?.id || ''}`);
+  return { alert, entry };
+}
+
+/**
+ * Business touristId of a populated alert (used for the tourist socket room).
+ * Returns null for duress alerts so their lifecycle is never pushed to the
+ * tourist's phone (which must keep showing the alert as cancelled).
+ * @param {object} alert SOSAlert with touristId populated
+ * @returns {string|null}
+ */
+function getTouristRoomId(alert) {
+  if (alert.cancellation && alert.cancellation.isDuress) return null;
+  return alert.touristId && typeof alert.touristId === 'object' ? alert.touristId.touristId : null;
+}
+
+module.exports = {
+  ACTIONS,
+  OPEN_STATUSES,
+  canTransition,
+  getAuthorityActor,
+  transitionAlert,
+  getTouristRoomId,
+};
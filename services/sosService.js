@@ -0,0 +1,327 @@
+const SOSAlert = require("../models/SOSAlertModel.js");
+const { ethers } = require("ethers");
+const { updateGridForLocation } = require('./riskEngineService');
+const { hex64ToBytes32 } = require('../utils/ethFormat.js');
+const { sha256Hex } = require("../utils/hash.js");
+const { POLYGON_RPC, PRIVATE_KEY, SMART_CONTRACT_ADDRESS_sos } = require("../config/config.js");
+const { decrypt } = require('../utils/encrypt.js');
+const realtimeService = require('./realtimeService');
+const { notifyEmergencyContact } = require('./notificationService');
+const groupSosService = require('./groupSosService');
+
+/**
+ * SOS Pipeline Service
+ *
+ * Single pipeline used by every source of an SOS (the tourist's SOS button,
+ * Safe Pulse auto-escalation, ...): persist the alert, refresh the risk grid,
+ * broadcast to authorities and anchor the alert on-chain.
+ */
+
+const SOSABI = [
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "bytes32",
+				"name": "alertId",
+				"type": "bytes32"
+			},
+			{
+				"indexed": false,
+				"internalType": "bytes32",
+				"name": "payloadHash",
+				"type": "bytes32"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "tourist",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			}
+		],
+		"name": "AlertLogged",
+		"type": "event"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "bytes32",
+				"name": "alertId",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "payloadHash",
+				"type": "bytes32"
+			}
+		],
+		"name": "logAlert",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "bytes32",
+				"name": "alertId",
+				"type": "bytes32"
+			}
+		],
+		"name": "getAlert",
+		"outputs": [
+			{
+				"internalType": "bytes32",
+				"name": "payloadHash",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "address",
+				"name": "tourist",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "bytes32",
+				"name": "alertId",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "payloadHashHash",
+				"type": "bytes32"
+			}
+		],
+		"name": "verifyAlert",
+		"outputs": [
+			{
+				"internalType": "bool",
+				"name": "",
+				"type": "bool"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	}
+]
+
+// Initialize provider & contract
+const provider = new ethers.JsonRpcProvider(POLYGON_RPC);
+const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+const contract = new ethers.Contract(SMART_CONTRACT_ADDRESS_sos, SOSABI, wallet);
+
+/**
+ * Calculate age in years from a date of birth
+ * @param {Date} dob
+ * @returns {number|null}
+ */
+function calculateAge(dob) {
+	if (!dob) return null;
+	const today = new Date();
+	const birthDate = new Date(dob);
+	let age = today.getFullYear() - birthDate.getFullYear();
+	const monthDiff = today.getMonth() - birthDate.getMonth();
+	if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+		age--;
+	}
+	return age;
+}
+
+/**
+ * Recompute the risk grid cell an alert falls in and broadcast the result.
+ * Used when an alert is raised and when it stops counting (e.g. cancelled).
+ * Never throws: a grid failure must not fail the SOS operation.
+ * @param {object} sosAlert SOSAlert with location.coordinates [lng, lat]
+ * @returns {Promise<object|null>} Updated RiskGrid or null
+ */
+async function refreshGridForAlert(sosAlert) {
+	try {
+		const [lng, lat] = sosAlert.location.coordinates;
+		const updatedGrid = await updateGridForLocation(lat, lng);
+		console.log('✅ Grid updated immediately for SOS location');
+
+		// Emit real-time grid update to all connected clients
+		if (updatedGrid) {
+			realtimeService.emitRiskGridUpdated({
+				gridId: updatedGrid.gridId,
+				riskLevel: updatedGrid.riskLevel,
+				riskScore: updatedGrid.riskScore,
+				location: updatedGrid.location,
+				gridName: updatedGrid.gridName,
+				lastUpdated: updatedGrid.lastUpdated,
+				radius: updatedGrid.radius,
+				tierLevel: updatedGrid.tierLevel
+			}).catch(err => console.error('Grid emit error:', err));
+		}
+		return updatedGrid;
+	} catch (gridErr) {
+		console.error('⚠️ Failed to update grid immediately:', gridErr);
+		// Don't fail the SOS - continue
+		return null;
+	}
+}
+
+/**
+ * Raise an SOS alert for a tourist.
+ * Saves the alert and updates the risk grid synchronously, then broadcasts to
+ * authorities and logs on the blockchain in the background.
+ *
+ * @param {object} tourist Tourist mongoose document
+ * @param {object} params {
+ *   location: { type, coordinates: [lng, lat], locationName },
+ *   safetyScore, locationName,
+ *   sosReason: { reason },
+ *   autoEscalation: { isAutoEscalated, source, reason, details } (optional)
+ * }
+ * @returns {Promise<object>} { sosAlert, updatedGrid }
+ */
+async function raiseSOS(tourist, { location, safetyScore, locationName, sosReason, autoEscalation }) {
+	const touristId = tourist.touristId;
+
+	// 1️⃣ Decrypt tourist personal information
+	const name = decrypt(tourist.nameEncrypted);
+	const phone = tourist.phoneEncrypted ? decrypt(tourist.phoneEncrypted) : null;
+	const age = calculateAge(tourist.dob);
+
+	// 2️⃣ Decrypt emergency contact
+	let emergencyContact = null;
+	if (tourist.emergencyContactEncrypted) {
+		emergencyContact = JSON.parse(decrypt(tourist.emergencyContactEncrypted));
+	}
+
+	// 3️⃣ Save SOS in MongoDB immediately
+	const sosAlert = new SOSAlert({
+		touristId: tourist._id,
+		location,
+		safetyScore,
+		locationName,
+		sosReason,
+		emergencyContact,
+		status: "new",
+		autoEscalation: autoEscalation || undefined,
+		history: [{
+			action: "raise",
+			fromStatus: null,
+			toStatus: "new",
+			actor: autoEscalation
+				? { type: "system", id: autoEscalation.source }
+				: { type: "tourist", id: touristId, name },
+			comment: autoEscalation ? autoEscalation.reason : sosReason?.reason,
+		}],
+	});
+	await sosAlert.save();
+
+	// 4️⃣ Update Risk Grid IMMEDIATELY for this location (synchronous)
+	const updatedGrid = await refreshGridForAlert(sosAlert);
+
+	// 5️⃣ Emit real-time SOS to connected authorities (fire-and-forget)
+	(async () => {
+		try {
+			const alertData = {
+				alertId: sosAlert._id,
+				touristId: touristId,
+				touristName: name,
+				phone: phone,
+				age: age,
+				nationality: tourist.nationality || null,
+				gender: tourist.gender || null,
+				bloodGroup: tourist.bloodGroup || null,
+				medicalConditions: tourist.medicalConditions || null,
+				allergies: tourist.allergies || null,
+				emergencyContact: emergencyContact,
+				location: sosAlert.location,
+				locationName: sosAlert.locationName,
+				timestamp: sosAlert.timestamp || new Date().toISOString(),
+				safetyScore: sosAlert.safetyScore,
+				sosReason: sosAlert.sosReason,
+				status: sosAlert.status,
+				autoEscalation: sosAlert.autoEscalation && sosAlert.autoEscalation.isAutoEscalated
+					? sosAlert.autoEscalation
+					: null
+			};
+
+			realtimeService.emitSOSAlert(alertData).catch(err => {
+				console.error('emitSOSAlert failed (non-blocking):', err);
+			});
+		} catch (err) {
+			console.error('Realtime emit wrapper error:', err);
+		}
+	})();
+
+	// 6️⃣ Let the emergency contact know (fire-and-forget, respects consent)
+	notifyEmergencyContact(sosAlert._id, 'raised')
+		.catch(err => console.error('Emergency contact notification failed (non-blocking):', err));
+
+	// 7️⃣ Flag the member in their tour group and alert the group (fire-and-forget)
+	groupSosService.onSOSRaised(tourist, sosAlert)
+		.catch(err => console.error('Group SOS propagation failed (non-blocking):', err));
+
+	// 8️⃣ Sequentially log alerts on blockchain (fire-and-forget)
+	(async () => {
+		try {
+			const { v4: uuidv4 } = await import("uuid");
+
+			// Create payload for this alert
+			const eventIdRaw = uuidv4() + "|" + sosAlert._id.toString();
+			const eventIdHash = sha256Hex(eventIdRaw);
+			const alertId = hex64ToBytes32(eventIdHash);
+
+			const payloadString = `${sosAlert._id}|${touristId}|${location.coordinates.join(",")}|${sosReason?.reason}|${sosAlert.timestamp.toISOString()}`;
+			const payloadHash = ethers.id(payloadString);
+
+			console.log("📌 Logging SOS alert on-chain...");
+
+			// Wait for the previous transaction to finish before sending this one
+			if (!global.sosQueue) global.sosQueue = Promise.resolve();
+
+			global.sosQueue = global.sosQueue.then(async () => {
+				try {
+					const tx = await contract.logAlert(alertId, payloadHash);
+					const receipt = await tx.wait();
+
+					// ⚡ Create a fresh reference to SOSAlert from DB to ensure correct scope
+					const alertToUpdate = await SOSAlert.findById(sosAlert._id);
+					if (!alertToUpdate) {
+						console.error("❌ SOSAlert not found in DB for updating blockchain info");
+						return;
+					}
+
+					alertToUpdate.blockchainTxHash = receipt.hash;
+					alertToUpdate.isLoggedOnChain = true;
+					alertToUpdate.alertIdOnChain = alertId;
+					alertToUpdate.payloadHashOnChain = payloadHash;
+					await alertToUpdate.save();
+
+					console.log("✅ SOS logged on-chain:", receipt.hash);
+				} catch (err) {
+					console.error("❌ Blockchain logging error:", err);
+				}
+			});
+
+			await global.sosQueue; // ensure sequence
+		} catch (err) {
+			console.error("❌ SOS blockchain async error:", err);
+		}
+	})();
+
+	return { sosAlert, updatedGrid };
+}
+
+module.exports = { raiseSOS, calculateAge };
@@ -0,0 +1,176 @@
+const Unit = require('../models/Unit');
+const SOSAlert = require('../models/SOSAlertModel');
+const { calculateDistance } = require('./safetyScoreService');
+const { toUnitPayload } = require('./unitService');
+
+/**
+ * Unit Recommendation Service
+ *
+ * Ranks AVAILABLE response units for an SOS alert by:
+ *   - straight-line distance ($geoNear on the Unit 2dsphere index)
+ *   - how well the unit type fits the SOS reason (e.g. MEDICAL for injuries)
+ *   - recent workload (alerts handled in the last WORKLOAD_WINDOW_MS)
+ * and suggests an ETA for each unit.
+ */
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const DEFAULT_MAX_DISTANCE_M = 50 * 1000;
+
+// Score weights (sum to 1)
+const W_DISTANCE = 0.6;
+const W_TYPE = 0.3;
+const W_WORKLOAD = 0.1;
+
+const DISTANCE_HALF_SCORE_M = 3000;            // Distance at which the distance score halves
+const STALE_LOCATION_MS = 30 * 60 * 1000;     // Older positions are less trustworthy
+const STALE_LOCATION_FACTOR = 0.5;
+const WORKLOAD_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ETA model: straight line -> road distance, per-type average speed, fixed turnout time
+const ROAD_DISTANCE_FACTOR = 1.4;
+const TURNOUT_MINUTES = 2;
+const UNIT_SPEED_KMH = { POLICE: 40, MEDICAL: 40, FIRE: 35, PATROL: 25 };
+
+// SOS reason keywords -> preferred unit types (first = best fit)
+const REASON_RULES = [
+  { pattern: /injur|medical|accident|hurt|bleed|unconscious|heart|breath|sick|\bill\b|fall|faint|pain/i, types: ['MEDICAL', 'POLICE'] },
+  { pattern: /fire|smoke|burn|explosi|gas leak/i, types: ['FIRE', 'MEDICAL'] },
+  { pattern: /theft|\brob|steal|stolen|assault|attack|harass|kidnap|threat|follow|fight|weapon|violence/i, types: ['POLICE', 'PATROL'] },
+  { pattern: /flood|landslide|earthquake|disaster|stuck|trapped|lost/i, types: ['FIRE', 'PATROL', 'MEDICAL'] },
+  { pattern: /safe_pulse|missed/i, types: ['PATROL', 'POLICE'] },
+];
+const DEFAULT_TYPES = ['POLICE', 'PATROL'];
+
+/**
+ * Preferred unit types for an SOS reason, best fit first.
+ * @param {string} reason sosReason.reason
+ * @returns {Array<string>}
+ */
+function getPreferredUnitTypes(reason) {
+  const rule = REASON_RULES.find(r => reason && r.pattern.test(reason));
+  return rule ? rule.types : DEFAULT_TYPES;
+}
+
+/**
+ * Suggested ETA in whole minutes for a unit type over a straight-line distance.
+ * @param {number} distanceMeters
+ * @param {string} unitType
+ * @returns {number}
+ */
+function estimateEtaMinutes(distanceMeters, unitType) {
+  const speedKmh = UNIT_SPEED_KMH[unitType] || 30;
+  const travelMinutes = (distanceMeters * ROAD_DISTANCE_FACTOR / 1000) / speedKmh * 60;
+  return Math.ceil(TURNOUT_MINUTES + travelMinutes);
+}
+
+/**
+ * Rank AVAILABLE units for an alert.
+ * @param {object} alert SOSAlert (needs location, sosReason)
+ * @param {object} options { limit, maxDistanceMeters }
+ * @returns {Promise<Array>} Ranked units with score breakdown and suggestedEtaMinutes
+ */
+async function recommendUnits(alert, { limit = DEFAULT_LIMIT, maxDistanceMeters = DEFAULT_MAX_DISTANCE_M } = {}) {
+  const [lng, lat] = alert.location.coordinates;
+  const preferredTypes = getPreferredUnitTypes(alert.sosReason && alert.sosReason.reason);
+
+  // Fetch more candidates than requested: type fit / workload can reorder them
+  const candidates = await Unit.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'location.coordinates',
+        distanceField: 'distanceMeters',
+        maxDistance: maxDistanceMeters,
+        spherical: true,
+        query: {
+          status: 'AVAILABLE',
+          currentAlert: null,
+          'location.coordinates': { $ne: [0, 0] }, // never reported a position
+        },
+      },
+    },
+    { $limit: Math.min(limit, MAX_LIMIT) * 4 },
+    { $project: { password: 0, fcmToken: 0 } },
+  ]);
+
+  if (candidates.length === 0) return [];
+
+  // Workload: alerts each candidate was dispatched to recently
+  const since = new Date(Date.now() - WORKLOAD_WINDOW_MS);
+  const workloadRows = await SOSAlert.aggregate([
+    { $match: { 'dispatchedUnits.unitId': { $in: candidates.map(u => u._id) }, 'dispatchedUnits.dispatchedAt': { $gte: since } } },
+    { $unwind: '$dispatchedUnits' },
+    { $match: { 'dispatchedUnits.dispatchedAt': { $gte: since } } },
+    { $group: { _id: '$dispatchedUnits.unitId', count: { $sum: 1 } } },
+  ]);
+  const workload = new Map(workloadRows.map(r => [r._id.toString(), r.count]));
+
+  const now = Date.now();
+  const ranked = candidates.map(unit => {
+    const distanceMeters = unit.distanceMeters;
+    const locationStale = !unit.lastLocationUpdate || now - new Date(unit.lastLocationUpdate).getTime() > STALE_LOCATION_MS;
+
+    let distanceScore = DISTANCE_HALF_SCORE_M / (DISTANCE_HALF_SCORE_M + distanceMeters);
+    if (locationStale) distanceScore *= STALE_LOCATION_FACTOR;
+
+    const typeRank = preferredTypes.indexOf(unit.unitType);
+    const typeScore = typeRank === 0 ? 1 : typeRank > 0 ? 0.5 : 0.2;
+
+    const recentAlerts = workload.get(unit._id.toString()) || 0;
+    const workloadScore = 1 / (1 + recentAlerts);
+
+    const score = W_DISTANCE * distanceScore + W_TYPE * typeScore + W_WORKLOAD * workloadScore;
+
+    return {
+      ...toUnitPayload(unit),
+      distanceMeters: Math.round(distanceMeters),
+      suggestedEtaMinutes: estimateEtaMinutes(distanceMeters, unit.unitType),
+      score: Math.round(score * 1000) / 1000,
+      scoreBreakdown: {
+        distance: Math.round(distanceScore * 1000) / 1000,
+        typeMatch: typeScore,
+        workload: Math.round(workloadScore * 1000) / 1000,
+      },
+      typeMatch: typeRank === 0 ? 'preferred' : typeRank > 0 ? 'suitable' : 'other',
+      recentAlerts,
+      locationStale,
+    };
+  });
+
+  ranked.sort((a, b) => b.score - a.score);
+  return ranked.slice(0, Math.min(limit, MAX_LIMIT));
+}
+
+/**
+ * ETA suggestion for a specific unit heading to an alert.
+ * @param {object} alert SOSAlert (needs location)
+ * @param {object} unit Unit (needs location, unitType)
+ * @returns {number|null} Minutes, or null if the unit has no known position
+ */
+function suggestEtaForUnit(alert, unit) {
+  const coords = unit.location && unit.location.coordinates;
+  if (!coords || (coords[0] === 0 && coords[1] === 0)) return null;
+
+  const [lng, lat] = alert.location.coordinates;
+  return estimateEtaMinutes(calculateDistance(lat, lng, coords[1], coords[0]), unit.unitType);
+}
+
+/**
+ * ETA suggestion for an alert when no specific unit is given: the ETA of the
+ * best-ranked available unit.
+ * @param {object} alert SOSAlert
+ * @returns {Promise<number|null>}
+ */
+async function suggestEtaForAlert(alert) {
+  const [best] = await recommendUnits(alert, { limit: 1 });
+  return best ? best.suggestedEtaMinutes : null;
+}
+
+module.exports = {
+  getPreferredUnitTypes,
+  estimateEtaMinutes,
+  recommendUnits,
+  suggestEtaForUnit,
+  suggestEtaForAlert,
+};
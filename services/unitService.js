@@ -0,0 +1,100 @@
+const Unit = require('../models/Unit');
+const SOSAlert = require('../models/SOSAlertModel');
+
+/**
+ * Response Unit Service
+ *
+ * Binding and releasing response units (police cars, ambulances, patrols)
+ * to SOS alerts. A unit can work on one alert at a time:
+ *   AVAILABLE --dispatch--> BUSY (currentAlert set) --alert resolved/cancelled/closed--> AVAILABLE
+ */
+
+/**
+ * Public view of a unit (never includes password / fcmToken).
+ * @param {object} unit Unit document or lean object
+ * @returns {object}
+ */
+function toUnitPayload(unit) {
+  const coordinates = unit.location && unit.location.coordinates;
+  return {
+    unitId: unit._id,
+    name: unit.name,
+    code: unit.code,
+    unitType: unit.unitType,
+    contactNumber: unit.contactNumber,
+    status: unit.status,
+    location: coordinates ? { lat: coordinates[1], lng: coordinates[0] } : null,
+    lastLocationUpdate: unit.lastLocationUpdate || null,
+    currentAlert: unit.currentAlert || null,
+  };
+}
+
+/**
+ * Atomically reserve an AVAILABLE unit for an alert.
+ * @param {string} unitId
+ * @param {string} alertId
+ * @returns {Promise<object|null>} The updated unit, or null if it was not available
+ */
+async function claimUnit(unitId, alertId) {
+  return Unit.findOneAndUpdate(
+    { _id: unitId, status: 'AVAILABLE', currentAlert: null },
+    { $set: { status: 'BUSY', currentAlert: alertId } },
+    { new: true }
+  );
+}
+
+/**
+ * Undo claimUnit() when the dispatch could not be completed.
+ * @param {string} unitId
+ * @param {string} alertId
+ */
+async function unclaimUnit(unitId, alertId) {
+  await Unit.updateOne(
+    { _id: unitId, currentAlert: alertId },
+    { $set: { status: 'AVAILABLE', currentAlert: null } }
+  );
+}
+
+/**
+ * Release every unit bound to an alert back to AVAILABLE (units that went
+ * OFFLINE meanwhile stay OFFLINE) and stamp releasedAt on the alert.
+ * @param {string} alertId
+ * @returns {Promise<Array>} Released units (public payloads)
+ */
+async function releaseUnitsForAlert(alertId) {
+  const units = await Unit.find({ currentAlert: alertId });
+  if (units.length === 0) return [];
+
+  const released = [];
+  for (const unit of units) {
+    unit.currentAlert = null;
+    if (unit.status === 'BUSY') unit.status = 'AVAILABLE';
+    await unit.save();
+    released.push(toUnitPayload(unit));
+  }
+
+  await SOSAlert.updateOne(
+    { _id: alertId },
+    { $set: { 'dispatchedUnits.$[open].releasedAt': new Date() } },
+    { arrayFilters: [{ 'open.releasedAt': null }] }
+  );
+
+  // Lazy require: realtimeService -> ... -> unitService would otherwise be circular
+  const realtimeService = require('./realtimeService');
+  released.forEach(unit => {
+    realtimeService.emitUnitEvent(unit.unitId, 'unitReleased', { alertId, status: unit.status })
+      .catch(err => console.error('Unit emit error:', err));
+    realtimeService.emitUnitStatusUpdate(unit)
+      .catch(err => console.error('Unit emit error:', err));
+  });
+
+  console.log(`🚓 Released ${released.length} unit(s) from alert ${alertId}`);
+  return released;
+}
+
+module.exports = {
+  toUnitPayload,
+  claimUnit,
+  unclaimUnit,
+  releaseUnitsForAlert,
+};
@@ -0,0 +1,198 @@
+/**
+ * Danger Zone Import Test
+ *
+ * GeoJSON, KML and CSV parsing and the row -> DangerZone mapping (buildZone).
+ * Run with: npx mocha tests/dangerZoneImport.test.js
+ */
+
+const assert = require('assert');
+const {
+  detectFormat,
+  parseGeoJSON,
+  parseKML,
+  parseCSV,
+  buildZone,
+} = require('../services/dangerZoneImportService');
+
+const SQUARE = [[77.2, 28.6], [77.21, 28.6], [77.21, 28.61], [77.2, 28.61], [77.2, 28.6]];
+
+describe('dangerZoneImportService', () => {
+  describe('detectFormat', () => {
+    it('prefers the explicit format and falls back to the content type', () => {
+      assert.strictEqual(detectFormat('KML', 'text/csv'), 'kml');
+      assert.strictEqual(detectFormat('shapefile'), null);
+      assert.strictEqual(detectFormat(undefined, 'application/vnd.google-earth.kml+xml'), 'kml');
+      assert.strictEqual(detectFormat(undefined, 'text/csv; charset=utf-8'), 'csv');
+      assert.strictEqual(detectFormat(undefined, 'application/geo+json'), 'geojson');
+      assert.strictEqual(detectFormat(undefined, 'text/plain'), null);
+    });
+  });
+
+  describe('parseGeoJSON', () => {
+    it('returns one row per feature with its properties, geometry and id', () => {
+      const rows = parseGeoJSON(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', id: 'f-1', properties: { name: 'Ridge' }, geometry: { type: 'Point', coordinates: [77.2, 28.6] } },
+          { type: 'Feature', properties: null, geometry: null },
+        ],
+      }));
+
+      assert.deepStrictEqual(rows, [
+        { row: 1, properties: { name: 'Ridge' }, geometry: { type: 'Point', coordinates: [77.2, 28.6] }, featureId: 'f-1' },
+        { row: 2, properties: {}, geometry: null, featureId: undefined },
+      ]);
+    });
+
+    it('accepts already parsed JSON', () => {
+      assert.strictEqual(parseGeoJSON({ type: 'FeatureCollection', features: [] }).length, 0);
+    });
+
+    it('rejects anything but a FeatureCollection', () => {
+      assert.throws(() => parseGeoJSON({ type: 'Feature' }), /FeatureCollection/);
+    });
+  });
+
+  describe('parseKML', () => {
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+        <Placemark id="kml-1">
+          <name><![CDATA[Flood plain & banks]]></name>
+          <ExtendedData>
+            <Data name="riskLevel"><value>high</value></Data>
+            <SchemaData><SimpleData name="category">Flood</SimpleData></SchemaData>
+          </ExtendedData>
+          <Polygon><outerBoundaryIs><LinearRing><coordinates>
+            77.2,28.6,0 77.21,28.6,0 77.21,28.61,0 77.2,28.61,0 77.2,28.6,0
+          </coordinates></LinearRing></outerBoundaryIs></Polygon>
+        </Placemark>
+        <Placemark>
+          <name>Landslide point</name>
+          <Point><coordinates>77.3,28.7</coordinates></Point>
+        </Placemark>
+        <Placemark>
+          <name>Two islands</name>
+          <MultiGeometry>
+            <Polygon><outerBoundaryIs><LinearRing><coordinates>0,0 1,0 1,1 0,0</coordinates></LinearRing></outerBoundaryIs></Polygon>
+            <Polygon><outerBoundaryIs><LinearRing><coordinates>2,2 3,2 3,3 2,2</coordinates></LinearRing></outerBoundaryIs></Polygon>
+          </MultiGeometry>
+        </Placemark>
+      </Document></kml>`;
+
+    it('reads names, extended data and the placemark id', () => {
+      const [first] = parseKML(kml);
+      assert.strictEqual(first.row, 1);
+      assert.strictEqual(first.featureId, 'kml-1');
+      assert.deepStrictEqual(first.properties, { name: 'Flood plain & banks', riskLevel: 'high', category: 'Flood' });
+    });
+
+    it('turns Polygon, Point and multiple polygons into GeoJSON', () => {
+      const [polygon, point, multi] = parseKML(kml);
+      assert.deepStrictEqual(polygon.geometry, { type: 'Polygon', coordinates: [SQUARE] });
+      assert.deepStrictEqual(point.geometry, { type: 'Point', coordinates: [77.3, 28.7] });
+      assert.strictEqual(multi.geometry.type, 'MultiPolygon');
+      assert.strictEqual(multi.geometry.coordinates.length, 2);
+    });
+
+    it('rejects documents without a <kml> root', () => {
+      assert.throws(() => parseKML('<gpx></gpx>'), /<kml> root/);
+    });
+  });
+
+  describe('parseCSV', () => {
+    it('handles quoted fields, escaped quotes, CRLF and a BOM', () => {
+      const csv = '\uFEFFname,latitude,longitude,Additional_Info\r\n'
+        + '"Market, old town",28.65,77.23,"Said ""avoid at night"""\r\n'
+        + '\r\n'
+        + 'Ghat road,30.1,78.3,\r\n';
+
+      const rows = parseCSV(csv);
+      assert.deepStrictEqual(rows.map(r => r.row), [2, 3]);
+      assert.deepStrictEqual(rows[0].properties, {
+        name: 'Market, old town',
+        latitude: '28.65',
+        longitude: '77.23',
+        Additional_Info: 'Said "avoid at night"',
+      });
+      assert.deepStrictEqual(rows[0].geometry, { type: 'Point', coordinates: [77.23, 28.65] });
+      assert.strictEqual(rows[1].properties.Additional_Info, undefined);
+    });
+
+    it('reads a GeoJSON geometry column and flags an invalid one', () => {
+      const csv = 'name,geometry\n'
+        + `Park,"${JSON.stringify({ type: 'Polygon', coordinates: [SQUARE] }).replace(/"/g, '""')}"\n`
+        + 'Broken,{not json\n';
+
+      const [park, broken] = parseCSV(csv);
+      assert.deepStrictEqual(park.geometry, { type: 'Polygon', coordinates: [SQUARE] });
+      assert.deepStrictEqual(broken.geometry, { invalid: 'geometry column is not valid GeoJSON' });
+    });
+
+    it('leaves the geometry empty without coordinates', () => {
+      const [row] = parseCSV('name,state\nNowhere,Goa\n');
+      assert.strictEqual(row.geometry, null);
+    });
+
+    it('rejects an empty file', () => {
+      assert.throws(() => parseCSV(''), /CSV is empty/);
+    });
+  });
+
+  describe('buildZone', () => {
+    it('makes a circle zone from a point, sized from the dataset area', () => {
+      const { zone, errors } = buildZone({
+        properties: { Name: 'Sanctuary', Category: 'Wildlife', State: 'Assam', Area_km2: '3.14159', Source: 'MoEF' },
+        geometry: { type: 'Point', coordinates: [93.4, 26.6] },
+      });
+
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(zone.type, 'circle');
+      assert.deepStrictEqual(zone.coords, [26.6, 93.4]);
+      assert.deepStrictEqual(zone.center, { type: 'Point', coordinates: [93.4, 26.6] });
+      assert.strictEqual(zone.radiusKm, 1);
+      assert.strictEqual(zone.category, 'Wildlife');
+      assert.deepStrictEqual(zone.raw, { Name: 'Sanctuary', Category: 'Wildlife', State: 'Assam', Area_km2: '3.14159', Source: 'MoEF' });
+    });
+
+    it('makes a polygon zone centred on its bounding box', () => {
+      const { zone, errors } = buildZone({
+        properties: { name: 'Flood plain', riskLevel: 'very_high' },
+        geometry: { type: 'Polygon', coordinates: [SQUARE.slice(0, 4)] },
+      });
+
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(zone.type, 'polygon');
+      assert.strictEqual(zone.riskLevel, 'Very High');
+      assert.deepStrictEqual(zone.geometry.coordinates, [SQUARE]);
+      assert.deepStrictEqual(zone.coords.map(c => Number(c.toFixed(3))), [28.605, 77.205]);
+    });
+
+    it('takes the id from the properties, then the feature, then a stable hash', () => {
+      const point = { type: 'Point', coordinates: [77.2, 28.6] };
+      assert.strictEqual(buildZone({ properties: { name: 'A', id: ' dz-7 ' }, geometry: point, featureId: 'f' }).zone.id, 'dz-7');
+      assert.strictEqual(buildZone({ properties: { name: 'A' }, geometry: point, featureId: 'f' }).zone.id, 'f');
+
+      const hashed = buildZone({ properties: { name: 'A' }, geometry: point }).zone.id;
+      assert.match(hashed, /^import-[0-9a-f]{16}$/);
+      assert.strictEqual(buildZone({ properties: { name: 'A' }, geometry: point }).zone.id, hashed);
+    });
+
+    it('reports every problem with a row', () => {
+      const { errors } = buildZone({ properties: { riskLevel: 'extreme' }, geometry: null });
+      assert.deepStrictEqual(errors, [
+        'name is required',
+        'riskLevel must be one of Low, Medium, High, Very High',
+        'a location is required (Point, Polygon or MultiPolygon geometry, or latitude/longitude columns)',
+      ]);
+    });
+
+    it('rejects invalid coordinates, radii and geometry types', () => {
+      const errorsOf = (properties, geometry) => buildZone({ properties: { name: 'Z', ...properties }, geometry }).errors;
+
+      assert.deepStrictEqual(errorsOf({}, { type: 'Point', coordinates: [200, 28] }), ['point coordinates must be a valid [lng, lat]']);
+      assert.deepStrictEqual(errorsOf({ radiusKm: '-1' }, { type: 'Point', coordinates: [77, 28] }), ['radiusKm must be a positive number']);
+      assert.deepStrictEqual(errorsOf({}, { type: 'LineString', coordinates: [] }), ["unsupported geometry type 'LineString'"]);
+      assert.match(errorsOf({}, { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1]]] })[0], /self-intersecting/);
+    });
+  });
+});
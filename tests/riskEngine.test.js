@@ -0,0 +1,204 @@
+/**
+ * Risk Engine Test
+ *
+ * Scoring of a single cell (computeGridRisk) and the smoothing pass of
+ * processBatch, with the database reads and writes stubbed.
+ * Run with: npx mocha tests/riskEngine.test.js
+ */
+
+// Square grid, half of a cell's score spilled into its neighbours
+process.env.RISK_GRID_TYPE = 'square';
+process.env.RISK_GRID_RESOLUTION = '';
+process.env.RISK_GRID_SMOOTHING = '0.5';
+
+const assert = require('assert');
+const RiskGrid = require('../models/RiskGrid');
+const Incident = require('../models/Incident');
+const SOSAlert = require('../models/SOSAlertModel');
+const mapboxClient = require('../utils/mapboxClient');
+const riskProfileService = require('../services/riskProfileService');
+const { getGridSystem } = require('../utils/riskGrid');
+
+const { DEFAULT_ENGINE } = riskProfileService;
+const BUILT_IN = { region: 'default', version: 0, engine: DEFAULT_ENGINE };
+
+// Stubbed before the engine is loaded: it keeps its own references
+const originals = {
+  getGridName: mapboxClient.getGridName,
+  getProfile: riskProfileService.getProfile,
+  gridFind: RiskGrid.find,
+  gridBulkWrite: RiskGrid.bulkWrite,
+  sosFind: SOSAlert.find,
+  incidentFind: Incident.find,
+};
+mapboxClient.getGridName = async () => 'Test area';
+riskProfileService.getProfile = async () => BUILT_IN;
+
+// A copy loaded earlier (by another test file) would hold the real ones
+const enginePath = require.resolve('../services/riskEngineService');
+const loadedEngine = require.cache[enginePath];
+delete require.cache[enginePath];
+const { computeGridRisk, processBatch, getGridIdAndCenter } = require('../services/riskEngineService');
+if (loadedEngine) require.cache[enginePath] = loadedEngine;
+
+const HOUR = 60 * 60 * 1000;
+const LAT = 28.6139;
+const LNG = 77.2090;
+
+const sos = (lat, lng, { safetyScore = 80, hoursAgo = 1 } = {}) => ({
+  location: { type: 'Point', coordinates: [lng, lat] },
+  timestamp: new Date(Date.now() - hoursAgo * HOUR),
+  safetyScore,
+});
+
+const incident = ({ status = 'verified', weight, touristId, severity = 0.5, hoursAgo = 1 } = {}) => ({
+  location: { type: 'Point', coordinates: [LNG, LAT] },
+  timestamp: new Date(Date.now() - hoursAgo * HOUR),
+  title: 'Report',
+  type: 'theft',
+  severity,
+  status,
+  trust: weight !== undefined ? { weight } : undefined,
+  reportedBy: touristId ? { touristId } : undefined,
+});
+
+describe('riskEngineService', () => {
+  after(() => {
+    mapboxClient.getGridName = originals.getGridName;
+    riskProfileService.getProfile = originals.getProfile;
+  });
+
+  describe('computeGridRisk', () => {
+    it('expires a cell without events', () => {
+      const result = computeGridRisk([], [], null, DEFAULT_ENGINE);
+      assert.deepStrictEqual(result, { expired: true, tier: 'Standard' });
+    });
+
+    it('reaches Critical on a very low SOS safety score', () => {
+      // The floor shrinks as the tier runs out, so the alert is raised "now"
+      const now = Date.now();
+      const alert = { ...sos(LAT, LNG, { safetyScore: 20 }), timestamp: new Date(now) };
+
+      const result = computeGridRisk([alert], [], null, DEFAULT_ENGINE, now);
+      assert.strictEqual(result.tierLevel, 'Critical');
+      assert.ok(result.riskScore >= DEFAULT_ENGINE.tiers.Critical.floor);
+    });
+
+    it('counts a pending report only for its trust weight', () => {
+      const verified = computeGridRisk([], [incident({ severity: 0.8 })], null, DEFAULT_ENGINE);
+      const pending = computeGridRisk([], [incident({ status: 'pending', weight: 0.5, touristId: 'T1', severity: 0.8 })], null, DEFAULT_ENGINE);
+
+      assert.strictEqual(verified.tierLevel, 'Critical');
+      assert.strictEqual(pending.tierLevel, 'Standard');
+      assert.ok(pending.riskScore < verified.riskScore);
+    });
+
+    it("counts a reporter's repeated pending reports once", () => {
+      const repeated = Array.from({ length: 10 }, () => incident({ status: 'pending', weight: 0.9, touristId: 'T1' }));
+      const once = computeGridRisk([], [repeated[0]], null, DEFAULT_ENGINE);
+      const spammed = computeGridRisk([], repeated, null, DEFAULT_ENGINE);
+      const corroborated = computeGridRisk([], ['T1', 'T2', 'T3', 'T4'].map(touristId =>
+        incident({ status: 'pending', weight: 0.9, touristId })), null, DEFAULT_ENGINE);
+
+      assert.strictEqual(spammed.tierLevel, 'Standard');
+      assert.strictEqual(spammed.riskScore, once.riskScore);
+      assert.strictEqual(corroborated.tierLevel, 'High');
+    });
+
+    it('decays its own previous score but ignores a previous spillover score', () => {
+      const events = [sos(LAT, LNG)];
+      const now = Date.now();
+      const previous = { riskScore: 0.9, baseScore: 0.9, lastUpdated: new Date(now - HOUR) };
+
+      const fresh = computeGridRisk(events, [], null, DEFAULT_ENGINE, now);
+      const withHistory = computeGridRisk(events, [], previous, DEFAULT_ENGINE, now);
+      const afterSpillover = computeGridRisk(events, [], { ...previous, spillover: true }, DEFAULT_ENGINE, now);
+
+      assert.ok(withHistory.riskScore > fresh.riskScore);
+      assert.strictEqual(afterSpillover.riskScore, fresh.riskScore);
+    });
+  });
+
+  describe('processBatch smoothing', () => {
+    const grid = getGridSystem('square');
+    const { gridId: source } = getGridIdAndCenter(LAT, LNG);
+    const [neighbour] = grid.neighbours(source);
+
+    let stored;
+    let events;
+    let writes;
+
+    beforeEach(() => {
+      stored = [];
+      events = { sosAlerts: [], incidents: [] };
+      writes = [];
+      RiskGrid.find = (query) => ({ lean: async () => stored.filter(g => query.gridId.$in.includes(g.gridId)) });
+      RiskGrid.bulkWrite = async (ops) => { writes.push(...ops); };
+      SOSAlert.find = () => ({ select: () => ({ lean: async () => events.sosAlerts }) });
+      Incident.find = () => ({ select: () => ({ lean: async () => events.incidents }) });
+    });
+
+    after(() => {
+      RiskGrid.find = originals.gridFind;
+      RiskGrid.bulkWrite = originals.gridBulkWrite;
+      SOSAlert.find = originals.sosFind;
+      Incident.find = originals.incidentFind;
+    });
+
+    it('spills half of a risky cell into an adjacent cell without events', async () => {
+      events.sosAlerts = [sos(LAT, LNG, { safetyScore: 20 })];
+
+      const result = await processBatch([{ gridId: source, source: true }, { gridId: neighbour }]);
+      const own = result.updated.find(g => g.gridId === source);
+      const spilled = result.updated.find(g => g.gridId === neighbour);
+
+      assert.strictEqual(own.spillover, false);
+      assert.strictEqual(spilled.spillover, true);
+      assert.strictEqual(spilled.baseScore, 0);
+      assert.strictEqual(spilled.riskScore, 0.5 * own.baseScore);
+      assert.strictEqual(spilled.tierLevel, own.tierLevel);
+      assert.deepStrictEqual(spilled.reasons, []);
+      assert.strictEqual(writes.length, 2);
+    });
+
+    it("raises a cell's score to half of a stronger stored neighbour", async () => {
+      stored = [{ gridId: neighbour, riskScore: 0.95, baseScore: 0.95, riskLevel: 'Very High', tierLevel: 'Critical' }];
+      events.sosAlerts = [sos(LAT, LNG, { hoursAgo: 100 })];
+
+      const result = await processBatch([{ gridId: source, source: true }]);
+      const [cell] = result.updated;
+
+      assert.ok(cell.baseScore < 0.475);
+      assert.strictEqual(cell.riskScore, 0.475);
+      assert.strictEqual(cell.riskLevel, 'Medium');
+    });
+
+    it('does not spill from a stored spillover cell', async () => {
+      stored = [{ gridId: neighbour, riskScore: 0.95, baseScore: 0, spillover: true, riskLevel: 'Very High' }];
+      events.sosAlerts = [sos(LAT, LNG, { hoursAgo: 100 })];
+
+      const [cell] = (await processBatch([{ gridId: source, source: true }])).updated;
+      assert.strictEqual(cell.riskScore, cell.baseScore);
+    });
+
+    it('deletes a spillover cell once its neighbours calm down', async () => {
+      stored = [{ gridId: neighbour, riskScore: 0.4, baseScore: 0, spillover: true, riskLevel: 'Medium' }];
+
+      const result = await processBatch([{ gridId: neighbour }]);
+
+      assert.deepStrictEqual(result.expired, [neighbour]);
+      assert.deepStrictEqual(writes, [{ deleteOne: { filter: { gridId: neighbour } } }]);
+    });
+
+    it('asks for the neighbours outside the batch to be re-smoothed', async () => {
+      events.sosAlerts = [sos(LAT, LNG, { safetyScore: 20 })];
+
+      const result = await processBatch([{ gridId: source, source: true }, { gridId: neighbour }]);
+      const expected = grid.neighbours(source).filter(id => id !== neighbour);
+
+      assert.deepStrictEqual(result.refresh.filter(id => expected.includes(id)).sort(), expected.sort());
+      assert.ok(!result.refresh.includes(source));
+      assert.ok(!result.refresh.includes(neighbour));
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * SOS Lifecycle Test
+ *
+ * The ACTIONS transition table and transitionAlert(), with the alert store and
+ * the side effects (units, emergency contact, tour group, risk grid) stubbed.
+ * Run with: npx mocha tests/sosLifecycle.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+// Side effects are replaced while the service is loaded (it keeps its own
+// references); the module cache is restored for the other test files
+const calls = [];
+const cached = new Map();
+const stubModule = (file, exports) => {
+  const id = require.resolve(path.join(__dirname, '..', 'services', file));
+  cached.set(id, require.cache[id]);
+  if (exports) require.cache[id] = { id, filename: id, loaded: true, exports };
+  else delete require.cache[id];
+};
+stubModule('sosLifecycleService');
+stubModule('unitService', { releaseUnitsForAlert: async (id) => { calls.push(['releaseUnits', id]); } });
+stubModule('notificationService', { notifyEmergencyContact: async (id, status) => { calls.push(['notifyContact', id, status]); } });
+stubModule('groupSosService', { onSOSEnded: async (alert, status) => { calls.push(['groupEnded', alert._id, status]); } });
+
+const restoreModules = () => {
+  cached.forEach((module, id) => {
+    if (module) require.cache[id] = module;
+    else delete require.cache[id];
+  });
+  cached.clear();
+};
+
+const { ACTIONS, OPEN_STATUSES, canTransition, transitionAlert } = require('../services/sosLifecycleService');
+restoreModules();
+
+const SOSAlert = require('../models/SOSAlertModel');
+
+const STATUSES = SOSAlert.schema.path('status').enumValues;
+
+// Expected target of every action from every status (undefined = not allowed)
+const EXPECTED = {
+  new: { acknowledge: 'acknowledged', assign: 'responding', escalate: 'new', resolve: 'resolved', cancel: 'cancelled' },
+  acknowledged: { assign: 'responding', escalate: 'acknowledged', resolve: 'resolved', cancel: 'cancelled' },
+  responding: { assign: 'responding', escalate: 'responding', resolve: 'resolved', cancel: 'cancelled' },
+  resolved: { close: 'closed' },
+  cancelled: { close: 'closed' },
+  closed: {},
+};
+
+describe('sosLifecycleService', () => {
+  describe('ACTIONS', () => {
+    it('only moves between statuses the alert model knows', () => {
+      for (const rule of Object.values(ACTIONS)) {
+        rule.from.forEach(status => assert.ok(STATUSES.includes(status), status));
+        if (rule.to !== null) assert.ok(STATUSES.includes(rule.to), rule.to);
+      }
+      OPEN_STATUSES.forEach(status => assert.ok(STATUSES.includes(status), status));
+    });
+
+    it('allows exactly the documented transitions', () => {
+      assert.deepStrictEqual(Object.keys(EXPECTED).sort(), [...STATUSES].sort());
+
+      for (const status of STATUSES) {
+        for (const [action, rule] of Object.entries(ACTIONS)) {
+          const expected = EXPECTED[status][action];
+          assert.strictEqual(canTransition(status, action), expected !== undefined, `${action} from ${status}`);
+          if (expected !== undefined) assert.strictEqual(rule.to || status, expected, `${action} from ${status}`);
+        }
+      }
+    });
+
+    it('rejects unknown actions', () => {
+      assert.strictEqual(canTransition('new', 'reopen'), false);
+    });
+  });
+
+  describe('transitionAlert', () => {
+    const ALERT_ID = '64b7f0c2a1b2c3d4e5f60718';
+    const originals = { findById: SOSAlert.findById, findOneAndUpdate: SOSAlert.findOneAndUpdate };
+    const actor = { type: 'authority', id: 'A1' };
+
+    let stored;
+    let updates;
+
+    // Side effects are fire-and-forget: let them run
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    // Required by the service when an alert leaves 'new'
+    before(() => {
+      stubModule('riskEngineService', { enqueueLocation: async (lat, lng) => { calls.push(['enqueueLocation', lat, lng]); } });
+    });
+
+    after(() => {
+      restoreModules();
+    });
+
+    beforeEach(() => {
+      calls.length = 0;
+      updates = [];
+      stored = { _id: ALERT_ID, status: 'new', location: { type: 'Point', coordinates: [77.2, 28.6] } };
+
+      SOSAlert.findById = () => ({ select: async () => (stored ? { status: stored.status } : null) });
+      SOSAlert.findOneAndUpdate = (filter, update) => {
+        updates.push({ filter, update });
+        const matches = stored && filter.status === stored.status;
+        if (matches) stored = { ...stored, ...update.$set };
+        return { populate: async () => (matches ? stored : null) };
+      };
+    });
+
+    after(() => {
+      SOSAlert.findById = originals.findById;
+      SOSAlert.findOneAndUpdate = originals.findOneAndUpdate;
+    });
+
+    it('moves the alert on and appends a history entry', async () => {
+      const { alert, entry } = await transitionAlert(ALERT_ID, 'acknowledge', { actor, comment: 'On it' });
+
+      assert.strictEqual(alert.status, 'acknowledged');
+      assert.deepStrictEqual(
+        { action: entry.action, fromStatus: entry.fromStatus, toStatus: entry.toStatus, actor: entry.actor, comment: entry.comment },
+        { action: 'acknowledge', fromStatus: 'new', toStatus: 'acknowledged', actor, comment: 'On it' }
+      );
+      assert.deepStrictEqual(updates[0].filter, { _id: ALERT_ID, status: 'new' });
+      assert.strictEqual(updates[0].update.$push.history, entry);
+    });
+
+    it('keeps the status on escalate and applies increments', async () => {
+      const { entry } = await transitionAlert(ALERT_ID, 'escalate', { actor, inc: { escalationLevel: 1 } });
+
+      assert.strictEqual(entry.toStatus, 'new');
+      assert.deepStrictEqual(updates[0].update.$inc, { escalationLevel: 1 });
+      await settle();
+      assert.deepStrictEqual(calls, []);
+    });
+
+    it('rejects unknown actions, missing alerts and illegal transitions', async () => {
+      await assert.rejects(transitionAlert(ALERT_ID, 'reopen', { actor }), { statusCode: 400 });
+
+      stored.status = 'closed';
+      await assert.rejects(transitionAlert(ALERT_ID, 'resolve', { actor }), {
+        statusCode: 409,
+        message: "Cannot resolve an alert that is 'closed'",
+      });
+
+      stored = null;
+      await assert.rejects(transitionAlert(ALERT_ID, 'resolve', { actor }), { statusCode: 404 });
+      assert.strictEqual(updates.length, 0);
+    });
+
+    it('treats a malformed alert id as not found', async () => {
+      SOSAlert.findById = () => { throw new Error('findById must not be reached'); };
+
+      await assert.rejects(transitionAlert('not-an-id', 'acknowledge', { actor }), {
+        statusCode: 404,
+        message: 'SOS Alert not found',
+      });
+      assert.strictEqual(updates.length, 0);
+    });
+
+    it('reports a concurrent change as a conflict', async () => {
+      SOSAlert.findById = () => ({ select: async () => ({ status: 'acknowledged' }) });
+
+      await assert.rejects(transitionAlert(ALERT_ID, 'resolve', { actor }), {
+        statusCode: 409,
+        message: 'SOS Alert was updated by someone else, please retry',
+      });
+    });
+
+    it('releases units, informs the contact and the group, and rescores risk when an alert ends', async () => {
+      await transitionAlert(ALERT_ID, 'resolve', { actor });
+      await settle();
+
+      assert.deepStrictEqual(calls, [
+        ['releaseUnits', ALERT_ID],
+        ['notifyContact', ALERT_ID, 'resolved'],
+        ['enqueueLocation', 28.6, 77.2],
+        ['groupEnded', ALERT_ID, 'resolved'],
+      ]);
+    });
+
+    it('rescores risk only when the alert leaves new', async () => {
+      stored.status = 'acknowledged';
+      await transitionAlert(ALERT_ID, 'assign', { actor });
+      await settle();
+
+      assert.ok(!calls.some(([name]) => name === 'enqueueLocation'));
+    });
+
+    it('leaves the tour group alone for a duress alert', async () => {
+      stored.cancellation = { isDuress: true };
+      await transitionAlert(ALERT_ID, 'resolve', { actor });
+      await settle();
+
+      assert.ok(!calls.some(([name]) => name === 'groupEnded'));
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Minimal EXIF reader for JPEG photos: GPS position and capture time only.
+ * Everything is bounds-checked; a malformed or missing EXIF block yields null.
+ */
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const GPS_LAT_REF = 1;
+const GPS_LAT = 2;
+const GPS_LNG_REF = 3;
+const GPS_LNG = 4;
+
+const TYPE_ASCII = 2;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// TIFF structure inside the APP1 segment (offsets are relative to `start`)
+function createTiffReader(buf, start, end) {
+  const order = buf.toString('latin1', start, start + 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+
+  const check = (offset, size) => {
+    if (offset < 0 || start + offset + size > end) throw new RangeError('EXIF offset out of range');
+  };
+  const u16 = (offset) => {
+    check(offset, 2);
+    return little ? buf.readUInt16LE(start + offset) : buf.readUInt16BE(start + offset);
+  };
+  const u32 = (offset) => {
+    check(offset, 4);
+    return little ? buf.readUInt32LE(start + offset) : buf.readUInt32BE(start + offset);
+  };
+
+  if (u16(2) !== 42) return null;
+
+  // IFD at `offset` -> Map(tag -> { type, count, valueOffset })
+  const readIfd = (offset) => {
+    const entries = new Map();
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      // Values of up to 4 bytes are stored in the entry itself
+      entries.set(u16(entry), { type, count: valueCount, valueOffset: size <= 4 ? entry + 8 : u32(entry + 8) });
+    }
+    return entries;
+  };
+
+  const ascii = (entry) => {
+    check(entry.valueOffset, entry.count);
+    return buf.toString('latin1', start + entry.valueOffset, start + entry.valueOffset + entry.count).replace(/\0+$/, '');
+  };
+  const rationals = (entry) => {
+    const values = [];
+    for (let i = 0; i < entry.count; i++) {
+      const denominator = u32(entry.valueOffset + i * 8 + 4);
+      values.push(denominator === 0 ? 0 : u32(entry.valueOffset + i * 8) / denominator);
+    }
+    return values;
+  };
+
+  return { u32, readIfd, ascii, rationals };
+}
+
+// Degrees/minutes/seconds + hemisphere -> signed decimal degrees
+function toDegrees(tiff, ifd, valueTag, refTag) {
+  const value = ifd.get(valueTag);
+  const ref = ifd.get(refTag);
+  if (!value || value.type !== TYPE_RATIONAL || value.count < 3 || !ref || ref.type !== TYPE_ASCII) return null;
+
+  const [deg, min, sec] = tiff.rationals(value);
+  const degrees = deg + min / 60 + sec / 3600;
+  return ['S', 'W'].includes(tiff.ascii(ref).toUpperCase()) ? -degrees : degrees;
+}
+
+// Offset of the TIFF header in the JPEG's Exif APP1 segment, null if none
+function findExifSegment(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= buf.length && buf[offset] === 0xff) {
+    const marker = buf[offset + 1];
+    const length = buf.readUInt16BE(offset + 2);
+    if (marker === 0xda || marker === 0xd9) break; // Image data starts: no EXIF after this
+    if (marker === 0xe1 && buf.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return { start: offset + 10, end: Math.min(offset + 2 + length, buf.length) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Read the GPS position and capture time of a JPEG photo.
+ * @param {Buffer} buffer JPEG file content
+ * @returns {object|null} { lat, lng, takenAt } (lat/lng null without GPS data;
+ *   takenAt is the camera's local "YYYY:MM:DD HH:MM:SS", without time zone), null without EXIF
+ */
+exports.extractExif = (buffer) => {
+  try {
+    const segment = findExifSegment(buffer);
+    if (!segment) return null;
+    const tiff = createTiffReader(buffer, segment.start, segment.end);
+    if (!tiff) return null;
+
+    const ifd0 = tiff.readIfd(tiff.u32(4));
+    const result = { lat: null, lng: null, takenAt: null };
+
+    const exifPointer = ifd0.get(TAG_EXIF_IFD);
+    if (exifPointer && exifPointer.type === TYPE_LONG) {
+      const taken = tiff.readIfd(tiff.u32(exifPointer.valueOffset)).get(TAG_DATETIME_ORIGINAL);
+      if (taken && taken.type === TYPE_ASCII) result.takenAt = tiff.ascii(taken) || null;
+    }
+
+    const gpsPointer = ifd0.get(TAG_GPS_IFD);
+    if (gpsPointer && gpsPointer.type === TYPE_LONG) {
+      const gps = tiff.readIfd(tiff.u32(gpsPointer.valueOffset));
+      const lat = toDegrees(tiff, gps, GPS_LAT, GPS_LAT_REF);
+      const lng = toDegrees(tiff, gps, GPS_LNG, GPS_LNG_REF);
+      // 0,0 is what many phones write when they had no fix
+      if (lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat !== 0 || lng !== 0)) {
+        result.lat = lat;
+        result.lng = lng;
+      }
+    }
+
+    return result;
+  } catch (err) {
+    return null;
+  }
+};
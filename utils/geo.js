@@ -0,0 +1,268 @@
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box string (GeoJSON bbox order).
+ * @param {string} value Raw query string value
+ * @returns {object|null} { minLng, minLat, maxLng, maxLat } or null if not provided
+ * @throws {Error} If the value is present but malformed
+ */
+exports.parseBBox = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+    throw new Error("bbox must be 'minLng,minLat,maxLng,maxLat'");
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+    throw new Error('bbox coordinates are out of range');
+  }
+  if (minLat > maxLat || minLng > maxLng) {
+    throw new Error('bbox min values must not exceed max values');
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Check whether a point lies inside a bounding box.
+ * @param {object} bbox Output of parseBBox()
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {boolean}
+ */
+exports.isPointInBBox = (bbox, lat, lng) => {
+  if (!bbox) return true;
+  return lat >= bbox.minLat && lat <= bbox.maxLat && lng >= bbox.minLng && lng <= bbox.maxLng;
+};
+
+/**
+ * Build a MongoDB $geoWithin filter for a bounding box, for use on a GeoJSON field.
+ * @param {object} bbox Output of parseBBox()
+ * @returns {object} Filter value, e.g. { location: exports.bboxGeoWithin(bbox) }
+ */
+exports.bboxGeoWithin = (bbox) => ({
+  $geoWithin: {
+    $geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [bbox.minLng, bbox.minLat],
+        [bbox.maxLng, bbox.minLat],
+        [bbox.maxLng, bbox.maxLat],
+        [bbox.minLng, bbox.maxLat],
+        [bbox.minLng, bbox.minLat],
+      ]],
+    },
+  },
+});
+
+/**
+ * Distance from a point to the segment A-B, using a local equirectangular
+ * projection (accurate enough for city / commute scale distances).
+ * @param {number} lat Point latitude
+ * @param {number} lng Point longitude
+ * @param {Array<number>} a Segment start as [lng, lat]
+ * @param {Array<number>} b Segment end as [lng, lat]
+ * @returns {object} { distance: meters to the segment, fraction: 0..1 progress along A-B }
+ */
+exports.distanceToSegment = (lat, lng, a, b) => {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const cosLat = Math.cos(toRad((a[1] + b[1] + lat) / 3));
+
+  // Project to meters relative to A
+  const project = (pLng, pLat) => ({
+    x: toRad(pLng - a[0]) * cosLat * R,
+    y: toRad(pLat - a[1]) * R,
+  });
+
+  const p = project(lng, lat);
+  const end = project(b[0], b[1]);
+  const lengthSq = end.x * end.x + end.y * end.y;
+
+  let fraction = 0;
+  if (lengthSq > 0) {
+    fraction = Math.max(0, Math.min(1, (p.x * end.x + p.y * end.y) / lengthSq));
+  }
+
+  const dx = p.x - end.x * fraction;
+  const dy = p.y - end.y * fraction;
+  return { distance: Math.sqrt(dx * dx + dy * dy), fraction };
+};
+
+/**
+ * Ray-casting point-in-polygon test.
+ * @param {number} lat Point latitude
+ * @param {number} lng Point longitude
+ * @param {Array<Array<number>>} ring Polygon ring as [[lng, lat], ...] (closed or open)
+ * @returns {boolean}
+ */
+exports.isPointInPolygon = (lat, lng, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Distance from a point to the boundary of a polygon ring.
+ * @param {number} lat Point latitude
+ * @param {number} lng Point longitude
+ * @param {Array<Array<number>>} ring Polygon ring as [[lng, lat], ...]
+ * @returns {number} Meters to the nearest edge
+ */
+exports.distanceToPolygonBoundary = (lat, lng, ring) => {
+  let min = Infinity;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const { distance } = exports.distanceToSegment(lat, lng, ring[j], ring[i]);
+    if (distance < min) min = distance;
+  }
+  return min;
+};
+
+const MAX_POLYGON_VERTICES = 10000;
+
+const isPosition = (p) =>
+  Array.isArray(p) && p.length >= 2 &&
+  Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+
+// Proper intersection of segments p1-p2 and p3-p4 (shared endpoints don't count)
+const segmentsCross = (p1, p2, p3, p4) => {
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+};
+
+/**
+ * Validate and normalise a GeoJSON Polygon / MultiPolygon. Rings are closed
+ * automatically; positions must be [lng, lat] and rings must not self-intersect
+ * (MongoDB's 2dsphere index rejects such shapes).
+ * @param {object} geometry GeoJSON geometry
+ * @returns {object} { type, coordinates } ready to store
+ * @throws {Error} With a client-facing message if the geometry is invalid
+ */
+exports.normalizePolygonGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') throw new Error('geometry must be a GeoJSON object');
+  if (!['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    throw new Error('geometry.type must be Polygon or MultiPolygon');
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    throw new Error('geometry.coordinates must be a non-empty array');
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let vertexCount = 0;
+
+  const normalised = polygons.map((rings, pi) => {
+    if (!Array.isArray(rings) || rings.length === 0) throw new Error(`polygon ${pi} has no rings`);
+
+    return rings.map((ring, ri) => {
+      const where = `polygon ${pi} ring ${ri}`;
+      if (!Array.isArray(ring) || !ring.every(isPosition)) {
+        throw new Error(`${where}: every position must be [lng, lat] within valid ranges`);
+      }
+
+      const positions = ring.map(p => [p[0], p[1]]);
+      const first = positions[0];
+      const last = positions[positions.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) positions.push([first[0], first[1]]);
+      if (positions.length < 4) throw new Error(`${where}: a ring needs at least 3 distinct positions`);
+
+      vertexCount += positions.length;
+      if (vertexCount > MAX_POLYGON_VERTICES) throw new Error(`geometry exceeds ${MAX_POLYGON_VERTICES} vertices`);
+
+      const edges = positions.length - 1;
+      for (let i = 0; i < edges; i++) {
+        for (let j = i + 2; j < edges; j++) {
+          if (i === 0 && j === edges - 1) continue; // first and last edge share the closing vertex
+          if (segmentsCross(positions[i], positions[i + 1], positions[j], positions[j + 1])) {
+            throw new Error(`${where}: ring is self-intersecting`);
+          }
+        }
+      }
+      return positions;
+    });
+  });
+
+  return geometry.type === 'Polygon'
+    ? { type: 'Polygon', coordinates: normalised[0] }
+    : { type: 'MultiPolygon', coordinates: normalised };
+};
+
+// Rings of a Polygon / MultiPolygon as a flat list of [outer, ...holes] groups
+const polygonsOf = (geometry) =>
+  geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+/**
+ * Whether a point lies inside a Polygon / MultiPolygon (outside its holes).
+ * @param {number} lat
+ * @param {number} lng
+ * @param {object} geometry GeoJSON Polygon / MultiPolygon
+ * @returns {boolean}
+ */
+exports.isPointInGeometry = (lat, lng, geometry) =>
+  polygonsOf(geometry).some(([outer, ...holes]) =>
+    exports.isPointInPolygon(lat, lng, outer) && !holes.some(hole => exports.isPointInPolygon(lat, lng, hole))
+  );
+
+/**
+ * Distance from a point to the nearest boundary (outer ring or hole) of a
+ * Polygon / MultiPolygon.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {object} geometry GeoJSON Polygon / MultiPolygon
+ * @returns {number} Meters
+ */
+exports.distanceToGeometryBoundary = (lat, lng, geometry) => {
+  let min = Infinity;
+  for (const rings of polygonsOf(geometry)) {
+    for (const ring of rings) {
+      min = Math.min(min, exports.distanceToPolygonBoundary(lat, lng, ring));
+    }
+  }
+  return min;
+};
+
+/**
+ * Bounding box of a Polygon / MultiPolygon.
+ * @param {object} geometry
+ * @returns {object} { minLng, minLat, maxLng, maxLat }
+ */
+exports.geometryBBox = (geometry) => {
+  const bbox = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+  for (const rings of polygonsOf(geometry)) {
+    for (const [lng, lat] of rings[0]) {
+      bbox.minLng = Math.min(bbox.minLng, lng);
+      bbox.maxLng = Math.max(bbox.maxLng, lng);
+      bbox.minLat = Math.min(bbox.minLat, lat);
+      bbox.maxLat = Math.max(bbox.maxLat, lat);
+    }
+  }
+  return bbox;
+};
+
+/**
+ * Representative centre of a Polygon / MultiPolygon (centre of its bounding box),
+ * used as the zone's legacy `coords`.
+ * @param {object} geometry
+ * @returns {Array<number>} [lat, lng]
+ */
+exports.geometryCenter = (geometry) => {
+  const bbox = exports.geometryBBox(geometry);
+  return [(bbox.minLat + bbox.maxLat) / 2, (bbox.minLng + bbox.maxLng) / 2];
+};
+
+/**
+ * GeoJSON Point for a zone's legacy `coords`, stored as its indexed `center`.
+ * @param {Array<number>} coords [lat, lng]
+ * @returns {object} GeoJSON Point ([lng, lat])
+ */
+exports.coordsPoint = ([lat, lng]) => ({ type: 'Point', coordinates: [lng, lat] });
@@ -0,0 +1,50 @@
+/**
+ * Identify uploaded media from its first bytes (magic numbers), so a file's
+ * declared Content-Type or name cannot smuggle in something else.
+ */
+
+const ascii = (buf, start, end) => buf.toString('latin1', start, end);
+const startsWith = (buf, bytes, offset = 0) => bytes.every((b, i) => buf[offset + i] === b);
+
+// ISO base media (MP4 family): "ftyp" at offset 4, then the major brand
+const ftypBrand = (buf) => (buf.length >= 12 && ascii(buf, 4, 8) === 'ftyp' ? ascii(buf, 8, 12) : null);
+
+// container: true = holds either audio or video; the declared type decides
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', mediaType: 'image', ext: 'jpg', test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', mediaType: 'image', ext: 'png', test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/webp', mediaType: 'image', ext: 'webp', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+  { mimeType: 'image/heic', mediaType: 'image', ext: 'heic', test: b => ['heic', 'heix', 'mif1', 'msf1'].includes(ftypBrand(b)) },
+  { mimeType: 'audio/mp4', mediaType: 'audio', ext: 'm4a', test: b => ftypBrand(b) === 'M4A ' },
+  { mimeType: 'video/quicktime', mediaType: 'video', ext: 'mov', test: b => ftypBrand(b) === 'qt  ' },
+  { mimeType: 'video/3gpp', mediaType: 'video', ext: '3gp', container: true, test: b => /^3g[p2]/.test(ftypBrand(b) || '') },
+  { mimeType: 'video/mp4', mediaType: 'video', ext: 'mp4', container: true, test: b => ftypBrand(b) !== null },
+  { mimeType: 'video/webm', mediaType: 'video', ext: 'webm', container: true, test: b => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { mimeType: 'audio/ogg', mediaType: 'audio', ext: 'ogg', test: b => ascii(b, 0, 4) === 'OggS' },
+  { mimeType: 'audio/wav', mediaType: 'audio', ext: 'wav', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WAVE' },
+  { mimeType: 'audio/amr', mediaType: 'audio', ext: 'amr', test: b => ascii(b, 0, 6) === '#!AMR\n' },
+  { mimeType: 'audio/aac', mediaType: 'audio', ext: 'aac', test: b => b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  // MPEG audio frame sync with a non-zero layer (layer 0 is AAC's ADTS above)
+  { mimeType: 'audio/mpeg', mediaType: 'audio', ext: 'mp3', test: b => ascii(b, 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) },
+];
+
+/**
+ * Detect the type of a file from its content.
+ * @param {Buffer} buffer File content
+ * @param {string} [declaredType] Content-Type sent by the client; only decides
+ *   between audio and video for containers that can hold either
+ * @returns {object|null} { mimeType, mediaType: 'image' | 'audio' | 'video', ext }, null if unsupported
+ */
+exports.detectMediaType = (buffer, declaredType) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  const signature = SIGNATURES.find(s => s.test(buffer));
+  if (!signature) return null;
+
+  const { mimeType, mediaType, ext, container } = signature;
+  const declaredFamily = String(declaredType || '').split('/')[0].trim().toLowerCase();
+  if (container && declaredFamily === 'audio') {
+    return { mimeType: mimeType.replace(/^video\//, 'audio/'), mediaType: 'audio', ext };
+  }
+  return { mimeType, mediaType, ext };
+};
@@ -0,0 +1,242 @@
+/**
+ * Cell systems for the Risk Engine grid.
+ *
+ * - square: the original fixed 0.0045° (~500m) lat/lng grid. Cells get narrower
+ *   away from the equator, so their area depends on the region.
+ * - hex: hierarchical hexagonal grid laid out in the Behrmann equal-area
+ *   projection (true shape at 30°N/S). Every cell of a resolution covers the
+ *   same area anywhere, and each resolution has edges √7 times shorter than the
+ *   previous one (H3-style aperture 7). Ids look like "h8_1234_-567".
+ *
+ * Both expose the same interface, and gridSystemFor() picks the system from a
+ * cell id, so cells of both kinds can be processed side by side (e.g. after
+ * switching RISK_GRID_TYPE, until the old cells expire).
+ */
+
+const EARTH_RADIUS_M = 6371007.2; // Authalic radius (equal-area sphere)
+const METERS_PER_DEG = 111320;
+const TARGET_CELL_PX = 32;        // On-screen cell size aimed for when aggregating by zoom
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// ---------------------------------------------------------------------------
+// Square grid
+// ---------------------------------------------------------------------------
+
+const SQUARE_BASE_DEG = 0.0045;
+const SQUARE_BASE_RES = 4; // Coarser resolutions double the cell size
+
+const squareSizeDeg = (res) => SQUARE_BASE_DEG * 2 ** (SQUARE_BASE_RES - res);
+
+// Base resolution keeps the original "lat_lng" ids
+const squareId = (res, lat, lng) => res === SQUARE_BASE_RES
+  ? `${lat.toFixed(5)}_${lng.toFixed(5)}`
+  : `s${res}_${lat.toFixed(5)}_${lng.toFixed(5)}`;
+
+const parseSquareId = (gridId) => {
+  const parts = gridId.split('_');
+  if (parts.length === 2) {
+    return { res: SQUARE_BASE_RES, lat: parseFloat(parts[0]), lng: parseFloat(parts[1]) };
+  }
+  return { res: parseInt(parts[0].slice(1), 10), lat: parseFloat(parts[1]), lng: parseFloat(parts[2]) };
+};
+
+const squareGrid = {
+  type: 'square',
+  minResolution: 0,
+  maxResolution: SQUARE_BASE_RES,
+  defaultResolution: SQUARE_BASE_RES,
+
+  cellOf(lat, lng, res = SQUARE_BASE_RES) {
+    const size = squareSizeDeg(res);
+    const snapedLat = Math.floor(lat / size) * size + (size / 2);
+    const snapedLng = Math.floor(lng / size) * size + (size / 2);
+    return { gridId: squareId(res, snapedLat, snapedLng), center: [snapedLng, snapedLat] };
+  },
+
+  centerOf(gridId) {
+    const { lat, lng } = parseSquareId(gridId);
+    return { lat, lng };
+  },
+
+  resolutionOf(gridId) {
+    return parseSquareId(gridId).res;
+  },
+
+  neighbours(gridId) {
+    const { res, lat, lng } = parseSquareId(gridId);
+    const size = squareSizeDeg(res);
+    const ids = [];
+    for (const dLat of [-1, 0, 1]) {
+      for (const dLng of [-1, 0, 1]) {
+        if (dLat === 0 && dLng === 0) continue;
+        ids.push(squareGrid.cellOf(lat + dLat * size, lng + dLng * size, res).gridId);
+      }
+    }
+    return ids;
+  },
+
+  boundary(gridId) {
+    const { res, lat, lng } = parseSquareId(gridId);
+    const half = squareSizeDeg(res) / 2;
+    return [
+      [lng - half, lat - half],
+      [lng + half, lat - half],
+      [lng + half, lat + half],
+      [lng - half, lat + half],
+      [lng - half, lat - half],
+    ];
+  },
+
+  // North-south size; east-west shrinks with cos(latitude)
+  cellWidthMeters(res) {
+    return squareSizeDeg(res) * METERS_PER_DEG;
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Hexagonal grid (pointy-top axial coordinates)
+// ---------------------------------------------------------------------------
+
+const HEX_RES0_EDGE_M = 1107712.591; // Same ladder as H3: resolution 8 ≈ 461m edges
+const HEX_MAX_RES = 12;
+const HEX_DEFAULT_RES = 8;
+const COS_STD_PARALLEL = Math.cos(toRad(30));
+const SQRT3 = Math.sqrt(3);
+const HEX_DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+
+const hexEdge = (res) => HEX_RES0_EDGE_M / Math.pow(7, res / 2);
+
+// Behrmann cylindrical equal-area projection
+const project = (lat, lng) => ({
+  x: EARTH_RADIUS_M * toRad(lng) * COS_STD_PARALLEL,
+  y: EARTH_RADIUS_M * Math.sin(toRad(lat)) / COS_STD_PARALLEL,
+});
+
+const unproject = (x, y) => ({
+  lat: toDeg(Math.asin(Math.max(-1, Math.min(1, y * COS_STD_PARALLEL / EARTH_RADIUS_M)))),
+  lng: toDeg(x / (EARTH_RADIUS_M * COS_STD_PARALLEL)),
+});
+
+const hexId = (res, q, r) => `h${res}_${q}_${r}`;
+
+const parseHexId = (gridId) => {
+  const [res, q, r] = gridId.slice(1).split('_').map(n => parseInt(n, 10));
+  return { res, q, r };
+};
+
+// Round fractional axial coordinates to the containing hexagon
+const axialRound = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return { q: rq + 0, r: rr + 0 }; // + 0 turns -0 into 0 for stable ids
+};
+
+const hexCenterXY = (res, q, r) => {
+  const size = hexEdge(res);
+  return { x: size * SQRT3 * (q + r / 2), y: size * 1.5 * r };
+};
+
+const hexGrid = {
+  type: 'hex',
+  minResolution: 0,
+  maxResolution: HEX_MAX_RES,
+  defaultResolution: HEX_DEFAULT_RES,
+
+  cellOf(lat, lng, res = HEX_DEFAULT_RES) {
+    const size = hexEdge(res);
+    const { x, y } = project(lat, lng);
+    const { q, r } = axialRound((SQRT3 / 3 * x - y / 3) / size, (2 / 3 * y) / size);
+    const center = hexGrid.centerOf(hexId(res, q, r));
+    return { gridId: hexId(res, q, r), center: [center.lng, center.lat] };
+  },
+
+  centerOf(gridId) {
+    const { res, q, r } = parseHexId(gridId);
+    const { x, y } = hexCenterXY(res, q, r);
+    return unproject(x, y);
+  },
+
+  resolutionOf(gridId) {
+    return parseHexId(gridId).res;
+  },
+
+  neighbours(gridId) {
+    const { res, q, r } = parseHexId(gridId);
+    return HEX_DIRECTIONS.map(([dq, dr]) => hexId(res, q + dq, r + dr));
+  },
+
+  boundary(gridId) {
+    const { res, q, r } = parseHexId(gridId);
+    const size = hexEdge(res);
+    const { x, y } = hexCenterXY(res, q, r);
+    const ring = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = toRad(60 * i - 30);
+      const corner = unproject(x + size * Math.cos(angle), y + size * Math.sin(angle));
+      ring.push([corner.lng, corner.lat]);
+    }
+    ring.push(ring[0]);
+    return ring;
+  },
+
+  // Flat-to-flat width
+  cellWidthMeters(res) {
+    return hexEdge(res) * SQRT3;
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+
+const GRID_SYSTEMS = { square: squareGrid, hex: hexGrid };
+
+/**
+ * Grid system by name.
+ * @param {string} type 'square' | 'hex'
+ * @returns {object}
+ * @throws {Error} Unknown type
+ */
+exports.getGridSystem = (type = 'square') => {
+  const system = GRID_SYSTEMS[type];
+  if (!system) throw new Error(`Unknown risk grid type '${type}'. Use one of: ${Object.keys(GRID_SYSTEMS).join(', ')}`);
+  return system;
+};
+
+/**
+ * Grid system a cell id belongs to.
+ * @param {string} gridId
+ * @returns {object}
+ */
+exports.gridSystemFor = (gridId) => (/^h\d+_/.test(gridId) ? hexGrid : squareGrid);
+
+/**
+ * Coarsest-needed resolution for showing cells at a web map zoom level: the
+ * finest one (no finer than maxRes) whose cells are at least TARGET_CELL_PX
+ * wide on screen.
+ * @param {object} system Grid system
+ * @param {number} zoom Web Mercator zoom level
+ * @param {number} lat Latitude the map is centred on
+ * @param {number} maxRes Resolution of the stored cells
+ * @returns {number}
+ */
+exports.resolutionForZoom = (system, zoom, lat, maxRes) => {
+  const metersPerPixel = 156543.03392 * Math.cos(toRad(lat)) / 2 ** zoom;
+  const targetMeters = TARGET_CELL_PX * metersPerPixel;
+  for (let res = maxRes; res > system.minResolution; res--) {
+    if (system.cellWidthMeters(res) >= targetMeters) return res;
+  }
+  return system.minResolution;
+};
+
+exports.squareGrid = squareGrid;
+exports.hexGrid = hexGrid;
@@ -0,0 +1,65 @@
+/**
+ * Minimal tolerant XML readers for the formats we ingest (KML, RSS/Atom, CAP).
+ * Tags match with or without a namespace prefix; this is not a full parser.
+ */
+
+/**
+ * Unwrap CDATA and decode the predefined and numeric character entities.
+ * @param {string} text
+ * @returns {string}
+ */
+exports.decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+/**
+ * Inner XML of every <tag>...</tag> element.
+ * @param {string} xml
+ * @param {string} tag Local name
+ * @returns {string[]}
+ */
+exports.xmlBlocks = (xml, tag) => {
+  const re = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  const blocks = [];
+  let match;
+  while ((match = re.exec(xml)) !== null) blocks.push(match[1]);
+  return blocks;
+};
+
+/**
+ * Decoded text of the first <tag> element, undefined if there is none.
+ * @param {string} xml
+ * @param {string} tag Local name
+ * @returns {string|undefined}
+ */
+exports.xmlText = (xml, tag) => {
+  const [block] = exports.xmlBlocks(xml, tag);
+  return block === undefined ? undefined : exports.decodeXml(block);
+};
+
+/**
+ * Attributes of every <tag> start or empty element (e.g. Atom <link href="..."/>).
+ * @param {string} xml
+ * @param {string} tag Local name
+ * @returns {object[]} [{ name: value }]
+ */
+exports.xmlAttributes = (xml, tag) => {
+  const re = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)/?>`, 'g');
+  const elements = [];
+  let match;
+  while ((match = re.exec(xml)) !== null) {
+    const attributes = {};
+    const attrRe = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attr;
+    while ((attr = attrRe.exec(match[1])) !== null) {
+      attributes[attr[1]] = exports.decodeXml(attr[2] !== undefined ? attr[2] : attr[3]);
+    }
+    elements.push(attributes);
+  }
+  return elements;
+};